@@ -0,0 +1,133 @@
+// This file checks logins and manages passwords: changing them, and resetting a forgotten one
+// with a one-time link sent by email. It covers both kinds of account: students, who log in with
+// their matric number, and staff (see staff.js), who log in with a username.
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { StatusError } = require('./docStatus');
+const notifications = require('./notifications');
+
+const RESET_TTL_MINUTES = 60;
+
+// Compared against when the matric is unknown, so a failed login takes as long whether or not
+// the account exists and the timing does not give valid matric numbers away.
+const DUMMY_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+// Every new password is checked here: at activation, on reset and on change.
+// Returns what is wrong with `password`, or null if it is acceptable.
+const passwordProblem = (password, matric) => {
+  if (typeof password !== 'string' || password.length < 8) return 'Passwords must be at least 8 characters.';
+  if (password.length > 200) return 'Passwords must be 200 characters or fewer.';
+  if (matric && password.toLowerCase().includes(String(matric).toLowerCase())) return 'Your password must not contain your matric number.';
+  return null;
+};
+
+// Where each kind of account is stored. Staff usernames and student matric numbers never clash:
+// staff.js and the importer refuse a new one that is already taken by the other kind.
+const ACCOUNT_TABLES = {
+  admin: { table: 'staff', key: 'username' },
+  student: { table: 'students', key: 'matric' },
+};
+
+// Finds the account logging in as `matric` (a matric number or a staff username). Returns the row,
+// including the password hash, with `role` set ('admin' for staff, 'student'), or null.
+// Staff rows carry their username as `matric` too, since sessions and the audit log identify users by it,
+// and their role (e.g. bursary) as `staff_role`, with its label as `staff_role_label`.
+const findAccount = async (client, matric) => {
+  const { rows: staff } = await client.query(
+    `SELECT s.username AS matric, s.username, s.name, s.email, s.password_hash, s.role AS staff_role,
+       r.label AS staff_role_label, s.active, s.must_change_password, s.password_changed_at
+     FROM staff s JOIN staff_roles r ON r.name = s.role WHERE s.username = $1`,
+    [matric]
+  );
+  if (staff.length > 0) return { ...staff[0], role: 'admin' };
+  const { rows } = await client.query('SELECT * FROM students WHERE matric = $1', [matric]);
+  return rows.length > 0 ? { ...rows[0], role: 'student' } : null;
+};
+
+// The account for a session, without its password hash, or null if it no longer exists.
+const getUser = async (client, matric) => {
+  const user = await findAccount(client, matric);
+  if (user) delete user.password_hash;
+  return user;
+};
+
+// Checks a login. Returns { user } (without the password hash) on success, or { reason } for the audit log.
+// Callers must give the same answer for every reason, so the response does not reveal which one it was.
+const checkCredentials = async (client, matric, password) => {
+  const user = await findAccount(client, matric);
+  const isMatch = await bcrypt.compare(password, (user && user.password_hash) || DUMMY_HASH);
+  if (!user) return { reason: 'unknown_matric' };
+  if (!user.password_hash) return { reason: 'not_activated' };
+  if (user.role === 'admin' && !user.active) return { reason: 'deactivated' };
+  if (!isMatch) return { reason: 'wrong_password' };
+  delete user.password_hash;
+  return { user };
+};
+
+// Sets `user`'s password ({ matric, role }, as returned by findAccount). Unless `mustChange` is set,
+// this is their own choice, so any requirement to change an initial password is lifted.
+const setPassword = async (client, user, password, { mustChange = false } = {}) => {
+  const { table, key } = ACCOUNT_TABLES[user.role];
+  await client.query(
+    `UPDATE ${table} SET password_hash = $1, must_change_password = $2, password_changed_at = NOW() WHERE ${key} = $3`,
+    [await bcrypt.hash(password, 10), mustChange, user.matric]
+  );
+};
+
+// Changes the password of a logged-in user, who must confirm their current one.
+const changePassword = async (client, { matric, currentPassword, newPassword }) => {
+  const problem = passwordProblem(newPassword, matric);
+  if (problem) throw new StatusError(400, problem);
+  const user = await findAccount(client, matric);
+  if (!user || !(await bcrypt.compare(String(currentPassword || ''), user.password_hash || DUMMY_HASH))) {
+    throw new StatusError(400, 'Your current password is incorrect.');
+  }
+  if (newPassword === currentPassword) throw new StatusError(400, 'Choose a password different from your current one.');
+  await setPassword(client, user, newPassword);
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Emails a reset link to the account's address. Does nothing for unknown matrics or accounts
+// without an email, and the caller answers the same either way.
+const requestReset = async (client, matric) => {
+  const user = await findAccount(client, matric);
+  if (!user || !user.email || (user.role === 'admin' && !user.active)) return false;
+  const token = crypto.randomBytes(32).toString('base64url');
+  await client.query(
+    `INSERT INTO password_resets (token_hash, matric, expires_at)
+     VALUES ($1, $2, NOW() + make_interval(mins => $3))`,
+    [hashToken(token), matric, RESET_TTL_MINUTES]
+  );
+  await notifications.enqueue(client, { matric, template: 'password_reset', data: { token, validMinutes: RESET_TTL_MINUTES } });
+  return true;
+};
+
+// Sets a new password with a reset token. Every outstanding link for the account stops working.
+// Returns the matric (or staff username) the token was for.
+const confirmReset = async (client, { token, password }) => {
+  const { rows } = await client.query(
+    `SELECT matric FROM password_resets
+     WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW() FOR UPDATE`,
+    [hashToken(String(token || ''))]
+  );
+  if (rows.length === 0) throw new StatusError(400, 'This reset link is invalid or has expired. Please request a new one.');
+  const { matric } = rows[0];
+  const problem = passwordProblem(password, matric);
+  if (problem) throw new StatusError(400, problem);
+  const user = await findAccount(client, matric);
+  if (!user) throw new StatusError(400, 'This reset link is invalid or has expired. Please request a new one.');
+  await setPassword(client, user, password);
+  await client.query('UPDATE password_resets SET used_at = NOW() WHERE matric = $1 AND used_at IS NULL', [matric]);
+  return matric;
+};
+
+module.exports = {
+  passwordProblem,
+  getUser,
+  checkCredentials,
+  setPassword,
+  changePassword,
+  requestReset,
+  confirmReset,
+};
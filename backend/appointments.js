@@ -0,0 +1,204 @@
+// This file manages certificate collection days, their time slots and the students' bookings.
+// Capacity and "one appointment per student" are enforced here and by the database, so two
+// students racing for the last place in a slot cannot both get it.
+const { StatusError } = require('./docStatus');
+const readiness = require('./readiness');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Days with their slots and how many places in each are taken, ordered by date and time.
+const listDays = async (client, { publishedOnly = true, upcomingOnly = true } = {}) => {
+  const conditions = [];
+  if (publishedOnly) conditions.push('d.published');
+  if (upcomingOnly) conditions.push('d.day >= CURRENT_DATE');
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const { rows } = await client.query(
+    `SELECT d.id, to_char(d.day, 'YYYY-MM-DD') AS day, d.location, d.notes, d.published,
+       COALESCE(json_agg(json_build_object(
+         'id', s.id,
+         'starts_at', to_char(s.starts_at, 'HH24:MI'),
+         'ends_at', to_char(s.ends_at, 'HH24:MI'),
+         'capacity', s.capacity,
+         'booked', (SELECT COUNT(*) FROM collection_appointments a WHERE a.slot_id = s.id AND a.status <> 'cancelled')
+       ) ORDER BY s.starts_at) FILTER (WHERE s.id IS NOT NULL), '[]') AS slots
+     FROM collection_days d
+     LEFT JOIN collection_slots s ON s.day_id = d.id
+     ${where}
+     GROUP BY d.id
+     ORDER BY d.day`
+  );
+  return rows;
+};
+
+// Checks a list of { startsAt, endsAt, capacity } slots from the admin screen.
+// Returns an error message, or null if they are all valid.
+const validateSlots = (slots) => {
+  if (!Array.isArray(slots)) return 'slots must be a list.';
+  for (const slot of slots) {
+    if (!TIME_PATTERN.test(slot.startsAt) || !TIME_PATTERN.test(slot.endsAt) || slot.endsAt <= slot.startsAt) {
+      return 'Each slot needs a start and end time (HH:MM), with the end after the start.';
+    }
+    if (!Number.isInteger(slot.capacity) || slot.capacity < 1 || slot.capacity > 500) {
+      return 'Each slot needs a capacity between 1 and 500.';
+    }
+  }
+  return null;
+};
+
+const insertSlots = async (client, dayId, slots) => {
+  for (const slot of slots) {
+    await client.query(
+      'INSERT INTO collection_slots (day_id, starts_at, ends_at, capacity) VALUES ($1, $2, $3, $4)',
+      [dayId, slot.startsAt, slot.endsAt, slot.capacity]
+    );
+  }
+};
+
+const createDay = async (client, { day, location, notes, published, slots = [], createdBy }) => {
+  if (!DATE_PATTERN.test(day || '')) throw new StatusError(400, 'day must be a date (YYYY-MM-DD).');
+  const slotError = validateSlots(slots);
+  if (slotError) throw new StatusError(400, slotError);
+  const { rows: existing } = await client.query('SELECT 1 FROM collection_days WHERE day = $1', [day]);
+  if (existing.length > 0) throw new StatusError(409, 'There is already a collection day on that date.');
+  const { rows } = await client.query(
+    `INSERT INTO collection_days (day, location, notes, published, created_by)
+     VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+    [day, location || null, notes || null, Boolean(published), createdBy]
+  );
+  await insertSlots(client, rows[0].id, slots);
+  return rows[0].id;
+};
+
+// Updates a day's details and publication, and adds any new `slots`.
+const updateDay = async (client, id, { location, notes, published, slots = [] }) => {
+  const slotError = validateSlots(slots);
+  if (slotError) throw new StatusError(400, slotError);
+  const { rowCount } = await client.query(
+    'UPDATE collection_days SET location = $1, notes = $2, published = $3 WHERE id = $4',
+    [location || null, notes || null, Boolean(published), id]
+  );
+  if (rowCount === 0) throw new StatusError(404, 'Collection day not found.');
+  await insertSlots(client, id, slots);
+};
+
+// Slots can only be removed while nobody holds a place in them.
+const deleteSlot = async (client, slotId) => {
+  const { rows } = await client.query(
+    "SELECT 1 FROM collection_appointments WHERE slot_id = $1 AND status <> 'cancelled'",
+    [slotId]
+  );
+  if (rows.length > 0) throw new StatusError(409, 'This slot has bookings. Ask those students to reschedule first.');
+  await client.query('DELETE FROM collection_appointments WHERE slot_id = $1', [slotId]);
+  const { rowCount } = await client.query('DELETE FROM collection_slots WHERE id = $1', [slotId]);
+  if (rowCount === 0) throw new StatusError(404, 'Slot not found.');
+};
+
+const APPOINTMENT_COLUMNS = `a.id, a.matric, a.status, a.booked_at, a.collected_at, a.collected_by, a.slot_id,
+  to_char(d.day, 'YYYY-MM-DD') AS day, d.location, to_char(s.starts_at, 'HH24:MI') AS starts_at,
+  to_char(s.ends_at, 'HH24:MI') AS ends_at`;
+
+// The student's live (booked or collected) appointment, or null.
+const getForStudent = async (client, matric) => {
+  const { rows } = await client.query(
+    `SELECT ${APPOINTMENT_COLUMNS}
+     FROM collection_appointments a
+     JOIN collection_slots s ON s.id = a.slot_id
+     JOIN collection_days d ON d.id = s.day_id
+     WHERE a.matric = $1 AND a.status IN ('booked', 'collected')`,
+    [matric]
+  );
+  return rows[0] || null;
+};
+
+// Books `slotId` for the student, moving their existing booking if they have one.
+// Returns { before, after } appointments (before is null for a new booking).
+const book = async (client, { matric, slotId }) => {
+  const status = await readiness.forStudent(client, matric);
+  if (!status || !status.isReady) {
+    throw new StatusError(409, 'You can book a collection appointment once your certificate is ready.');
+  }
+  // Lock the slot so concurrent bookings for it are counted one at a time.
+  const { rows: slots } = await client.query(
+    `SELECT s.id, s.capacity, d.published, (d.day + s.starts_at) > NOW() AS upcoming
+     FROM collection_slots s JOIN collection_days d ON d.id = s.day_id
+     WHERE s.id = $1 FOR UPDATE OF s`,
+    [slotId]
+  );
+  const slot = slots[0];
+  if (!slot || !slot.published) throw new StatusError(404, 'Slot not found.');
+  if (!slot.upcoming) throw new StatusError(409, 'This slot has already started.');
+
+  const before = await getForStudent(client, matric);
+  if (before && before.status === 'collected') throw new StatusError(409, 'Your certificate has already been collected.');
+  if (before && before.slot_id === slot.id) throw new StatusError(409, 'You are already booked into this slot.');
+
+  const { rows: [{ count }] } = await client.query(
+    "SELECT COUNT(*) FROM collection_appointments WHERE slot_id = $1 AND status <> 'cancelled'",
+    [slot.id]
+  );
+  if (Number(count) >= slot.capacity) throw new StatusError(409, 'This slot is full. Please choose another one.');
+
+  if (before) {
+    await client.query('UPDATE collection_appointments SET slot_id = $1, booked_at = NOW() WHERE id = $2', [slot.id, before.id]);
+  } else {
+    try {
+      await client.query('INSERT INTO collection_appointments (slot_id, matric) VALUES ($1, $2)', [slot.id, matric]);
+    } catch (err) {
+      // A booking made at the same moment from another tab won the race.
+      if (err.code === '23505') throw new StatusError(409, 'You already have a collection appointment.');
+      throw err;
+    }
+  }
+  return { before, after: await getForStudent(client, matric) };
+};
+
+// Cancels the student's booking and returns it.
+const cancel = async (client, matric) => {
+  const appointment = await getForStudent(client, matric);
+  if (!appointment || appointment.status !== 'booked') throw new StatusError(404, 'You have no booking to cancel.');
+  await client.query(
+    "UPDATE collection_appointments SET status = 'cancelled', cancelled_at = NOW() WHERE id = $1",
+    [appointment.id]
+  );
+  return appointment;
+};
+
+// Everyone booked (or already served) on a day, for the collection desk.
+const listForDay = async (client, day) => {
+  if (!DATE_PATTERN.test(day || '')) throw new StatusError(400, 'day must be a date (YYYY-MM-DD).');
+  const { rows } = await client.query(
+    `SELECT ${APPOINTMENT_COLUMNS}, st.email
+     FROM collection_appointments a
+     JOIN collection_slots s ON s.id = a.slot_id
+     JOIN collection_days d ON d.id = s.day_id
+     LEFT JOIN students st ON st.matric = a.matric
+     WHERE d.day = $1 AND a.status IN ('booked', 'collected')
+     ORDER BY s.starts_at, a.matric`,
+    [day]
+  );
+  return rows;
+};
+
+// Records that the student picked up their certificate. Returns the appointment.
+const markCollected = async (client, { id, collectedBy }) => {
+  const { rows } = await client.query(
+    `UPDATE collection_appointments SET status = 'collected', collected_at = NOW(), collected_by = $1
+     WHERE id = $2 AND status = 'booked' RETURNING matric`,
+    [collectedBy, id]
+  );
+  if (rows.length === 0) throw new StatusError(409, 'This appointment is not awaiting collection.');
+  return getForStudent(client, rows[0].matric);
+};
+
+module.exports = {
+  listDays,
+  createDay,
+  updateDay,
+  deleteSlot,
+  getForStudent,
+  book,
+  cancel,
+  listForDay,
+  markCollected,
+};
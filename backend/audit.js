@@ -0,0 +1,52 @@
+// This file writes to and reads from the append-only audit_log table.
+// Entries are written with the same client as the change they describe, so a rolled-back
+// change never leaves an audit entry behind (and vice versa).
+const db = require('./db');
+
+const ACTIONS = ['login', 'login_failed', 'upload', 'delete', 'notify', 'status_change', 'requirement_change', 'readiness_override',
+  'appointment', 'certificate_collected', 'import', 'activation', 'payment',
+  'password_change', 'password_reset_requested', 'staff_change', 'role_change', 'slip_issued',
+  'claim_released'];
+
+// `client` is either `db` or a transaction client from `db.transaction`.
+// `actor` is the caller as set by the authenticate middleware: { matric, role }, where `matric` is a staff
+// member's username.
+const record = (client, { actor, action, matric, docType = null, oldStatus = null, newStatus = null, details = null }) =>
+  client.query(
+    `INSERT INTO audit_log (actor, actor_role, action, matric, doc_type, old_status, new_status, details)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [actor.matric, actor.role || null, action, matric, docType, oldStatus, newStatus, details]
+  );
+
+// Returns { entries, total } matching the optional filters, newest first. `limit` is kept between 1 and 500
+// (default 50) and `offset` at 0 or more, so odd paging input gets a page rather than a database error.
+const search = async ({ matric, actor, action, docType, from, to, limit = 50, offset = 0 }) => {
+  const conditions = [];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+  if (matric) add('matric = ?', matric);
+  if (actor) add('actor = ?', actor);
+  if (action) add('action = ?', action);
+  if (docType) add('doc_type = ?', docType);
+  if (from) add('occurred_at >= ?', from);
+  // A plain date for `to` includes that whole day.
+  if (to) add(/^\d{4}-\d{2}-\d{2}$/.test(to) ? 'occurred_at < ?::date + 1' : 'occurred_at <= ?', to);
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const { rows: [{ count }] } = await db.query(`SELECT COUNT(*) FROM audit_log ${where}`, params);
+  const { rows } = await db.query(
+    `SELECT * FROM audit_log ${where} ORDER BY occurred_at DESC, id DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, Math.min(Math.max(Math.trunc(Number(limit)) || 50, 1), 500), Math.max(Math.trunc(Number(offset)) || 0, 0)]
+  );
+  return { entries: rows, total: Number(count) };
+};
+
+module.exports = {
+  ACTIONS,
+  record,
+  search,
+};
@@ -0,0 +1,169 @@
+// This file issues and checks the signed session tokens used by every /api route.
+// Tokens are JWTs signed with JWT_SECRET and sent by the client as `Authorization: Bearer <token>`.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('./db');
+const staff = require('./staff');
+const permissions = require('./permissions');
+
+const TOKEN_TTL = process.env.JWT_EXPIRES_IN || '8h';
+
+let secret = process.env.JWT_SECRET;
+if (!secret) {
+  // Without a configured secret every restart invalidates existing sessions.
+  // That is acceptable for local development, but JWT_SECRET must be set on Render.
+  console.warn('JWT_SECRET is not set; using a random secret for this process.');
+  secret = crypto.randomBytes(32).toString('hex');
+}
+
+// The role ('admin' for staff, 'student') is decided by the server at login (see accounts.findAccount)
+// and carried inside the token, never trusted from the client. For staff, `matric` is their username.
+// `mustChangePassword` is carried in the token so requirePasswordChanged can check it without a query;
+// a new token is issued once the password has been changed.
+const issueToken = (user) =>
+  jwt.sign(
+    { purpose: 'session', matric: user.matric, role: user.role, mustChangePassword: Boolean(user.must_change_password) },
+    secret,
+    { expiresIn: TOKEN_TTL }
+  );
+
+// Rejects the request with 401 unless it carries a valid token, and exposes the caller as `req.user`
+// and the session's expiry time (in ms) as `req.sessionExpiresAt`.
+const authenticate = (req, res, next) => {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ message: 'Authentication required' });
+  }
+  let payload;
+  try {
+    payload = jwt.verify(token, secret);
+  } catch (err) {
+    payload = null;
+  }
+  // File links are signed with the same secret, so make sure this really is a session token.
+  if (!payload || payload.purpose !== 'session') {
+    return res.status(401).json({ message: 'Session expired or invalid. Please log in again.' });
+  }
+  req.user = { matric: payload.matric, role: payload.role, mustChangePassword: Boolean(payload.mustChangePassword) };
+  req.sessionExpiresAt = payload.exp * 1000;
+  next();
+};
+
+// Users who still have an initial password may only change it.
+const requirePasswordChanged = (req, res, next) => {
+  if (req.user.mustChangePassword) {
+    return res.status(403).json({ message: 'Please change your password before continuing.', code: 'password_change_required' });
+  }
+  next();
+};
+
+// For staff sessions, loads what the staff member may do into `req.staff` ({ username, role, permissions }).
+// Permissions are not kept in the token, so a change of role or a deactivation applies to the next request.
+const loadStaff = async (req, res, next) => {
+  if (req.user.role !== 'admin') return next();
+  try {
+    req.staff = await staff.forSession(db, req.user.matric);
+  } catch (err) {
+    console.error('Staff lookup error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+  if (!req.staff) {
+    return res.status(401).json({ message: 'This staff account has been deactivated. Please contact a super admin.' });
+  }
+  next();
+};
+
+const FORBIDDEN_MESSAGE = 'Your role does not allow this.';
+
+// Only staff may continue.
+const requireAdmin = (req, res, next) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ message: 'Admin access required' });
+  }
+  next();
+};
+
+// Only staff with `permission` may continue. For document permissions, `docTypeOf(req)` gives the
+// document type the request is about; without it, the permission must be granted for any document type.
+const requirePermission = (permission, docTypeOf) => (req, res, next) => {
+  if (req.user.role !== 'admin' || !permissions.allows(req.staff.permissions, permission, docTypeOf && docTypeOf(req))) {
+    return res.status(403).json({ message: FORBIDDEN_MESSAGE });
+  }
+  next();
+};
+
+// Students may only act on their own matric. Staff may act on anyone's if they have `permission`,
+// checked for the route's :docType when it has one; without a `permission` any staff member may.
+const requireSelfOrStaff = (permission) => (req, res, next) => {
+  if (req.user.role !== 'admin') {
+    if (req.user.matric !== req.params.matric) {
+      return res.status(403).json({ message: 'You can only access your own records' });
+    }
+  } else if (permission && !permissions.allows(req.staff.permissions, permission, req.params.docType)) {
+    return res.status(403).json({ message: FORBIDDEN_MESSAGE });
+  }
+  next();
+};
+
+// Short-lived signed links for uploaded files. <img>, <iframe> and download links cannot send
+// the Authorization header, so the link itself carries a token scoped to one clearance document.
+const FILE_LINK_TTL = '5m';
+
+const issueFileToken = ({ matric, docType, filename }) =>
+  jwt.sign({ purpose: 'file', matric, docType, filename }, secret, { expiresIn: FILE_LINK_TTL });
+
+// Returns the { matric, docType, filename } the link was issued for, or null if it is invalid or expired.
+const verifyFileToken = (token) => {
+  try {
+    const { purpose, matric, docType, filename } = jwt.verify(token, secret);
+    return purpose === 'file' ? { matric, docType, filename } : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Tickets for the live event stream. EventSource cannot send the Authorization header either, so the
+// client trades its session for a ticket that is only used to open the stream. The stream itself ends
+// when the session would have expired.
+const EVENTS_TICKET_TTL = '1m';
+
+const issueEventsTicket = (user, sessionExpiresAt) =>
+  jwt.sign({ purpose: 'events', matric: user.matric, role: user.role, sessionExpiresAt }, secret, { expiresIn: EVENTS_TICKET_TTL });
+
+// Returns { user, sessionExpiresAt } for a valid ticket, or null.
+const verifyEventsTicket = (ticket) => {
+  try {
+    const { purpose, matric, role, sessionExpiresAt } = jwt.verify(ticket, secret);
+    return purpose === 'events' ? { user: { matric, role }, sessionExpiresAt } : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Clearance slips carry a signature over their code, matric and issue time (see clearanceSlips.js).
+// The verification page shows it, so a desk officer can tell a slip with edited details from a real one.
+// Like sessions, slips signed before a restart without JWT_SECRET no longer match.
+const signSlip = ({ code, matric, issuedAt }) => crypto
+  .createHmac('sha256', secret)
+  .update(`slip:${code}:${matric}:${issuedAt.toISOString()}`)
+  .digest('hex')
+  .slice(0, 16)
+  .toUpperCase()
+  .match(/.{4}/g)
+  .join(' ');
+
+module.exports = {
+  issueToken,
+  issueFileToken,
+  verifyFileToken,
+  issueEventsTicket,
+  verifyEventsTicket,
+  signSlip,
+  authenticate,
+  requirePasswordChanged,
+  loadStaff,
+  requireAdmin,
+  requirePermission,
+  requireSelfOrStaff,
+};
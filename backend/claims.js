@@ -0,0 +1,182 @@
+// This file lets review officers claim documents, so two of them never review the same file at once.
+// A claim is an expiring lock on one clearance_data row (one file): while it lasts, only the claimant
+// may verify or reject that file (see checkDecision, used by /api/admin/update-status). A decision
+// clears the claim, and so does claiming another document: each officer holds at most one claim.
+// Claims lapse after REVIEW_CLAIM_MINUTES (default 10) without being renewed, so a review left open does
+// not block the queue for long, and staff with the manage_claims permission can release anybody's claim.
+// Open browsers hear about claims through 'claim' events (see events.js).
+// Only uploaded files waiting for a decision can be claimed; physical documents are confirmed at the desk.
+const { StatusError } = require('./docStatus');
+const events = require('./events');
+const permissions = require('./permissions');
+
+const CLAIM_MINUTES = Number(process.env.REVIEW_CLAIM_MINUTES) || 10;
+// "Today" in the throughput counts starts at midnight in this time zone, not the database server's.
+const TIME_ZONE = process.env.REVIEW_STATS_TIME_ZONE || 'Africa/Lagos';
+
+// The document types `staff` may decide on (verify or reject): null for every type, otherwise a list.
+const decidableDocTypes = (staff) => {
+  const verify = permissions.docTypesFor(staff.permissions, 'verify');
+  const reject = permissions.docTypesFor(staff.permissions, 'reject');
+  if (verify === null || reject === null) return null;
+  return [...new Set([...verify, ...reject])];
+};
+
+const canDecide = (staff, docType) => permissions.allows(staff.permissions, 'verify', docType)
+  || permissions.allows(staff.permissions, 'reject', docType);
+
+// Locks one clearance_data row for the rest of the transaction, with its requirement's `is_physical`.
+// `claim_active` says whether its claim, if any, has not lapsed yet.
+const lockRow = async (client, { matric, docType, slot }) => {
+  const { rows } = await client.query(
+    `SELECT c.*, r.is_physical, COALESCE(c.claimed_until > NOW(), FALSE) AS claim_active
+     FROM clearance_data c LEFT JOIN document_requirements r USING (doc_type)
+     WHERE c.matric = $1 AND c.doc_type = $2 AND c.slot = $3 FOR UPDATE OF c`,
+    [matric, docType, slot]
+  );
+  if (rows.length === 0) throw new StatusError(404, 'Document not found.');
+  return rows[0];
+};
+
+const heldByOther = (row, staff) => row.claimed_by && row.claim_active && row.claimed_by !== staff.username;
+
+const heldMessage = (row) => `${row.claimed_by} is reviewing this document. Pick another one, or wait for them to finish.`;
+
+const publish = (client, row) => events.publish(client, {
+  type: 'claim', matric: row.matric, docType: row.doc_type, slot: row.slot,
+  claimedBy: row.claimed_by, claimedUntil: row.claimed_until,
+});
+
+const setClaim = async (client, { matric, doc_type: docType, slot }, username) => {
+  const { rows: [row] } = await client.query(
+    `UPDATE clearance_data
+     SET claimed_by = $1, claimed_until = CASE WHEN $1::text IS NULL THEN NULL ELSE NOW() + make_interval(mins => $2) END
+     WHERE matric = $3 AND doc_type = $4 AND slot = $5 RETURNING *`,
+    [username, CLAIM_MINUTES, matric, docType, slot]
+  );
+  await publish(client, row);
+  return row;
+};
+
+// Releases every claim `username` holds except the one on `keep` (a clearance_data row, or null).
+const releaseHeld = async (client, username, keep = null) => {
+  const { rows } = await client.query(
+    `UPDATE clearance_data SET claimed_by = NULL, claimed_until = NULL
+     WHERE claimed_by = $1 AND ($2::text IS NULL OR (matric, doc_type, slot) <> ($2, $3, $4))
+     RETURNING *`,
+    [username, keep && keep.matric, keep && keep.doc_type, keep && keep.slot]
+  );
+  for (const row of rows) await publish(client, row);
+  return rows;
+};
+
+// Claims one file for `staff` (req.staff: { username, permissions }), or renews their claim on it, for
+// CLAIM_MINUTES from now. Refuses documents they may not decide on (403), documents that are not waiting
+// for a decision and documents someone else holds (409). Returns the claimed clearance_data row.
+const claim = async (client, staff, { matric, docType, slot = '' }) => {
+  if (!canDecide(staff, docType)) throw new StatusError(403, 'Your role does not allow you to review this document.');
+  const row = await lockRow(client, { matric, docType, slot });
+  if (row.status !== 'uploaded') throw new StatusError(409, 'This document is no longer waiting for review.');
+  if (heldByOther(row, staff)) throw new StatusError(409, heldMessage(row));
+  await releaseHeld(client, staff.username, row);
+  return setClaim(client, row, staff.username);
+};
+
+// Claims the file that has waited longest for review among those nobody else holds, limited to
+// `docTypes` (null for any) and to the types `staff` may decide on. The one they hold now is skipped,
+// so asking again moves on to the next. Returns the claimed row, or null when nothing is waiting.
+const claimNext = async (client, staff, { docTypes = null } = {}) => {
+  let types = decidableDocTypes(staff);
+  if (docTypes) types = types === null ? docTypes : types.filter((type) => docTypes.includes(type));
+  if (types !== null && types.length === 0) return null;
+  const { rows } = await client.query(
+    `SELECT c.matric, c.doc_type, c.slot
+     FROM clearance_data c
+     JOIN document_requirements r ON r.doc_type = c.doc_type
+     LEFT JOIN clearance_submissions sub ON sub.filename = c.filename
+     WHERE r.active AND c.status = 'uploaded'
+       AND ($1::text[] IS NULL OR c.doc_type = ANY($1))
+       AND (c.claimed_by IS NULL OR c.claimed_until <= NOW())
+     ORDER BY sub.uploaded_at NULLS LAST, c.matric, c.doc_type, c.slot
+     LIMIT 1
+     FOR UPDATE OF c SKIP LOCKED`,
+    [types]
+  );
+  if (rows.length === 0) return null;
+  const { matric, doc_type: docType, slot } = rows[0];
+  return claim(client, staff, { matric, docType, slot });
+};
+
+// Releases the claim on one file. Officers can release their own claim; releasing someone else's needs
+// manage_claims. Returns { before, after } (the same row when there was no claim to release).
+const release = async (client, staff, { matric, docType, slot = '' }) => {
+  const before = await lockRow(client, { matric, docType, slot });
+  if (!before.claimed_by) return { before, after: before };
+  if (before.claimed_by !== staff.username && !permissions.allows(staff.permissions, 'manage_claims')) {
+    throw new StatusError(403, 'Only the officer reviewing this document can release it.');
+  }
+  return { before, after: await setClaim(client, before, null) };
+};
+
+// Releases every claim `username` holds, e.g. for an officer who has left their desk. Needs manage_claims
+// unless it is their own. Returns the released rows as they are now.
+const releaseAll = async (client, staff, username) => {
+  if (username !== staff.username && !permissions.allows(staff.permissions, 'manage_claims')) {
+    throw new StatusError(403, "Your role does not allow releasing other officers' claims.");
+  }
+  return releaseHeld(client, username);
+};
+
+// Refuses (409) a decision on an uploaded file unless `staff` holds an active claim on it, so only the
+// claimant can verify or reject it. Called by /api/admin/update-status inside its transaction, before the
+// decision, which then clears the claim. Physical documents cannot be claimed, so desk confirmations are
+// exempt; other states are left for docStatus.transition to refuse.
+const checkDecision = async (client, staff, { matric, docType, slot = '' }) => {
+  const row = await lockRow(client, { matric, docType, slot });
+  if (row.is_physical || row.status !== 'uploaded') return;
+  if (heldByOther(row, staff)) throw new StatusError(409, heldMessage(row));
+  if (row.claimed_by !== staff.username || !row.claim_active) {
+    throw new StatusError(409, 'Claim this document first: only the officer reviewing it can decide on it.');
+  }
+};
+
+// The columns a decision sets to clear the claim (see docStatus.transition's `changes`).
+const CLEARED = { claimed_by: null, claimed_until: null };
+
+// Review throughput per officer: verifications and rejections of uploaded documents (not the desk's
+// confirmations of physical ones) made today, counted from midnight in TIME_ZONE, and in the last 7 days,
+// with how many files each officer holds now. Staff with manage_claims see every active officer;
+// everyone else only sees themselves. Returns { timeZone, officers }.
+const throughput = async (client, staff) => {
+  const everyone = permissions.allows(staff.permissions, 'manage_claims');
+  const { rows } = await client.query(
+    `SELECT s.username, s.name,
+       COUNT(a.id) FILTER (WHERE a.occurred_at >= date_trunc('day', NOW() AT TIME ZONE $2) AT TIME ZONE $2)::int AS today,
+       COUNT(a.id)::int AS week,
+       COUNT(a.id) FILTER (WHERE a.new_status = 'verified')::int AS verified_week,
+       COUNT(a.id) FILTER (WHERE a.new_status = 'rejected')::int AS rejected_week,
+       (SELECT COUNT(*) FROM clearance_data c WHERE c.claimed_by = s.username AND c.claimed_until > NOW())::int AS claims,
+       MAX(a.occurred_at) AS last_decision_at
+     FROM staff s
+     LEFT JOIN audit_log a ON a.actor = s.username AND a.action = 'status_change'
+       AND a.new_status IN ('verified', 'rejected')
+       AND a.doc_type IN (SELECT doc_type FROM document_requirements WHERE NOT is_physical)
+       AND a.occurred_at >= NOW() - INTERVAL '7 days'
+     WHERE s.active AND ($1::text IS NULL OR s.username = $1)
+     GROUP BY s.username, s.name
+     ORDER BY week DESC, s.username`,
+    [everyone ? null : staff.username, TIME_ZONE]
+  );
+  return { timeZone: TIME_ZONE, officers: rows };
+};
+
+module.exports = {
+  CLAIM_MINUTES,
+  CLEARED,
+  claim,
+  claimNext,
+  release,
+  releaseAll,
+  checkDecision,
+  throughput,
+};
@@ -0,0 +1,232 @@
+// This file issues clearance slips: a printable PDF that proves a student is fully cleared, with a code
+// and QR code that anyone (usually the collection desk) can check at /verify/<code>.
+// A slip lists the student's verified documents as they were when it was issued. It stays valid while
+// the certificate is still ready and each of those documents still has the same files, all verified at the same version;
+// downloading again after anything has changed issues a new slip and supersedes the old one.
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const { StatusError } = require('./docStatus');
+const readiness = require('./readiness');
+const { signSlip } = require('./auth');
+
+const SITE_URL = process.env.PUBLIC_URL || 'http://localhost:3001';
+
+// Codes are 12 characters from an alphabet without look-alikes (no 0/O, 1/I), printed as XXXX-XXXX-XXXX.
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 12;
+
+const newCode = () => [...crypto.randomBytes(CODE_LENGTH)]
+  .map((byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length])
+  .join('')
+  .match(/.{4}/g)
+  .join('-');
+
+// Accepts a code as typed at the desk: any case, with or without the dashes.
+const normaliseCode = (code) => {
+  const compact = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return compact.length === CODE_LENGTH ? compact.match(/.{4}/g).join('-') : null;
+};
+
+const verifyUrl = (code) => `${SITE_URL}/verify/${code}`;
+
+// Every requirement that applies to the student, with its overall status (see the requirement_status view),
+// its files ([{ slot, version }]) and who last verified one of them.
+const currentDocuments = async (client, matric) => {
+  const { rows } = await client.query(
+    `SELECT r.doc_type, r.label, rs.status,
+       COALESCE((
+         SELECT json_agg(json_build_object('slot', f.slot, 'version', c.version) ORDER BY f.slot)
+         FROM student_files f
+         JOIN clearance_data c ON c.matric = f.matric AND c.doc_type = f.doc_type AND c.slot = f.slot
+         WHERE f.matric = rs.matric AND f.doc_type = rs.doc_type
+       ), '[]') AS files,
+       v.occurred_at AS verified_at, v.officer AS verified_by
+     FROM requirement_status rs
+     JOIN document_requirements r ON r.doc_type = rs.doc_type
+     LEFT JOIN LATERAL (
+       SELECT a.occurred_at, COALESCE(st.name, a.actor) AS officer
+       FROM audit_log a LEFT JOIN staff st ON st.username = a.actor
+       WHERE a.matric = rs.matric AND a.doc_type = rs.doc_type AND a.action = 'status_change' AND a.new_status = 'verified'
+       ORDER BY a.occurred_at DESC LIMIT 1
+     ) v ON TRUE
+     WHERE rs.matric = $1
+     ORDER BY r.sort_order, r.doc_type`,
+    [matric]
+  );
+  return rows;
+};
+
+// Slips issued before requirements could take several files recorded a single `version`.
+const filesOf = (snapshot) => snapshot.files || [{ slot: '', version: snapshot.version }];
+
+const sameFiles = (a, b) => a.length === b.length
+  && a.every(({ slot, version }) => b.some((file) => file.slot === slot && file.version === version));
+
+// Why `slip` is no longer valid, or null if it still is. `status` is readiness.forStudent's answer
+// and `documents` is currentDocuments'.
+const invalidReason = (slip, status, documents) => {
+  if (slip.superseded_at) return 'A newer slip has been issued to this student.';
+  if (!status || !status.isReady) return "The student's clearance is no longer complete.";
+  const changed = slip.documents.some((snapshot) => !documents.some(
+    (doc) => doc.doc_type === snapshot.docType && doc.status === 'verified' && sameFiles(filesOf(snapshot), doc.files)
+  ));
+  return changed ? 'A document on this slip has changed since it was issued.' : null;
+};
+
+// Returns the student's current slip, issuing a new one if there is none or it no longer matches their
+// documents. Refuses (409) until the certificate is ready. Returns { slip, isNew }.
+const issue = async (client, matric) => {
+  const { rows: students } = await client.query('SELECT email FROM students WHERE matric = $1 FOR UPDATE', [matric]);
+  if (students.length === 0) throw new StatusError(404, 'No student has this matric number.');
+  const status = await readiness.forStudent(client, matric);
+  if (!status || !status.isReady) {
+    throw new StatusError(409, 'The clearance slip is available once the certificate is ready for collection.');
+  }
+  const documents = await currentDocuments(client, matric);
+  const verified = documents.filter((doc) => doc.status === 'verified');
+
+  const { rows: [latest] } = await client.query(
+    'SELECT * FROM clearance_slips WHERE matric = $1 AND superseded_at IS NULL ORDER BY issued_at DESC LIMIT 1',
+    [matric]
+  );
+  if (latest && !invalidReason(latest, status, documents) && latest.documents.length === verified.length) {
+    return { slip: latest, isNew: false };
+  }
+
+  await client.query('UPDATE clearance_slips SET superseded_at = NOW() WHERE matric = $1 AND superseded_at IS NULL', [matric]);
+  const { rows: [slip] } = await client.query(
+    'INSERT INTO clearance_slips (code, matric, email, documents) VALUES ($1, $2, $3, $4) RETURNING *',
+    [newCode(), matric, students[0].email, JSON.stringify(verified.map((doc) => ({
+      docType: doc.doc_type,
+      label: doc.label,
+      files: doc.files,
+      verifiedAt: doc.verified_at,
+      verifiedBy: doc.verified_by,
+    })))]
+  );
+  return { slip, isNew: true };
+};
+
+// Checks a slip code for the public verification page. Returns null for an unknown code, otherwise
+// what the slip says (without the email or officers), whether it is still valid, and when the
+// certificate was collected (null if not yet), so the desk does not hand it over twice:
+// { code, matric, issuedAt, signature, documents: [{ label, verifiedAt }], valid, reason, collectedAt }.
+const verify = async (client, code) => {
+  const normalised = normaliseCode(code);
+  if (!normalised) return null;
+  const { rows } = await client.query('SELECT * FROM clearance_slips WHERE code = $1', [normalised]);
+  if (rows.length === 0) return null;
+  const slip = rows[0];
+  const reason = invalidReason(slip, await readiness.forStudent(client, slip.matric), await currentDocuments(client, slip.matric));
+  const { rows: collected } = await client.query(
+    "SELECT collected_at FROM collection_appointments WHERE matric = $1 AND status = 'collected'",
+    [slip.matric]
+  );
+  return {
+    code: slip.code,
+    matric: slip.matric,
+    issuedAt: slip.issued_at,
+    signature: signSlip({ code: slip.code, matric: slip.matric, issuedAt: slip.issued_at }),
+    documents: slip.documents.map(({ label, verifiedAt }) => ({ label, verifiedAt })),
+    valid: reason === null,
+    reason,
+    collectedAt: collected.length > 0 ? collected[0].collected_at : null,
+  };
+};
+
+// --- PDF ---
+const formatDate = (value) => (value
+  ? new Date(value).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' })
+  : '-');
+
+// The standard PDF fonts only cover Latin-1, so accents outside it (e.g. in Yoruba names) are dropped
+// rather than failing the whole slip.
+const printable = (value) => String(value).normalize('NFKD').replace(/[^\x20-\x7e\u00a0-\u00ff…]/g, '');
+
+// Shortens `text` with an ellipsis until it fits `width` points.
+const fit = (font, size, text, width) => {
+  let fitted = printable(text);
+  while (fitted.length > 1 && font.widthOfTextAtSize(fitted, size) > width) fitted = `${fitted.slice(0, -2)}…`;
+  return fitted;
+};
+
+// Renders a slip as an A4 PDF and resolves to its bytes.
+const render = async (slip) => {
+  const pdf = await PDFDocument.create();
+  pdf.setTitle(`Clearance slip ${slip.code}`);
+  pdf.setSubject(`Certificate collection clearance for ${slip.matric}`);
+  pdf.setAuthor('FUTMINNA Clearance');
+  pdf.setCreationDate(new Date(slip.issued_at));
+  const page = pdf.addPage([595.28, 841.89]);
+  const regular = await pdf.embedFont(StandardFonts.Helvetica);
+  const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+  const grey = rgb(0.35, 0.35, 0.35);
+  const left = 56;
+  const right = page.getWidth() - 56;
+  let y = page.getHeight() - 72;
+
+  const text = (value, { x = left, size = 11, font = regular, color = rgb(0, 0, 0) } = {}) => {
+    page.drawText(printable(value), { x, y, size, font, color });
+  };
+  const rule = () => page.drawLine({ start: { x: left, y }, end: { x: right, y }, thickness: 0.5, color: grey });
+
+  text('FEDERAL UNIVERSITY OF TECHNOLOGY, MINNA', { size: 14, font: bold });
+  y -= 20;
+  text('Certificate Collection Clearance Slip', { size: 12 });
+  y -= 16;
+  rule();
+
+  // QR code to the verification page, top right beside the student's details.
+  const qr = await pdf.embedPng(await QRCode.toBuffer(verifyUrl(slip.code), { type: 'png', margin: 1, width: 300 }));
+  const qrSize = 110;
+  page.drawImage(qr, { x: right - qrSize, y: y - qrSize - 12, width: qrSize, height: qrSize });
+
+  y -= 32;
+  for (const [label, value] of [
+    ['Matric number', slip.matric],
+    ['Email', slip.email || '-'],
+    ['Issued', formatDate(slip.issued_at)],
+    ['Slip code', slip.code],
+  ]) {
+    text(label, { size: 10, color: grey });
+    text(value, { x: left + 100, font: bold });
+    y -= 22;
+  }
+
+  y -= 24;
+  text('Verified documents', { size: 12, font: bold });
+  y -= 20;
+  const columns = [left, left + 230, left + 340];
+  ['Document', 'Verified on', 'Verified by'].forEach((heading, i) => text(heading, { x: columns[i], size: 9, font: bold, color: grey }));
+  y -= 8;
+  rule();
+  y -= 16;
+  for (const doc of slip.documents) {
+    text(fit(regular, 10, doc.label, 220), { x: columns[0], size: 10 });
+    text(formatDate(doc.verifiedAt), { x: columns[1], size: 10 });
+    text(fit(regular, 10, doc.verifiedBy || '-', right - columns[2]), { x: columns[2], size: 10 });
+    y -= 18;
+  }
+  if (slip.documents.length === 0) {
+    text('Certificate readiness was confirmed by an officer.', { size: 10, color: grey });
+    y -= 18;
+  }
+
+  y -= 24;
+  rule();
+  y -= 18;
+  text(`Signature: ${signSlip({ code: slip.code, matric: slip.matric, issuedAt: slip.issued_at })}`, { size: 10, font: bold });
+  y -= 16;
+  text('This slip is only valid while the verification page confirms it. Scan the QR code or visit:', { size: 9, color: grey });
+  y -= 13;
+  text(verifyUrl(slip.code), { size: 9 });
+
+  return Buffer.from(await pdf.save());
+};
+
+module.exports = {
+  issue,
+  verify,
+  render,
+};
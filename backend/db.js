@@ -1,17 +1,65 @@
 // This file manages the connection pool to the PostgreSQL database.
-// It uses the DATABASE_URL environment variable provided by Render for the connection string.
+// Connection settings come from the environment:
+//   DATABASE_URL       connection string (Render provides it)
+//   DATABASE_SSL       disable | no-verify | verify. Defaults to disable for a database on localhost
+//                      and no-verify elsewhere, because Render requires SSL but doesn't provide the certs.
+//   DATABASE_SSL_CA    path to a CA certificate, for DATABASE_SSL=verify with a private CA
+//   DATABASE_POOL_MAX  maximum number of pooled connections (default 10)
+const fs = require('fs');
 const { Pool } = require('pg');
 
+const isLocal = (connectionString) => {
+  try {
+    return ['localhost', '127.0.0.1', '::1', ''].includes(new URL(connectionString).hostname);
+  } catch (err) {
+    return true; // no URL: pg falls back to the PG* variables and a local socket
+  }
+};
+
+const sslConfig = () => {
+  const mode = process.env.DATABASE_SSL || (isLocal(process.env.DATABASE_URL) ? 'disable' : 'no-verify');
+  switch (mode) {
+    case 'disable':
+      return false;
+    case 'no-verify':
+      return { rejectUnauthorized: false };
+    case 'verify':
+      return {
+        rejectUnauthorized: true,
+        ca: process.env.DATABASE_SSL_CA ? fs.readFileSync(process.env.DATABASE_SSL_CA, 'utf8') : undefined,
+      };
+    default:
+      throw new Error(`Unknown DATABASE_SSL "${mode}". Use disable, no-verify or verify.`);
+  }
+};
+
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
-  // Heroku/Render require SSL connections, but they don't provide the certs.
-  // This configuration is necessary for the connection to succeed on these platforms.
-  ssl: {
-    rejectUnauthorized: false,
-  },
+  ssl: sslConfig(),
+  max: Number(process.env.DATABASE_POOL_MAX) || 10,
 });
 
+// Runs `fn(client)` inside a transaction on a single pooled client.
+// Commits if it resolves, rolls back and rethrows if it throws.
+const transaction = async (fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw e;
+  } finally {
+    client.release();
+  }
+};
+
 module.exports = {
   query: (text, params) => pool.query(text, params),
   getClient: () => pool.connect(),
+  transaction,
+  // Closes the pool, so command-line scripts can exit.
+  end: () => pool.end(),
 };
@@ -0,0 +1,96 @@
+// This file defines which document status changes are allowed and applies them safely.
+// Every route that changes `clearance_data.status` goes through `transition`, so the rules
+// cannot be bypassed by calling the API directly.
+const events = require('./events');
+
+// Physical requirements (like the ID card) are never uploaded: the student notifies the desk
+// and an admin confirms it. Every other document follows the upload → review flow.
+// action -> { fromState: toStatus }
+const UPLOAD_TRANSITIONS = {
+  upload: { pending: 'uploaded', uploaded: 'uploaded', rejected: 'uploaded' },
+  delete: { uploaded: 'pending', rejected: 'pending' },
+  verify: { uploaded: 'verified' },
+  reject: { uploaded: 'rejected' },
+};
+
+const PHYSICAL_TRANSITIONS = {
+  notify: { pending: 'notified' },
+  verify: { notified: 'verified' },
+};
+
+// The admin decisions accepted by /api/admin/update-status, keyed by the requested status.
+const REVIEW_ACTIONS = { verified: 'verify', rejected: 'reject' };
+
+// Error carrying the HTTP status the route should respond with.
+class StatusError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// notified_admin has been stored both as a boolean and as the string 'true'.
+const isNotified = (row) => row.notified_admin === true || row.notified_admin === 'true';
+
+// The state used by the rules. A pending physical document the student has reported as submitted is "notified".
+// `row` must include `is_physical` from document_requirements, as `transition` selects it.
+const stateOf = (row) => (row.is_physical && row.status === 'pending' && isNotified(row) ? 'notified' : row.status);
+
+const describe = (state) => (state === 'notified' ? 'awaiting desk confirmation' : state);
+
+// Returns the status `action` moves `row` to, or throws a StatusError explaining why it is not allowed.
+const nextStatus = (row, action) => {
+  const rules = row.is_physical ? PHYSICAL_TRANSITIONS : UPLOAD_TRANSITIONS;
+  if (!rules[action]) {
+    throw new StatusError(400, `This document does not support the "${action}" action.`);
+  }
+  const state = stateOf(row);
+  const next = rules[action][state];
+  if (!next) {
+    throw new StatusError(409, `Cannot ${action} a document that is ${describe(state)}.`);
+  }
+  // "notified" is not stored as a status; it is pending + notified_admin.
+  return next === 'notified' ? 'pending' : next;
+};
+
+// Applies `action` to one clearance_data row (one file: `slot` picks it for requirements that take
+// several, see requirements.js) and returns the row as it was before and after: `{ before, after }`.
+// Must be called with a client inside a transaction. The row is locked while the rules are checked,
+// and when `expectedVersion` (an integer, compared as is) is given the change only goes through if
+// nobody else has changed the row since the caller loaded it (optimistic concurrency).
+// `changes` holds extra columns to set alongside the status; its keys come from our code, never from requests.
+// Open browsers are told about the change once the transaction commits (see events.js).
+const transition = async (client, { matric, docType, slot = '', action, expectedVersion, changes = {} }) => {
+  const { rows } = await client.query(
+    `SELECT c.*, r.is_physical FROM clearance_data c LEFT JOIN document_requirements r USING (doc_type)
+     WHERE c.matric = $1 AND c.doc_type = $2 AND c.slot = $3 FOR UPDATE OF c`,
+    [matric, docType, slot]
+  );
+  if (rows.length === 0) {
+    throw new StatusError(404, 'Document not found.');
+  }
+  const row = rows[0];
+  if (expectedVersion !== undefined && expectedVersion !== row.version) {
+    throw new StatusError(409, 'This document was changed by someone else. Refresh and try again.');
+  }
+  const status = nextStatus(row, action);
+
+  const columns = { ...changes, status };
+  const names = Object.keys(columns);
+  const assignments = names.map((name, i) => `${name} = $${i + 1}`).join(', ');
+  const { rows: updated } = await client.query(
+    `UPDATE clearance_data SET ${assignments}, version = version + 1
+     WHERE matric = $${names.length + 1} AND doc_type = $${names.length + 2} AND slot = $${names.length + 3} RETURNING *`,
+    [...Object.values(columns), matric, docType, slot]
+  );
+  await events.publish(client, { type: 'document', matric, docType, slot, status: updated[0].status, version: updated[0].version });
+  return { before: row, after: { ...updated[0], is_physical: row.is_physical } };
+};
+
+module.exports = {
+  REVIEW_ACTIONS,
+  StatusError,
+  stateOf,
+  nextStatus,
+  transition,
+};
@@ -0,0 +1,80 @@
+// The emails the clearance site sends. Each template turns the data stored with an outbox row into
+// a subject and plain-text body, and belongs to a preference category the recipient can switch off.
+const SITE_URL = process.env.PUBLIC_URL || 'http://localhost:3001';
+
+// Preference categories, with the wording shown on the settings screen.
+// Templates in the "account" category (like password resets) are not listed, so they cannot be switched off.
+const CATEGORIES = {
+  documents: { label: 'Updates on my documents (received, verified, rejected)', roles: ['student'] },
+  certificate: { label: 'Certificate ready and collection reminders', roles: ['student'] },
+  admin_alerts: { label: 'New uploads and physical submissions waiting for review', roles: ['admin'] },
+};
+
+const signOff = `\n\nLog in to the clearance site to see the details: ${SITE_URL}\n\nFUTMINNA Clearance`;
+
+const TEMPLATES = {
+  upload_received: {
+    category: 'documents',
+    render: ({ label }) => ({
+      subject: `We received your ${label}`,
+      text: `Your ${label} has been uploaded and is waiting for review. We will email you once it has been checked.${signOff}`,
+    }),
+  },
+  document_verified: {
+    category: 'documents',
+    render: ({ label }) => ({
+      subject: `Your ${label} has been verified`,
+      text: `Good news: your ${label} has been verified. There is nothing more to do for this document.${signOff}`,
+    }),
+  },
+  document_rejected: {
+    category: 'documents',
+    render: ({ label, reason }) => ({
+      subject: `Your ${label} needs to be uploaded again`,
+      text: `Your ${label} was not accepted.\n\nReason: ${reason}\n\nPlease upload a corrected document.${signOff}`,
+    }),
+  },
+  certificate_ready: {
+    category: 'certificate',
+    render: () => ({
+      subject: 'Your certificate is ready for collection',
+      text: `Your clearance is complete and your certificate is ready. Book a collection appointment on the clearance site.${signOff}`,
+    }),
+  },
+  collection_reminder: {
+    category: 'certificate',
+    render: ({ day, startsAt, endsAt, location }) => ({
+      subject: `Reminder: certificate collection on ${day}`,
+      text: `This is a reminder that your certificate collection appointment is on ${day}, ${startsAt}–${endsAt}`
+        + `${location ? ` at ${location}` : ''}. Please bring a valid means of identification.${signOff}`,
+    }),
+  },
+  password_reset: {
+    category: 'account',
+    render: ({ token, validMinutes }) => ({
+      subject: 'Reset your clearance site password',
+      text: `Someone asked to reset the password for your clearance site account. If it was you, open this link`
+        + ` within ${validMinutes} minutes to choose a new password:\n\n${SITE_URL}/reset-password?token=${encodeURIComponent(token)}\n\n`
+        + 'If you did not ask for this, you can ignore this email; your password has not been changed.\n\nFUTMINNA Clearance',
+    }),
+  },
+  admin_new_upload: {
+    category: 'admin_alerts',
+    render: ({ matric, label }) => ({
+      subject: `New upload to review: ${label} from ${matric}`,
+      text: `${matric} has uploaded their ${label}. It is waiting for review.${signOff}`,
+    }),
+  },
+  admin_physical_notified: {
+    category: 'admin_alerts',
+    render: ({ matric, label }) => ({
+      subject: `${matric} reports their ${label} as submitted`,
+      text: `${matric} says they have physically submitted their ${label}. Please confirm it at the desk.${signOff}`,
+    }),
+  },
+};
+
+module.exports = {
+  CATEGORIES,
+  TEMPLATES,
+};
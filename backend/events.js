@@ -0,0 +1,100 @@
+// This file pushes live updates to open browsers over Server-Sent Events (GET /api/events).
+// Changes are published with Postgres NOTIFY from inside the transaction that makes them, so an event
+// is only sent once the change has committed, and every server instance hears it through LISTEN.
+//
+// Events (the `type` is the SSE event name; the rest is its JSON data):
+//   document     { matric, docType, slot, status, version }  a document's status changed (see docStatus.transition)
+//   claim        { matric, docType, slot, claimedBy, claimedUntil }
+//                                                            an officer claimed a document for review, or
+//                                                            released it (claimedBy is null; see claims.js)
+//   certificate  { matric }                                  payment or certificate readiness changed
+//   resync       {}                                          events may have been missed; reload everything
+// Students only receive events about themselves, and never claims. Staff receive the document and claim
+// events for the document types their role lets them view, and every other event.
+const db = require('./db');
+const permissions = require('./permissions');
+
+const CHANNEL = 'clearance_events';
+const HEARTBEAT_MS = 25 * 1000; // keeps proxies from closing idle streams
+const LISTEN_RETRY_MS = 5 * 1000;
+
+// Queues an event to be sent when `client`'s transaction commits.
+const publish = (client, { type, ...data }) => client.query('SELECT pg_notify($1, $2)', [CHANNEL, JSON.stringify({ type, ...data })]);
+
+// The open streams: { user, res }.
+const subscribers = new Set();
+
+const write = (res, type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+
+const isFor = (user, type, data) => {
+  if (type === 'resync') return true;
+  if (user.role !== 'admin') return type !== 'claim' && user.matric === data.matric;
+  return !['document', 'claim'].includes(type) || permissions.allows(user.permissions, 'view', data.docType);
+};
+
+const deliver = ({ type, ...data }) => {
+  for (const { user, res } of subscribers) {
+    if (isFor(user, type, data)) write(res, type, data);
+  }
+};
+
+// Holds one database connection open for LISTEN. If it drops, it is reopened and every stream is
+// told to resync, since any events sent in the meantime were lost.
+let listening = false;
+const listen = async () => {
+  let client;
+  try {
+    client = await db.getClient();
+    client.on('notification', (message) => {
+      try {
+        deliver(JSON.parse(message.payload));
+      } catch (err) {
+        console.error('Live event error:', err);
+      }
+    });
+    client.once('error', (err) => {
+      console.error('Live event listener lost its connection:', err.message);
+      client.release(err);
+      setTimeout(listen, LISTEN_RETRY_MS);
+    });
+    await client.query(`LISTEN ${CHANNEL}`);
+    if (listening) deliver({ type: 'resync' });
+    listening = true;
+  } catch (err) {
+    console.error('Live event listener could not start:', err.message);
+    if (client) client.release(err);
+    setTimeout(listen, LISTEN_RETRY_MS);
+  }
+};
+
+// Turns `res` into an event stream for `user` ({ matric, role }, plus `permissions` for staff; see
+// permissions.js). Permissions are read once, so a changed role applies when the stream reconnects.
+// The stream ends at `endsAt`
+// (when the user's session expires), or when the browser disconnects.
+const subscribe = (user, res, endsAt) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // stops nginx-style proxies buffering the stream
+  });
+  res.flushHeaders();
+  const subscriber = { user, res };
+  subscribers.add(subscriber);
+  // Sent on every (re)connection, so the browser knows to reload whatever it may have missed.
+  write(res, 'ready', {});
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  const expiry = setTimeout(() => res.end(), Math.max(endsAt - Date.now(), 0));
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    subscribers.delete(subscriber);
+  });
+};
+
+module.exports = {
+  publish,
+  listen,
+  subscribe,
+};
@@ -0,0 +1,67 @@
+// This file decides when stored documents are removed. A file that is replaced by a new upload, or
+// deleted by the student, is first discarded: it stays viewable in the submission history for
+// FILE_RETENTION_DAYS (default 30), and the storage maintenance job removes it after that.
+// With FILE_RETENTION_DAYS=0 discarded files are removed straight away.
+const storage = require('./storage');
+
+const RETENTION_DAYS = Number(process.env.FILE_RETENTION_DAYS ?? 30);
+if (!Number.isInteger(RETENTION_DAYS) || RETENTION_DAYS < 0) {
+  throw new Error('FILE_RETENTION_DAYS must be a whole number of days (0 removes files immediately).');
+}
+
+// Marks a file as no longer used. Call it in the transaction that stops using the file,
+// then call `afterDiscard` once that transaction has committed.
+const discard = (client, filename) => client.query(
+  'UPDATE clearance_submissions SET file_deleted_at = NOW() WHERE filename = $1 AND file_deleted_at IS NULL',
+  [filename]
+);
+
+// Removes a discarded file and its thumbnail from storage, and records that its submission no longer has a file.
+const purge = async (client, filename) => {
+  const { rows } = await client.query(
+    'SELECT thumbnail FROM clearance_submissions WHERE filename = $1 AND thumbnail IS NOT NULL',
+    [filename]
+  );
+  for (const { thumbnail } of rows) await storage.remove(thumbnail);
+  await storage.remove(filename);
+  await client.query('UPDATE clearance_submissions SET file_purged_at = NOW() WHERE filename = $1', [filename]);
+};
+
+// Removes the file right away when there is no retention period. A failure only leaves the file
+// for the maintenance job, so it is logged rather than reported to the user.
+const afterDiscard = (client, filename) => {
+  if (RETENTION_DAYS > 0 || !filename) return;
+  purge(client, filename).catch((err) => console.error(`Could not remove discarded file ${filename}:`, err));
+};
+
+// Discarded files whose retention period is over.
+const expired = async (client) => {
+  const { rows } = await client.query(
+    `SELECT DISTINCT filename FROM clearance_submissions
+     WHERE file_deleted_at <= NOW() - make_interval(days => $1) AND file_purged_at IS NULL`,
+    [RETENTION_DAYS]
+  );
+  return rows.map((row) => row.filename);
+};
+
+// Every stored file a clearance record still points to, whether current or kept in the history,
+// including their thumbnails.
+const referenced = async (client) => {
+  const { rows } = await client.query(
+    `SELECT filename FROM clearance_data WHERE filename IS NOT NULL
+     UNION
+     SELECT filename FROM clearance_submissions WHERE file_purged_at IS NULL
+     UNION
+     SELECT thumbnail FROM clearance_submissions WHERE file_purged_at IS NULL AND thumbnail IS NOT NULL`
+  );
+  return new Set(rows.map((row) => row.filename));
+};
+
+module.exports = {
+  RETENTION_DAYS,
+  discard,
+  purge,
+  afterDiscard,
+  expired,
+  referenced,
+};
@@ -0,0 +1,169 @@
+// This file imports CSV files from the registry: new student accounts, graduating lists
+// (certificate readiness) and payment confirmations.
+// Every import is validated row by row first. A dry run stops there and only reports; a real run
+// applies the valid rows in one transaction and reports the rest.
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { parse } = require('csv-parse/sync');
+const readiness = require('./readiness');
+const notifications = require('./notifications');
+const events = require('./events');
+const accounts = require('./accounts');
+
+const MAX_ROWS = 2000;
+const ACTIVATION_TTL_DAYS = 30;
+
+const MATRIC_PATTERN = /^[A-Za-z0-9][A-Za-z0-9/-]{2,29}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const BOOLEAN_VALUES = { yes: true, true: true, 1: true, y: true, no: false, false: false, 0: false, n: false, '': false };
+
+// The columns each kind of import needs, and the optional ones it understands.
+const KINDS = {
+  students: { required: ['matric', 'email'], optional: ['password', 'faculty', 'entry_mode', 'paid'] },
+  readiness: { required: ['matric'], optional: [] },
+  payment: { required: ['matric'], optional: [] },
+};
+
+// Error for problems with the file as a whole (as opposed to a single row).
+class ImportError extends Error {}
+
+// Parses the CSV into [{ line, values }] with lower-cased column names.
+const parseCsv = (buffer, kind) => {
+  let records;
+  try {
+    records = parse(buffer, {
+      columns: (header) => header.map((name) => name.trim().toLowerCase().replace(/\s+/g, '_')),
+      trim: true,
+      bom: true,
+      skip_empty_lines: true,
+      info: true,
+    });
+  } catch (err) {
+    throw new ImportError(`The file is not a valid CSV: ${err.message}`);
+  }
+  if (records.length === 0) throw new ImportError('The file has no data rows.');
+  if (records.length > MAX_ROWS) throw new ImportError(`The file has ${records.length} rows; split it into files of at most ${MAX_ROWS}.`);
+  const columns = Object.keys(records[0].record);
+  const missing = KINDS[kind].required.filter((column) => !columns.includes(column));
+  if (missing.length > 0) throw new ImportError(`The file is missing these columns: ${missing.join(', ')}.`);
+  return records.map(({ record, info }) => ({ line: info.lines, values: record }));
+};
+
+// Checks every row and returns [{ line, matric, errors, values }]. Rows with no errors can be imported.
+const validateRows = async (client, kind, rows, { credentials }) => {
+  const matrics = rows.map((row) => row.values.matric);
+  const { rows: existing } = await client.query('SELECT matric FROM students WHERE matric = ANY($1)', [matrics]);
+  const existingMatrics = new Set(existing.map((row) => row.matric));
+  // Staff log in with a username in the same field, so a matric may not be one of them.
+  const { rows: staff } = await client.query('SELECT username FROM staff WHERE username = ANY($1)', [matrics]);
+  const staffUsernames = new Set(staff.map((row) => row.username));
+  const seen = new Map(); // matric -> first line it appeared on
+
+  return rows.map(({ line, values }) => {
+    const errors = [];
+    const { matric } = values;
+    if (!MATRIC_PATTERN.test(matric || '')) {
+      errors.push('Invalid matric number');
+    } else if (seen.has(matric)) {
+      errors.push(`Duplicate of line ${seen.get(matric)}`);
+    } else {
+      seen.set(matric, line);
+    }
+
+    if (kind === 'students') {
+      if (staffUsernames.has(matric)) errors.push('This matric is already a staff username');
+      if (existingMatrics.has(matric)) errors.push('A student with this matric already exists');
+      if (!EMAIL_PATTERN.test(values.email || '')) errors.push('Invalid email address');
+      if (values.paid !== undefined && !(values.paid.toLowerCase() in BOOLEAN_VALUES)) errors.push('paid must be yes or no');
+      const passwordError = credentials === 'password' && accounts.passwordProblem(values.password, matric);
+      if (passwordError) errors.push(passwordError);
+    } else if (matric && !existingMatrics.has(matric)) {
+      errors.push('No student with this matric');
+    }
+    return { line, matric, errors, values };
+  });
+};
+
+// One-time activation codes are random, so a fast hash is enough to store them.
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+const generateActivationCode = () => crypto.randomBytes(5).toString('hex').toUpperCase(); // e.g. 9F2C41A07B
+
+// Applies the valid rows. Returns activation codes issued, as [{ matric, email, code }].
+const applyRows = async (client, kind, rows, { credentials, actor, source }) => {
+  const issued = [];
+  for (const { matric, values } of rows) {
+    if (kind === 'students') {
+      const passwordHash = credentials === 'password' ? await bcrypt.hash(values.password, 10) : null;
+      await client.query(
+        `INSERT INTO students (matric, email, password_hash, faculty, entry_mode, paid, must_change_password)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [matric, values.email, passwordHash, values.faculty || null, values.entry_mode || null,
+          BOOLEAN_VALUES[(values.paid || '').toLowerCase()], credentials === 'password']
+      );
+      if (credentials === 'activation') {
+        const code = generateActivationCode();
+        await client.query(
+          `INSERT INTO student_activations (matric, code_hash, expires_at)
+           VALUES ($1, $2, NOW() + make_interval(days => $3))
+           ON CONFLICT (matric) DO UPDATE SET code_hash = EXCLUDED.code_hash, expires_at = EXCLUDED.expires_at, used_at = NULL`,
+          [matric, hashCode(code), ACTIVATION_TTL_DAYS]
+        );
+        issued.push({ matric, email: values.email, code });
+      }
+    } else if (kind === 'readiness') {
+      await readiness.setOverride(client, { matric, ready: true, reason: `On the registry graduating list (${source})`, setBy: actor });
+      await notifications.notifyIfCertificateReady(client, matric);
+    } else if (kind === 'payment') {
+      await client.query('UPDATE students SET paid = TRUE WHERE matric = $1', [matric]);
+      await events.publish(client, { type: 'certificate', matric });
+      await notifications.notifyIfCertificateReady(client, matric);
+    }
+  }
+  return issued;
+};
+
+// Runs an import. `options`: { dryRun, credentials: 'password' | 'activation', actor, source }.
+// `client` must be inside a transaction for a real run.
+// Returns { summary: { total, valid, invalid, imported }, rows: [{ line, matric, errors }], credentials }.
+const run = async (client, kind, buffer, options) => {
+  if (!KINDS[kind]) throw new ImportError(`Unknown import type. Use one of: ${Object.keys(KINDS).join(', ')}.`);
+  if (kind === 'students' && !['password', 'activation'].includes(options.credentials)) {
+    throw new ImportError('Choose how students get their first login: password or activation.');
+  }
+  const rows = await validateRows(client, kind, parseCsv(buffer, kind), options);
+  const valid = rows.filter((row) => row.errors.length === 0);
+  const issued = options.dryRun ? [] : await applyRows(client, kind, valid, options);
+
+  return {
+    summary: {
+      total: rows.length,
+      valid: valid.length,
+      invalid: rows.length - valid.length,
+      imported: options.dryRun ? 0 : valid.length,
+    },
+    rows: rows.map(({ line, matric, errors }) => ({ line, matric, errors })),
+    credentials: issued,
+  };
+};
+
+// Activates an imported account: checks the one-time code and sets the student's password.
+// Returns true on success, false if the code is wrong, expired or already used.
+const activate = async (client, { matric, code, password }) => {
+  const { rows } = await client.query(
+    `SELECT 1 FROM student_activations
+     WHERE matric = $1 AND code_hash = $2 AND used_at IS NULL AND expires_at > NOW() FOR UPDATE`,
+    [matric, hashCode(String(code).trim().toUpperCase())]
+  );
+  if (rows.length === 0) return false;
+  await client.query('UPDATE students SET password_hash = $1 WHERE matric = $2', [await bcrypt.hash(password, 10), matric]);
+  await client.query('UPDATE student_activations SET used_at = NOW() WHERE matric = $1', [matric]);
+  return true;
+};
+
+module.exports = {
+  KINDS,
+  ImportError,
+  run,
+  activate,
+};
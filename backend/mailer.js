@@ -0,0 +1,58 @@
+// This file sends email through the transport chosen by EMAIL_TRANSPORT:
+//   smtp    - a real SMTP server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_SECURE)
+//   file    - writes each message to EMAIL_FILE_DIR (default backend/sent-mail) as a .eml file
+//   console - prints each message to the log (the default, for development)
+// Messages carry password-reset links and activation codes, so when NODE_ENV is production EMAIL_TRANSPORT
+// must be set, and cannot be console.
+// Every transport exposes `send({ to, subject, text })`, which rejects if the message was not accepted.
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const FROM = process.env.EMAIL_FROM || 'FUTMINNA Clearance <no-reply@futminna.edu.ng>';
+
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+  });
+  return { send: (message) => transporter.sendMail({ from: FROM, ...message }) };
+};
+
+const createFileTransport = () => {
+  const dir = process.env.EMAIL_FILE_DIR || path.join(__dirname, 'sent-mail');
+  fs.mkdirSync(dir, { recursive: true });
+  // nodemailer's stream transport builds the full RFC 822 message without sending it anywhere.
+  const builder = nodemailer.createTransport({ streamTransport: true, buffer: true });
+  return {
+    send: async (message) => {
+      const { message: raw } = await builder.sendMail({ from: FROM, ...message });
+      const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${message.to.replace(/[^\w.@-]/g, '_')}.eml`;
+      await fs.promises.writeFile(path.join(dir, name), raw);
+    },
+  };
+};
+
+const createConsoleTransport = () => ({
+  send: async ({ to, subject, text }) => {
+    console.log(`--- Email to ${to}: ${subject}\n${text}\n---`);
+  },
+});
+
+const TRANSPORTS = { smtp: createSmtpTransport, file: createFileTransport, console: createConsoleTransport };
+
+const isProduction = process.env.NODE_ENV === 'production';
+if (isProduction && !process.env.EMAIL_TRANSPORT) {
+  throw new Error('EMAIL_TRANSPORT must be set in production: "smtp", or "file" to keep the messages on disk.');
+}
+const transportName = process.env.EMAIL_TRANSPORT || 'console';
+if (isProduction && transportName === 'console') {
+  throw new Error('EMAIL_TRANSPORT=console would print password-reset links to the log and cannot be used in production.');
+}
+if (!TRANSPORTS[transportName]) {
+  throw new Error(`Unknown EMAIL_TRANSPORT "${transportName}". Use one of: ${Object.keys(TRANSPORTS).join(', ')}.`);
+}
+
+module.exports = TRANSPORTS[transportName]();
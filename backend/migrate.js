@@ -0,0 +1,111 @@
+// Database migrations. Each migration is a pair of SQL files in migrations/:
+//   NNN_name.up.sql    applies the change
+//   NNN_name.down.sql  reverts it
+// Applied migrations are recorded in `schema_migrations`, and each one runs in its own transaction.
+//
+// Usage (from backend/):
+//   npm run migrate                  apply every pending migration
+//   node migrate.js up [count]       apply the next `count` pending migrations (default: all)
+//   node migrate.js down [count]     revert the last `count` applied migrations (default: 1)
+//   node migrate.js status           list migrations and whether each is applied
+//
+// The migrations only create what is missing, so they can also be run against the database
+// that was set up by hand before migrations existed.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const db = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+// Held while migrating, so two deploys starting at once cannot run the same migration twice.
+const LOCK_ID = 72616101;
+
+// The migrations on disk, oldest first: [{ version, name, up, down }] with file paths for up/down.
+const available = () => fs.readdirSync(MIGRATIONS_DIR)
+  .map((file) => file.match(/^(\d+)_(.+)\.up\.sql$/))
+  .filter(Boolean)
+  .map(([file, version, name]) => {
+    const down = path.join(MIGRATIONS_DIR, `${version}_${name}.down.sql`);
+    if (!fs.existsSync(down)) throw new Error(`${file} has no matching .down.sql file.`);
+    return { version: Number(version), name, up: path.join(MIGRATIONS_DIR, file), down };
+  })
+  .sort((a, b) => a.version - b.version);
+
+const applied = async (client) => {
+  await client.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       version INTEGER PRIMARY KEY,
+       name TEXT NOT NULL,
+       applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+     )`
+  );
+  const { rows } = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+  return new Set(rows.map((row) => row.version));
+};
+
+const runFile = async (client, migration, direction) => {
+  const sql = fs.readFileSync(migration[direction], 'utf8');
+  await client.query('BEGIN');
+  try {
+    await client.query(sql);
+    if (direction === 'up') {
+      await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw new Error(`Migration ${migration.version}_${migration.name} (${direction}) failed: ${err.message}`);
+  }
+  console.log(`${direction === 'up' ? 'Applied' : 'Reverted'} ${migration.version}_${migration.name}`);
+};
+
+const up = async (client, count = Infinity) => {
+  const done = await applied(client);
+  const pending = available().filter((migration) => !done.has(migration.version)).slice(0, count);
+  if (pending.length === 0) console.log('Database is up to date.');
+  for (const migration of pending) await runFile(client, migration, 'up');
+};
+
+const down = async (client, count = 1) => {
+  const done = await applied(client);
+  const toRevert = available().filter((migration) => done.has(migration.version)).reverse().slice(0, count);
+  if (toRevert.length === 0) console.log('No migrations to revert.');
+  for (const migration of toRevert) await runFile(client, migration, 'down');
+};
+
+const status = async (client) => {
+  const done = await applied(client);
+  for (const migration of available()) {
+    console.log(`${done.has(migration.version) ? '[x]' : '[ ]'} ${migration.version}_${migration.name}`);
+  }
+};
+
+const COMMANDS = { up, down, status };
+
+const main = async () => {
+  const [command = 'up', countArg] = process.argv.slice(2);
+  if (!COMMANDS[command]) {
+    throw new Error(`Unknown command "${command}". Use up, down or status.`);
+  }
+  const count = countArg === undefined ? undefined : Number(countArg);
+  if (count !== undefined && (!Number.isInteger(count) || count < 1)) {
+    throw new Error('The count must be a positive whole number.');
+  }
+  const client = await db.getClient();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_ID]);
+    await COMMANDS[command](client, count);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [LOCK_ID]).catch(() => {});
+    client.release();
+  }
+};
+
+main()
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.end());
@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS certificates_ready;
+DROP TABLE IF EXISTS clearance_data;
+DROP TABLE IF EXISTS students;
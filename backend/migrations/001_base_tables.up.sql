@@ -0,0 +1,23 @@
+-- The tables the site started with. The deployed database already has them, so they are only
+-- created where missing; the migrations after this one add everything else.
+CREATE TABLE IF NOT EXISTS students (
+  matric TEXT PRIMARY KEY,    -- admin accounts are the matrics starting with "admin"
+  email TEXT,
+  password_hash TEXT NOT NULL,
+  paid BOOLEAN NOT NULL DEFAULT FALSE
+);
+
+-- One row per student per document, created on first visit to the dashboard.
+CREATE TABLE IF NOT EXISTS clearance_data (
+  id SERIAL PRIMARY KEY,
+  matric TEXT NOT NULL,
+  doc_type TEXT NOT NULL,
+  filename TEXT,
+  status TEXT NOT NULL DEFAULT 'pending', -- pending, uploaded, verified, rejected
+  notified_admin BOOLEAN NOT NULL DEFAULT FALSE
+);
+
+-- Students whose certificate was marked ready by hand (superseded by certificate_readiness).
+CREATE TABLE IF NOT EXISTS certificates_ready (
+  matric TEXT PRIMARY KEY
+);
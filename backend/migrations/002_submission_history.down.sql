@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS clearance_submissions;
+ALTER TABLE clearance_data DROP COLUMN IF EXISTS rejection_reason;
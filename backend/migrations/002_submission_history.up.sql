@@ -0,0 +1,17 @@
+-- Rejection reasons and resubmission history
+ALTER TABLE clearance_data ADD COLUMN IF NOT EXISTS rejection_reason TEXT;
+
+-- One row per uploaded file. Rows are never overwritten by a new upload, so earlier versions
+-- and the reviewer's decision on each of them are kept.
+CREATE TABLE IF NOT EXISTS clearance_submissions (
+  id SERIAL PRIMARY KEY,
+  matric TEXT NOT NULL,
+  doc_type TEXT NOT NULL,
+  filename TEXT NOT NULL,
+  uploaded_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  status TEXT NOT NULL DEFAULT 'uploaded', -- uploaded, verified, rejected, withdrawn
+  reviewed_by TEXT,
+  reviewed_at TIMESTAMPTZ,
+  rejection_reason TEXT
+);
+CREATE INDEX IF NOT EXISTS clearance_submissions_doc_idx ON clearance_submissions (matric, doc_type);
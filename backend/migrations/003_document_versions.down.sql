@@ -0,0 +1 @@
+ALTER TABLE clearance_data DROP COLUMN IF EXISTS version;
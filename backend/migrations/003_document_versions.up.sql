@@ -0,0 +1,3 @@
+-- Optimistic concurrency: every status change bumps the row version, and admin decisions
+-- are only applied if the row is still at the version the officer was looking at.
+ALTER TABLE clearance_data ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,27 @@
+-- Audit trail of every clearance action. Append-only: updates and deletes are refused by a trigger.
+CREATE TABLE IF NOT EXISTS audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  occurred_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  actor TEXT NOT NULL,        -- matric of whoever performed the action
+  actor_role TEXT,
+  action TEXT NOT NULL,       -- login, login_failed, upload, delete, notify, status_change, requirement_change, readiness_override,
+                              -- appointment, certificate_collected, import, activation, payment,
+                              -- password_change, password_reset_requested
+  matric TEXT,                -- the student the action concerns
+  doc_type TEXT,
+  old_status TEXT,
+  new_status TEXT,
+  details JSONB
+);
+CREATE INDEX IF NOT EXISTS audit_log_matric_idx ON audit_log (matric, occurred_at DESC);
+CREATE INDEX IF NOT EXISTS audit_log_occurred_idx ON audit_log (occurred_at DESC);
+
+CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+CREATE TRIGGER audit_log_append_only BEFORE UPDATE OR DELETE ON audit_log
+  FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
@@ -0,0 +1,5 @@
+DROP VIEW IF EXISTS student_requirements;
+DROP TABLE IF EXISTS document_requirements;
+DROP INDEX IF EXISTS clearance_data_matric_doc_type_key;
+ALTER TABLE students DROP COLUMN IF EXISTS entry_mode;
+ALTER TABLE students DROP COLUMN IF EXISTS faculty;
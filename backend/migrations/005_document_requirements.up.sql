@@ -0,0 +1,37 @@
+-- Configurable document requirements
+ALTER TABLE students ADD COLUMN IF NOT EXISTS faculty TEXT;
+ALTER TABLE students ADD COLUMN IF NOT EXISTS entry_mode TEXT; -- e.g. UTME, Direct Entry
+
+CREATE UNIQUE INDEX IF NOT EXISTS clearance_data_matric_doc_type_key ON clearance_data (matric, doc_type);
+
+CREATE TABLE IF NOT EXISTS document_requirements (
+  doc_type TEXT PRIMARY KEY,
+  label TEXT NOT NULL,
+  description TEXT,
+  accepted_types TEXT[] NOT NULL DEFAULT '{pdf,jpg,jpeg,png}', -- file extensions
+  max_size_mb INTEGER NOT NULL DEFAULT 10,
+  is_physical BOOLEAN NOT NULL DEFAULT FALSE, -- submitted in person instead of uploaded
+  faculties TEXT[],   -- NULL means every faculty
+  entry_modes TEXT[], -- NULL means every entry mode
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  active BOOLEAN NOT NULL DEFAULT TRUE
+);
+
+INSERT INTO document_requirements (doc_type, label, is_physical, sort_order) VALUES
+  ('statement_of_result', 'Statement of Result', FALSE, 10),
+  ('school_fees_receipt', 'School Fees Receipt (from 100L)', FALSE, 20),
+  ('clearance_form', 'Original Student Clearance Form', FALSE, 30),
+  ('certificate_payment_receipt', 'Certificate Payment Receipt', FALSE, 40),
+  ('id_card', '500L ID Card (Physical Submission)', TRUE, 50)
+ON CONFLICT (doc_type) DO NOTHING;
+
+-- Which active requirements apply to which students. Admin accounts live in `students` too,
+-- but have no clearance to do.
+CREATE OR REPLACE VIEW student_requirements AS
+SELECT s.matric, r.doc_type
+FROM students s
+JOIN document_requirements r
+  ON r.active
+ AND (r.faculties IS NULL OR s.faculty = ANY(r.faculties))
+ AND (r.entry_modes IS NULL OR s.entry_mode = ANY(r.entry_modes))
+WHERE s.matric NOT LIKE 'admin%';
@@ -0,0 +1,3 @@
+-- Overrides imported from certificates_ready are dropped too; that table itself is untouched.
+DROP VIEW IF EXISTS certificate_readiness;
+DROP TABLE IF EXISTS certificate_overrides;
@@ -0,0 +1,39 @@
+-- Certificate readiness, computed from clearance instead of maintained by hand.
+-- An admin override (with a reason) takes precedence over the computed value in either direction.
+CREATE TABLE IF NOT EXISTS certificate_overrides (
+  matric TEXT PRIMARY KEY,
+  ready BOOLEAN NOT NULL,
+  reason TEXT NOT NULL,
+  set_by TEXT NOT NULL,
+  set_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Students someone had marked ready by hand keep that status, as an override.
+INSERT INTO certificate_overrides (matric, ready, reason, set_by)
+SELECT matric, TRUE, 'Marked ready in certificates_ready before readiness was computed', 'system'
+FROM certificates_ready
+ON CONFLICT (matric) DO NOTHING;
+
+CREATE OR REPLACE VIEW certificate_readiness AS
+SELECT
+  s.matric,
+  COALESCE(s.paid, FALSE) AS payment_confirmed,
+  COUNT(sr.doc_type) AS documents_required,
+  COUNT(sr.doc_type) FILTER (WHERE c.status = 'verified') AS documents_verified,
+  COALESCE(s.paid, FALSE)
+    AND COUNT(sr.doc_type) > 0
+    AND COUNT(sr.doc_type) = COUNT(sr.doc_type) FILTER (WHERE c.status = 'verified') AS computed_ready,
+  o.ready AS override_ready,
+  o.reason AS override_reason,
+  COALESCE(
+    o.ready,
+    COALESCE(s.paid, FALSE)
+      AND COUNT(sr.doc_type) > 0
+      AND COUNT(sr.doc_type) = COUNT(sr.doc_type) FILTER (WHERE c.status = 'verified')
+  ) AS is_ready
+FROM students s
+LEFT JOIN student_requirements sr ON sr.matric = s.matric
+LEFT JOIN clearance_data c ON c.matric = sr.matric AND c.doc_type = sr.doc_type
+LEFT JOIN certificate_overrides o ON o.matric = s.matric
+WHERE s.matric NOT LIKE 'admin%'
+GROUP BY s.matric, s.paid, o.ready, o.reason;
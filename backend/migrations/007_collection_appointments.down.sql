@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS collection_appointments;
+DROP TABLE IF EXISTS collection_slots;
+DROP TABLE IF EXISTS collection_days;
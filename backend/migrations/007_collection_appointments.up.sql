@@ -0,0 +1,36 @@
+-- Certificate collection appointments. Admins publish days with time slots; students whose
+-- certificate is ready book one slot.
+CREATE TABLE IF NOT EXISTS collection_days (
+  id SERIAL PRIMARY KEY,
+  day DATE NOT NULL UNIQUE,
+  location TEXT,
+  notes TEXT,
+  published BOOLEAN NOT NULL DEFAULT FALSE,
+  created_by TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS collection_slots (
+  id SERIAL PRIMARY KEY,
+  day_id INTEGER NOT NULL REFERENCES collection_days (id) ON DELETE CASCADE,
+  starts_at TIME NOT NULL,
+  ends_at TIME NOT NULL,
+  capacity INTEGER NOT NULL CHECK (capacity > 0),
+  UNIQUE (day_id, starts_at),
+  CHECK (ends_at > starts_at)
+);
+
+CREATE TABLE IF NOT EXISTS collection_appointments (
+  id SERIAL PRIMARY KEY,
+  slot_id INTEGER NOT NULL REFERENCES collection_slots (id),
+  matric TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'booked', -- booked, cancelled, collected
+  booked_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  cancelled_at TIMESTAMPTZ,
+  collected_at TIMESTAMPTZ,
+  collected_by TEXT
+);
+-- A student holds at most one live appointment, and none once the certificate is collected.
+CREATE UNIQUE INDEX IF NOT EXISTS collection_appointments_one_per_student
+  ON collection_appointments (matric) WHERE status IN ('booked', 'collected');
+CREATE INDEX IF NOT EXISTS collection_appointments_slot_idx ON collection_appointments (slot_id) WHERE status <> 'cancelled';
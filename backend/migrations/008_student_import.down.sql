@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS student_activations;
+-- password_hash stays nullable: imported accounts that were never activated have no password,
+-- and restoring NOT NULL would fail for them.
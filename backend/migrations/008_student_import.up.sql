@@ -0,0 +1,10 @@
+-- Bulk CSV import of students. Imported accounts can start without a password and activate
+-- with a one-time code instead.
+ALTER TABLE students ALTER COLUMN password_hash DROP NOT NULL;
+
+CREATE TABLE IF NOT EXISTS student_activations (
+  matric TEXT PRIMARY KEY,
+  code_hash TEXT NOT NULL, -- sha256 of the one-time code
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ
+);
@@ -0,0 +1,26 @@
+-- Online payment of the clearance fee. One row per attempt, under our own reference;
+-- `students.paid` is set when the gateway confirms one.
+CREATE TABLE IF NOT EXISTS payments (
+  id SERIAL PRIMARY KEY,
+  reference TEXT NOT NULL UNIQUE,
+  matric TEXT NOT NULL,
+  gateway TEXT NOT NULL,
+  amount_kobo INTEGER NOT NULL,
+  currency TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending', -- pending, success, failed, abandoned
+  authorization_url TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  paid_at TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS payments_matric_idx ON payments (matric);
+
+-- Everything the gateway told us about each payment (webhooks and status checks), as received.
+CREATE TABLE IF NOT EXISTS payment_events (
+  id BIGSERIAL PRIMARY KEY,
+  payment_id INTEGER NOT NULL REFERENCES payments (id),
+  source TEXT NOT NULL, -- webhook, poll
+  status TEXT NOT NULL,
+  payload JSONB,
+  received_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1,27 @@
+-- Outgoing email, queued in the same transaction as the change it reports and sent by the
+-- background worker in notifications.js.
+CREATE TABLE IF NOT EXISTS email_outbox (
+  id BIGSERIAL PRIMARY KEY,
+  matric TEXT NOT NULL,         -- the account the email is for
+  recipient TEXT NOT NULL,      -- their email address when it was queued
+  category TEXT NOT NULL,       -- preference category, see emailTemplates.js
+  template TEXT NOT NULL,
+  data JSONB NOT NULL DEFAULT '{}',
+  dedupe_key TEXT UNIQUE,       -- set for emails that must only be queued once
+  status TEXT NOT NULL DEFAULT 'pending', -- pending, sent, failed, skipped
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  sent_at TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS email_outbox_due_idx ON email_outbox (next_attempt_at) WHERE status = 'pending';
+
+-- Email categories a user has switched off (or back on). No row means the category is on.
+CREATE TABLE IF NOT EXISTS notification_preferences (
+  matric TEXT NOT NULL,
+  category TEXT NOT NULL,
+  enabled BOOLEAN NOT NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (matric, category)
+);
@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS login_throttle;
+DROP TABLE IF EXISTS password_resets;
+ALTER TABLE students DROP COLUMN IF EXISTS password_changed_at;
+ALTER TABLE students DROP COLUMN IF EXISTS must_change_password;
@@ -0,0 +1,20 @@
+-- Passwords. Accounts given an initial password (e.g. by CSV import) must change it on first login.
+ALTER TABLE students ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE students ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMPTZ;
+
+-- One-time password reset links, stored as sha256 hashes of the emailed token.
+CREATE TABLE IF NOT EXISTS password_resets (
+  token_hash TEXT PRIMARY KEY,
+  matric TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ
+);
+
+-- Attempt counters for brute-force protection, see throttle.js.
+CREATE TABLE IF NOT EXISTS login_throttle (
+  key TEXT PRIMARY KEY,            -- '<rule>:<matric or IP address>'
+  hits INTEGER NOT NULL DEFAULT 0,
+  window_started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_until TIMESTAMPTZ
+);
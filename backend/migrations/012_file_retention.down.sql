@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS clearance_submissions_filename_idx;
+DROP INDEX IF EXISTS clearance_submissions_discarded_idx;
+ALTER TABLE clearance_submissions DROP COLUMN IF EXISTS file_purged_at;
+ALTER TABLE clearance_submissions DROP COLUMN IF EXISTS file_deleted_at;
@@ -0,0 +1,13 @@
+-- Removal of replaced and deleted files, see fileRetention.js.
+-- file_deleted_at: the file was replaced or deleted and will be removed after the retention period.
+-- file_purged_at: the file has been removed from storage; the row stays as history.
+ALTER TABLE clearance_submissions ADD COLUMN IF NOT EXISTS file_deleted_at TIMESTAMPTZ;
+ALTER TABLE clearance_submissions ADD COLUMN IF NOT EXISTS file_purged_at TIMESTAMPTZ;
+CREATE INDEX IF NOT EXISTS clearance_submissions_discarded_idx ON clearance_submissions (file_deleted_at)
+  WHERE file_deleted_at IS NOT NULL AND file_purged_at IS NULL;
+CREATE INDEX IF NOT EXISTS clearance_submissions_filename_idx ON clearance_submissions (filename);
+
+-- Files replaced or deleted before this migration start their retention period now.
+UPDATE clearance_submissions s SET file_deleted_at = NOW()
+WHERE file_deleted_at IS NULL
+  AND NOT EXISTS (SELECT 1 FROM clearance_data c WHERE c.filename = s.filename);
@@ -0,0 +1 @@
+ALTER TABLE clearance_submissions DROP COLUMN IF EXISTS thumbnail;
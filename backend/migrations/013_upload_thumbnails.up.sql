@@ -0,0 +1,2 @@
+-- Thumbnails made on upload (see uploadChecks.js): the storage key of a small JPEG preview of the file.
+ALTER TABLE clearance_submissions ADD COLUMN IF NOT EXISTS thumbnail TEXT;
@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS clearance_data_doc_type_status_idx;
+DROP INDEX IF EXISTS students_matric_prefix_idx;
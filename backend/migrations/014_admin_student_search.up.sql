@@ -0,0 +1,5 @@
+-- Indexes for the paginated admin student list (see roster.js).
+-- Matric prefix searches (LIKE '2019/1/%').
+CREATE INDEX IF NOT EXISTS students_matric_prefix_idx ON students (matric text_pattern_ops);
+-- Picking students by document type and status, e.g. every receipt awaiting review.
+CREATE INDEX IF NOT EXISTS clearance_data_doc_type_status_idx ON clearance_data (doc_type, status);
@@ -0,0 +1,9 @@
+-- Staff whose username starts with "admin" become admin rows in `students` again, with full access.
+-- Every other staff account is lost.
+INSERT INTO students (matric, email, password_hash, paid, must_change_password, password_changed_at)
+SELECT username, email, password_hash, FALSE, must_change_password, password_changed_at
+FROM staff WHERE username LIKE 'admin%'
+ON CONFLICT (matric) DO NOTHING;
+DROP TABLE IF EXISTS staff;
+DROP TABLE IF EXISTS staff_role_permissions;
+DROP TABLE IF EXISTS staff_roles;
@@ -0,0 +1,40 @@
+-- Staff accounts and roles, see staff.js and permissions.js. Until now admins were the rows in
+-- `students` whose matric started with "admin"; they move here and keep their passwords.
+CREATE TABLE IF NOT EXISTS staff_roles (
+  name TEXT PRIMARY KEY,        -- e.g. bursary
+  label TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- What each role may do: a permission, and for the document permissions the document type it
+-- covers ('*' for every type, and for the permissions that are not about documents).
+CREATE TABLE IF NOT EXISTS staff_role_permissions (
+  role TEXT NOT NULL REFERENCES staff_roles (name) ON DELETE CASCADE,
+  permission TEXT NOT NULL,
+  doc_type TEXT NOT NULL DEFAULT '*',
+  PRIMARY KEY (role, permission, doc_type)
+);
+
+CREATE TABLE IF NOT EXISTS staff (
+  username TEXT PRIMARY KEY,    -- used to log in, in place of a matric number
+  name TEXT,
+  email TEXT,
+  password_hash TEXT,
+  role TEXT NOT NULL REFERENCES staff_roles (name),
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  must_change_password BOOLEAN NOT NULL DEFAULT FALSE,
+  password_changed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_by TEXT
+);
+
+-- The super admin role has every permission (see permissions.js), so it needs no rows above.
+INSERT INTO staff_roles (name, label) VALUES ('super_admin', 'Super admin') ON CONFLICT (name) DO NOTHING;
+
+-- Existing admins keep full access until a super admin gives them narrower roles.
+INSERT INTO staff (username, email, password_hash, role, must_change_password, password_changed_at)
+SELECT matric, email, password_hash, 'super_admin', must_change_password, password_changed_at
+FROM students WHERE matric LIKE 'admin%'
+ON CONFLICT (username) DO NOTHING;
+DELETE FROM clearance_data WHERE matric LIKE 'admin%';
+DELETE FROM students WHERE matric LIKE 'admin%';
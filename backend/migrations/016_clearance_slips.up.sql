@@ -0,0 +1,10 @@
+-- Clearance slips issued to fully cleared students, see clearanceSlips.js.
+CREATE TABLE IF NOT EXISTS clearance_slips (
+  code TEXT PRIMARY KEY,          -- printed on the slip and in its QR code, e.g. K7QM-4XPT-9D2R
+  matric TEXT NOT NULL,
+  email TEXT,
+  issued_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  documents JSONB NOT NULL,       -- the verified documents as printed: [{ docType, label, version, verifiedAt, verifiedBy }]
+  superseded_at TIMESTAMPTZ       -- set when a newer slip replaces this one
+);
+CREATE INDEX IF NOT EXISTS clearance_slips_matric_idx ON clearance_slips (matric, issued_at DESC);
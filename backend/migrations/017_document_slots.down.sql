@@ -0,0 +1,43 @@
+-- Back to one file per requirement: only each requirement's '' slot is kept.
+CREATE OR REPLACE VIEW certificate_readiness AS
+SELECT
+  s.matric,
+  COALESCE(s.paid, FALSE) AS payment_confirmed,
+  COUNT(sr.doc_type) AS documents_required,
+  COUNT(sr.doc_type) FILTER (WHERE c.status = 'verified') AS documents_verified,
+  COALESCE(s.paid, FALSE)
+    AND COUNT(sr.doc_type) > 0
+    AND COUNT(sr.doc_type) = COUNT(sr.doc_type) FILTER (WHERE c.status = 'verified') AS computed_ready,
+  o.ready AS override_ready,
+  o.reason AS override_reason,
+  COALESCE(
+    o.ready,
+    COALESCE(s.paid, FALSE)
+      AND COUNT(sr.doc_type) > 0
+      AND COUNT(sr.doc_type) = COUNT(sr.doc_type) FILTER (WHERE c.status = 'verified')
+  ) AS is_ready
+FROM students s
+LEFT JOIN student_requirements sr ON sr.matric = s.matric
+LEFT JOIN clearance_data c ON c.matric = sr.matric AND c.doc_type = sr.doc_type
+LEFT JOIN certificate_overrides o ON o.matric = s.matric
+WHERE s.matric NOT LIKE 'admin%'
+GROUP BY s.matric, s.paid, o.ready, o.reason;
+DROP VIEW IF EXISTS requirement_status;
+DROP VIEW IF EXISTS student_files;
+
+CREATE OR REPLACE VIEW student_requirements AS
+SELECT s.matric, r.doc_type
+FROM students s
+JOIN document_requirements r
+  ON r.active
+ AND (r.faculties IS NULL OR s.faculty = ANY(r.faculties))
+ AND (r.entry_modes IS NULL OR s.entry_mode = ANY(r.entry_modes))
+WHERE s.matric NOT LIKE 'admin%';
+
+DELETE FROM clearance_data WHERE slot <> '';
+DROP INDEX IF EXISTS clearance_data_matric_doc_type_slot_key;
+CREATE UNIQUE INDEX IF NOT EXISTS clearance_data_matric_doc_type_key ON clearance_data (matric, doc_type);
+ALTER TABLE clearance_data DROP COLUMN IF EXISTS slot;
+ALTER TABLE clearance_submissions DROP COLUMN IF EXISTS slot;
+ALTER TABLE document_requirements DROP COLUMN IF EXISTS max_files;
+ALTER TABLE document_requirements DROP COLUMN IF EXISTS slots;
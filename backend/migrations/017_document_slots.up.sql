@@ -0,0 +1,77 @@
+-- Requirements that take several files (see requirements.js): named slots, such as one per academic
+-- session, or up to `max_files` unnamed files. Each file is its own clearance_data row with its own
+-- status and version, reviewed on its own. Single-file requirements use the slot ''.
+ALTER TABLE document_requirements ADD COLUMN IF NOT EXISTS slots TEXT[];                        -- NULL: unnamed files
+ALTER TABLE document_requirements ADD COLUMN IF NOT EXISTS max_files INTEGER NOT NULL DEFAULT 1; -- unnamed files only
+
+ALTER TABLE clearance_data ADD COLUMN IF NOT EXISTS slot TEXT NOT NULL DEFAULT '';
+DROP INDEX IF EXISTS clearance_data_matric_doc_type_key;
+CREATE UNIQUE INDEX IF NOT EXISTS clearance_data_matric_doc_type_slot_key ON clearance_data (matric, doc_type, slot);
+
+ALTER TABLE clearance_submissions ADD COLUMN IF NOT EXISTS slot TEXT NOT NULL DEFAULT '';
+
+-- Students used to merge a receipt for every year from 100L into one PDF.
+UPDATE document_requirements SET max_files = 5 WHERE doc_type = 'school_fees_receipt' AND slots IS NULL AND max_files = 1;
+
+-- Which active requirements apply to which students. Admin accounts moved to `staff` in migration 015,
+-- so every row in `students` is a real student.
+CREATE OR REPLACE VIEW student_requirements AS
+SELECT s.matric, r.doc_type
+FROM students s
+JOIN document_requirements r
+  ON r.active
+ AND (r.faculties IS NULL OR s.faculty = ANY(r.faculties))
+ AND (r.entry_modes IS NULL OR s.entry_mode = ANY(r.entry_modes));
+
+-- The files each student must provide for the requirements that apply to them: one per named slot
+-- (or the single '' slot), plus any extra unnamed files they have uploaded.
+CREATE OR REPLACE VIEW student_files AS
+SELECT sr.matric, sr.doc_type, s.slot
+FROM student_requirements sr
+JOIN document_requirements r ON r.doc_type = sr.doc_type
+CROSS JOIN LATERAL unnest(COALESCE(r.slots, ARRAY[''])) AS s (slot)
+UNION
+SELECT c.matric, c.doc_type, c.slot
+FROM clearance_data c
+JOIN student_requirements sr ON sr.matric = c.matric AND sr.doc_type = c.doc_type
+JOIN document_requirements r ON r.doc_type = c.doc_type
+WHERE r.slots IS NULL AND c.slot <> '' AND c.status <> 'pending';
+
+-- Each requirement's overall status for each student: verified once every one of its files is.
+CREATE OR REPLACE VIEW requirement_status AS
+SELECT
+  f.matric,
+  f.doc_type,
+  COUNT(*) AS files,
+  COUNT(*) FILTER (WHERE c.status = 'verified') AS files_verified,
+  CASE
+    WHEN COUNT(*) = COUNT(*) FILTER (WHERE c.status = 'verified') THEN 'verified'
+    WHEN bool_or(c.status = 'rejected') THEN 'rejected'
+    WHEN bool_or(c.status = 'uploaded') THEN 'uploaded'
+    ELSE 'pending'
+  END AS status
+FROM student_files f
+LEFT JOIN clearance_data c ON c.matric = f.matric AND c.doc_type = f.doc_type AND c.slot = f.slot
+GROUP BY f.matric, f.doc_type;
+
+CREATE OR REPLACE VIEW certificate_readiness AS
+SELECT
+  s.matric,
+  COALESCE(s.paid, FALSE) AS payment_confirmed,
+  COUNT(rs.doc_type) AS documents_required,
+  COUNT(rs.doc_type) FILTER (WHERE rs.status = 'verified') AS documents_verified,
+  COALESCE(s.paid, FALSE)
+    AND COUNT(rs.doc_type) > 0
+    AND COUNT(rs.doc_type) = COUNT(rs.doc_type) FILTER (WHERE rs.status = 'verified') AS computed_ready,
+  o.ready AS override_ready,
+  o.reason AS override_reason,
+  COALESCE(
+    o.ready,
+    COALESCE(s.paid, FALSE)
+      AND COUNT(rs.doc_type) > 0
+      AND COUNT(rs.doc_type) = COUNT(rs.doc_type) FILTER (WHERE rs.status = 'verified')
+  ) AS is_ready
+FROM students s
+LEFT JOIN requirement_status rs ON rs.matric = s.matric
+LEFT JOIN certificate_overrides o ON o.matric = s.matric
+GROUP BY s.matric, s.paid, o.ready, o.reason;
@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS audit_log_decisions_idx;
+DROP INDEX IF EXISTS clearance_data_claimed_by_idx;
+ALTER TABLE clearance_data DROP COLUMN IF EXISTS claimed_until;
+ALTER TABLE clearance_data DROP COLUMN IF EXISTS claimed_by;
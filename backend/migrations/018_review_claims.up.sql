@@ -0,0 +1,8 @@
+-- Review claims (see claims.js): an officer claims a document before deciding on it, so two officers never
+-- review the same file at once. The claim lapses at claimed_until, and a decision clears it.
+ALTER TABLE clearance_data ADD COLUMN IF NOT EXISTS claimed_by TEXT;          -- username of the officer reviewing it
+ALTER TABLE clearance_data ADD COLUMN IF NOT EXISTS claimed_until TIMESTAMPTZ;
+CREATE INDEX IF NOT EXISTS clearance_data_claimed_by_idx ON clearance_data (claimed_by) WHERE claimed_by IS NOT NULL;
+
+-- For the per-officer throughput counts.
+CREATE INDEX IF NOT EXISTS audit_log_decisions_idx ON audit_log (actor, occurred_at DESC) WHERE action = 'status_change';
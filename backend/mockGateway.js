@@ -0,0 +1,92 @@
+// A stand-in payment gateway for local development, used when PAYMENT_GATEWAY=mock.
+// It behaves like the real one from our side: checkout happens on its own page, the result arrives
+// as a signed webhook, and the status can be polled. Transactions only live in memory.
+const crypto = require('crypto');
+const express = require('express');
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+const createMockGateway = (secret) => {
+  const transactions = new Map(); // reference -> { reference, amountKobo, currency, email, status, paidAt, callbackUrl }
+
+  const sign = (body) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+  const adapter = {
+    name: 'mock',
+
+    initialize: async ({ reference, amountKobo, currency, email, callbackUrl }) => {
+      transactions.set(reference, { reference, amountKobo, currency, email, status: 'pending', paidAt: null, callbackUrl });
+      // Served by our own server (see server.js), on the same origin the student returns to.
+      return { authorizationUrl: `${new URL(callbackUrl).origin}/mock-gateway/checkout/${encodeURIComponent(reference)}` };
+    },
+
+    verify: async (reference) => {
+      const transaction = transactions.get(reference);
+      if (!transaction) return null;
+      return { reference, status: transaction.status, amountKobo: transaction.amountKobo, currency: transaction.currency, paidAt: transaction.paidAt, raw: transaction };
+    },
+
+    isValidWebhook: (rawBody, headers) => {
+      const signature = headers[SIGNATURE_HEADER] || '';
+      const expected = sign(rawBody);
+      return signature.length === expected.length && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+    },
+
+    parseWebhook: (body) => ({
+      reference: body.reference,
+      status: body.status,
+      amountKobo: body.amountKobo,
+      currency: body.currency,
+      paidAt: body.paidAt,
+      raw: body,
+    }),
+  };
+
+  // The checkout page the student is sent to, with buttons to succeed or fail the payment.
+  const router = express.Router();
+  router.use(express.urlencoded({ extended: false }));
+
+  router.get('/checkout/:reference', (req, res) => {
+    const transaction = transactions.get(req.params.reference);
+    if (!transaction) return res.status(404).send('Unknown transaction.');
+    const amount = (transaction.amountKobo / 100).toFixed(2);
+    res.send(`<!doctype html>
+<html><body style="font-family: sans-serif; max-width: 28rem; margin: 4rem auto;">
+  <h1>Mock payment gateway</h1>
+  <p>Reference: <code>${transaction.reference}</code></p>
+  <p>Amount: ${transaction.currency} ${amount}</p>
+  <p>Status: ${transaction.status}</p>
+  <form method="post"><button name="outcome" value="success">Pay</button> <button name="outcome" value="failed">Decline</button></form>
+</body></html>`);
+  });
+
+  router.post('/checkout/:reference', async (req, res) => {
+    const transaction = transactions.get(req.params.reference);
+    if (!transaction) return res.status(404).send('Unknown transaction.');
+    if (transaction.status === 'pending') {
+      transaction.status = req.body.outcome === 'success' ? 'success' : 'failed';
+      transaction.paidAt = transaction.status === 'success' ? new Date().toISOString() : null;
+      const body = JSON.stringify({
+        reference: transaction.reference, status: transaction.status, amountKobo: transaction.amountKobo,
+        currency: transaction.currency, paidAt: transaction.paidAt,
+      });
+      // Deliver the webhook the way a real gateway would; if it fails, polling still picks the result up.
+      try {
+        await fetch(`${req.protocol}://${req.get('host')}/api/payments/webhook`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', [SIGNATURE_HEADER]: sign(body) },
+          body,
+        });
+      } catch (err) {
+        console.error('Mock gateway webhook delivery failed:', err.message);
+      }
+    }
+    res.redirect(transaction.callbackUrl);
+  });
+
+  return { adapter, router };
+};
+
+module.exports = {
+  createMockGateway,
+};
@@ -0,0 +1,170 @@
+// This file queues clearance emails in the `email_outbox` table and delivers them in the background.
+// Emails are queued with the same client (and so in the same transaction) as the change they report,
+// so an email is only sent for changes that were committed. The worker picks due rows, sends them
+// through the mailer and retries failures with a growing delay.
+const db = require('./db');
+const mailer = require('./mailer');
+const readiness = require('./readiness');
+const { CATEGORIES, TEMPLATES } = require('./emailTemplates');
+const { StatusError } = require('./docStatus');
+const permissions = require('./permissions');
+const { slotLabel } = require('./requirements');
+
+const WORKER_INTERVAL_MS = Number(process.env.EMAIL_WORKER_INTERVAL_MS) || 15000;
+const BATCH_SIZE = 20;
+const MAX_ATTEMPTS = 5;
+
+// Template data for an email about a document: the requirement's label, so the email can name it,
+// followed by the file's slot for requirements that take several, e.g. "School Fees Receipt (2019/2020)".
+const withLabel = async (client, docType, data, slot = '') => {
+  if (!docType) return data;
+  const { rows } = await client.query('SELECT label FROM document_requirements WHERE doc_type = $1', [docType]);
+  const label = rows[0] ? rows[0].label : docType;
+  return { ...data, label: slot ? `${label} (${slotLabel(slot)})` : label };
+};
+
+// Queues `template` for one account, a student's or a staff member's (by username).
+// `dedupeKey` makes sure an email is only ever queued once.
+const enqueue = async (client, { matric, template, docType = null, slot = '', data = {}, dedupeKey = null }) => {
+  await client.query(
+    `INSERT INTO email_outbox (matric, recipient, category, template, data, dedupe_key)
+     SELECT matric, email, $2, $3, $4, $5
+     FROM (SELECT matric, email FROM students UNION ALL SELECT username, email FROM staff) account
+     WHERE matric = $1 AND COALESCE(email, '') <> ''
+     ON CONFLICT (dedupe_key) DO NOTHING`,
+    [matric, TEMPLATES[template].category, template, await withLabel(client, docType, data, slot), dedupeKey]
+  );
+};
+
+// Queues `template` for every active staff member whose role lets them verify `docType`,
+// so each office only hears about the documents it reviews.
+const enqueueForAdmins = async (client, { template, docType, slot = '', data = {} }) => {
+  await client.query(
+    `INSERT INTO email_outbox (matric, recipient, category, template, data)
+     SELECT s.username, s.email, $1, $2, $3 FROM staff s
+     WHERE s.active AND COALESCE(s.email, '') <> '' AND ${permissions.grantedSql("'verify'", '$4')}`,
+    [TEMPLATES[template].category, template, await withLabel(client, docType, data, slot), docType]
+  );
+};
+
+// Queues the "certificate ready" email the first time the student's certificate becomes ready.
+// Call it after any change that can complete a clearance (a verification, a payment, an override).
+const notifyIfCertificateReady = async (client, matric) => {
+  const status = await readiness.forStudent(client, matric);
+  if (status && status.isReady) {
+    await enqueue(client, { matric, template: 'certificate_ready', dedupeKey: `certificate_ready:${matric}` });
+  }
+};
+
+// The categories that apply to `user` ({ matric, role }) and whether each is switched on.
+// Everything is on until the user turns it off.
+const getPreferences = async (client, user) => {
+  const { rows } = await client.query('SELECT category, enabled FROM notification_preferences WHERE matric = $1', [user.matric]);
+  const saved = Object.fromEntries(rows.map((row) => [row.category, row.enabled]));
+  return Object.entries(CATEGORIES)
+    .filter(([, { roles }]) => roles.includes(user.role))
+    .map(([category, { label }]) => ({ category, label, enabled: saved[category] !== false }));
+};
+
+// Saves `changes` ({ category: true/false }) for `user` and returns the updated preferences.
+const setPreferences = async (client, user, changes) => {
+  const entries = Object.entries(changes || {});
+  for (const [category, enabled] of entries) {
+    if (!CATEGORIES[category] || !CATEGORIES[category].roles.includes(user.role)) {
+      throw new StatusError(400, `Unknown notification category "${category}".`);
+    }
+    if (typeof enabled !== 'boolean') throw new StatusError(400, `${category} must be true or false.`);
+  }
+  for (const [category, enabled] of entries) {
+    await client.query(
+      `INSERT INTO notification_preferences (matric, category, enabled) VALUES ($1, $2, $3)
+       ON CONFLICT (matric, category) DO UPDATE SET enabled = EXCLUDED.enabled, updated_at = NOW()`,
+      [user.matric, category, enabled]
+    );
+  }
+  return getPreferences(client, user);
+};
+
+// Queues a reminder for every appointment tomorrow. Safe to run repeatedly: each booking is reminded
+// once per slot, so a student who reschedules is reminded again for the new slot.
+const queueCollectionReminders = () =>
+  db.query(
+    `INSERT INTO email_outbox (matric, recipient, category, template, data, dedupe_key)
+     SELECT a.matric, st.email, 'certificate', 'collection_reminder',
+       json_build_object('day', to_char(d.day, 'FMDay, FMDD FMMonth YYYY'), 'startsAt', to_char(s.starts_at, 'HH24:MI'),
+         'endsAt', to_char(s.ends_at, 'HH24:MI'), 'location', d.location),
+       'collection_reminder:' || a.id || ':' || a.slot_id
+     FROM collection_appointments a
+     JOIN collection_slots s ON s.id = a.slot_id
+     JOIN collection_days d ON d.id = s.day_id
+     JOIN students st ON st.matric = a.matric
+     WHERE a.status = 'booked' AND d.day = CURRENT_DATE + 1 AND COALESCE(st.email, '') <> ''
+     ON CONFLICT (dedupe_key) DO NOTHING`
+  );
+
+// Sends the due emails, at most BATCH_SIZE at a time. Rows are locked while they are sent, so
+// several server instances can run the worker without sending anything twice.
+const deliverDue = () => db.transaction(async (client) => {
+  const { rows } = await client.query(
+    `SELECT o.id, o.recipient, o.template, o.data, o.attempts, COALESCE(p.enabled, TRUE) AS enabled
+     FROM email_outbox o
+     LEFT JOIN notification_preferences p ON p.matric = o.matric AND p.category = o.category
+     WHERE o.status = 'pending' AND o.next_attempt_at <= NOW()
+     ORDER BY o.next_attempt_at, o.id
+     LIMIT $1
+     FOR UPDATE OF o SKIP LOCKED`,
+    [BATCH_SIZE]
+  );
+  for (const row of rows) {
+    // Preferences are checked at send time, so switching a category off also stops queued emails.
+    if (!row.enabled) {
+      await client.query("UPDATE email_outbox SET status = 'skipped' WHERE id = $1", [row.id]);
+      continue;
+    }
+    try {
+      const { subject, text } = TEMPLATES[row.template].render(row.data);
+      await mailer.send({ to: row.recipient, subject, text });
+      await client.query("UPDATE email_outbox SET status = 'sent', sent_at = NOW(), attempts = attempts + 1 WHERE id = $1", [row.id]);
+    } catch (err) {
+      // Retry after 1, 2, 4, 8... minutes, then give up.
+      const attempts = row.attempts + 1;
+      await client.query(
+        `UPDATE email_outbox SET attempts = $1, last_error = $2,
+           status = CASE WHEN $1 >= $3 THEN 'failed' ELSE 'pending' END,
+           next_attempt_at = NOW() + make_interval(mins => $4)
+         WHERE id = $5`,
+        [attempts, String(err.message).slice(0, 500), MAX_ATTEMPTS, 2 ** (attempts - 1), row.id]
+      );
+    }
+  }
+  return rows.length;
+});
+
+// Starts the background worker. Returns a function that stops it.
+const startWorker = () => {
+  let running = false;
+  const tick = async () => {
+    if (running) return; // the previous run is still sending
+    running = true;
+    try {
+      await queueCollectionReminders();
+      while ((await deliverDue()) === BATCH_SIZE); // keep going while there is a backlog
+    } catch (err) {
+      console.error('Email worker error:', err);
+    } finally {
+      running = false;
+    }
+  };
+  const timer = setInterval(tick, WORKER_INTERVAL_MS);
+  tick();
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  enqueue,
+  enqueueForAdmins,
+  notifyIfCertificateReady,
+  getPreferences,
+  setPreferences,
+  startWorker,
+};
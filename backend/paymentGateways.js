@@ -0,0 +1,90 @@
+// This file selects the payment gateway adapter from PAYMENT_GATEWAY ("paystack" or "mock"). There is no
+// default: anyone can "pay" through the mock gateway, so the server refuses to start without a choice,
+// and refuses the mock when NODE_ENV is production.
+// Every adapter has the same shape, so the payment module never talks to a gateway directly:
+//   initialize({ reference, amountKobo, currency, email, callbackUrl }) -> { authorizationUrl }
+//   verify(reference) -> { reference, status, amountKobo, currency, paidAt, raw } or null if unknown
+//   isValidWebhook(rawBody, headers) -> whether the webhook signature (HMAC) is genuine
+//   parseWebhook(body) -> the same shape as verify(), or null for events we do not handle
+// `status` is always one of: pending, success, failed, abandoned.
+const crypto = require('crypto');
+const { createMockGateway } = require('./mockGateway');
+
+const PAYSTACK_API = 'https://api.paystack.co';
+const PAYSTACK_STATUSES = { success: 'success', failed: 'failed', abandoned: 'abandoned', reversed: 'failed' };
+
+const createPaystackGateway = (secretKey) => {
+  const request = async (path, options = {}) => {
+    const response = await fetch(`${PAYSTACK_API}${path}`, {
+      ...options,
+      headers: { Authorization: `Bearer ${secretKey}`, 'Content-Type': 'application/json' },
+    });
+    const data = await response.json().catch(() => ({}));
+    return { ok: response.ok && data.status === true, status: response.status, data };
+  };
+
+  const toResult = (data) => ({
+    reference: data.reference,
+    status: PAYSTACK_STATUSES[data.status] || 'pending',
+    amountKobo: data.amount,
+    currency: data.currency,
+    paidAt: data.paid_at || data.paidAt || null,
+    raw: data,
+  });
+
+  return {
+    name: 'paystack',
+
+    initialize: async ({ reference, amountKobo, currency, email, callbackUrl }) => {
+      const { ok, data } = await request('/transaction/initialize', {
+        method: 'POST',
+        body: JSON.stringify({ reference, amount: amountKobo, currency, email, callback_url: callbackUrl }),
+      });
+      if (!ok) throw new Error(`Paystack initialize failed: ${data.message || 'no response'}`);
+      return { authorizationUrl: data.data.authorization_url };
+    },
+
+    verify: async (reference) => {
+      const { ok, status, data } = await request(`/transaction/verify/${encodeURIComponent(reference)}`);
+      if (status === 404) return null;
+      if (!ok) throw new Error(`Paystack verify failed: ${data.message || 'no response'}`);
+      return toResult(data.data);
+    },
+
+    // Paystack signs the raw request body with HMAC-SHA512 using the secret key.
+    isValidWebhook: (rawBody, headers) => {
+      const signature = headers['x-paystack-signature'] || '';
+      const expected = crypto.createHmac('sha512', secretKey).update(rawBody).digest('hex');
+      return signature.length === expected.length && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+    },
+
+    parseWebhook: (body) => (body.event && body.event.startsWith('charge.') && body.data ? toResult(body.data) : null),
+  };
+};
+
+let secretKey = process.env.PAYMENT_SECRET_KEY;
+const gatewayName = process.env.PAYMENT_GATEWAY;
+let gateway;
+let mockRouter = null;
+
+if (!gatewayName) {
+  throw new Error('PAYMENT_GATEWAY must be set: "paystack", or "mock" for development.');
+} else if (gatewayName === 'paystack') {
+  if (!secretKey) throw new Error('PAYMENT_SECRET_KEY must be set when PAYMENT_GATEWAY=paystack.');
+  gateway = createPaystackGateway(secretKey);
+} else if (gatewayName === 'mock') {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('PAYMENT_GATEWAY=mock lets anyone mark themselves as paid and cannot be used in production.');
+  }
+  // Nothing is really charged, so a random signing secret is fine.
+  console.warn('PAYMENT_GATEWAY is "mock": payments are simulated at /mock-gateway.');
+  secretKey = secretKey || crypto.randomBytes(32).toString('hex');
+  ({ adapter: gateway, router: mockRouter } = createMockGateway(secretKey));
+} else {
+  throw new Error(`Unknown PAYMENT_GATEWAY "${gatewayName}". Use "paystack" or "mock".`);
+}
+
+module.exports = {
+  gateway,
+  mockRouter,
+};
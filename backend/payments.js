@@ -0,0 +1,135 @@
+// This file handles online payment of the clearance fee.
+// Each attempt is a row in `payments` with our own reference. The gateway reports the outcome by
+// webhook, and the student's page can also poll; both paths end in `applyResult`, which is idempotent
+// and is the only place that sets `students.paid` from a payment.
+const crypto = require('crypto');
+const db = require('./db');
+const { StatusError } = require('./docStatus');
+const { gateway } = require('./paymentGateways');
+const audit = require('./audit');
+const notifications = require('./notifications');
+const events = require('./events');
+
+// The clearance fee in kobo (₦1 = 100 kobo), e.g. CLEARANCE_FEE_KOBO=500000 for ₦5,000.
+const FEE_KOBO = Number(process.env.CLEARANCE_FEE_KOBO) || 0;
+const CURRENCY = 'NGN';
+
+// The gateway is the actor for changes it reports by webhook.
+const GATEWAY_ACTOR = { matric: `gateway:${gateway.name}`, role: null };
+
+const PAYMENT_COLUMNS = 'id, reference, matric, gateway, amount_kobo, currency, status, authorization_url, created_at, paid_at';
+
+const newReference = () => `CLR-${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`.toUpperCase();
+
+const fee = () => ({ amountKobo: FEE_KOBO, currency: CURRENCY });
+
+// The student's payment attempts, newest first, and whether their payment is confirmed.
+const forStudent = async (client, matric) => {
+  const { rows: students } = await client.query('SELECT COALESCE(paid, FALSE) AS paid FROM students WHERE matric = $1', [matric]);
+  if (students.length === 0) return null;
+  const { rows } = await client.query(
+    `SELECT ${PAYMENT_COLUMNS} FROM payments WHERE matric = $1 ORDER BY created_at DESC, id DESC`,
+    [matric]
+  );
+  return { paid: students[0].paid, fee: fee(), payments: rows };
+};
+
+// Starts a payment: records it and asks the gateway for a checkout page. Returns the payment row.
+const start = async (client, { matric, callbackUrl }) => {
+  if (!FEE_KOBO) throw new StatusError(503, 'Online payment is not available yet. Please contact the registry.');
+  const { rows: students } = await client.query('SELECT email, COALESCE(paid, FALSE) AS paid FROM students WHERE matric = $1', [matric]);
+  if (students.length === 0) throw new StatusError(404, 'Student not found.');
+  if (students[0].paid) throw new StatusError(409, 'Your payment is already confirmed.');
+
+  const reference = newReference();
+  const { rows } = await client.query(
+    `INSERT INTO payments (reference, matric, gateway, amount_kobo, currency)
+     VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+    [reference, matric, gateway.name, FEE_KOBO, CURRENCY]
+  );
+  let authorizationUrl;
+  try {
+    ({ authorizationUrl } = await gateway.initialize({
+      reference, amountKobo: FEE_KOBO, currency: CURRENCY, email: students[0].email, callbackUrl,
+    }));
+  } catch (err) {
+    console.error('Payment initialize error:', err);
+    await client.query("UPDATE payments SET status = 'failed', updated_at = NOW() WHERE id = $1", [rows[0].id]);
+    throw new StatusError(502, 'The payment service is not responding. Please try again later.');
+  }
+  const { rows: [payment] } = await client.query(
+    `UPDATE payments SET authorization_url = $1, updated_at = NOW() WHERE id = $2 RETURNING ${PAYMENT_COLUMNS}`,
+    [authorizationUrl, rows[0].id]
+  );
+  return payment;
+};
+
+// Records what the gateway said about a payment and applies it. Must be called inside a transaction.
+// `result` is { status, amountKobo, currency, paidAt, raw } from the adapter; `source` is 'webhook' or 'poll'.
+// A payment only succeeds if the gateway confirms the full amount in the right currency.
+// Returns the payment row, or null if the reference is not ours.
+const applyResult = async (client, reference, result, { source, actor }) => {
+  const { rows } = await client.query(`SELECT ${PAYMENT_COLUMNS} FROM payments WHERE reference = $1 FOR UPDATE`, [reference]);
+  const payment = rows[0];
+  if (!payment) return null;
+  await client.query(
+    'INSERT INTO payment_events (payment_id, source, status, payload) VALUES ($1, $2, $3, $4)',
+    [payment.id, source, result.status, result.raw || null]
+  );
+  // Only pending payments can change; repeated webhooks and polls after that are just recorded.
+  if (payment.status !== 'pending' || result.status === 'pending') return payment;
+
+  let status = result.status;
+  if (status === 'success' && (Number(result.amountKobo) < payment.amount_kobo || (result.currency && result.currency !== payment.currency))) {
+    console.error(`Payment ${reference}: gateway confirmed ${result.currency} ${result.amountKobo}, expected ${payment.currency} ${payment.amount_kobo}.`);
+    status = 'failed';
+  }
+  const { rows: [updated] } = await client.query(
+    `UPDATE payments SET status = $1, paid_at = $2, updated_at = NOW() WHERE id = $3 RETURNING ${PAYMENT_COLUMNS}`,
+    [status, status === 'success' ? result.paidAt || new Date() : null, payment.id]
+  );
+  if (status === 'success') {
+    await client.query('UPDATE students SET paid = TRUE WHERE matric = $1', [payment.matric]);
+    await events.publish(client, { type: 'certificate', matric: payment.matric });
+    await notifications.notifyIfCertificateReady(client, payment.matric);
+  }
+  await audit.record(client, {
+    actor, action: 'payment', matric: payment.matric,
+    details: { reference, status, amountKobo: payment.amount_kobo, source },
+  });
+  return updated;
+};
+
+// Handles a gateway webhook. Returns false if the signature is not genuine.
+const handleWebhook = async (rawBody, headers, body) => {
+  if (!rawBody || !gateway.isValidWebhook(rawBody, headers)) return false;
+  const result = gateway.parseWebhook(body);
+  if (result && result.reference) {
+    await db.transaction((client) => applyResult(client, result.reference, result, { source: 'webhook', actor: GATEWAY_ACTOR }));
+  }
+  return true;
+};
+
+// Asks the gateway for the latest status of one of the student's payments, applies it and returns the payment.
+const poll = async ({ matric, reference, actor }) => {
+  const { rows } = await db.query(`SELECT ${PAYMENT_COLUMNS} FROM payments WHERE reference = $1 AND matric = $2`, [reference, matric]);
+  const payment = rows[0];
+  if (!payment) throw new StatusError(404, 'Payment not found.');
+  if (payment.status !== 'pending') return payment;
+  let result;
+  try {
+    result = await gateway.verify(reference);
+  } catch (err) {
+    console.error('Payment verify error:', err);
+    throw new StatusError(502, 'The payment service is not responding. Please try again later.');
+  }
+  if (!result) return payment;
+  return db.transaction((client) => applyResult(client, reference, result, { source: 'poll', actor }));
+};
+
+module.exports = {
+  forStudent,
+  start,
+  handleWebhook,
+  poll,
+};
@@ -0,0 +1,48 @@
+// This file renders PDF pages as PNG images with pdf.js: the first page for upload thumbnails
+// (see uploadChecks.js), and any page for the reviewer workspace, which shows PDFs page by page so
+// they can be zoomed and rotated like photos.
+const path = require('path');
+
+// pdf.js is only published as an ES module, so it is imported on first use.
+let pdfjsPromise;
+const loadPdfjs = () => {
+  pdfjsPromise = pdfjsPromise || import('pdfjs-dist/legacy/build/pdf.mjs');
+  return pdfjsPromise;
+};
+const STANDARD_FONTS = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep;
+
+const open = async (buffer) => {
+  const pdfjs = await loadPdfjs();
+  return pdfjs.getDocument({
+    data: new Uint8Array(buffer), isEvalSupported: false, verbosity: 0, standardFontDataUrl: STANDARD_FONTS,
+  }).promise;
+};
+
+const countPages = async (buffer) => {
+  const pdf = await open(buffer);
+  try {
+    return pdf.numPages;
+  } finally {
+    await pdf.destroy();
+  }
+};
+
+// Renders page `page` (from 1; past the end gives the last page) about `width` pixels wide.
+// Resolves to the PNG.
+const renderPage = async (buffer, { page = 1, width }) => {
+  const pdf = await open(buffer);
+  try {
+    const pdfPage = await pdf.getPage(Math.min(Math.max(Math.floor(page) || 1, 1), pdf.numPages));
+    const viewport = pdfPage.getViewport({ scale: width / pdfPage.getViewport({ scale: 1 }).width });
+    const { canvas, context } = pdf.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    await pdfPage.render({ canvasContext: context, viewport }).promise;
+    return canvas.toBuffer('image/png');
+  } finally {
+    await pdf.destroy();
+  }
+};
+
+module.exports = {
+  countPages,
+  renderPage,
+};
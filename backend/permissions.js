@@ -0,0 +1,65 @@
+// This file lists what a staff role can allow, and answers whether a set of permissions allows an action.
+// A role grants permissions; the document permissions are granted per document type ('*' for every type):
+//   view          see the document type in the review queues, with its files and upload history
+//   verify        verify it (or, for physical documents, confirm it was handed in)
+//   reject        reject it with a reason
+// The other permissions are not about a document type, and are always granted with '*':
+//   override      override a student's certificate readiness
+//   collection    run the collection desk and manage collection days
+//   requirements  edit the document requirements
+//   import        import registry CSV files
+//   audit         browse the audit log
+//   manage_users  manage staff accounts and roles
+//   manage_claims see every officer's review throughput and release other officers' claims (see claims.js)
+// The built-in super_admin role has every permission, including ones added later, and cannot be edited.
+const DOCUMENT_PERMISSIONS = ['view', 'verify', 'reject'];
+const GENERAL_PERMISSIONS = ['override', 'collection', 'requirements', 'import', 'audit', 'manage_users', 'manage_claims'];
+const PERMISSIONS = [...DOCUMENT_PERMISSIONS, ...GENERAL_PERMISSIONS];
+const ALL = '*';
+const SUPER_ADMIN = 'super_admin';
+
+// Permissions are passed around as { permission: [docType or '*', ...] }, e.g.
+// { view: ['certificate_payment_receipt'], verify: ['certificate_payment_receipt'], audit: ['*'] }.
+const everything = () => Object.fromEntries(PERMISSIONS.map((permission) => [permission, [ALL]]));
+
+// Builds the permissions of `role` from its staff_role_permissions rows ({ permission, doc_type }).
+const fromGrants = (role, grants) => {
+  if (role === SUPER_ADMIN) return everything();
+  const permissions = {};
+  for (const { permission, doc_type: docType } of grants) {
+    permissions[permission] = [...(permissions[permission] || []), docType];
+  }
+  return permissions;
+};
+
+// Whether `permissions` allow `permission` for `docType`. Without a docType it asks whether the
+// permission is granted for any document type at all, e.g. whether to show a review queue.
+const allows = (permissions, permission, docType) => {
+  const scopes = permissions[permission] || [];
+  if (docType === undefined) return scopes.length > 0;
+  return scopes.includes(ALL) || scopes.includes(docType);
+};
+
+// The document types `permission` is granted for: null for every type, otherwise a list (maybe empty).
+const docTypesFor = (permissions, permission) => {
+  const scopes = permissions[permission] || [];
+  return scopes.includes(ALL) ? null : scopes;
+};
+
+// An SQL condition that is true when the staff account `s` has the permission in the parameter
+// `permissionParam` for the document type in `docTypeParam` (e.g. '$4' and '$5').
+const grantedSql = (permissionParam, docTypeParam) => `(s.role = '${SUPER_ADMIN}' OR EXISTS (
+  SELECT 1 FROM staff_role_permissions p
+  WHERE p.role = s.role AND p.permission = ${permissionParam} AND p.doc_type IN ('${ALL}', ${docTypeParam})))`;
+
+module.exports = {
+  DOCUMENT_PERMISSIONS,
+  GENERAL_PERMISSIONS,
+  PERMISSIONS,
+  ALL,
+  SUPER_ADMIN,
+  fromGrants,
+  allows,
+  docTypesFor,
+  grantedSql,
+};
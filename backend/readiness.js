@@ -0,0 +1,60 @@
+// This file works out whether a student's certificate is ready for collection.
+// Readiness comes from the certificate_readiness view: every requirement that applies to the
+// student verified (including physically submitted ones like the ID card, and every file of those
+// that take several) and payment confirmed, unless an admin has overridden it.
+const events = require('./events');
+
+// Returns { isReady, computedReady, override, checklist } for a student, or null if there is no such student.
+// `checklist` lists every condition with `done`, so the student can see what still blocks the certificate.
+const forStudent = async (client, matric) => {
+  const { rows } = await client.query('SELECT * FROM certificate_readiness WHERE matric = $1', [matric]);
+  if (rows.length === 0) return null;
+  const readiness = rows[0];
+
+  const { rows: docs } = await client.query(
+    `SELECT r.doc_type, r.label, rs.status, rs.files, rs.files_verified
+     FROM requirement_status rs
+     JOIN document_requirements r ON r.doc_type = rs.doc_type
+     WHERE rs.matric = $1
+     ORDER BY r.sort_order, r.doc_type`,
+    [matric]
+  );
+  const { rows: overrides } = await client.query('SELECT * FROM certificate_overrides WHERE matric = $1', [matric]);
+
+  return {
+    isReady: readiness.is_ready,
+    computedReady: readiness.computed_ready,
+    override: overrides[0] || null,
+    checklist: [
+      ...docs.map((doc) => ({
+        key: doc.doc_type,
+        label: Number(doc.files) > 1
+          ? `${doc.label} verified (${doc.files_verified} of ${doc.files} files)`
+          : `${doc.label} verified`,
+        done: doc.status === 'verified',
+        status: doc.status,
+      })),
+      { key: 'payment', label: 'Clearance payment confirmed', done: readiness.payment_confirmed },
+    ],
+  };
+};
+
+// Sets (ready: true/false) or clears (ready: null) the admin override for a student.
+const setOverride = async (client, { matric, ready, reason, setBy }) => {
+  if (ready === null) {
+    await client.query('DELETE FROM certificate_overrides WHERE matric = $1', [matric]);
+  } else {
+    await client.query(
+      `INSERT INTO certificate_overrides (matric, ready, reason, set_by) VALUES ($1, $2, $3, $4)
+       ON CONFLICT (matric) DO UPDATE SET ready = EXCLUDED.ready, reason = EXCLUDED.reason,
+         set_by = EXCLUDED.set_by, set_at = NOW()`,
+      [matric, ready, reason, setBy]
+    );
+  }
+  await events.publish(client, { type: 'certificate', matric });
+};
+
+module.exports = {
+  forStudent,
+  setOverride,
+};
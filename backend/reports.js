@@ -0,0 +1,185 @@
+// This file builds the clearance reports admins send to the registry, and writes them as CSV or XLSX.
+// Each report is a list of columns and rows, so every format is produced from the same query.
+const { stringify } = require('csv-stringify/sync');
+const ExcelJS = require('exceljs');
+const { StatusError } = require('./docStatus');
+const appointments = require('./appointments');
+const { slotLabel } = require('./requirements');
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+};
+
+// "notified" is a physical document the student has reported as submitted (see docStatus.stateOf).
+const STATUSES = ['pending', 'notified', 'uploaded', 'verified', 'rejected'];
+const BOOLEAN_FILTERS = { yes: true, no: false };
+
+// Reads the report filters from a query string:
+//   docType: one doc type, or several separated by commas
+//   status:  one of STATUSES
+//   paid, ready: yes | no
+//   search:  part of a matric number
+//   prefix:  the start of a matric number (e.g. "2019/1/")
+//   day:     a collection day (YYYY-MM-DD), for the appointments report
+// Throws a StatusError for values it does not understand rather than silently ignoring them.
+const parseFilters = (query) => {
+  const filters = {};
+  if (query.docType) filters.docTypes = String(query.docType).split(',').map((type) => type.trim()).filter(Boolean);
+  if (query.status) {
+    if (!STATUSES.includes(query.status)) throw new StatusError(400, `status must be one of: ${STATUSES.join(', ')}.`);
+    filters.status = query.status;
+  }
+  for (const name of ['paid', 'ready']) {
+    if (query[name]) {
+      if (!(query[name] in BOOLEAN_FILTERS)) throw new StatusError(400, `${name} must be yes or no.`);
+      filters[name] = BOOLEAN_FILTERS[query[name]];
+    }
+  }
+  if (query.search) filters.search = String(query.search).trim();
+  if (query.prefix) filters.prefix = String(query.prefix).trim();
+  if (query.day) filters.day = String(query.day);
+  return filters;
+};
+
+// Limits the docType filter to `visibleDocTypes`, the document types the caller may view (null for all).
+const restrictDocTypes = (filters, visibleDocTypes) => {
+  if (!visibleDocTypes) return filters;
+  const docTypes = filters.docTypes ? filters.docTypes.filter((type) => visibleDocTypes.includes(type)) : visibleDocTypes;
+  return { ...filters, docTypes };
+};
+
+// A document's status as shown to admins (one of STATUSES), for a clearance_data row `c` joined to
+// its requirement `r`.
+const DOCUMENT_STATUS_SQL = `CASE WHEN r.is_physical AND COALESCE(c.status, 'pending') = 'pending' AND c.notified_admin::text = 'true'
+  THEN 'notified' ELSE COALESCE(c.status, 'pending') END`;
+
+// One row per student per file expected for the requirements that apply to them (see the student_files
+// view), with the latest submission's details. `file` names the slot of requirements that take several.
+const DOCUMENT_COLUMNS = [
+  { key: 'matric', header: 'Matric', width: 16 },
+  { key: 'email', header: 'Email', width: 28 },
+  { key: 'faculty', header: 'Faculty', width: 14 },
+  { key: 'entry_mode', header: 'Entry mode', width: 12 },
+  { key: 'paid', header: 'Paid', width: 8 },
+  { key: 'certificate_ready', header: 'Certificate ready', width: 16 },
+  { key: 'document', header: 'Document', width: 30 },
+  { key: 'file', header: 'File', width: 12 },
+  { key: 'status', header: 'Status', width: 12 },
+  { key: 'rejection_reason', header: 'Rejection reason', width: 30 },
+  { key: 'uploaded_at', header: 'Last uploaded', width: 20 },
+  { key: 'reviewed_by', header: 'Reviewed by', width: 14 },
+  { key: 'reviewed_at', header: 'Reviewed at', width: 20 },
+];
+
+const documents = async (client, filters) => {
+  const conditions = [];
+  const params = [];
+  const add = (condition, value) => {
+    params.push(value);
+    conditions.push(condition.replace('?', `$${params.length}`));
+  };
+  if (filters.docTypes) add('d.doc_type = ANY(?)', filters.docTypes);
+  if (filters.status) add('d.status = ?', filters.status);
+  if (filters.paid !== undefined) add('d.paid = ?', filters.paid);
+  if (filters.ready !== undefined) add('d.certificate_ready = ?', filters.ready);
+  if (filters.search) add("d.matric ILIKE '%' || ? || '%'", filters.search);
+  if (filters.prefix) add("d.matric LIKE ? || '%'", filters.prefix.replace(/[\\%_]/g, '\\$&'));
+
+  const { rows } = await client.query(
+    `SELECT d.* FROM (
+       SELECT s.matric, s.email, s.faculty, s.entry_mode, COALESCE(s.paid, FALSE) AS paid,
+         COALESCE(cr.is_ready, FALSE) AS certificate_ready,
+         f.doc_type, r.label AS document, f.slot, r.sort_order,
+         array_position(r.slots, f.slot) AS slot_order,
+         ${DOCUMENT_STATUS_SQL} AS status,
+         c.rejection_reason, latest.uploaded_at, latest.reviewed_by, latest.reviewed_at
+       FROM student_files f
+       JOIN students s ON s.matric = f.matric
+       JOIN document_requirements r ON r.doc_type = f.doc_type
+       LEFT JOIN clearance_data c ON c.matric = f.matric AND c.doc_type = f.doc_type AND c.slot = f.slot
+       LEFT JOIN certificate_readiness cr ON cr.matric = s.matric
+       LEFT JOIN LATERAL (
+         SELECT uploaded_at, reviewed_by, reviewed_at FROM clearance_submissions cs
+         WHERE cs.matric = f.matric AND cs.doc_type = f.doc_type AND cs.slot = f.slot
+         ORDER BY uploaded_at DESC, id DESC LIMIT 1
+       ) latest ON TRUE
+     ) d
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY d.matric, d.sort_order, d.doc_type, d.slot_order, length(d.slot), d.slot`,
+    params
+  );
+  return rows.map((row) => ({ ...row, file: slotLabel(row.slot) }));
+};
+
+// The collection desk list for one day.
+const APPOINTMENT_COLUMNS = [
+  { key: 'day', header: 'Day', width: 12 },
+  { key: 'starts_at', header: 'From', width: 8 },
+  { key: 'ends_at', header: 'To', width: 8 },
+  { key: 'location', header: 'Location', width: 20 },
+  { key: 'matric', header: 'Matric', width: 16 },
+  { key: 'email', header: 'Email', width: 28 },
+  { key: 'status', header: 'Status', width: 12 },
+  { key: 'collected_at', header: 'Collected at', width: 20 },
+  { key: 'collected_by', header: 'Handed over by', width: 14 },
+];
+
+const appointmentList = async (client, filters) => {
+  const rows = await appointments.listForDay(client, filters.day);
+  return filters.search ? rows.filter((row) => row.matric.toLowerCase().includes(filters.search.toLowerCase())) : rows;
+};
+
+// `permission` is the staff permission needed to download the report (see permissions.js).
+const REPORTS = {
+  documents: { title: 'Clearance documents', columns: DOCUMENT_COLUMNS, load: documents, permission: 'view' },
+  appointments: { title: 'Collection appointments', columns: APPOINTMENT_COLUMNS, load: appointmentList, permission: 'collection' },
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (value instanceof Date) return value.toISOString().replace('T', ' ').slice(0, 19);
+  return value;
+};
+
+const toCsv = (columns, rows) => stringify(
+  rows.map((row) => columns.map((column) => formatValue(row[column.key]))),
+  { header: true, columns: columns.map((column) => column.header), bom: true }
+);
+
+const toXlsx = async (title, columns, rows) => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(title.slice(0, 31)); // Excel's limit for sheet names
+  sheet.columns = columns;
+  rows.forEach((row) => sheet.addRow(Object.fromEntries(columns.map((column) => [column.key, formatValue(row[column.key])]))));
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+  return workbook.xlsx.writeBuffer();
+};
+
+// Builds a report. `visibleDocTypes` limits the documents report as in restrictDocTypes.
+// Returns { filename, contentType, body, rowCount }.
+const build = async (client, name, format, query, { visibleDocTypes = null } = {}) => {
+  const report = REPORTS[name];
+  if (!report) throw new StatusError(404, `Unknown report. Use one of: ${Object.keys(REPORTS).join(', ')}.`);
+  if (!FORMATS[format]) throw new StatusError(400, `format must be one of: ${Object.keys(FORMATS).join(', ')}.`);
+  const rows = await report.load(client, restrictDocTypes(parseFilters(query), visibleDocTypes));
+  const body = format === 'csv' ? toCsv(report.columns, rows) : await toXlsx(report.title, report.columns, rows);
+  const date = new Date().toISOString().slice(0, 10);
+  return {
+    filename: `${name}-report-${date}.${format}`,
+    contentType: FORMATS[format].contentType,
+    body: Buffer.from(body),
+    rowCount: rows.length,
+  };
+};
+
+module.exports = {
+  REPORTS,
+  DOCUMENT_STATUS_SQL,
+  parseFilters,
+  restrictDocTypes,
+  build,
+};
@@ -0,0 +1,160 @@
+// This file manages the configurable document requirements and keeps every student's
+// clearance_data rows in line with the requirements that apply to them.
+// A requirement can take several files, each its own clearance_data row told apart by `slot`:
+//   - named slots (`slots`, e.g. one per academic session): each slot must be filled
+//   - otherwise up to `max_files` files: the first in slot '' and any extra ones in slots '2', '3', ...
+// Single-file requirements only use the slot ''. The requirement is verified once all its files are
+// (see the requirement_status view).
+
+// File types a requirement may accept, by extension, with the mimetype the upload must declare.
+const FILE_TYPES = {
+  pdf: 'application/pdf',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+};
+
+const list = async (client, { includeInactive = false } = {}) => {
+  const { rows } = await client.query(
+    `SELECT * FROM document_requirements ${includeInactive ? '' : 'WHERE active'} ORDER BY sort_order, doc_type`
+  );
+  return rows;
+};
+
+const get = async (client, docType) => {
+  const { rows } = await client.query('SELECT * FROM document_requirements WHERE doc_type = $1', [docType]);
+  return rows[0] || null;
+};
+
+// Adds rows for the files that are now expected (per the student_files view) and removes untouched rows for files that no
+// longer are. Rows that have been acted on (version > 0) are kept, so no upload or decision is lost.
+// Syncs one student when `matric` is given, otherwise every student. Returns { added, removed }.
+const sync = async (client, matric = null) => {
+  const inserted = await client.query(
+    `INSERT INTO clearance_data (matric, doc_type, slot)
+     SELECT matric, doc_type, slot FROM student_files
+     WHERE $1::text IS NULL OR matric = $1
+     ON CONFLICT (matric, doc_type, slot) DO NOTHING`,
+    [matric]
+  );
+  const deleted = await client.query(
+    `DELETE FROM clearance_data c
+     WHERE ($1::text IS NULL OR c.matric = $1)
+       AND c.status = 'pending' AND c.filename IS NULL AND c.version = 0
+       AND NOT EXISTS (
+         SELECT 1 FROM student_files f WHERE f.matric = c.matric AND f.doc_type = c.doc_type AND f.slot = c.slot
+       )`,
+    [matric]
+  );
+  return { added: inserted.rowCount, removed: deleted.rowCount };
+};
+
+// How a slot is named to people: '' (the only or first file) has no name, '2' is "file 2".
+const slotLabel = (slot) => {
+  if (!slot) return '';
+  return /^\d+$/.test(slot) ? `file ${slot}` : slot;
+};
+
+// Why `slot` cannot hold a file for `requirement`, or null if it can.
+const slotProblem = (requirement, slot) => {
+  if (requirement.slots) {
+    return requirement.slots.includes(slot) ? null : `Choose one of: ${requirement.slots.join(', ')}.`;
+  }
+  if (slot === '') return null;
+  const number = /^\d+$/.test(slot) ? Number(slot) : NaN;
+  if (number >= 2 && number <= requirement.max_files && String(number) === slot) return null;
+  return requirement.max_files > 1
+    ? `This document takes at most ${requirement.max_files} files.`
+    : 'This document takes a single file.';
+};
+
+// Makes sure the student has a row for an extra unnamed file before it is uploaded; sync only
+// creates the expected ones. Does nothing if the requirement does not apply to the student.
+const addSlot = (client, matric, docType, slot) => client.query(
+  `INSERT INTO clearance_data (matric, doc_type, slot)
+   SELECT matric, doc_type, $3 FROM student_requirements WHERE matric = $1 AND doc_type = $2
+   ON CONFLICT (matric, doc_type, slot) DO NOTHING`,
+  [matric, docType, slot]
+);
+
+// Checks and normalises a requirement sent by the admin screen.
+// Returns { requirement } or { error } with a message for the admin.
+const validate = (body) => {
+  const toList = (value) => {
+    const items = (Array.isArray(value) ? value : String(value || '').split(','))
+      .map((item) => String(item).trim())
+      .filter(Boolean);
+    return items.length > 0 ? items : null;
+  };
+  const label = String(body.label || '').trim();
+  if (!label) return { error: 'A label is required.' };
+  const isPhysical = Boolean(body.is_physical);
+  const acceptedTypes = (toList(body.accepted_types) || []).map((type) => type.toLowerCase());
+  const unknown = acceptedTypes.filter((type) => !FILE_TYPES[type]);
+  if (unknown.length > 0) {
+    return { error: `Unsupported file types: ${unknown.join(', ')}. Use ${Object.keys(FILE_TYPES).join(', ')}.` };
+  }
+  if (!isPhysical && acceptedTypes.length === 0) {
+    return { error: 'An uploaded document must accept at least one file type.' };
+  }
+  const maxSizeMb = Number(body.max_size_mb);
+  if (!Number.isInteger(maxSizeMb) || maxSizeMb < 1 || maxSizeMb > 50) {
+    return { error: 'The maximum size must be a whole number of MB between 1 and 50.' };
+  }
+  const slots = toList(body.slots);
+  const maxFiles = slots ? 1 : Number(body.max_files === undefined || body.max_files === '' ? 1 : body.max_files);
+  if (slots) {
+    // Plain numbers are the slots of unnamed files.
+    if (slots.some((slot) => /^\d+$/.test(slot) || slot.length > 40)) {
+      return { error: 'Slot names must be at most 40 characters and not just a number, e.g. 2019/2020.' };
+    }
+    if (new Set(slots).size !== slots.length) return { error: 'Each slot name must be different.' };
+    if (slots.length > 20) return { error: 'A document can have at most 20 slots.' };
+  }
+  if (!Number.isInteger(maxFiles) || maxFiles < 1 || maxFiles > 20) {
+    return { error: 'The number of files must be a whole number between 1 and 20.' };
+  }
+  if (isPhysical && (slots || maxFiles > 1)) {
+    return { error: 'A physically submitted document cannot take several files.' };
+  }
+  return {
+    requirement: {
+      label,
+      description: String(body.description || '').trim() || null,
+      accepted_types: acceptedTypes,
+      max_size_mb: maxSizeMb,
+      slots,
+      max_files: maxFiles,
+      is_physical: isPhysical,
+      faculties: toList(body.faculties),
+      entry_modes: toList(body.entry_modes),
+      sort_order: Number.parseInt(body.sort_order, 10) || 0,
+      active: body.active === undefined ? true : Boolean(body.active),
+    },
+  };
+};
+
+// Saves a validated requirement, creating it if `docType` is new. Returns the saved row.
+const save = async (client, docType, requirement) => {
+  const columns = Object.keys(requirement);
+  const { rows } = await client.query(
+    `INSERT INTO document_requirements (doc_type, ${columns.join(', ')})
+     VALUES ($1, ${columns.map((_, i) => `$${i + 2}`).join(', ')})
+     ON CONFLICT (doc_type) DO UPDATE SET ${columns.map((c) => `${c} = EXCLUDED.${c}`).join(', ')}
+     RETURNING *`,
+    [docType, ...Object.values(requirement)]
+  );
+  return rows[0];
+};
+
+module.exports = {
+  FILE_TYPES,
+  list,
+  get,
+  sync,
+  slotLabel,
+  slotProblem,
+  addSlot,
+  validate,
+  save,
+};
@@ -0,0 +1,79 @@
+// This file lists students for the admin dashboards, one page at a time. Filtering, sorting and paging
+// all happen in one SQL query, so the server never loads the whole graduating class.
+const { StatusError } = require('./docStatus');
+const reports = require('./reports');
+
+const SORTS = { matric: 'matric', email: 'email', paid: 'paid', ready: 'is_ready' };
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+// Takes the same filters as the documents report (see reports.parseFilters), plus:
+//   sort:   matric (default), email, paid or ready;  order: asc (default) or desc
+//   limit:  students per page (default 25, at most 100);  offset: students to skip
+// The document filters (docType, status) pick the students with at least one matching document.
+// Each student's `clearance` still holds all their documents, not only the matching ones, so the
+// dashboards can show a student's progress alongside the documents that need attention.
+// `visibleDocTypes` limits everything to the document types the caller may view (null for all of them):
+// other documents are left out of `clearance`, and students with none of those types are not listed.
+// Returns { students, total }.
+const search = async (client, query, { visibleDocTypes = null } = {}) => {
+  const filters = reports.restrictDocTypes(reports.parseFilters(query), visibleDocTypes);
+  const sort = SORTS[query.sort || 'matric'];
+  if (!sort) throw new StatusError(400, `sort must be one of: ${Object.keys(SORTS).join(', ')}.`);
+  const order = query.order === 'desc' ? 'DESC' : 'ASC';
+  // Postgres refuses negative or fractional LIMIT and OFFSET values, so out-of-range ones are clamped.
+  const limit = Math.min(Math.max(Math.trunc(Number(query.limit)) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const offset = Math.max(Math.trunc(Number(query.offset)) || 0, 0);
+
+  const params = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const conditions = [];
+  if (filters.paid !== undefined) conditions.push(`COALESCE(s.paid, FALSE) = ${param(filters.paid)}`);
+  if (filters.ready !== undefined) conditions.push(`COALESCE(cr.is_ready, FALSE) = ${param(filters.ready)}`);
+  if (filters.search) conditions.push(`s.matric ILIKE '%' || ${param(filters.search)} || '%'`);
+  // A prefix is matched case-sensitively with LIKE, so the students_matric_prefix_idx index can serve it.
+  if (filters.prefix) conditions.push(`s.matric LIKE ${param(filters.prefix.replace(/[\\%_]/g, '\\$&'))} || '%'`);
+
+  const docConditions = [];
+  if (filters.docTypes) docConditions.push(`c.doc_type = ANY(${param(filters.docTypes)})`);
+  if (filters.status) docConditions.push(`${reports.DOCUMENT_STATUS_SQL} = ${param(filters.status)}`);
+  if (docConditions.length > 0) {
+    conditions.push(
+      `EXISTS (SELECT 1 FROM clearance_data c JOIN document_requirements r ON r.doc_type = c.doc_type
+               WHERE c.matric = s.matric AND ${docConditions.join(' AND ')})`
+    );
+  }
+
+  const from = `FROM students s
+       LEFT JOIN certificate_readiness cr ON cr.matric = s.matric
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}`;
+  // Counted on its own so a page past the end still reports how many students match.
+  const { rows: [{ total }] } = await client.query(`SELECT COUNT(*)::int AS total ${from}`, [...params]);
+
+  const orderBy = `${sort} ${order}, matric ${order}`;
+  const { rows } = await client.query(
+    `WITH page AS (
+       SELECT s.matric, s.email, COALESCE(s.paid, FALSE) AS paid, COALESCE(cr.is_ready, FALSE) AS is_ready
+       ${from}
+       ORDER BY ${orderBy}
+       LIMIT ${param(limit)} OFFSET ${param(offset)}
+     )
+     SELECT page.*, COALESCE((
+       SELECT json_agg(to_jsonb(c) || jsonb_build_object('thumbnail', sub.thumbnail) ORDER BY c.doc_type, length(c.slot), c.slot)
+       FROM clearance_data c
+       LEFT JOIN clearance_submissions sub ON sub.filename = c.filename
+       WHERE c.matric = page.matric${visibleDocTypes ? ` AND c.doc_type = ANY(${param(visibleDocTypes)})` : ''}
+     ), '[]') AS clearance
+     FROM page
+     ORDER BY ${orderBy}`,
+    params
+  );
+  return { students: rows, total };
+};
+
+module.exports = {
+  search,
+};
@@ -0,0 +1,95 @@
+// Demo data for local development: a few students at different stages of clearance, and staff accounts
+// with different roles.
+// Run the migrations first, then:  npm run seed
+// Existing accounts are left alone, so the script can be re-run. It refuses to run with
+// NODE_ENV=production, because every demo account shares one well-known password.
+require('dotenv').config();
+const bcrypt = require('bcryptjs');
+const db = require('./db');
+const requirements = require('./requirements');
+
+const PASSWORD = process.env.SEED_PASSWORD || 'clearance-demo';
+
+// Roles besides the built-in super_admin, with their permissions (see permissions.js).
+const RECEIPTS = ['certificate_payment_receipt', 'school_fees_receipt'];
+const ROLES = [
+  { name: 'bursary', label: 'Bursary officer', permissions: { view: RECEIPTS, verify: RECEIPTS, reject: RECEIPTS } },
+  {
+    name: 'registry', label: 'Registry officer',
+    permissions: { view: ['*'], verify: ['statement_of_result', 'clearance_form'], reject: ['statement_of_result', 'clearance_form'], override: ['*'], import: ['*'], audit: ['*'] },
+  },
+  {
+    name: 'desk', label: 'Desk clerk',
+    permissions: { view: ['id_card'], verify: ['id_card'], collection: ['*'] },
+  },
+];
+
+const STAFF = [
+  { username: 'admin', name: 'Site Administrator', email: 'admin@example.com', role: 'super_admin' },
+  { username: 'bursary', name: 'Bursary Officer', email: 'bursary@example.com', role: 'bursary' },
+  { username: 'registry', name: 'Registry Officer', email: 'registry@example.com', role: 'registry' },
+  { username: 'admin.desk', name: 'Desk Clerk', email: 'desk@example.com', role: 'desk' },
+];
+
+// `verified` lists the documents to mark verified, to show students part-way through clearance.
+const STUDENTS = [
+  { matric: '2019/1/00001CS', email: 'ada@example.com', faculty: 'SICT', entry_mode: 'UTME', paid: false, verified: [] },
+  { matric: '2019/1/00002CS', email: 'bayo@example.com', faculty: 'SICT', entry_mode: 'UTME', paid: true, verified: ['statement_of_result', 'school_fees_receipt'] },
+  { matric: '2019/1/00003EE', email: 'chioma@example.com', faculty: 'SEET', entry_mode: 'Direct Entry', paid: true, verified: [] },
+  {
+    matric: '2019/1/00004EE', email: 'dayo@example.com', faculty: 'SEET', entry_mode: 'UTME', paid: true,
+    verified: ['statement_of_result', 'school_fees_receipt', 'clearance_form', 'certificate_payment_receipt', 'id_card'],
+  },
+];
+
+const main = async () => {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('Refusing to seed demo accounts with NODE_ENV=production.');
+  }
+  const passwordHash = await bcrypt.hash(PASSWORD, 10);
+  await db.transaction(async (client) => {
+    for (const role of ROLES) {
+      const { rowCount } = await client.query(
+        'INSERT INTO staff_roles (name, label) VALUES ($1, $2) ON CONFLICT (name) DO NOTHING',
+        [role.name, role.label]
+      );
+      if (rowCount === 0) continue; // keep any changes made on the roles screen
+      for (const [permission, docTypes] of Object.entries(role.permissions)) {
+        for (const docType of docTypes) {
+          await client.query('INSERT INTO staff_role_permissions (role, permission, doc_type) VALUES ($1, $2, $3)', [role.name, permission, docType]);
+        }
+      }
+    }
+    for (const member of STAFF) {
+      await client.query(
+        `INSERT INTO staff (username, name, email, password_hash, role) VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (username) DO NOTHING`,
+        [member.username, member.name, member.email, passwordHash, member.role]
+      );
+    }
+    for (const student of STUDENTS) {
+      const { rowCount } = await client.query(
+        `INSERT INTO students (matric, email, password_hash, paid, faculty, entry_mode)
+         VALUES ($1, $2, $3, $4, $5, $6) ON CONFLICT (matric) DO NOTHING`,
+        [student.matric, student.email, passwordHash, student.paid, student.faculty, student.entry_mode]
+      );
+      if (rowCount === 0) continue; // already seeded; don't touch its clearance
+      await requirements.sync(client, student.matric);
+      // Demo progress is set directly rather than through the review flow, so there are no files behind it.
+      await client.query(
+        "UPDATE clearance_data SET status = 'verified', version = version + 1 WHERE matric = $1 AND doc_type = ANY($2)",
+        [student.matric, student.verified]
+      );
+    }
+  });
+  console.log(`Seeded ${STAFF.length} staff and ${STUDENTS.length} students. Password for all of them: ${PASSWORD}`);
+  console.log(`Staff: ${STAFF.map((member) => `${member.username} (${member.role})`).join(', ')}`);
+  console.log(`Students: ${STUDENTS.map((student) => student.matric).join(', ')}`);
+};
+
+main()
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.end());
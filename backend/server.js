@@ -3,119 +3,443 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const multer = require('multer');
-const bcrypt = require('bcryptjs');
 const db = require('./db'); // The new database connection file
+const {
+  issueToken, issueFileToken, verifyFileToken, issueEventsTicket, verifyEventsTicket,
+  authenticate, requirePasswordChanged, loadStaff, requireAdmin, requirePermission, requireSelfOrStaff,
+} = require('./auth');
+const { REVIEW_ACTIONS, StatusError, stateOf, transition } = require('./docStatus');
+const audit = require('./audit');
+const requirements = require('./requirements');
+const readiness = require('./readiness');
+const appointments = require('./appointments');
+const importer = require('./importer');
+const reports = require('./reports');
+const roster = require('./roster');
+const payments = require('./payments');
+const notifications = require('./notifications');
+const accounts = require('./accounts');
+const staff = require('./staff');
+const permissions = require('./permissions');
+const throttle = require('./throttle');
+const storage = require('./storage');
+const fileRetention = require('./fileRetention');
+const uploadChecks = require('./uploadChecks');
+const pdfPages = require('./pdfPages');
+const events = require('./events');
+const clearanceSlips = require('./clearanceSlips');
+const claims = require('./claims');
+const { mockRouter } = require('./paymentGateways');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 // --- Middleware ---
+// On Render the app sits behind one proxy; trusting it makes req.ip the client's address, which the
+// login throttling relies on. Set TRUST_PROXY_HOPS=0 when the server is reached directly.
+app.set('trust proxy', Number(process.env.TRUST_PROXY_HOPS || 1));
 app.use(cors());
-app.use(express.json());
+// Keep the raw body as well: payment webhooks are signed over the exact bytes the gateway sent.
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 // Serve the static files from the React app
 app.use(express.static(path.join(__dirname, '../build')));
-// Serve uploaded files statically
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Uploaded files are NOT served statically: they are only reachable through signed links (see below).
 
 
 // --- File Upload Configuration (Multer) ---
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, path.join(__dirname, 'uploads/'));
-  },
-  filename: (req, file, cb) => {
-    // Create a unique filename to avoid conflicts
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
-  },
-});
-
+// Uploads are held in memory and saved to the configured storage (see storage.js) once they are checked.
+// Accepts only the file types allowed by the requirement being uploaded for (set on `req.requirement`).
+// This only looks at the name and declared type; uploadChecks.js then checks the content itself.
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = /jpeg|jpg|png|pdf/;
-  const mimetype = allowedTypes.test(file.mimetype);
-  const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-  if (mimetype && extname) {
+  const allowedTypes = req.requirement.accepted_types;
+  const extension = path.extname(file.originalname).toLowerCase().slice(1);
+  if (allowedTypes.includes(extension) && requirements.FILE_TYPES[extension] === file.mimetype) {
     return cb(null, true);
   }
-  cb(new Error('Invalid file type. Only JPG, PNG, and PDF are allowed.'));
+  cb(new Error(`Invalid file type. Only ${allowedTypes.map(t => t.toUpperCase()).join(', ')} files are allowed.`));
 };
 
+// The per-requirement size limit is checked after the upload; this is only the hard ceiling.
+const MAX_UPLOAD_MB = 50;
+
 const upload = multer({
-  storage: storage,
-  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024 },
   fileFilter: fileFilter,
 }).single('file');
 
+// CSV imports are parsed in memory and never written to disk.
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 }, // 2MB limit
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.csv') {
+      return cb(null, true);
+    }
+    cb(new Error('Invalid file type. Only CSV files are allowed.'));
+  },
+}).single('file');
+
+// Sends a StatusError's status and message, or a generic 500 for anything else.
+const sendError = (res, err, context) => {
+    if (err instanceof StatusError) {
+        return res.status(err.status).json({ message: err.message });
+    }
+    console.error(`${context}:`, err);
+    res.status(500).json({ message: 'Server error' });
+};
+
 
 // --- API Routes ---
 
+// Sent for every failed login, whatever the reason, so the response does not reveal which matric numbers exist.
+const LOGIN_FAILED_MESSAGE = 'Invalid matric number or password.';
+
+// Refuses the request with 429 if any of the throttle `keys` is locked. Returns true if it did.
+const rejectIfLocked = async (res, keys) => {
+  const seconds = await throttle.lockedFor(db, keys);
+  if (seconds === 0) return false;
+  res.set('Retry-After', String(seconds));
+  res.status(429).json({ message: `Too many attempts. Please try again in ${Math.ceil(seconds / 60)} minutes.` });
+  return true;
+};
+
 // 1. User Login
+// Failed attempts are counted per matric and per IP address; too many lock further attempts for a while.
 app.post('/api/login', async (req, res) => {
   const { matric, password } = req.body;
+  if (typeof matric !== 'string' || !matric || typeof password !== 'string') {
+    return res.status(400).json({ message: 'Enter your matric number and password.' });
+  }
+  const keys = [['account', matric], ['ip', req.ip]];
   try {
-    const { rows } = await db.query('SELECT * FROM students WHERE matric = $1', [matric]);
-    if (rows.length === 0) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-    const user = rows[0];
-    const isMatch = await bcrypt.compare(password, user.password_hash);
-    if (!isMatch) {
-      return res.status(401).json({ message: 'Invalid credentials' });
-    }
-    // Don't send the password hash back to the client
-    delete user.password_hash;
-    res.json({ message: 'Login successful', user });
+    if (await rejectIfLocked(res, keys)) {
+      await audit.record(db, { actor: { matric }, action: 'login_failed', matric, details: { reason: 'locked', ip: req.ip } });
+      return;
+    }
+    const { user, reason } = await accounts.checkCredentials(db, matric, password);
+    if (!user) {
+      await throttle.hit(db, keys);
+      await audit.record(db, { actor: { matric }, action: 'login_failed', matric, details: { reason, ip: req.ip } });
+      return res.status(401).json({ message: LOGIN_FAILED_MESSAGE });
+    }
+    // Only the account's counter is reset: one valid login must not clear the failures of a whole IP.
+    await throttle.clear(db, [['account', matric]]);
+    // Staff also get their permissions, so the dashboard only shows what they can use.
+    if (user.role === 'admin') user.permissions = (await staff.forSession(db, user.matric)).permissions;
+    await audit.record(db, { actor: user, action: 'login', matric: user.matric });
+    res.json({ message: 'Login successful', user, token: issueToken(user) });
   } catch (err) {
     console.error('Login error:', err);
     res.status(500).json({ message: 'Server error during login' });
   }
 });
 
-// 2. Get Certificate Readiness Status for a student
-app.get('/api/status/:matric', async (req, res) => {
+// Activate an imported account with its one-time code and choose a password
+app.post('/api/activate', async (req, res) => {
+  const { matric, code, password } = req.body;
+  if (!matric || !code) {
+    return res.status(400).json({ message: 'Enter your matric number and activation code.' });
+  }
+  const problem = accounts.passwordProblem(password, matric);
+  if (problem) {
+    return res.status(400).json({ message: problem });
+  }
+  try {
+    if (await rejectIfLocked(res, [['ip', req.ip]])) return;
+    const activated = await db.transaction(async (client) => {
+      const ok = await importer.activate(client, { matric, code, password });
+      if (ok) {
+        await audit.record(client, { actor: { matric, role: 'student' }, action: 'activation', matric });
+      }
+      return ok;
+    });
+    if (!activated) {
+      await throttle.hit(db, [['ip', req.ip]]);
+      return res.status(400).json({ message: 'This activation code is invalid, expired or already used.' });
+    }
+    res.json({ message: 'Account activated. You can now log in.' });
+  } catch (err) {
+    console.error('Activation error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Email a password reset link. The answer is the same whether or not the matric exists.
+app.post('/api/password-reset/request', async (req, res) => {
+  const { matric } = req.body;
+  if (typeof matric !== 'string' || !matric) {
+    return res.status(400).json({ message: 'Enter your matric number.' });
+  }
+  try {
+    if (await rejectIfLocked(res, [['reset', matric], ['ip', req.ip]])) return;
+    await db.transaction(async (client) => {
+      await throttle.hit(client, [['reset', matric]]);
+      if (await accounts.requestReset(client, matric)) {
+        await audit.record(client, { actor: { matric }, action: 'password_reset_requested', matric, details: { ip: req.ip } });
+      }
+    });
+    res.json({ message: 'If that account exists and has an email address, a reset link is on its way. It expires in one hour.' });
+  } catch (err) {
+    sendError(res, err, 'Password reset request error');
+  }
+});
+
+// Choose a new password with the token from a reset link
+app.post('/api/password-reset/confirm', async (req, res) => {
+  const { token, password } = req.body;
+  try {
+    await db.transaction(async (client) => {
+      const matric = await accounts.confirmReset(client, { token, password });
+      await throttle.clear(client, [['account', matric]]);
+      await audit.record(client, { actor: { matric }, action: 'password_change', matric, details: { via: 'reset' } });
+    });
+    res.json({ message: 'Your password has been changed. You can now log in.' });
+  } catch (err) {
+    sendError(res, err, 'Password reset error');
+  }
+});
+
+// Payment gateway webhook. The gateway cannot log in, so it sits above the session check;
+// the HMAC signature over the raw body is what proves the request came from the gateway.
+app.post('/api/payments/webhook', async (req, res) => {
     try {
-        const { rows } = await db.query('SELECT 1 FROM certificates_ready WHERE matric = $1', [req.params.matric]);
-        res.json({ isReady: rows.length > 0 });
+        const accepted = await payments.handleWebhook(req.rawBody, req.headers, req.body);
+        if (!accepted) {
+            return res.status(401).json({ message: 'Invalid signature' });
+        }
+        res.sendStatus(200);
     } catch (err) {
-        console.error('Status check error:', err);
+        // A non-2xx answer makes the gateway retry later.
+        console.error('Payment webhook error:', err);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
-// 3. Get all clearance documents for a student
-app.get('/api/clearance/:matric', async (req, res) => {
+// Where the gateway sends the student back after checkout. Payment runs in its own tab,
+// so this only tells them to return to the clearance site, which picks up the result itself.
+app.get('/api/payments/return', (req, res) => {
+    res.send('<!doctype html><p style="font-family: sans-serif; text-align: center; margin-top: 4rem;">'
+        + 'Thank you. You can close this tab and return to the clearance site.</p>');
+});
+
+if (mockRouter) {
+    app.use('/mock-gateway', mockRouter);
+}
+
+// Pages of a PDF shown by the reviewer workspace are rendered this wide, so zooming in stays sharp.
+const PAGE_IMAGE_WIDTH = 1600;
+
+const readStream = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+};
+
+// Serve a file through a signed link issued by route 5.
+// This sits above the session check because <img>, <iframe> and download links cannot send the
+// Authorization header; the short-lived signed token in the URL is the credential instead.
+// PDFs can also be fetched a page at a time as PNG images (?page=N), and ?pages=1 returns
+// { pageCount }; the reviewer workspace uses these to zoom and rotate PDFs like photos.
+app.get('/api/files/signed/:token', async (req, res) => {
+    const link = verifyFileToken(req.params.token);
+    if (!link) {
+        return res.status(403).send('This link is invalid or has expired.');
+    }
+    try {
+        // The file must still belong to that document, either as its current file or as an earlier
+        // version (or the thumbnail of one) that has not been removed yet.
+        const { rows } = await db.query(
+            `SELECT 1 FROM clearance_data WHERE matric = $1 AND doc_type = $2 AND filename = $3
+             UNION ALL
+             SELECT 1 FROM clearance_submissions
+             WHERE matric = $1 AND doc_type = $2 AND $3 IN (filename, thumbnail) AND file_purged_at IS NULL`,
+            [link.matric, link.docType, link.filename]
+        );
+        const file = rows.length > 0 && storage.isValidKey(link.filename) && await storage.open(link.filename);
+        if (!file) {
+            return res.status(404).send('File not found.');
+        }
+        const extension = path.extname(link.filename).toLowerCase();
+        if (extension === '.pdf' && (req.query.page || req.query.pages)) {
+            const buffer = await readStream(file.stream);
+            if (req.query.pages) {
+                return res.json({ pageCount: await pdfPages.countPages(buffer) });
+            }
+            const image = await pdfPages.renderPage(buffer, { page: Number(req.query.page), width: PAGE_IMAGE_WIDTH });
+            // The link expires within minutes anyway, so the browser may keep the page while it is open.
+            res.set('Cache-Control', 'private, max-age=300');
+            return res.type('image/png').send(image);
+        }
+        res.type(requirements.FILE_TYPES[extension.slice(1)] || 'application/octet-stream');
+        if (file.size !== undefined) res.set('Content-Length', String(file.size));
+        if (req.query.download) {
+            res.attachment(`${link.matric}-${link.docType}${extension}`);
+        }
+        file.stream.on('error', (err) => {
+            console.error('Signed file stream error:', err);
+            res.destroy(err);
+        });
+        file.stream.pipe(res);
+    } catch (err) {
+        console.error('Signed file error:', err);
+        res.status(500).send('Server error');
+    }
+});
+
+// Check a clearance slip by its code (see clearanceSlips.js); the QR code on the slip opens the page that
+// calls this. It sits above the session check because whoever checks a slip may not have an account.
+// Unknown codes count against the caller's address, so codes cannot be found by guessing.
+app.get('/api/verify/:code', async (req, res) => {
+    const keys = [['verify', req.ip]];
     try {
-        // Check if records exist, if not, create them
-        let { rows } = await db.query('SELECT * FROM clearance_data WHERE matric = $1', [req.params.matric]);
-        
-        if (rows.length === 0) {
-            // First time this student is logging in, create their default records
-            const docTypes = ['statement_of_result', 'school_fees_receipt', 'clearance_form', 'certificate_payment_receipt', 'id_card'];
-            const client = await db.getClient();
-            try {
-                await client.query('BEGIN');
-                for (const docType of docTypes) {
-                    await client.query('INSERT INTO clearance_data (matric, doc_type) VALUES ($1, $2)', [req.params.matric, docType]);
-                }
-                await client.query('COMMIT');
-            } catch (e) {
-                await client.query('ROLLBACK');
-                throw e;
-            } finally {
-                client.release();
+        if (await rejectIfLocked(res, keys)) return;
+        const slip = await clearanceSlips.verify(db, req.params.code);
+        if (!slip) {
+            await throttle.hit(db, keys);
+            return res.status(404).json({ message: 'No clearance slip has this code. Check it was typed correctly.' });
+        }
+        res.json(slip);
+    } catch (err) {
+        sendError(res, err, 'Slip verification error');
+    }
+});
+
+// Live updates (see events.js), opened with a ticket from the route below. Like signed file links
+// this sits above the session check, because EventSource cannot send the Authorization header.
+app.get('/api/events', async (req, res) => {
+    const ticket = verifyEventsTicket(String(req.query.ticket || ''));
+    if (!ticket) {
+        return res.status(403).json({ message: 'This event stream ticket is invalid or has expired.' });
+    }
+    try {
+        const user = { ...ticket.user };
+        // Staff only hear about the documents their role lets them view.
+        if (user.role === 'admin') {
+            const account = await staff.forSession(db, user.matric);
+            if (!account) {
+                return res.status(403).json({ message: 'This staff account has been deactivated.' });
             }
-             // Fetch the newly created rows
-            ({ rows } = await db.query('SELECT * FROM clearance_data WHERE matric = $1', [req.params.matric]));
+            user.permissions = account.permissions;
         }
-        res.json(rows);
+        events.subscribe(user, res, ticket.sessionExpiresAt);
+    } catch (err) {
+        sendError(res, err, 'Event stream error');
+    }
+});
+
+// Every route below the login requires a valid session token, and staff an active account.
+// Admin routes additionally require a staff account, and most of them a permission (see permissions.js).
+app.use('/api', authenticate);
+app.use('/api', loadStaff);
+
+// The logged-in user, for restoring a session when the page is reloaded. Like the password change
+// below it is open to users who must still change their password, so the app can send them there.
+app.get('/api/session', async (req, res) => {
+    try {
+        const user = await accounts.getUser(db, req.user.matric);
+        if (!user) {
+            return res.status(401).json({ message: 'Session expired or invalid. Please log in again.' });
+        }
+        if (req.staff) user.permissions = req.staff.permissions;
+        res.json({ user });
+    } catch (err) {
+        console.error('Session lookup error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Change the logged-in user's password. This is the one route open to users who must change
+// their initial password, so it comes before requirePasswordChanged. Returns a fresh session.
+app.post('/api/account/password', async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+    try {
+        const user = await db.transaction(async (client) => {
+            await accounts.changePassword(client, { matric: req.user.matric, currentPassword, newPassword });
+            await audit.record(client, { actor: req.user, action: 'password_change', matric: req.user.matric, details: { via: 'change' } });
+            return accounts.getUser(client, req.user.matric);
+        });
+        if (req.staff) user.permissions = req.staff.permissions;
+        res.json({ message: 'Your password has been changed.', user, token: issueToken(user) });
+    } catch (err) {
+        sendError(res, err, 'Password change error');
+    }
+});
+
+app.use('/api', requirePasswordChanged);
+
+// A one-minute ticket for opening the live event stream.
+app.post('/api/events/ticket', (req, res) => {
+    res.json({ ticket: issueEventsTicket(req.user, req.sessionExpiresAt) });
+});
+app.use('/api/admin', requireAdmin);
+
+// Active document requirements (labels, accepted file types, size limits) for any logged-in user
+app.get('/api/requirements', async (req, res) => {
+    try {
+        res.json(await requirements.list(db));
+    } catch (err) {
+        console.error('Requirements fetch error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// 2. Get Certificate Readiness Status for a student, with the checklist of what is still outstanding
+app.get('/api/status/:matric', requireSelfOrStaff(), async (req, res) => {
+    try {
+        const status = await readiness.forStudent(db, req.params.matric);
+        if (!status) {
+            return res.status(404).json({ message: 'Student not found' });
+        }
+        res.json(status);
+    } catch (err) {
+        console.error('Status check error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// 3. Get all clearance documents for a student, with the details of each requirement.
+// Requirements that take several files have a row per file, told apart by `slot` (see requirements.js).
+// Staff only get the documents their role lets them view; students do not see who is reviewing theirs.
+app.get('/api/clearance/:matric', requireSelfOrStaff(), async (req, res) => {
+    try {
+        // Make sure the student has a record for every requirement that applies to them
+        // (the first time they log in, or after the requirements have changed).
+        await db.transaction((client) => requirements.sync(client, req.params.matric));
+        const { rows } = await db.query(
+            `SELECT c.*, r.label, r.description, r.accepted_types, r.max_size_mb, r.is_physical, r.slots, r.max_files
+             FROM clearance_data c JOIN document_requirements r USING (doc_type)
+             WHERE c.matric = $1 AND r.active
+               -- Files in slots the requirement no longer has are left out (see the student_files view).
+               AND (c.slot = ANY(r.slots) OR (r.slots IS NULL AND (c.slot = '' OR c.status <> 'pending')))
+             ORDER BY r.sort_order, c.doc_type, array_position(r.slots, c.slot), length(c.slot), c.slot`,
+            [req.params.matric]
+        );
+        res.json(req.staff
+            ? rows.filter((row) => permissions.allows(req.staff.permissions, 'view', row.doc_type))
+            : rows.map(({ claimed_by, claimed_until, ...row }) => row));
     } catch (err) {
         console.error('Clearance data fetch error:', err);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
-// 4. File Upload
-app.post('/api/upload/:matric/:docType', (req, res) => {
+// 4. File Upload. For requirements that take several files, ?slot= says which file this is.
+app.post('/api/upload/:matric/:docType', requireSelfOrStaff('verify'), async (req, res) => {
+  try {
+    req.requirement = await requirements.get(db, req.params.docType);
+  } catch (err) {
+    console.error('Requirement lookup error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  }
+  if (!req.requirement || !req.requirement.active || req.requirement.is_physical) {
+    return res.status(400).json({ message: 'This document cannot be uploaded.' });
+  }
+  const slot = String(req.query.slot || '');
+  const slotProblem = requirements.slotProblem(req.requirement, slot);
+  if (slotProblem) {
+    return res.status(400).json({ message: slotProblem });
+  }
   upload(req, res, async (err) => {
     if (err) {
       // Handle Multer errors (e.g., file size, type)
@@ -124,112 +448,866 @@ app.post('/api/upload/:matric/:docType', (req, res) => {
     if (!req.file) {
       return res.status(400).json({ message: 'No file uploaded.' });
     }
+    if (req.file.size > req.requirement.max_size_mb * 1024 * 1024) {
+      return res.status(400).json({ message: `File is too large. Maximum size is ${req.requirement.max_size_mb}MB.` });
+    }
     
+    let checked;
     try {
-        const { matric, docType } = req.params;
-        const filename = req.file.filename;
-        await db.query(
-            'UPDATE clearance_data SET status = $1, filename = $2 WHERE matric = $3 AND doc_type = $4',
-            ['uploaded', filename, matric, docType]
-        );
+        checked = await uploadChecks.inspect(req.file, req.requirement);
+    } catch (checkErr) {
+        return sendError(res, checkErr, 'Upload check error');
+    }
+
+    const { matric, docType } = req.params;
+    const filename = storage.newKey(checked.extension);
+    const thumbnail = checked.thumbnail ? filename.replace(/\.\w+$/, '-thumb.jpg') : null;
+    try {
+        await storage.save(filename, checked.buffer, checked.contentType);
+        if (thumbnail) await storage.save(thumbnail, checked.thumbnail, 'image/jpeg');
+    } catch (storageErr) {
+        console.error('File storage error:', storageErr);
+        return res.status(500).json({ message: 'Server error saving file.' });
+    }
+    try {
+        const replaced = await db.transaction(async (client) => {
+            // A new upload replaces the current file. The earlier one stays in the submission history
+            // until its retention period is over (see fileRetention.js).
+            await requirements.addSlot(client, matric, docType, slot);
+            const { before, after } = await transition(client, {
+                matric, docType, slot, action: 'upload',
+                changes: { filename, rejection_reason: null },
+            });
+            await audit.record(client, {
+                actor: req.user, action: 'upload', matric, docType,
+                oldStatus: before.status, newStatus: after.status,
+                details: { filename, originalName: req.file.originalname, replaced: before.filename, ...(slot && { slot }) },
+            });
+            await client.query(
+                'INSERT INTO clearance_submissions (matric, doc_type, slot, filename, thumbnail) VALUES ($1, $2, $3, $4, $5)',
+                [matric, docType, slot, filename, thumbnail]
+            );
+            await notifications.enqueue(client, { matric, template: 'upload_received', docType, slot });
+            await notifications.enqueueForAdmins(client, { template: 'admin_new_upload', docType, slot, data: { matric } });
+            if (before.filename) await fileRetention.discard(client, before.filename);
+            return before.filename;
+        });
+        fileRetention.afterDiscard(db, replaced);
         res.json({ message: 'File uploaded successfully', filename });
     } catch(dbErr) {
+        // The upload was refused, so don't keep the file that was already stored.
+        for (const key of [filename, thumbnail].filter(Boolean)) {
+            storage.remove(key).catch((err) => console.error('Could not remove refused upload:', err));
+        }
+        if (dbErr instanceof StatusError) {
+            return res.status(dbErr.status).json({ message: dbErr.message });
+        }
         console.error('File upload DB error:', dbErr);
         res.status(500).json({ message: 'Server error saving file info.' });
     }
   });
 });
 
-// 5. View a file (securely sends the file from the non-public folder)
-app.get('/api/view/:filename', (req, res) => {
-    const filePath = path.join(__dirname, 'uploads', req.params.filename);
-    res.sendFile(filePath, (err) => {
-        if (err) {
-            res.status(404).send('File not found.');
+// 5. Get short-lived view/download links for one of a student's documents (?slot= picks the file).
+// Pass ?submission=<id> to get links for an earlier version from the submission history.
+app.get('/api/files/:matric/:docType/link', requireSelfOrStaff('view'), async (req, res) => {
+    try {
+        const { matric, docType } = req.params;
+        const slot = String(req.query.slot || '');
+        const { rows } = req.query.submission
+            ? await db.query(
+                'SELECT filename, file_purged_at FROM clearance_submissions WHERE id = $1 AND matric = $2 AND doc_type = $3',
+                [req.query.submission, matric, docType]
+            )
+            : await db.query(
+                'SELECT filename FROM clearance_data WHERE matric = $1 AND doc_type = $2 AND slot = $3',
+                [matric, docType, slot]
+            );
+        if (rows.length === 0 || !rows[0].filename) {
+            return res.status(404).json({ message: 'No file has been uploaded for this document.' });
         }
-    });
-});
-
-// 6. Download a file
-app.get('/api/download/:filename', (req, res) => {
-    const filePath = path.join(__dirname, 'uploads', req.params.filename);
-    res.download(filePath, (err) => {
-        if (err) {
-            res.status(404).send('File not found.');
+        if (rows[0].file_purged_at) {
+            return res.status(410).json({ message: 'This earlier version has been removed from storage.' });
         }
-    });
+        const { filename } = rows[0];
+        const url = `/api/files/signed/${issueFileToken({ matric, docType, filename })}`;
+        res.json({ filename, viewUrl: url, downloadUrl: `${url}?download=1` });
+    } catch (err) {
+        console.error('File link error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
 });
 
-// 7. Delete a file
-app.delete('/api/delete/:matric/:docType', async (req, res) => {
-    // In a real app, you would also delete the file from the filesystem `fs.unlinkSync(filePath)`
+// 6. Delete a file (?slot= picks it, for requirements that take several)
+app.delete('/api/delete/:matric/:docType', requireSelfOrStaff('verify'), async (req, res) => {
+    const slot = String(req.query.slot || '');
     try {
-        await db.query(
-            "UPDATE clearance_data SET status = 'pending', filename = NULL WHERE matric = $1 AND doc_type = $2",
-            [req.params.matric, req.params.docType]
-        );
+        const deleted = await db.transaction(async (client) => {
+            // Verified documents can no longer be deleted; the transition rules refuse it.
+            const { before, after } = await transition(client, {
+                matric: req.params.matric, docType: req.params.docType, slot, action: 'delete',
+                changes: { filename: null, rejection_reason: null },
+            });
+            await audit.record(client, {
+                actor: req.user, action: 'delete', matric: req.params.matric, docType: req.params.docType,
+                oldStatus: before.status, newStatus: after.status, details: { filename: before.filename, ...(slot && { slot }) },
+            });
+            await client.query(
+                `UPDATE clearance_submissions SET status = 'withdrawn'
+                 WHERE matric = $1 AND doc_type = $2 AND slot = $3 AND status = 'uploaded'`,
+                [req.params.matric, req.params.docType, slot]
+            );
+            // The file itself is removed after the retention period (see fileRetention.js).
+            if (before.filename) await fileRetention.discard(client, before.filename);
+            return before.filename;
+        });
+        fileRetention.afterDiscard(db, deleted);
         res.sendStatus(200);
     } catch(err) {
+        if (err instanceof StatusError) {
+            return res.status(err.status).json({ message: err.message });
+        }
         res.status(500).json({ message: 'Server error deleting file.' });
     }
 });
 
-// 8. Notify admin about ID card submission
-app.post('/api/notify-id-card/:matric', async (req, res) => {
+// 7. Submission history for one of a student's documents (?slot= picks the file), newest first
+app.get('/api/clearance/:matric/:docType/history', requireSelfOrStaff('view'), async (req, res) => {
     try {
-        await db.query(
-            "UPDATE clearance_data SET notified_admin = TRUE WHERE matric = $1 AND doc_type = 'id_card'",
-            [req.params.matric]
+        const { rows } = await db.query(
+            `SELECT id, filename, uploaded_at, status, reviewed_by, reviewed_at, rejection_reason,
+                    file_purged_at IS NOT NULL AS file_removed
+             FROM clearance_submissions WHERE matric = $1 AND doc_type = $2 AND slot = $3
+             ORDER BY uploaded_at DESC, id DESC`,
+            [req.params.matric, req.params.docType, String(req.query.slot || '')]
         );
+        res.json(rows);
+    } catch (err) {
+        console.error('Submission history error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// 8. Notify admin that a physical document (e.g. the ID card) has been submitted
+app.post('/api/notify/:matric/:docType', requireSelfOrStaff('verify'), async (req, res) => {
+    try {
+        await db.transaction(async (client) => {
+            const { before, after } = await transition(client, {
+                matric: req.params.matric, docType: req.params.docType, action: 'notify',
+                changes: { notified_admin: true },
+            });
+            await audit.record(client, {
+                actor: req.user, action: 'notify', matric: req.params.matric, docType: req.params.docType,
+                oldStatus: stateOf(before), newStatus: stateOf(after),
+            });
+            await notifications.enqueueForAdmins(client, {
+                template: 'admin_physical_notified', docType: req.params.docType, data: { matric: req.params.matric },
+            });
+        });
         res.sendStatus(200);
     } catch(err) {
+        if (err instanceof StatusError) {
+            return res.status(err.status).json({ message: err.message });
+        }
         res.status(500).json({ message: 'Server error.' });
     }
 });
 
+// 9. Download a fully cleared student's clearance slip as a PDF.
+// The same slip is returned until something on it changes; then a new one replaces it.
+app.get('/api/clearance-slip/:matric', requireSelfOrStaff('view'), async (req, res) => {
+    try {
+        const slip = await db.transaction(async (client) => {
+            const { slip: current, isNew } = await clearanceSlips.issue(client, req.params.matric);
+            if (isNew) {
+                await audit.record(client, {
+                    actor: req.user, action: 'slip_issued', matric: req.params.matric, details: { code: current.code },
+                });
+            }
+            return current;
+        });
+        res.type('application/pdf');
+        res.attachment(`clearance-slip-${slip.matric.replace(/[^A-Za-z0-9-]/g, '_')}.pdf`);
+        res.send(await clearanceSlips.render(slip));
+    } catch (err) {
+        sendError(res, err, 'Clearance slip error');
+    }
+});
+
+
+// --- COLLECTION APPOINTMENTS ---
+
+// Published upcoming collection days with their slots and remaining places
+app.get('/api/appointments/days', async (req, res) => {
+    try {
+        res.json(await appointments.listDays(db));
+    } catch (err) {
+        sendError(res, err, 'Collection days fetch error');
+    }
+});
+
+// A student's current appointment (null if they have none)
+app.get('/api/appointments/:matric', requireSelfOrStaff(), async (req, res) => {
+    try {
+        res.json(await appointments.getForStudent(db, req.params.matric));
+    } catch (err) {
+        sendError(res, err, 'Appointment fetch error');
+    }
+});
+
+// Book a slot ({ slotId }), or move an existing booking to it
+app.post('/api/appointments/:matric', requireSelfOrStaff('collection'), async (req, res) => {
+    if (!Number.isInteger(req.body.slotId)) {
+        return res.status(400).json({ message: 'slotId must be the id of a collection slot.' });
+    }
+    try {
+        const appointment = await db.transaction(async (client) => {
+            const { before, after } = await appointments.book(client, { matric: req.params.matric, slotId: req.body.slotId });
+            await audit.record(client, {
+                actor: req.user, action: 'appointment', matric: req.params.matric,
+                oldStatus: before ? 'booked' : null, newStatus: before ? 'rescheduled' : 'booked',
+                details: { from: before && `${before.day} ${before.starts_at}`, to: `${after.day} ${after.starts_at}` },
+            });
+            return after;
+        });
+        res.json(appointment);
+    } catch (err) {
+        sendError(res, err, 'Appointment booking error');
+    }
+});
+
+// Cancel the student's booking
+app.delete('/api/appointments/:matric', requireSelfOrStaff('collection'), async (req, res) => {
+    try {
+        await db.transaction(async (client) => {
+            const cancelled = await appointments.cancel(client, req.params.matric);
+            await audit.record(client, {
+                actor: req.user, action: 'appointment', matric: req.params.matric,
+                oldStatus: 'booked', newStatus: 'cancelled', details: { from: `${cancelled.day} ${cancelled.starts_at}` },
+            });
+        });
+        res.sendStatus(200);
+    } catch (err) {
+        sendError(res, err, 'Appointment cancel error');
+    }
+});
+
+// --- NOTIFICATION PREFERENCES ---
+
+// The email categories that apply to the logged-in user and whether each is on
+app.get('/api/notification-preferences', async (req, res) => {
+    try {
+        res.json(await notifications.getPreferences(db, req.user));
+    } catch (err) {
+        sendError(res, err, 'Preferences fetch error');
+    }
+});
+
+// Switch categories on or off. Body: { <category>: true|false, ... }
+app.put('/api/notification-preferences', async (req, res) => {
+    try {
+        res.json(await notifications.setPreferences(db, req.user, req.body));
+    } catch (err) {
+        sendError(res, err, 'Preferences update error');
+    }
+});
+
+
+// --- CLEARANCE PAYMENT ---
+
+// Whether the student has paid, the fee, and their payment attempts
+app.get('/api/payments/:matric', requireSelfOrStaff(), async (req, res) => {
+    try {
+        const result = await payments.forStudent(db, req.params.matric);
+        if (!result) {
+            return res.status(404).json({ message: 'Student not found.' });
+        }
+        res.json(result);
+    } catch (err) {
+        sendError(res, err, 'Payment fetch error');
+    }
+});
+
+// Start a payment. Returns the payment with the gateway's checkout URL (authorization_url).
+app.post('/api/payments/:matric', requireSelfOrStaff(), async (req, res) => {
+    const baseUrl = process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+    try {
+        const payment = await payments.start(db, { matric: req.params.matric, callbackUrl: `${baseUrl}/api/payments/return` });
+        res.status(201).json(payment);
+    } catch (err) {
+        sendError(res, err, 'Payment start error');
+    }
+});
+
+// Check a payment's status with the gateway, in case its webhook has not arrived
+app.get('/api/payments/:matric/:reference', requireSelfOrStaff(), async (req, res) => {
+    try {
+        res.json(await payments.poll({ matric: req.params.matric, reference: req.params.reference, actor: req.user }));
+    } catch (err) {
+        sendError(res, err, 'Payment status error');
+    }
+});
+
 
 // --- ADMIN ROUTES ---
 
-// Get all student data for admin dashboards
-app.get('/api/admin/students', async (req, res) => {
+// Students with their documents for the admin dashboards, one page at a time, limited to the
+// document types the staff member may view.
+// Query: the documents report filters plus sort, order, limit and offset (see roster.js).
+// Returns { students, total }.
+app.get('/api/admin/students', requirePermission('view'), async (req, res) => {
     try {
-        const { rows: students } = await db.query('SELECT matric, email, paid FROM students');
-        const { rows: clearance } = await db.query('SELECT * FROM clearance_data');
-        
-        // Combine the data
-        const studentData = students.map(s => ({
+        const visibleDocTypes = permissions.docTypesFor(req.staff.permissions, 'view');
+        const { students, total } = await roster.search(db, req.query, { visibleDocTypes });
+        // Thumbnails get a signed link, like the files themselves.
+        const withLinks = students.map(s => ({
             ...s,
-            clearance: clearance.filter(c => c.matric === s.matric)
+            clearance: s.clearance.map(({ thumbnail, ...c }) => ({
+                ...c,
+                thumbnailUrl: thumbnail
+                    ? `/api/files/signed/${issueFileToken({ matric: c.matric, docType: c.doc_type, filename: thumbnail })}`
+                    : null,
+            })),
         }));
-        
-        res.json(studentData);
+        res.json({ students: withLinks, total });
     } catch(err) {
-        console.error('Admin student fetch error:', err);
-        res.status(500).json({ message: 'Server error' });
+        sendError(res, err, 'Admin student fetch error');
     }
 });
 
-// Update the status of a document
+// Update the status of a document. Rejections must carry a reason, which the student sees.
+// `expectedVersion` is the row version the officer was looking at; if another officer changed the
+// document in the meantime the update is refused with 409 instead of overwriting their decision.
+// The staff member's role must allow the decision (verify or reject) for this document type.
+// `slot` picks the file for requirements that take several.
+// Uploaded files must be claimed by the officer first (see claims.js), or the decision is refused with 409;
+// the decision releases the claim.
 app.post('/api/admin/update-status', async (req, res) => {
-    const { matric, docType, newStatus } = req.body;
+    const { matric, docType, newStatus, expectedVersion } = req.body;
+    const slot = typeof req.body.slot === 'string' ? req.body.slot : '';
+    const action = REVIEW_ACTIONS[newStatus];
+    if (!action) {
+        return res.status(400).json({ message: `Status must be one of: ${Object.keys(REVIEW_ACTIONS).join(', ')}.` });
+    }
+    if (!permissions.allows(req.staff.permissions, action, docType)) {
+        return res.status(403).json({ message: 'Your role does not allow this.' });
+    }
+    if (!Number.isInteger(expectedVersion)) {
+        return res.status(400).json({ message: 'expectedVersion must be the integer version of the document you reviewed.' });
+    }
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (newStatus === 'rejected' && !reason) {
+        return res.status(400).json({ message: 'A rejection reason is required.' });
+    }
+    if (reason.length > 500) {
+        return res.status(400).json({ message: 'The rejection reason must be 500 characters or fewer.' });
+    }
+    const rejectionReason = newStatus === 'rejected' ? reason : null;
     try {
-        await db.query(
-            'UPDATE clearance_data SET status = $1 WHERE matric = $2 AND doc_type = $3',
-            [newStatus, matric, docType]
-        );
-        res.sendStatus(200);
+        const updated = await db.transaction(async (client) => {
+            await claims.checkDecision(client, req.staff, { matric, docType, slot });
+            const { before, after } = await transition(client, {
+                matric, docType, slot, action, expectedVersion,
+                changes: { rejection_reason: rejectionReason, ...claims.CLEARED },
+            });
+            const details = { ...(rejectionReason && { reason: rejectionReason }), ...(slot && { slot }) };
+            await audit.record(client, {
+                actor: req.user, action: 'status_change', matric, docType,
+                oldStatus: stateOf(before), newStatus: after.status,
+                details: Object.keys(details).length > 0 ? details : null,
+            });
+            // Record the decision against the submission being reviewed.
+            if (after.filename) {
+                await client.query(
+                    `UPDATE clearance_submissions SET status = $1, rejection_reason = $2, reviewed_by = $3, reviewed_at = NOW()
+                     WHERE matric = $4 AND doc_type = $5 AND filename = $6`,
+                    [newStatus, rejectionReason, req.user.matric, matric, docType, after.filename]
+                );
+            }
+            if (newStatus === 'verified') {
+                await notifications.enqueue(client, { matric, template: 'document_verified', docType, slot });
+                await notifications.notifyIfCertificateReady(client, matric);
+            } else {
+                await notifications.enqueue(client, { matric, template: 'document_rejected', docType, slot, data: { reason: rejectionReason } });
+            }
+            return after;
+        });
+        res.json(updated);
     } catch(err) {
+        if (err instanceof StatusError) {
+            return res.status(err.status).json({ message: err.message });
+        }
          console.error('Admin status update error:', err);
         res.status(500).json({ message: 'Server error' });
     }
 });
 
+// One student's account details, for the student page of the admin dashboard.
+app.get('/api/admin/students/:matric', requirePermission('view'), async (req, res) => {
+    try {
+        const { rows } = await db.query(
+            `SELECT s.matric, s.email, COALESCE(s.paid, FALSE) AS paid, s.faculty, s.entry_mode,
+               s.password_hash IS NOT NULL AS activated, COALESCE(cr.is_ready, FALSE) AS is_ready
+             FROM students s LEFT JOIN certificate_readiness cr USING (matric)
+             WHERE s.matric = $1`,
+            [req.params.matric]
+        );
+        if (rows.length === 0) {
+            return res.status(404).json({ message: 'No student has this matric number.' });
+        }
+        res.json(rows[0]);
+    } catch (err) {
+        console.error('Admin student lookup error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Override a student's computed certificate readiness. Body: { ready: true|false|null, reason }.
+// `ready: null` removes the override so readiness is computed again.
+app.put('/api/admin/readiness/:matric', requirePermission('override'), async (req, res) => {
+    const { ready } = req.body;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (ready !== true && ready !== false && ready !== null) {
+        return res.status(400).json({ message: 'ready must be true, false or null.' });
+    }
+    if (ready !== null && !reason) {
+        return res.status(400).json({ message: 'A reason is required for an override.' });
+    }
+    try {
+        const status = await db.transaction(async (client) => {
+            const before = await readiness.forStudent(client, req.params.matric);
+            if (!before) {
+                throw new StatusError(404, 'Student not found');
+            }
+            await readiness.setOverride(client, { matric: req.params.matric, ready, reason, setBy: req.user.matric });
+            const after = await readiness.forStudent(client, req.params.matric);
+            await notifications.notifyIfCertificateReady(client, req.params.matric);
+            await audit.record(client, {
+                actor: req.user, action: 'readiness_override', matric: req.params.matric,
+                oldStatus: before.isReady ? 'ready' : 'not_ready', newStatus: after.isReady ? 'ready' : 'not_ready',
+                details: { override: ready, reason: reason || null },
+            });
+            return after;
+        });
+        res.json(status);
+    } catch (err) {
+        if (err instanceof StatusError) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        console.error('Readiness override error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Document requirements, including inactive ones, for the admin requirements screen
+app.use('/api/admin/requirements', requirePermission('requirements'));
+app.get('/api/admin/requirements', async (req, res) => {
+    try {
+        res.json(await requirements.list(db, { includeInactive: true }));
+    } catch (err) {
+        console.error('Requirements fetch error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Create (POST) or update (PUT) a requirement, then bring every student's clearance records in line with it.
+// Requirements are never deleted; set `active: false` to retire one and keep its history.
+const saveRequirement = async (req, res, docType) => {
+    const { requirement, error } = requirements.validate(req.body);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+    try {
+        const result = await db.transaction(async (client) => {
+            const before = await requirements.get(client, docType);
+            if (req.method === 'POST' && before) {
+                throw new StatusError(409, 'A requirement with this document type already exists.');
+            }
+            if (req.method === 'PUT' && !before) {
+                throw new StatusError(404, 'Requirement not found.');
+            }
+            const saved = await requirements.save(client, docType, requirement);
+            const sync = await requirements.sync(client);
+            await audit.record(client, {
+                actor: req.user, action: 'requirement_change', matric: null, docType,
+                details: { before, after: saved, sync },
+            });
+            return { requirement: saved, sync };
+        });
+        res.json(result);
+    } catch (err) {
+        if (err instanceof StatusError) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        console.error('Requirement save error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+app.post('/api/admin/requirements', (req, res) => {
+    const docType = String(req.body.doc_type || '').trim();
+    if (!/^[a-z][a-z0-9_]{1,49}$/.test(docType)) {
+        return res.status(400).json({ message: 'The document type must be lowercase letters, digits and underscores, e.g. nysc_form.' });
+    }
+    saveRequirement(req, res, docType);
+});
+
+app.put('/api/admin/requirements/:docType', (req, res) => saveRequirement(req, res, req.params.docType));
+
+// The collection desk: collection days, their slots and the appointments booked in them
+app.use(['/api/admin/collection-days', '/api/admin/collection-slots', '/api/admin/appointments'], requirePermission('collection'));
+
+// All collection days, including unpublished and past ones
+app.get('/api/admin/collection-days', async (req, res) => {
+    try {
+        res.json(await appointments.listDays(db, { publishedOnly: false, upcomingOnly: false }));
+    } catch (err) {
+        sendError(res, err, 'Collection days fetch error');
+    }
+});
+
+// Create a collection day. Body: { day, location, notes, published, slots: [{ startsAt, endsAt, capacity }] }
+app.post('/api/admin/collection-days', async (req, res) => {
+    try {
+        const id = await db.transaction((client) => appointments.createDay(client, { ...req.body, createdBy: req.user.matric }));
+        res.status(201).json({ id });
+    } catch (err) {
+        sendError(res, err, 'Collection day create error');
+    }
+});
+
+// Update a day's details or publish/unpublish it; any `slots` in the body are added to it
+app.put('/api/admin/collection-days/:id', async (req, res) => {
+    try {
+        await db.transaction((client) => appointments.updateDay(client, req.params.id, req.body));
+        res.sendStatus(200);
+    } catch (err) {
+        sendError(res, err, 'Collection day update error');
+    }
+});
+
+app.delete('/api/admin/collection-slots/:id', async (req, res) => {
+    try {
+        await db.transaction((client) => appointments.deleteSlot(client, req.params.id));
+        res.sendStatus(200);
+    } catch (err) {
+        sendError(res, err, 'Collection slot delete error');
+    }
+});
+
+// The collection desk's list for a day (?day=YYYY-MM-DD)
+app.get('/api/admin/appointments', async (req, res) => {
+    try {
+        res.json(await appointments.listForDay(db, req.query.day));
+    } catch (err) {
+        sendError(res, err, 'Appointments fetch error');
+    }
+});
+
+// Mark a booked certificate as collected
+app.post('/api/admin/appointments/:id/collected', async (req, res) => {
+    try {
+        const appointment = await db.transaction(async (client) => {
+            const collected = await appointments.markCollected(client, { id: req.params.id, collectedBy: req.user.matric });
+            await audit.record(client, {
+                actor: req.user, action: 'certificate_collected', matric: collected.matric,
+                oldStatus: 'booked', newStatus: 'collected', details: { appointmentId: collected.id },
+            });
+            return collected;
+        });
+        res.json(appointment);
+    } catch (err) {
+        sendError(res, err, 'Mark collected error');
+    }
+});
+
+// Import a registry CSV. :kind is students, readiness (graduating list) or payment.
+// Multipart fields: file, dryRun ("true" to only validate), credentials ("password" or "activation", students only).
+app.post('/api/admin/import/:kind', requirePermission('import'), (req, res) => {
+    csvUpload(req, res, async (err) => {
+        if (err) {
+            return res.status(400).json({ message: err.message });
+        }
+        if (!req.file) {
+            return res.status(400).json({ message: 'No file uploaded.' });
+        }
+        const { kind } = req.params;
+        const options = {
+            dryRun: req.body.dryRun === 'true',
+            credentials: req.body.credentials,
+            actor: req.user.matric,
+            source: req.file.originalname,
+        };
+        try {
+            const result = options.dryRun
+                ? await importer.run(db, kind, req.file.buffer, options)
+                : await db.transaction(async (client) => {
+                    const imported = await importer.run(client, kind, req.file.buffer, options);
+                    await audit.record(client, {
+                        actor: req.user, action: 'import', matric: null,
+                        details: { kind, file: req.file.originalname, ...imported.summary },
+                    });
+                    return imported;
+                });
+            res.json(result);
+        } catch (importErr) {
+            if (importErr instanceof importer.ImportError) {
+                return res.status(400).json({ message: importErr.message });
+            }
+            console.error('Import error:', importErr);
+            res.status(500).json({ message: 'Server error' });
+        }
+    });
+});
+
+// Download a report as CSV or XLSX, e.g. /api/admin/reports/documents.xlsx?docType=clearance_form&status=pending
+// Filters: docType (comma separated), status, paid, ready (yes/no), search; the appointments report takes day.
+// Each report needs its own permission, and the documents report only covers the document types the staff member may view.
+app.get('/api/admin/reports/:report.:format', async (req, res) => {
+    const report = reports.REPORTS[req.params.report];
+    if (report && !permissions.allows(req.staff.permissions, report.permission)) {
+        return res.status(403).json({ message: 'Your role does not allow this.' });
+    }
+    try {
+        const visibleDocTypes = permissions.docTypesFor(req.staff.permissions, 'view');
+        const { filename, contentType, body } = await reports.build(db, req.params.report, req.params.format, req.query, { visibleDocTypes });
+        res.set('Content-Type', contentType);
+        res.attachment(filename);
+        res.send(body);
+    } catch (err) {
+        sendError(res, err, 'Report error');
+    }
+});
+
+// Browse the audit log. Filters: matric, actor, action, docType, from, to (ISO dates), limit, offset.
+// With just ?matric= this is the per-student timeline.
+app.get('/api/admin/audit', requirePermission('audit'), async (req, res) => {
+    const { matric, actor, action, docType, from, to, limit, offset } = req.query;
+    if (action && !audit.ACTIONS.includes(action)) {
+        return res.status(400).json({ message: `Unknown action. Use one of: ${audit.ACTIONS.join(', ')}.` });
+    }
+    if ((from && Number.isNaN(Date.parse(from))) || (to && Number.isNaN(Date.parse(to)))) {
+        return res.status(400).json({ message: 'from and to must be valid dates.' });
+    }
+    try {
+        res.json(await audit.search({ matric, actor, action, docType, from, to, limit, offset }));
+    } catch (err) {
+        console.error('Audit log fetch error:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// --- REVIEW CLAIMS ---
+// An officer claims a file while reviewing it, so nobody else decides on it meanwhile (see claims.js).
+
+// Claim a file, or renew your claim on it. Body: { matric, docType, slot }. Releases any other claim you hold.
+app.post('/api/admin/claims', async (req, res) => {
+    const { matric, docType } = req.body;
+    const slot = typeof req.body.slot === 'string' ? req.body.slot : '';
+    try {
+        res.json(await db.transaction((client) => claims.claim(client, req.staff, { matric, docType, slot })));
+    } catch (err) {
+        sendError(res, err, 'Claim error');
+    }
+});
+
+// Claim the file that has waited longest for review among those nobody else holds.
+// Body: { docTypes } to limit it to some document types (optional). Returns { claim }, null when nothing is waiting.
+app.post('/api/admin/claims/next', async (req, res) => {
+    const { docTypes } = req.body;
+    if (docTypes !== undefined && docTypes !== null
+        && !(Array.isArray(docTypes) && docTypes.every((docType) => typeof docType === 'string'))) {
+        return res.status(400).json({ message: 'docTypes must be a list of document types.' });
+    }
+    try {
+        const claim = await db.transaction((client) => claims.claimNext(client, req.staff, { docTypes: docTypes || null }));
+        res.json({ claim });
+    } catch (err) {
+        sendError(res, err, 'Claim next error');
+    }
+});
+
+// Release the claim on a file (?slot= picks it). Releasing another officer's claim needs manage_claims
+// and is audited.
+app.delete('/api/admin/claims/:matric/:docType', async (req, res) => {
+    const { matric, docType } = req.params;
+    const slot = typeof req.query.slot === 'string' ? req.query.slot : '';
+    try {
+        const released = await db.transaction(async (client) => {
+            const { before, after } = await claims.release(client, req.staff, { matric, docType, slot });
+            if (before.claimed_by && before.claimed_by !== req.staff.username) {
+                await audit.record(client, {
+                    actor: req.user, action: 'claim_released', matric, docType,
+                    details: { claimedBy: before.claimed_by, ...(slot && { slot }) },
+                });
+            }
+            return after;
+        });
+        res.json(released);
+    } catch (err) {
+        sendError(res, err, 'Claim release error');
+    }
+});
+
+// Release every claim an officer holds (?claimedBy=, your own when left out). Returns { released }.
+app.delete('/api/admin/claims', async (req, res) => {
+    const username = typeof req.query.claimedBy === 'string' ? req.query.claimedBy : req.staff.username;
+    try {
+        const released = await db.transaction(async (client) => {
+            const rows = await claims.releaseAll(client, req.staff, username);
+            if (username !== req.staff.username) {
+                for (const row of rows) {
+                    await audit.record(client, {
+                        actor: req.user, action: 'claim_released', matric: row.matric, docType: row.doc_type,
+                        details: { claimedBy: username, ...(row.slot && { slot: row.slot }) },
+                    });
+                }
+            }
+            return rows.length;
+        });
+        res.json({ released });
+    } catch (err) {
+        sendError(res, err, 'Claim release error');
+    }
+});
+
+// Review throughput: decisions on uploaded documents per officer today and in the last 7 days, with the
+// claims each holds. Staff with manage_claims see every officer; everyone else sees their own row.
+// Returns { timeZone, officers }, where "today" began at midnight in `timeZone` (see claims.js).
+app.get('/api/admin/review-stats', async (req, res) => {
+    try {
+        res.json(await claims.throughput(db, req.staff));
+    } catch (err) {
+        sendError(res, err, 'Review stats error');
+    }
+});
+
+// --- STAFF ACCOUNTS AND ROLES ---
+// Only for staff whose role allows managing users (the super admin, unless another role is given it).
+app.use(['/api/admin/staff', '/api/admin/roles'], requirePermission('manage_users'));
+
+app.get('/api/admin/staff', async (req, res) => {
+    try {
+        res.json(await staff.list(db));
+    } catch (err) {
+        sendError(res, err, 'Staff fetch error');
+    }
+});
+
+// Create a staff account. Body: { username, name, email, role, password }; the password is an initial
+// one the staff member must change when they first log in.
+app.post('/api/admin/staff', async (req, res) => {
+    try {
+        const created = await db.transaction(async (client) => {
+            const account = await staff.create(client, req.body, req.user.matric);
+            await audit.record(client, {
+                actor: req.user, action: 'staff_change', matric: null,
+                details: { username: account.username, change: 'created', after: account },
+            });
+            return account;
+        });
+        res.status(201).json(created);
+    } catch (err) {
+        sendError(res, err, 'Staff create error');
+    }
+});
+
+// Change a staff account's name, email, role or active flag. Body: any of { name, email, role, active }.
+app.put('/api/admin/staff/:username', async (req, res) => {
+    try {
+        const updated = await db.transaction(async (client) => {
+            const { before, after } = await staff.update(client, req.params.username, req.body, req.user.matric);
+            await audit.record(client, {
+                actor: req.user, action: 'staff_change', matric: null,
+                details: { username: after.username, change: 'updated', before, after },
+            });
+            return after;
+        });
+        res.json(updated);
+    } catch (err) {
+        sendError(res, err, 'Staff update error');
+    }
+});
+
+// Give a staff account a new initial password. Body: { password }.
+app.post('/api/admin/staff/:username/password', async (req, res) => {
+    try {
+        await db.transaction(async (client) => {
+            await staff.resetPassword(client, req.params.username, req.body.password);
+            await audit.record(client, {
+                actor: req.user, action: 'staff_change', matric: null,
+                details: { username: req.params.username, change: 'password_reset' },
+            });
+        });
+        res.json({ message: 'The password has been reset. They must choose a new one when they next log in.' });
+    } catch (err) {
+        sendError(res, err, 'Staff password reset error');
+    }
+});
+
+// Every role with its permissions ({ permission: [docType or '*'] }, see permissions.js) and staff count
+app.get('/api/admin/roles', async (req, res) => {
+    try {
+        res.json(await staff.listRoles(db));
+    } catch (err) {
+        sendError(res, err, 'Roles fetch error');
+    }
+});
+
+// Create (POST) or replace (PUT) a role. Body: { name (POST only), label, permissions }.
+const saveRole = async (req, res, name) => {
+    try {
+        const isNew = req.method === 'POST';
+        const role = await db.transaction(async (client) => {
+            const before = isNew ? null : (await staff.listRoles(client)).find((r) => r.name === name) || null;
+            const saved = await staff.saveRole(client, name, req.body, { isNew });
+            await audit.record(client, {
+                actor: req.user, action: 'role_change', matric: null,
+                details: { role: name, change: isNew ? 'created' : 'updated', before, after: saved },
+            });
+            return saved;
+        });
+        res.status(isNew ? 201 : 200).json(role);
+    } catch (err) {
+        sendError(res, err, 'Role save error');
+    }
+};
+
+app.post('/api/admin/roles', (req, res) => saveRole(req, res, String(req.body.name || '').trim()));
+
+app.put('/api/admin/roles/:name', (req, res) => saveRole(req, res, req.params.name));
+
+app.delete('/api/admin/roles/:name', async (req, res) => {
+    try {
+        await db.transaction(async (client) => {
+            await staff.deleteRole(client, req.params.name);
+            await audit.record(client, {
+                actor: req.user, action: 'role_change', matric: null, details: { role: req.params.name, change: 'deleted' },
+            });
+        });
+        res.sendStatus(200);
+    } catch (err) {
+        sendError(res, err, 'Role delete error');
+    }
+});
+
+// Unknown API paths get a JSON 404 rather than the React app.
+app.use('/api', (req, res) => {
+  res.status(404).json({ message: 'Not found' });
+});
+
 // --- Fallback for React Router ---
-// This serves the React app for any request that doesn't match an API route
+// This serves the React app for any request that doesn't match an API route, so that the app's
+// own routes (/student, /admin/documents, /admin/students/:matric...) can be opened and reloaded directly.
 app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, '../build/index.html'));
 });
 
 app.listen(PORT, () => {
   console.log(`Backend server listening at http://localhost:${PORT}`);
+  // Set EMAIL_WORKER=off on instances that should not send email.
+  if (process.env.EMAIL_WORKER !== 'off') {
+    notifications.startWorker();
+  }
+  events.listen();
 });
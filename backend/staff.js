@@ -0,0 +1,205 @@
+// This file manages staff accounts (the people who use the admin dashboard) and the roles that decide
+// what each of them may do; see permissions.js for the permissions a role can grant.
+// Staff log in with a username and are given an initial password, which they must change on first login.
+const { StatusError } = require('./docStatus');
+const accounts = require('./accounts');
+const permissions = require('./permissions');
+
+const USERNAME_PATTERN = /^[a-z][a-z0-9._-]{2,29}$/;
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_]{1,29}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const grantsOf = async (client, role) => {
+  const { rows } = await client.query('SELECT permission, doc_type FROM staff_role_permissions WHERE role = $1', [role]);
+  return permissions.fromGrants(role, rows);
+};
+
+// The active staff account behind a session: { username, role, permissions }, or null if the
+// account has been deactivated or removed. Loaded on every request, so changes apply at once.
+const forSession = async (client, username) => {
+  const { rows } = await client.query('SELECT username, role FROM staff WHERE username = $1 AND active', [username]);
+  if (rows.length === 0) return null;
+  return { ...rows[0], permissions: await grantsOf(client, rows[0].role) };
+};
+
+// --- Accounts ---
+
+const list = async (client) => {
+  const { rows } = await client.query(
+    `SELECT username, name, email, role, active, must_change_password, password_changed_at, created_at, created_by
+     FROM staff ORDER BY username`
+  );
+  return rows;
+};
+
+const get = async (client, username) => {
+  const { rows } = await client.query(
+    `SELECT username, name, email, role, active, must_change_password, password_changed_at, created_at, created_by
+     FROM staff WHERE username = $1`,
+    [username]
+  );
+  return rows[0] || null;
+};
+
+const checkRoleExists = async (client, role) => {
+  const { rows } = await client.query('SELECT 1 FROM staff_roles WHERE name = $1', [role]);
+  if (rows.length === 0) throw new StatusError(400, `There is no role "${role}".`);
+};
+
+// Refuses a change that would leave nobody able to manage staff.
+const checkSuperAdminRemains = async (client) => {
+  const { rows: [{ count }] } = await client.query(
+    `SELECT COUNT(*) FROM staff WHERE active AND role = '${permissions.SUPER_ADMIN}'`
+  );
+  if (Number(count) === 0) throw new StatusError(400, 'There must always be at least one active super admin.');
+};
+
+// Checks name and email, which are optional but must look right when given.
+const contactDetails = ({ name, email }) => {
+  const details = {
+    name: typeof name === 'string' ? name.trim() || null : null,
+    email: typeof email === 'string' ? email.trim() || null : null,
+  };
+  if (details.name && details.name.length > 100) throw new StatusError(400, 'The name must be 100 characters or fewer.');
+  if (details.email && !EMAIL_PATTERN.test(details.email)) throw new StatusError(400, 'Enter a valid email address.');
+  return details;
+};
+
+// Creates an account. Body: { username, name, email, role, password }, where `password` is the initial
+// password the staff member must change when they first log in.
+const create = async (client, body, createdBy) => {
+  const username = String(body.username || '').trim();
+  if (!USERNAME_PATTERN.test(username)) {
+    throw new StatusError(400, 'Usernames are 3 to 30 lowercase letters, digits, dots, dashes or underscores, starting with a letter.');
+  }
+  const { name, email } = contactDetails(body);
+  await checkRoleExists(client, body.role);
+  const problem = accounts.passwordProblem(body.password, username);
+  if (problem) throw new StatusError(400, problem);
+  const { rows: taken } = await client.query(
+    'SELECT 1 FROM staff WHERE username = $1 UNION ALL SELECT 1 FROM students WHERE matric = $1',
+    [username]
+  );
+  if (taken.length > 0) throw new StatusError(409, 'This username is already taken by a staff member or a student.');
+
+  await client.query(
+    'INSERT INTO staff (username, name, email, role, created_by) VALUES ($1, $2, $3, $4, $5)',
+    [username, name, email, body.role, createdBy]
+  );
+  await accounts.setPassword(client, { matric: username, role: 'admin' }, body.password, { mustChange: true });
+  return get(client, username);
+};
+
+// Updates an account's details, role or active flag. `actor` is the staff member making the change,
+// who may not deactivate themselves or change their own role.
+const update = async (client, username, body, actor) => {
+  const before = await get(client, username);
+  if (!before) throw new StatusError(404, 'Staff member not found.');
+  const { name, email } = contactDetails({ ...before, ...body });
+  const role = body.role === undefined ? before.role : body.role;
+  const active = body.active === undefined ? before.active : body.active;
+  if (typeof active !== 'boolean') throw new StatusError(400, 'active must be true or false.');
+  if (username === actor && (role !== before.role || !active)) {
+    throw new StatusError(400, 'You cannot change your own role or deactivate your own account.');
+  }
+  if (role !== before.role) await checkRoleExists(client, role);
+
+  await client.query(
+    'UPDATE staff SET name = $1, email = $2, role = $3, active = $4 WHERE username = $5',
+    [name, email, role, active, username]
+  );
+  await checkSuperAdminRemains(client);
+  return { before, after: await get(client, username) };
+};
+
+// Gives an account a new initial password, e.g. when a staff member has forgotten theirs and has no email.
+const resetPassword = async (client, username, password) => {
+  const user = await get(client, username);
+  if (!user) throw new StatusError(404, 'Staff member not found.');
+  const problem = accounts.passwordProblem(password, username);
+  if (problem) throw new StatusError(400, problem);
+  await accounts.setPassword(client, { matric: username, role: 'admin' }, password, { mustChange: true });
+};
+
+// --- Roles ---
+
+// Every role with its permissions and how many staff have it.
+const listRoles = async (client) => {
+  const { rows: roles } = await client.query(
+    `SELECT r.name, r.label, COUNT(s.username)::int AS staff_count
+     FROM staff_roles r LEFT JOIN staff s ON s.role = r.name
+     GROUP BY r.name ORDER BY r.name = '${permissions.SUPER_ADMIN}' DESC, r.label`
+  );
+  const { rows: grants } = await client.query('SELECT role, permission, doc_type FROM staff_role_permissions');
+  return roles.map((role) => ({
+    ...role,
+    builtIn: role.name === permissions.SUPER_ADMIN,
+    permissions: permissions.fromGrants(role.name, grants.filter((grant) => grant.role === role.name)),
+  }));
+};
+
+// Checks the permissions sent by the roles screen ({ permission: [docType or '*', ...] }) and
+// returns them as staff_role_permissions rows.
+const validateGrants = async (client, requested) => {
+  if (!requested || typeof requested !== 'object' || Array.isArray(requested)) {
+    throw new StatusError(400, 'permissions must be an object of permission: [document types].');
+  }
+  const { rows } = await client.query('SELECT doc_type FROM document_requirements');
+  const docTypes = new Set(rows.map((row) => row.doc_type));
+  const grants = [];
+  for (const [permission, scopes] of Object.entries(requested)) {
+    if (!permissions.PERMISSIONS.includes(permission)) throw new StatusError(400, `Unknown permission "${permission}".`);
+    if (!Array.isArray(scopes)) throw new StatusError(400, `${permission} must be a list of document types.`);
+    for (const scope of new Set(scopes)) {
+      const valid = scope === permissions.ALL
+        || (permissions.DOCUMENT_PERMISSIONS.includes(permission) && docTypes.has(scope));
+      if (!valid) throw new StatusError(400, `${permission} cannot be granted for "${scope}".`);
+      grants.push({ permission, docType: scope });
+    }
+  }
+  return grants;
+};
+
+// Creates or replaces a role. Body: { label, permissions }. The super admin role cannot be changed.
+const saveRole = async (client, name, body, { isNew }) => {
+  if (!ROLE_NAME_PATTERN.test(name || '')) {
+    throw new StatusError(400, 'Role names are lowercase letters, digits and underscores, e.g. bursary.');
+  }
+  if (name === permissions.SUPER_ADMIN) throw new StatusError(400, 'The super admin role cannot be changed.');
+  const label = typeof body.label === 'string' ? body.label.trim() : '';
+  if (!label || label.length > 60) throw new StatusError(400, 'Give the role a label of at most 60 characters.');
+  const grants = await validateGrants(client, body.permissions);
+
+  const { rows: existing } = await client.query('SELECT 1 FROM staff_roles WHERE name = $1 FOR UPDATE', [name]);
+  if (isNew && existing.length > 0) throw new StatusError(409, 'A role with this name already exists.');
+  if (!isNew && existing.length === 0) throw new StatusError(404, 'Role not found.');
+  await client.query(
+    'INSERT INTO staff_roles (name, label) VALUES ($1, $2) ON CONFLICT (name) DO UPDATE SET label = EXCLUDED.label',
+    [name, label]
+  );
+  await client.query('DELETE FROM staff_role_permissions WHERE role = $1', [name]);
+  for (const { permission, docType } of grants) {
+    await client.query('INSERT INTO staff_role_permissions (role, permission, doc_type) VALUES ($1, $2, $3)', [name, permission, docType]);
+  }
+  return (await listRoles(client)).find((role) => role.name === name);
+};
+
+// Deletes a role nobody has any more.
+const deleteRole = async (client, name) => {
+  if (name === permissions.SUPER_ADMIN) throw new StatusError(400, 'The super admin role cannot be deleted.');
+  const { rows } = await client.query('SELECT 1 FROM staff WHERE role = $1 LIMIT 1', [name]);
+  if (rows.length > 0) throw new StatusError(400, 'Move the staff with this role to another role first.');
+  const { rowCount } = await client.query('DELETE FROM staff_roles WHERE name = $1', [name]);
+  if (rowCount === 0) throw new StatusError(404, 'Role not found.');
+};
+
+module.exports = {
+  forSession,
+  list,
+  create,
+  update,
+  resetPassword,
+  listRoles,
+  saveRole,
+  deleteRole,
+};
@@ -0,0 +1,116 @@
+// This file keeps uploaded documents in the backend chosen by STORAGE_DRIVER:
+//   local - a folder on this server, UPLOAD_DIR (default backend/uploads); the default
+//   s3    - an S3-compatible bucket such as AWS S3 or MinIO (S3_BUCKET, S3_REGION, S3_ENDPOINT,
+//           S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_PREFIX)
+// Files are addressed by key, which is the `filename` stored with the clearance records. Every driver exposes:
+//   save(key, buffer, contentType)  stores a file
+//   open(key)                       resolves to { stream, size }, or null if there is no such file
+//   remove(key)                     deletes a file; removing a missing file is not an error
+//   list()                          async iterator of { key, modifiedAt } for every stored file
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Keys are flat names like "file-1700000000000-123456789.pdf": no folders, nothing that could escape the store.
+const isValidKey = (key) => typeof key === 'string' && /^[\w.-]+$/.test(key) && !key.startsWith('.');
+
+// A new, unique key for an upload with the given extension (e.g. "pdf").
+const newKey = (extension) => `file-${Date.now()}-${crypto.randomInt(1e9)}.${extension}`;
+
+const checkKey = (key) => {
+  if (!isValidKey(key)) throw new Error(`Invalid storage key "${key}".`);
+};
+
+const createLocalStorage = () => {
+  const dir = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, 'uploads'));
+  fs.mkdirSync(dir, { recursive: true });
+  const pathOf = (key) => {
+    checkKey(key);
+    return path.join(dir, key);
+  };
+  return {
+    save: (key, buffer) => fs.promises.writeFile(pathOf(key), buffer, { flag: 'wx' }),
+    open: async (key) => {
+      try {
+        const { size } = await fs.promises.stat(pathOf(key));
+        return { stream: fs.createReadStream(pathOf(key)), size };
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+    remove: (key) => fs.promises.rm(pathOf(key), { force: true }),
+    list: async function* list() {
+      for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+        if (!entry.isFile() || !isValidKey(entry.name)) continue;
+        const { mtime } = await fs.promises.stat(path.join(dir, entry.name));
+        yield { key: entry.name, modifiedAt: mtime };
+      }
+    },
+  };
+};
+
+const createS3Storage = () => {
+  // Only loaded when used, so the local driver works without the AWS SDK configured.
+  const {
+    S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, ListObjectsV2Command,
+  } = require('@aws-sdk/client-s3');
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) throw new Error('STORAGE_DRIVER=s3 needs S3_BUCKET to be set.');
+  const prefix = process.env.S3_PREFIX || '';
+  const endpoint = process.env.S3_ENDPOINT; // e.g. http://localhost:9000 for MinIO; leave unset for AWS
+  const client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint,
+    // MinIO and most self-hosted stores only understand path-style URLs (http://host/bucket/key).
+    forcePathStyle: endpoint ? process.env.S3_FORCE_PATH_STYLE !== 'false' : false,
+    // Without explicit keys the SDK falls back to its usual credential chain (environment, instance role...).
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+      : undefined,
+  });
+  const objectKey = (key) => {
+    checkKey(key);
+    return prefix + key;
+  };
+  return {
+    save: (key, buffer, contentType) => client.send(new PutObjectCommand({
+      Bucket: bucket, Key: objectKey(key), Body: buffer, ContentType: contentType,
+    })),
+    open: async (key) => {
+      try {
+        const { Body, ContentLength } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return { stream: Body, size: ContentLength };
+      } catch (err) {
+        if (err.name === 'NoSuchKey' || (err.$metadata && err.$metadata.httpStatusCode === 404)) return null;
+        throw err;
+      }
+    },
+    remove: (key) => client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) })),
+    list: async function* list() {
+      let ContinuationToken;
+      do {
+        const page = await client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken }));
+        for (const object of page.Contents || []) {
+          const key = object.Key.slice(prefix.length);
+          if (isValidKey(key)) yield { key, modifiedAt: object.LastModified };
+        }
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+    },
+  };
+};
+
+const DRIVERS = { local: createLocalStorage, s3: createS3Storage };
+
+const driverName = process.env.STORAGE_DRIVER || 'local';
+if (!DRIVERS[driverName]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${driverName}". Use one of: ${Object.keys(DRIVERS).join(', ')}.`);
+}
+
+module.exports = {
+  ...DRIVERS[driverName](),
+  driver: driverName,
+  isValidKey,
+  newKey,
+};
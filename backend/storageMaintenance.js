@@ -0,0 +1,61 @@
+// Storage maintenance. Compares the stored files with the clearance records and reports:
+//   expired  - replaced or deleted files whose retention period is over (see fileRetention.js)
+//   orphaned - stored files that no clearance record points to, e.g. left by a crash mid-upload
+//   missing  - files a clearance record points to that are not in storage
+//
+// Usage (from backend/):
+//   npm run storage:check    report only; nothing is changed
+//   npm run storage:clean    also remove the expired and orphaned files
+//
+// Run it regularly (e.g. daily from cron). Missing files are only reported: they need a person to look at them.
+require('dotenv').config();
+const db = require('./db');
+const storage = require('./storage');
+const fileRetention = require('./fileRetention');
+
+// Files newer than this are never treated as orphans: an upload is stored just before its record is saved.
+const ORPHAN_GRACE_MINUTES = 60;
+
+const main = async () => {
+  const [command = 'check'] = process.argv.slice(2);
+  if (!['check', 'clean'].includes(command)) {
+    throw new Error(`Unknown command "${command}". Use check or clean.`);
+  }
+  const clean = command === 'clean';
+
+  const expired = await fileRetention.expired(db);
+  const referenced = await fileRetention.referenced(db);
+  const graceStart = Date.now() - ORPHAN_GRACE_MINUTES * 60 * 1000;
+  const stored = new Set();
+  const orphaned = [];
+  for await (const { key, modifiedAt } of storage.list()) {
+    stored.add(key);
+    if (!referenced.has(key) && new Date(modifiedAt).getTime() < graceStart) orphaned.push(key);
+  }
+  const expiredSet = new Set(expired);
+  const missing = [...referenced].filter((key) => !stored.has(key) && !expiredSet.has(key));
+
+  console.log(`Storage: ${storage.driver}, ${stored.size} files. Retention for replaced and deleted files: ${fileRetention.RETENTION_DAYS} days.`);
+  const report = (label, keys) => {
+    console.log(`${label}: ${keys.length}`);
+    keys.forEach((key) => console.log(`  ${key}`));
+  };
+  report('Expired', expired);
+  report('Orphaned', orphaned);
+  report('Missing', missing);
+
+  if (!clean) {
+    if (expired.length + orphaned.length > 0) console.log('Run `npm run storage:clean` to remove the expired and orphaned files.');
+    return;
+  }
+  for (const key of expired) await fileRetention.purge(db, key);
+  for (const key of orphaned) await storage.remove(key);
+  console.log(`Removed ${expired.length} expired and ${orphaned.length} orphaned files.`);
+};
+
+main()
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.end());
@@ -0,0 +1,114 @@
+// Tests for session tokens and the middleware that guards every /api route.
+process.env.JWT_SECRET = 'test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const auth = require('../auth');
+const permissions = require('../permissions');
+const staff = require('../staff');
+
+// Runs `middleware` on a request with `headers` and `fields` (user, staff, params...). Resolves to
+// { next: true } if it let the request through, otherwise { status, body } of the response it sent.
+const run = async (middleware, { headers = {}, ...fields } = {}) => {
+  const req = { params: {}, get: (name) => headers[name.toLowerCase()], ...fields };
+  let outcome = null;
+  const res = {
+    status(status) {
+      outcome = { status };
+      return this;
+    },
+    json(body) {
+      outcome.body = body;
+      return this;
+    },
+  };
+  await middleware(req, res, () => {
+    outcome = { next: true };
+  });
+  return { ...outcome, req };
+};
+
+const bearer = (token) => ({ authorization: `Bearer ${token}` });
+
+const student = { matric: '2019/1/00001CS', role: 'student' };
+const bursar = { matric: 'bursar', role: 'admin' };
+const bursarStaff = {
+  username: 'bursar', role: 'bursary',
+  permissions: permissions.fromGrants('bursary', [{ permission: 'verify', doc_type: 'certificate_payment_receipt' }]),
+};
+
+test('authenticate accepts a session token and exposes the caller', async () => {
+  const token = auth.issueToken({ ...student, must_change_password: false });
+  const { next, req } = await run(auth.authenticate, { headers: bearer(token) });
+  assert.strictEqual(next, true);
+  assert.deepStrictEqual(req.user, { ...student, mustChangePassword: false });
+  assert.ok(req.sessionExpiresAt > Date.now());
+});
+
+test('authenticate refuses requests without a bearer token', async () => {
+  assert.strictEqual((await run(auth.authenticate)).status, 401);
+  assert.strictEqual((await run(auth.authenticate, { headers: { authorization: 'Basic abc' } })).status, 401);
+  assert.strictEqual((await run(auth.authenticate, { headers: { authorization: 'Bearer' } })).status, 401);
+});
+
+test('authenticate refuses tampered, expired and foreign-secret tokens', async () => {
+  const token = auth.issueToken(student);
+  const [header, , signature] = token.split('.');
+  const forgedPayload = Buffer.from(JSON.stringify({ purpose: 'session', matric: 'bursar', role: 'admin' })).toString('base64url');
+  const expired = jwt.sign({ purpose: 'session', ...student, exp: Math.floor(Date.now() / 1000) - 60 }, 'test-secret');
+  const foreign = jwt.sign({ purpose: 'session', ...student }, 'another-secret');
+  for (const bad of [`${header}.${forgedPayload}.${signature}`, expired, foreign]) {
+    assert.strictEqual((await run(auth.authenticate, { headers: bearer(bad) })).status, 401);
+  }
+});
+
+test('authenticate refuses file links and event tickets used as sessions', async () => {
+  const fileToken = auth.issueFileToken({ matric: student.matric, docType: 'nysc_letter', filename: 'file-1.pdf' });
+  const ticket = auth.issueEventsTicket(student, Date.now() + 60000);
+  for (const token of [fileToken, ticket]) {
+    assert.strictEqual((await run(auth.authenticate, { headers: bearer(token) })).status, 401);
+  }
+});
+
+test('users with an initial password may only change it', async () => {
+  const refused = await run(auth.requirePasswordChanged, { user: { ...student, mustChangePassword: true } });
+  assert.strictEqual(refused.status, 403);
+  assert.strictEqual(refused.body.code, 'password_change_required');
+  assert.strictEqual((await run(auth.requirePasswordChanged, { user: { ...student, mustChangePassword: false } })).next, true);
+});
+
+test('loadStaff loads staff permissions on every request and refuses deactivated accounts', async (t) => {
+  const lookup = t.mock.method(staff, 'forSession', async (client, username) => (username === 'bursar' ? bursarStaff : null));
+  const loaded = await run(auth.loadStaff, { user: bursar });
+  assert.strictEqual(loaded.next, true);
+  assert.strictEqual(loaded.req.staff, bursarStaff);
+  assert.strictEqual((await run(auth.loadStaff, { user: { matric: 'former', role: 'admin' } })).status, 401);
+  assert.strictEqual((await run(auth.loadStaff, { user: student })).next, true);
+  assert.strictEqual(lookup.mock.callCount(), 2);
+});
+
+test('requireAdmin only lets staff through', async () => {
+  assert.strictEqual((await run(auth.requireAdmin, { user: student })).status, 403);
+  assert.strictEqual((await run(auth.requireAdmin, { user: bursar, staff: bursarStaff })).next, true);
+});
+
+test('requirePermission checks the permission for the document type of the request', async () => {
+  const docTypeOf = (req) => req.params.docType;
+  const guard = auth.requirePermission('verify', docTypeOf);
+  const as = (user, docType) => run(guard, { user, staff: user === bursar ? bursarStaff : undefined, params: { docType } });
+  assert.strictEqual((await as(bursar, 'certificate_payment_receipt')).next, true);
+  assert.strictEqual((await as(bursar, 'nysc_letter')).status, 403);
+  assert.strictEqual((await as(student, 'certificate_payment_receipt')).status, 403);
+  assert.strictEqual((await run(auth.requirePermission('audit'), { user: bursar, staff: bursarStaff })).status, 403);
+});
+
+test('requireSelfOrStaff keeps students to their own matric and checks staff permissions', async () => {
+  const guard = auth.requireSelfOrStaff('verify');
+  const params = (matric, docType = 'certificate_payment_receipt') => ({ matric, docType });
+  assert.strictEqual((await run(guard, { user: student, params: params(student.matric) })).next, true);
+  assert.strictEqual((await run(guard, { user: student, params: params('2019/1/00002CS') })).status, 403);
+  assert.strictEqual((await run(guard, { user: bursar, staff: bursarStaff, params: params('2019/1/00002CS') })).next, true);
+  assert.strictEqual((await run(guard, { user: bursar, staff: bursarStaff, params: params('2019/1/00002CS', 'nysc_letter') })).status, 403);
+  assert.strictEqual((await run(auth.requireSelfOrStaff(), { user: bursar, staff: bursarStaff, params: params('x') })).next, true);
+});
@@ -0,0 +1,84 @@
+// Tests for review claims: who may decide on a file, and who may claim or release it.
+const test = require('node:test');
+const assert = require('node:assert');
+const claims = require('../claims');
+const permissions = require('../permissions');
+const { rowClient, published } = require('./fakeClient');
+
+const RECEIPT = 'certificate_payment_receipt';
+
+const officer = (username, grants = [{ permission: 'verify', doc_type: RECEIPT }, { permission: 'reject', doc_type: RECEIPT }]) => ({
+  username, permissions: permissions.fromGrants('reviewer', grants),
+});
+const ada = officer('ada');
+const bola = officer('bola');
+const supervisor = officer('supervisor', [{ permission: 'manage_claims', doc_type: '*' }]);
+
+const FILE = { matric: '2019/1/00001CS', docType: RECEIPT, slot: '' };
+
+const fakeClient = (row) => rowClient(row, (current, sql, params) => ({ ...current, claimed_by: params[0] }));
+
+const uploaded = (claim = {}) => ({
+  matric: FILE.matric, doc_type: RECEIPT, slot: '', status: 'uploaded', is_physical: false,
+  claimed_by: null, claim_active: false, ...claim,
+});
+
+test('checkDecision accepts a decision from the officer holding an active claim', async () => {
+  await claims.checkDecision(fakeClient(uploaded({ claimed_by: 'ada', claim_active: true })), ada, FILE);
+});
+
+test('checkDecision refuses a file nobody has claimed', async () => {
+  await assert.rejects(claims.checkDecision(fakeClient(uploaded()), ada, FILE), { status: 409, message: /Claim this document first/ });
+});
+
+test('checkDecision refuses a file whose claim has lapsed, even for the officer who held it', async () => {
+  await assert.rejects(
+    claims.checkDecision(fakeClient(uploaded({ claimed_by: 'ada', claim_active: false })), ada, FILE),
+    { status: 409, message: /Claim this document first/ }
+  );
+});
+
+test('checkDecision refuses a file another officer is reviewing, naming them', async () => {
+  await assert.rejects(
+    claims.checkDecision(fakeClient(uploaded({ claimed_by: 'ada', claim_active: true })), bola, FILE),
+    { status: 409, message: /ada is reviewing this document/ }
+  );
+});
+
+test('checkDecision leaves physical confirmations and other states to the status rules', async () => {
+  await claims.checkDecision(fakeClient(uploaded({ status: 'pending', is_physical: true, notified_admin: 'true' })), ada, FILE);
+  await claims.checkDecision(fakeClient(uploaded({ status: 'verified' })), ada, FILE);
+});
+
+test('checkDecision answers 404 for a document that does not exist', async () => {
+  await assert.rejects(claims.checkDecision(fakeClient(null), ada, FILE), { status: 404 });
+});
+
+test('claim takes a free file, releasing the officer\'s other claims, and announces it', async () => {
+  const client = fakeClient(uploaded());
+  const claimed = await claims.claim(client, ada, FILE);
+  assert.strictEqual(claimed.claimed_by, 'ada');
+  const releases = client.queries.filter(({ sql }) => sql.includes('SET claimed_by = NULL'));
+  assert.strictEqual(releases.length, 1);
+  assert.strictEqual(releases[0].params[0], 'ada');
+  assert.ok(published(client).some((event) => event.claimedBy === 'ada'));
+});
+
+test('claim refuses files held by someone else, files not awaiting review and officers who cannot decide', async () => {
+  await assert.rejects(claims.claim(fakeClient(uploaded({ claimed_by: 'ada', claim_active: true })), bola, FILE), { status: 409 });
+  await assert.rejects(claims.claim(fakeClient(uploaded({ status: 'verified' })), ada, FILE), { status: 409 });
+  await assert.rejects(claims.claim(fakeClient(uploaded()), officer('viewer', [{ permission: 'view', doc_type: '*' }]), FILE), { status: 403 });
+});
+
+test('a lapsed claim can be taken over', async () => {
+  const claimed = await claims.claim(fakeClient(uploaded({ claimed_by: 'ada', claim_active: false })), bola, FILE);
+  assert.strictEqual(claimed.claimed_by, 'bola');
+});
+
+test('only the claimant or staff with manage_claims can release a claim', async () => {
+  const held = uploaded({ claimed_by: 'ada', claim_active: true });
+  await assert.rejects(claims.release(fakeClient(held), bola, FILE), { status: 403 });
+  assert.strictEqual((await claims.release(fakeClient(held), ada, FILE)).after.claimed_by, null);
+  assert.strictEqual((await claims.release(fakeClient(held), supervisor, FILE)).after.claimed_by, null);
+  await assert.rejects(claims.releaseAll(fakeClient(held), bola, 'ada'), { status: 403 });
+});
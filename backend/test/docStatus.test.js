@@ -0,0 +1,109 @@
+// Tests for the document status rules and docStatus.transition, with a stand-in database client.
+const test = require('node:test');
+const assert = require('node:assert');
+const { StatusError, stateOf, nextStatus, transition } = require('../docStatus');
+const { rowClient, published } = require('./fakeClient');
+
+// The UPDATE applies the assignments it is given and bumps the version.
+const applyUpdate = (row, sql, params) => {
+  const names = [...sql.matchAll(/(\w+) = \$(\d+)/g)].filter(([, name]) => !['matric', 'doc_type', 'slot'].includes(name));
+  const updated = { ...row, version: row.version + 1 };
+  for (const [, name, index] of names) updated[name] = params[Number(index) - 1];
+  return updated;
+};
+const fakeClient = (row) => rowClient(row, applyUpdate);
+
+const uploadRow = (status, extra = {}) => ({
+  matric: '2019/1/00001CS', doc_type: 'nysc_letter', slot: '', status, version: 3, is_physical: false, ...extra,
+});
+
+test('upload documents follow the upload and review flow', () => {
+  assert.strictEqual(nextStatus(uploadRow('pending'), 'upload'), 'uploaded');
+  assert.strictEqual(nextStatus(uploadRow('rejected'), 'upload'), 'uploaded');
+  assert.strictEqual(nextStatus(uploadRow('uploaded'), 'verify'), 'verified');
+  assert.strictEqual(nextStatus(uploadRow('uploaded'), 'reject'), 'rejected');
+  assert.strictEqual(nextStatus(uploadRow('rejected'), 'delete'), 'pending');
+});
+
+test('decisions are refused on documents that are not waiting for review', () => {
+  for (const status of ['pending', 'verified', 'rejected']) {
+    assert.throws(() => nextStatus(uploadRow(status), 'verify'), (err) => err instanceof StatusError && err.status === 409);
+  }
+  assert.throws(() => nextStatus(uploadRow('verified'), 'upload'), { status: 409 });
+  assert.throws(() => nextStatus(uploadRow('verified'), 'delete'), { status: 409 });
+});
+
+test('physical documents are notified, then confirmed, and never uploaded or rejected', () => {
+  const pending = uploadRow('pending', { doc_type: 'id_card', is_physical: true, notified_admin: false });
+  const notified = { ...pending, notified_admin: 'true' };
+  assert.strictEqual(stateOf(pending), 'pending');
+  assert.strictEqual(stateOf(notified), 'notified');
+  assert.strictEqual(nextStatus(pending, 'notify'), 'pending'); // "notified" is pending + notified_admin
+  assert.throws(() => nextStatus(pending, 'verify'), { status: 409 });
+  assert.strictEqual(nextStatus(notified, 'verify'), 'verified');
+  assert.throws(() => nextStatus(notified, 'reject'), { status: 400 });
+  assert.throws(() => nextStatus(pending, 'upload'), { status: 400 });
+});
+
+test('transition applies the change, bumps the version and publishes it', async () => {
+  const client = fakeClient(uploadRow('uploaded'));
+  const { before, after } = await transition(client, {
+    matric: '2019/1/00001CS', docType: 'nysc_letter', action: 'reject', expectedVersion: 3,
+    changes: { rejection_reason: 'Blurred' },
+  });
+  assert.strictEqual(before.status, 'uploaded');
+  assert.strictEqual(after.status, 'rejected');
+  assert.strictEqual(after.rejection_reason, 'Blurred');
+  assert.strictEqual(after.version, 4);
+  assert.match(client.queries[0].sql, /FOR UPDATE OF c/);
+  assert.deepStrictEqual(published(client), [
+    { type: 'document', matric: '2019/1/00001CS', docType: 'nysc_letter', slot: '', status: 'rejected', version: 4 },
+  ]);
+});
+
+test('transition refuses a stale expectedVersion without changing anything', async () => {
+  const client = fakeClient(uploadRow('uploaded'));
+  await assert.rejects(
+    transition(client, { matric: '2019/1/00001CS', docType: 'nysc_letter', action: 'verify', expectedVersion: 2 }),
+    (err) => err instanceof StatusError && err.status === 409 && /changed by someone else/.test(err.message)
+  );
+  assert.strictEqual(client.queries.length, 1);
+});
+
+test('transition does not coerce expectedVersion', async () => {
+  for (const expectedVersion of ['3', null, true]) {
+    const client = fakeClient(uploadRow('uploaded', { version: expectedVersion === true ? 1 : 3 }));
+    await assert.rejects(
+      transition(client, { matric: '2019/1/00001CS', docType: 'nysc_letter', action: 'verify', expectedVersion }),
+      { status: 409 }
+    );
+  }
+  const zero = fakeClient(uploadRow('uploaded', { version: 0 }));
+  await assert.rejects(
+    transition(zero, { matric: '2019/1/00001CS', docType: 'nysc_letter', action: 'verify', expectedVersion: null }),
+    { status: 409 }
+  );
+});
+
+test('transition refuses a disallowed action without changing anything', async () => {
+  const client = fakeClient(uploadRow('verified'));
+  await assert.rejects(
+    transition(client, { matric: '2019/1/00001CS', docType: 'nysc_letter', action: 'verify', expectedVersion: 3 }),
+    { status: 409 }
+  );
+  assert.strictEqual(client.queries.length, 1);
+});
+
+test('transition answers 404 for a document that does not exist', async () => {
+  await assert.rejects(
+    transition(fakeClient(null), { matric: '2019/1/00001CS', docType: 'nysc_letter', action: 'upload' }),
+    { status: 404 }
+  );
+});
+
+test('transition picks the file by slot', async () => {
+  const client = fakeClient(uploadRow('pending', { doc_type: 'school_fees_receipt', slot: '2019/2020' }));
+  await transition(client, { matric: '2019/1/00001CS', docType: 'school_fees_receipt', slot: '2019/2020', action: 'upload' });
+  assert.deepStrictEqual(client.queries[0].params, ['2019/1/00001CS', 'school_fees_receipt', '2019/2020']);
+  assert.deepStrictEqual(client.queries[1].params.slice(-3), ['2019/1/00001CS', 'school_fees_receipt', '2019/2020']);
+});
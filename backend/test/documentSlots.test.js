@@ -0,0 +1,60 @@
+// Tests for requirements that take several files: which slots an upload may use, how they are
+// named, and how the admin screen configures them.
+const test = require('node:test');
+const assert = require('node:assert');
+const requirements = require('../requirements');
+const { fakeClient } = require('./fakeClient');
+
+const SESSIONS = { slots: ['2019/2020', '2020/2021'], max_files: 1 };
+const SINGLE = { slots: null, max_files: 1 };
+const UP_TO_THREE = { slots: null, max_files: 3 };
+
+test('named slots only take their own names', () => {
+  assert.strictEqual(requirements.slotProblem(SESSIONS, '2019/2020'), null);
+  assert.match(requirements.slotProblem(SESSIONS, ''), /Choose one of: 2019\/2020, 2020\/2021/);
+  assert.match(requirements.slotProblem(SESSIONS, '2'), /Choose one of/);
+});
+
+test('single-file requirements only use the empty slot', () => {
+  assert.strictEqual(requirements.slotProblem(SINGLE, ''), null);
+  assert.strictEqual(requirements.slotProblem(SINGLE, '2'), 'This document takes a single file.');
+});
+
+test('unnamed extra files are numbered from 2 up to max_files, written plainly', () => {
+  for (const slot of ['', '2', '3']) assert.strictEqual(requirements.slotProblem(UP_TO_THREE, slot), null);
+  for (const slot of ['1', '4', '02', '2.0', '-2', ' 2', 'extra']) {
+    assert.strictEqual(requirements.slotProblem(UP_TO_THREE, slot), 'This document takes at most 3 files.', `slot ${JSON.stringify(slot)}`);
+  }
+});
+
+test('slots are named for people as "file N" or by their own name', () => {
+  assert.strictEqual(requirements.slotLabel(''), '');
+  assert.strictEqual(requirements.slotLabel('2'), 'file 2');
+  assert.strictEqual(requirements.slotLabel('2019/2020'), '2019/2020');
+});
+
+test('an extra file only gets a row when the requirement applies to the student', async () => {
+  const client = fakeClient();
+  await requirements.addSlot(client, '2019/1/00001CS', 'school_fees_receipt', '2');
+  assert.match(client.queries[0].sql, /FROM student_requirements WHERE matric = \$1 AND doc_type = \$2/);
+  assert.deepStrictEqual(client.queries[0].params, ['2019/1/00001CS', 'school_fees_receipt', '2']);
+});
+
+const requirement = (fields) => ({ label: 'School fees receipts', accepted_types: 'pdf', max_size_mb: 5, ...fields });
+
+test('the admin screen may set named slots or a number of files, not both', () => {
+  const named = requirements.validate(requirement({ slots: '2019/2020, 2020/2021', max_files: 4 }));
+  assert.deepStrictEqual([named.requirement.slots, named.requirement.max_files], [['2019/2020', '2020/2021'], 1]);
+  assert.strictEqual(requirements.validate(requirement({ max_files: '3' })).requirement.max_files, 3);
+  assert.strictEqual(requirements.validate(requirement({})).requirement.max_files, 1);
+});
+
+test('slot settings that would clash with numbered files or each other are refused', () => {
+  const errorFor = (fields) => requirements.validate(requirement(fields)).error;
+  assert.match(errorFor({ slots: '2019/2020, 2' }), /not just a number/);
+  assert.match(errorFor({ slots: ['x'.repeat(41)] }), /at most 40 characters/);
+  assert.match(errorFor({ slots: '2019/2020, 2019/2020' }), /must be different/);
+  assert.match(errorFor({ slots: Array.from({ length: 21 }, (_, i) => `session ${i}`) }), /at most 20 slots/);
+  for (const maxFiles of [0, 21, 1.5, 'many']) assert.match(errorFor({ max_files: maxFiles }), /between 1 and 20/);
+  assert.match(errorFor({ is_physical: true, accepted_types: '', max_files: 2 }), /cannot take several files/);
+});
@@ -0,0 +1,31 @@
+// A stand-in for a pg client (or the db module) in unit tests. `respond(sql, params)` gives the rows a
+// query returns (none when it returns nothing); every query is kept in `queries` as { sql, params }.
+const fakeClient = (respond = () => []) => {
+  const queries = [];
+  return {
+    queries,
+    query: async (sql, params = []) => {
+      queries.push({ sql, params });
+      return { rows: (await respond(sql, params)) || [] };
+    },
+  };
+};
+
+// A client holding one clearance_data row: the row-locking SELECT c.* finds `row` (nothing for null), and
+// UPDATE clearance_data returns `update(row, sql, params)`, the row as the update leaves it.
+const rowClient = (row, update = (current) => current) => fakeClient((sql, params) => {
+  if (sql.startsWith('SELECT c.*')) return row ? [{ ...row }] : [];
+  if (sql.startsWith('UPDATE clearance_data')) return [update(row, sql, params)];
+  return [];
+});
+
+// The events a client published through pg_notify (see events.js), oldest first.
+const published = (client) => client.queries
+  .filter(({ sql }) => sql.includes('pg_notify'))
+  .map(({ params }) => JSON.parse(params[1]));
+
+module.exports = {
+  fakeClient,
+  rowClient,
+  published,
+};
@@ -0,0 +1,62 @@
+// Tests for signed file links and the storage key checks that keep them inside the upload folder.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.STORAGE_DRIVER = 'local';
+process.env.UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'clearance-uploads-'));
+
+const test = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const auth = require('../auth');
+const storage = require('../storage');
+
+const LINK = { matric: '2019/1/00001CS', docType: 'nysc_letter', filename: 'file-1700000000000-1.pdf' };
+
+test('a file link carries the document it was issued for', () => {
+  assert.deepStrictEqual(auth.verifyFileToken(auth.issueFileToken(LINK)), LINK);
+});
+
+test('file links expire after a few minutes', () => {
+  const { iat, exp } = jwt.decode(auth.issueFileToken(LINK));
+  assert.ok(exp - iat <= 5 * 60);
+  const expired = jwt.sign({ purpose: 'file', ...LINK, exp: Math.floor(Date.now() / 1000) - 1 }, 'test-secret');
+  assert.strictEqual(auth.verifyFileToken(expired), null);
+});
+
+test('a file link cannot be edited to point at another file', () => {
+  const [header, , signature] = auth.issueFileToken(LINK).split('.');
+  const payload = Buffer.from(JSON.stringify({ purpose: 'file', ...LINK, filename: 'file-other.pdf' })).toString('base64url');
+  assert.strictEqual(auth.verifyFileToken(`${header}.${payload}.${signature}`), null);
+  assert.strictEqual(auth.verifyFileToken('not-a-token'), null);
+});
+
+test('session tokens and event tickets are not file links', () => {
+  const user = { matric: LINK.matric, role: 'student' };
+  assert.strictEqual(auth.verifyFileToken(auth.issueToken(user)), null);
+  assert.strictEqual(auth.verifyFileToken(auth.issueEventsTicket(user, Date.now() + 60000)), null);
+});
+
+test('storage keys are flat file names that cannot leave the upload folder', () => {
+  assert.strictEqual(storage.isValidKey(LINK.filename), true);
+  assert.strictEqual(storage.isValidKey(storage.newKey('png')), true);
+  for (const key of ['../server.js', '..', 'uploads/file.pdf', '/etc/passwd', 'C:\\boot.ini', '.env', 'file name.pdf', '', null, undefined, 42]) {
+    assert.strictEqual(storage.isValidKey(key), false, `${JSON.stringify(key)} should be refused`);
+  }
+});
+
+test('the local store refuses invalid keys and only reads files inside UPLOAD_DIR', async () => {
+  fs.writeFileSync(path.join(process.env.UPLOAD_DIR, LINK.filename), 'pdf');
+  const file = await storage.open(LINK.filename);
+  assert.strictEqual(file.size, 3);
+  file.stream.destroy();
+  assert.strictEqual(await storage.open('file-missing.pdf'), null);
+  await assert.rejects(storage.open('../package.json'), /Invalid storage key/);
+  await assert.rejects(async () => storage.save('../escape.pdf', Buffer.from('x')), /Invalid storage key/);
+  await storage.remove(LINK.filename);
+  assert.strictEqual(await storage.open(LINK.filename), null);
+});
+
+test.after(() => fs.rmSync(process.env.UPLOAD_DIR, { recursive: true, force: true }));
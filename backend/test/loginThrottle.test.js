@@ -0,0 +1,68 @@
+// Tests for login throttling and the credential check behind the uniform login failure.
+const test = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcryptjs');
+const accounts = require('../accounts');
+const throttle = require('../throttle');
+const { fakeClient } = require('./fakeClient');
+
+const MATRIC = '2019/1/00001CS';
+const KEYS = [['account', MATRIC], ['ip', '10.0.0.7']];
+
+test('throttle keys name the rule and ignore case, so MATRIC and matric share a counter', async () => {
+  const client = fakeClient(() => [{ seconds: null }]);
+  await throttle.lockedFor(client, KEYS);
+  assert.deepStrictEqual(client.queries[0].params, [['account:2019/1/00001cs', 'ip:10.0.0.7']]);
+});
+
+test('lockedFor reports the seconds left on the longest lock, or 0', async () => {
+  assert.strictEqual(await throttle.lockedFor(fakeClient(() => [{ seconds: 540 }]), KEYS), 540);
+  assert.strictEqual(await throttle.lockedFor(fakeClient(() => [{ seconds: null }]), KEYS), 0);
+});
+
+test('hit counts an attempt against every key and locks those over their own limit', async () => {
+  const client = fakeClient();
+  await throttle.hit(client, KEYS);
+  const locks = client.queries.filter(({ sql }) => sql.includes('SET locked_until'));
+  assert.strictEqual(client.queries.filter(({ sql }) => sql.startsWith('INSERT INTO login_throttle')).length, 2);
+  // [key, lockMinutes, limit]: five failures lock one account, twenty lock an address.
+  assert.deepStrictEqual(locks.map(({ params }) => params), [['account:2019/1/00001cs', 15, 5], ['ip:10.0.0.7', 15, 20]]);
+});
+
+test('clear forgets only the keys it is given', async () => {
+  const client = fakeClient();
+  await throttle.clear(client, [KEYS[0]]);
+  assert.deepStrictEqual(client.queries[0].params, [['account:2019/1/00001cs']]);
+});
+
+// A client with one student (password "correct horse", or none when `hash` is null) and staff
+// account "bursar" (deactivated when `active` is false).
+const accountsClient = ({ hash, active = true }) => fakeClient((sql, params) => {
+  if (sql.includes('FROM staff')) return params[0] === 'bursar' ? [{ matric: 'bursar', password_hash: hash, active }] : [];
+  if (sql.includes('FROM students')) return params[0] === MATRIC ? [{ matric: MATRIC, password_hash: hash }] : [];
+  return [];
+});
+const HASH = bcrypt.hashSync('correct horse', 4);
+
+test('checkCredentials returns the account without its password hash', async () => {
+  const { user, reason } = await accounts.checkCredentials(accountsClient({ hash: HASH }), MATRIC, 'correct horse');
+  assert.strictEqual(reason, undefined);
+  assert.strictEqual(user.matric, MATRIC);
+  assert.strictEqual(user.role, 'student');
+  assert.strictEqual('password_hash' in user, false);
+});
+
+test('every failed login gives only a reason, after comparing a password hash all the same', async (t) => {
+  const compare = t.mock.method(bcrypt, 'compare');
+  const attempts = [
+    [accountsClient({ hash: HASH }), 'nobody', 'correct horse', 'unknown_matric'],
+    [accountsClient({ hash: null }), MATRIC, 'correct horse', 'not_activated'],
+    [accountsClient({ hash: HASH, active: false }), 'bursar', 'correct horse', 'deactivated'],
+    [accountsClient({ hash: HASH }), MATRIC, 'wrong horse', 'wrong_password'],
+  ];
+  for (const [client, matric, password, expected] of attempts) {
+    assert.deepStrictEqual(await accounts.checkCredentials(client, matric, password), { reason: expected });
+  }
+  // Unknown and unactivated accounts are checked against a dummy hash, so they take as long as real ones.
+  assert.strictEqual(compare.mock.callCount(), attempts.length);
+});
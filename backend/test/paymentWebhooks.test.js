@@ -0,0 +1,90 @@
+// Tests for payment webhooks: only genuinely signed webhooks are applied, and only for the full amount.
+// Uses the Paystack adapter with a test secret; nothing is sent to Paystack.
+process.env.PAYMENT_GATEWAY = 'paystack';
+process.env.PAYMENT_SECRET_KEY = 'sk_test_secret';
+process.env.CLEARANCE_FEE_KOBO = '500000';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const db = require('../db');
+const notifications = require('../notifications');
+const { gateway } = require('../paymentGateways');
+const { createMockGateway } = require('../mockGateway');
+const payments = require('../payments');
+const { fakeClient } = require('./fakeClient');
+
+const paystackSignature = (body, secret = 'sk_test_secret') => crypto.createHmac('sha512', secret).update(body).digest('hex');
+
+const chargeEvent = (amount, currency = 'NGN') => JSON.stringify({
+  event: 'charge.success',
+  data: { reference: 'CLR-TEST-1', status: 'success', amount, currency, paid_at: '2026-10-01T10:00:00.000Z' },
+});
+
+// Stands in for the database: one pending payment for the fee, and every query kept in `queries`.
+const useFakeDatabase = (t) => {
+  const client = fakeClient((sql, params) => {
+    if (sql.startsWith('SELECT') && sql.includes('FROM payments')) {
+      return [{ id: 1, reference: 'CLR-TEST-1', matric: '2019/1/00001CS', amount_kobo: 500000, currency: 'NGN', status: 'pending' }];
+    }
+    if (sql.startsWith('UPDATE payments')) return [{ id: 1, status: params[0] }];
+    return [];
+  });
+  t.mock.method(db, 'transaction', async (work) => work(client));
+  t.mock.method(notifications, 'notifyIfCertificateReady', async () => {});
+  return client.queries;
+};
+
+const statusSetTo = (queries) => {
+  const update = queries.find(({ sql }) => sql.startsWith('UPDATE payments'));
+  return update ? update.params[0] : null;
+};
+
+test('the Paystack adapter accepts its own HMAC-SHA512 signature over the raw body', () => {
+  const body = Buffer.from(chargeEvent(500000));
+  assert.strictEqual(gateway.isValidWebhook(body, { 'x-paystack-signature': paystackSignature(body) }), true);
+});
+
+test('the Paystack adapter refuses missing, wrong and tampered signatures', () => {
+  const body = Buffer.from(chargeEvent(500000));
+  assert.strictEqual(gateway.isValidWebhook(body, {}), false);
+  assert.strictEqual(gateway.isValidWebhook(body, { 'x-paystack-signature': 'abc' }), false);
+  assert.strictEqual(gateway.isValidWebhook(body, { 'x-paystack-signature': paystackSignature(body, 'another_secret') }), false);
+  const tampered = Buffer.from(chargeEvent(5000000));
+  assert.strictEqual(gateway.isValidWebhook(tampered, { 'x-paystack-signature': paystackSignature(body) }), false);
+});
+
+test('the mock adapter checks its signature the same way', () => {
+  const { adapter } = createMockGateway('mock_secret');
+  const body = Buffer.from('{"reference":"CLR-TEST-1","status":"success"}');
+  const signature = crypto.createHmac('sha256', 'mock_secret').update(body).digest('hex');
+  assert.strictEqual(adapter.isValidWebhook(body, { 'x-mock-signature': signature }), true);
+  const forged = crypto.createHmac('sha256', 'guessed_secret').update(body).digest('hex');
+  assert.strictEqual(adapter.isValidWebhook(body, { 'x-mock-signature': forged }), false);
+});
+
+test('a webhook with a bad signature is refused before touching the database', async (t) => {
+  const queries = useFakeDatabase(t);
+  const body = chargeEvent(500000);
+  const handled = await payments.handleWebhook(Buffer.from(body), { 'x-paystack-signature': paystackSignature('{}') }, JSON.parse(body));
+  assert.strictEqual(handled, false);
+  assert.strictEqual(queries.length, 0);
+});
+
+test('a signed webhook for the full amount marks the student as paid', async (t) => {
+  const queries = useFakeDatabase(t);
+  const body = chargeEvent(500000);
+  const handled = await payments.handleWebhook(Buffer.from(body), { 'x-paystack-signature': paystackSignature(body) }, JSON.parse(body));
+  assert.strictEqual(handled, true);
+  assert.strictEqual(statusSetTo(queries), 'success');
+  assert.ok(queries.some(({ sql, params }) => sql.startsWith('UPDATE students SET paid = TRUE') && params[0] === '2019/1/00001CS'));
+});
+
+test('a signed webhook for less than the fee, or in another currency, fails the payment', async (t) => {
+  for (const body of [chargeEvent(499999), chargeEvent(500000, 'USD')]) {
+    const queries = useFakeDatabase(t);
+    await payments.handleWebhook(Buffer.from(body), { 'x-paystack-signature': paystackSignature(body) }, JSON.parse(body));
+    assert.strictEqual(statusSetTo(queries), 'failed');
+    assert.ok(!queries.some(({ sql }) => sql.startsWith('UPDATE students')));
+  }
+});
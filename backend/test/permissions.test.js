@@ -0,0 +1,44 @@
+// Tests for how role grants become permissions and what those permissions allow.
+const test = require('node:test');
+const assert = require('node:assert');
+const permissions = require('../permissions');
+
+const receiptOfficer = permissions.fromGrants('bursary', [
+  { permission: 'view', doc_type: 'certificate_payment_receipt' },
+  { permission: 'verify', doc_type: 'certificate_payment_receipt' },
+  { permission: 'view', doc_type: 'nysc_letter' },
+  { permission: 'audit', doc_type: '*' },
+]);
+
+test('document permissions only apply to the document types they were granted for', () => {
+  assert.strictEqual(permissions.allows(receiptOfficer, 'verify', 'certificate_payment_receipt'), true);
+  assert.strictEqual(permissions.allows(receiptOfficer, 'verify', 'nysc_letter'), false);
+  assert.strictEqual(permissions.allows(receiptOfficer, 'view', 'nysc_letter'), true);
+  assert.strictEqual(permissions.allows(receiptOfficer, 'reject', 'certificate_payment_receipt'), false);
+});
+
+test('a grant for every type allows any document type', () => {
+  const reviewer = permissions.fromGrants('reviewer', [{ permission: 'view', doc_type: '*' }]);
+  assert.strictEqual(permissions.allows(reviewer, 'view', 'nysc_letter'), true);
+  assert.strictEqual(permissions.allows(reviewer, 'view', 'a_type_added_later'), true);
+});
+
+test('without a document type, allows asks whether the permission is granted at all', () => {
+  assert.strictEqual(permissions.allows(receiptOfficer, 'verify'), true);
+  assert.strictEqual(permissions.allows(receiptOfficer, 'audit'), true);
+  assert.strictEqual(permissions.allows(receiptOfficer, 'manage_users'), false);
+  assert.strictEqual(permissions.allows({}, 'view'), false);
+});
+
+test('the super admin has every permission, whatever grants are stored', () => {
+  const superAdmin = permissions.fromGrants(permissions.SUPER_ADMIN, []);
+  for (const permission of permissions.PERMISSIONS) {
+    assert.strictEqual(permissions.allows(superAdmin, permission, 'nysc_letter'), true, permission);
+  }
+});
+
+test('docTypesFor lists the granted types, or null for every type', () => {
+  assert.deepStrictEqual(permissions.docTypesFor(receiptOfficer, 'view'), ['certificate_payment_receipt', 'nysc_letter']);
+  assert.deepStrictEqual(permissions.docTypesFor(receiptOfficer, 'reject'), []);
+  assert.strictEqual(permissions.docTypesFor(receiptOfficer, 'audit'), null);
+});
@@ -0,0 +1,58 @@
+// Tests for the admin student list: paging, sorting and filter checks, with a stand-in database client.
+const test = require('node:test');
+const assert = require('node:assert');
+const roster = require('../roster');
+const { fakeClient } = require('./fakeClient');
+
+// A client where `total` students match and the page query returns `page`.
+const rosterClient = ({ total = 0, page = [] } = {}) => fakeClient((sql) => (sql.startsWith('SELECT COUNT(*)') ? [{ total }] : page));
+
+// The LIMIT and OFFSET a search sent to the database.
+const paging = async (query) => {
+  const client = rosterClient();
+  await roster.search(client, query);
+  const { sql, params } = client.queries[1];
+  const value = (clause) => params[Number(sql.match(new RegExp(`${clause} \\$(\\d+)`))[1]) - 1];
+  return { limit: value('LIMIT'), offset: value('OFFSET') };
+};
+
+test('paging defaults to 25 students from the start', async () => {
+  assert.deepStrictEqual(await paging({}), { limit: 25, offset: 0 });
+});
+
+test('limit and offset are clamped to what the database accepts', async () => {
+  assert.deepStrictEqual(await paging({ limit: '-1', offset: '-5' }), { limit: 1, offset: 0 });
+  assert.deepStrictEqual(await paging({ limit: '1000', offset: '50' }), { limit: 100, offset: 50 });
+  assert.deepStrictEqual(await paging({ limit: '2.5', offset: '7.9' }), { limit: 2, offset: 7 });
+  assert.deepStrictEqual(await paging({ limit: 'all', offset: 'abc' }), { limit: 25, offset: 0 });
+});
+
+test('a page past the end is empty but keeps the number of matching students', async () => {
+  const result = await roster.search(rosterClient({ total: 40 }), { offset: '100' });
+  assert.deepStrictEqual(result, { students: [], total: 40 });
+});
+
+test('sort and order only take the listed columns', async () => {
+  const client = rosterClient();
+  await roster.search(client, { sort: 'ready', order: 'desc' });
+  assert.match(client.queries[1].sql, /ORDER BY is_ready DESC, matric DESC/);
+  await assert.rejects(roster.search(rosterClient(), { sort: 'password_hash' }), { status: 400 });
+  await assert.rejects(roster.search(rosterClient(), { sort: 'matric; DROP TABLE students' }), { status: 400 });
+});
+
+test('filters are checked and passed as parameters, never as SQL', async () => {
+  await assert.rejects(roster.search(rosterClient(), { status: 'approved' }), { status: 400 });
+  await assert.rejects(roster.search(rosterClient(), { paid: 'maybe' }), { status: 400 });
+  const client = rosterClient();
+  await roster.search(client, { paid: 'yes', search: "O'Brien", prefix: '2019_1%' });
+  const [count] = client.queries;
+  assert.doesNotMatch(count.sql, /O'Brien|2019/);
+  assert.deepStrictEqual(count.params, [true, "O'Brien", '2019\\_1\\%']);
+});
+
+test('staff only see students with document types they may view', async () => {
+  const client = rosterClient();
+  await roster.search(client, { docType: 'nysc_letter,certificate_payment_receipt' }, { visibleDocTypes: ['certificate_payment_receipt'] });
+  assert.deepStrictEqual(client.queries[0].params, [['certificate_payment_receipt']]);
+  assert.ok(client.queries[1].params.some((param) => Array.isArray(param) && param.join() === 'certificate_payment_receipt'));
+});
@@ -0,0 +1,50 @@
+// This file limits repeated attempts at sensitive actions (logins, reset emails, slip checks) per account and per IP.
+// Counters live in the `login_throttle` table so every server instance sees the same numbers.
+// Each rule allows `limit` hits within `windowMinutes`; the next one locks the key for `lockMinutes`.
+const RULES = {
+  account: { limit: 5, windowMinutes: 15, lockMinutes: 15 },  // failed logins for one matric
+  ip: { limit: 20, windowMinutes: 15, lockMinutes: 15 },      // failed logins and activations from one address
+  reset: { limit: 3, windowMinutes: 60, lockMinutes: 60 },    // password reset emails for one matric
+  verify: { limit: 20, windowMinutes: 15, lockMinutes: 15 },  // unknown clearance slip codes from one address
+};
+
+// `keys` are [rule, id] pairs, e.g. [['account', matric], ['ip', req.ip]].
+const keyOf = ([rule, id]) => `${rule}:${String(id).toLowerCase()}`;
+
+// Returns how many seconds are left on the longest lock among `keys`, or 0 if none is locked.
+const lockedFor = async (client, keys) => {
+  const { rows } = await client.query(
+    `SELECT CEIL(EXTRACT(EPOCH FROM MAX(locked_until) - NOW()))::int AS seconds
+     FROM login_throttle WHERE key = ANY($1) AND locked_until > NOW()`,
+    [keys.map(keyOf)]
+  );
+  return rows[0].seconds || 0;
+};
+
+// Counts one attempt against each of `keys`, locking any that go over their limit.
+const hit = async (client, keys) => {
+  for (const key of keys) {
+    const { limit, windowMinutes, lockMinutes } = RULES[key[0]];
+    await client.query(
+      `INSERT INTO login_throttle (key, hits, window_started_at) VALUES ($1, 1, NOW())
+       ON CONFLICT (key) DO UPDATE SET
+         hits = CASE WHEN login_throttle.window_started_at < NOW() - make_interval(mins => $2) THEN 1 ELSE login_throttle.hits + 1 END,
+         window_started_at = CASE WHEN login_throttle.window_started_at < NOW() - make_interval(mins => $2) THEN NOW() ELSE login_throttle.window_started_at END`,
+      [keyOf(key), windowMinutes]
+    );
+    await client.query(
+      `UPDATE login_throttle SET locked_until = NOW() + make_interval(mins => $2), hits = 0, window_started_at = NOW()
+       WHERE key = $1 AND hits > $3`,
+      [keyOf(key), lockMinutes, limit]
+    );
+  }
+};
+
+// Forgets the attempts against `keys`, e.g. after a successful login.
+const clear = (client, keys) => client.query('DELETE FROM login_throttle WHERE key = ANY($1)', [keys.map(keyOf)]);
+
+module.exports = {
+  lockedFor,
+  hit,
+  clear,
+};
@@ -0,0 +1,137 @@
+// This file checks what is inside an upload before it is stored, rather than trusting its name:
+//   - the type is read from the file's first bytes, and must be one the requirement accepts
+//   - the file is passed to a virus scanner when VIRUS_SCAN_COMMAND is set
+//   - PDFs must open without a password and have at least one page
+//   - images are re-encoded, which drops their metadata (EXIF, GPS position), applies the camera's
+//     rotation and scales anything larger than IMAGE_MAX_DIMENSION (default 2400px) down
+// It also makes a small JPEG thumbnail (the first page, for PDFs) for the admin tables.
+const { spawn } = require('child_process');
+const sharp = require('sharp');
+const { PDFDocument } = require('pdf-lib');
+const { StatusError } = require('./docStatus');
+const pdfPages = require('./pdfPages');
+
+const IMAGE_MAX_DIMENSION = Number(process.env.IMAGE_MAX_DIMENSION) || 2400;
+const THUMBNAIL_WIDTH = 240;
+
+// The leading bytes of each accepted format, with the extension the stored file gets.
+const SIGNATURES = [
+  { type: 'pdf', extension: 'pdf', contentType: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] }, // %PDF-
+  { type: 'png', extension: 'png', contentType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: 'jpeg', extension: 'jpg', contentType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+];
+
+const sniff = (buffer) => SIGNATURES.find(({ bytes }) => bytes.every((byte, i) => buffer[i] === byte)) || null;
+
+// Requirements list "jpg" and "jpeg" separately; both mean a JPEG.
+const accepts = (acceptedTypes, format) => (format.type === 'jpeg'
+  ? acceptedTypes.includes('jpg') || acceptedTypes.includes('jpeg')
+  : acceptedTypes.includes(format.type));
+
+// --- Virus scanning ---
+// VIRUS_SCAN_COMMAND is run with the file on its standard input, e.g. "clamdscan --no-summary -".
+// Exit code 0 means clean and 1 means infected (the ClamAV convention); anything else is a scanner failure,
+// and the upload is refused rather than stored unscanned.
+const SCAN_COMMAND = (process.env.VIRUS_SCAN_COMMAND || '').trim().split(/\s+/).filter(Boolean);
+const SCAN_TIMEOUT_MS = (Number(process.env.VIRUS_SCAN_TIMEOUT_SECONDS) || 60) * 1000;
+
+const scan = (buffer) => new Promise((resolve, reject) => {
+  const [command, ...args] = SCAN_COMMAND;
+  const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+  const timer = setTimeout(() => child.kill(), SCAN_TIMEOUT_MS);
+  let output = '';
+  child.stdout.on('data', (chunk) => { output += chunk; });
+  child.stderr.on('data', (chunk) => { output += chunk; });
+  child.stdin.on('error', () => {}); // the scanner may exit before reading everything; the exit code says why
+  child.on('error', (err) => { // e.g. the scanner is not installed
+    clearTimeout(timer);
+    reject(err);
+  });
+  child.on('close', (code) => {
+    clearTimeout(timer);
+    if (code === 0) return resolve();
+    if (code === 1) return reject(new StatusError(400, 'This file failed the virus scan and was not accepted.'));
+    reject(new Error(`Virus scanner exited with ${code === null ? 'a timeout' : `code ${code}`}: ${output.trim()}`));
+  });
+  child.stdin.end(buffer);
+});
+
+// --- PDFs ---
+const checkPdf = async (buffer) => {
+  let encrypted = false;
+  let pageCount = 0;
+  try {
+    const pdf = await PDFDocument.load(buffer, { ignoreEncryption: true, updateMetadata: false });
+    encrypted = pdf.isEncrypted;
+    pageCount = encrypted ? 1 : pdf.getPageCount();
+  } catch (err) {
+    // Anything pdf-lib cannot parse is treated as damaged.
+  }
+  if (encrypted) {
+    throw new StatusError(400, 'Password-protected PDFs cannot be reviewed. Please upload a copy without a password.');
+  }
+  if (pageCount === 0) {
+    throw new StatusError(400, 'This PDF could not be opened. It may be damaged; please export it again and re-upload.');
+  }
+};
+
+// --- Images ---
+const reencodeImage = async (buffer, format) => {
+  try {
+    const image = sharp(buffer, { failOn: 'error' })
+      .rotate() // applies the EXIF orientation before the metadata is dropped
+      .resize({ width: IMAGE_MAX_DIMENSION, height: IMAGE_MAX_DIMENSION, fit: 'inside', withoutEnlargement: true });
+    return await (format.type === 'png' ? image.png() : image.jpeg({ quality: 85, mozjpeg: true })).toBuffer();
+  } catch (err) {
+    throw new StatusError(400, 'This image could not be read. It may be damaged; please take or export it again.');
+  }
+};
+
+const makeThumbnail = (image) => sharp(image)
+  .resize({ width: THUMBNAIL_WIDTH, height: THUMBNAIL_WIDTH * 2, fit: 'inside', withoutEnlargement: true })
+  .flatten({ background: '#ffffff' })
+  .jpeg({ quality: 70 })
+  .toBuffer();
+
+// Checks an upload (multer's `req.file`) against the requirement it is for.
+// Returns { buffer, contentType, extension, thumbnail } to store, where `buffer` may differ from the
+// upload (images are re-encoded) and `thumbnail` is null if one could not be made.
+// Throws a StatusError describing the problem when the file is refused.
+const inspect = async (file, requirement) => {
+  const format = sniff(file.buffer);
+  if (!format || !accepts(requirement.accepted_types, format)) {
+    const allowed = requirement.accepted_types.map((type) => type.toUpperCase()).join(', ');
+    throw new StatusError(400, `This file is not a valid ${allowed} file. Its content does not match its name.`);
+  }
+  if (SCAN_COMMAND.length > 0) {
+    try {
+      await scan(file.buffer);
+    } catch (err) {
+      if (err instanceof StatusError) throw err;
+      console.error('Virus scan error:', err);
+      throw new StatusError(503, 'The file could not be scanned for viruses right now. Please try again later.');
+    }
+  }
+
+  let buffer = file.buffer;
+  if (format.type === 'pdf') {
+    await checkPdf(buffer);
+  } else {
+    buffer = await reencodeImage(buffer, format);
+  }
+
+  // A missing thumbnail only means the admin tables show a placeholder, so it never refuses the upload.
+  let thumbnail = null;
+  try {
+    // PDFs are rendered at about twice the thumbnail width, for sharp to scale down.
+    const image = format.type === 'pdf' ? await pdfPages.renderPage(buffer, { page: 1, width: THUMBNAIL_WIDTH * 2 }) : buffer;
+    thumbnail = await makeThumbnail(image);
+  } catch (err) {
+    console.error('Thumbnail error:', err);
+  }
+  return { buffer, contentType: format.contentType, extension: format.extension, thumbnail };
+};
+
+module.exports = {
+  inspect,
+};
@@ -1,15 +1,209 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useContext, useCallback } from 'react';
+import { Routes, Route, Navigate, NavLink, Link, Outlet, useNavigate, useLocation, useParams, useSearchParams } from 'react-router-dom';
 
 // This is the setting for live deployment. It will work on Render.
 const API_BASE_URL = '/api';
 
+// The session token issued by /api/login. It is sent with every API request, and kept in
+// localStorage so a reload (or a link opened in a new tab) keeps the user logged in.
+const TOKEN_STORAGE_KEY = 'authToken';
+let authToken = localStorage.getItem(TOKEN_STORAGE_KEY);
+const setAuthToken = (token) => {
+  authToken = token;
+  if (token) localStorage.setItem(TOKEN_STORAGE_KEY, token);
+  else localStorage.removeItem(TOKEN_STORAGE_KEY);
+};
+// Called when the server rejects the token, so the App can send the user back to the login page.
+let onSessionExpired = () => {};
+
+// Wrapper around fetch for the API: adds the Authorization header and handles 401/403 in one place.
+// It resolves to the Response for any other status, so callers still check `response.ok` themselves.
+const apiFetch = async (path, options = {}) => {
+  const headers = { ...options.headers };
+  if (authToken) headers.Authorization = `Bearer ${authToken}`;
+  const response = await fetch(`${API_BASE_URL}${path}`, { ...options, headers });
+  if (response.status === 401) {
+    onSessionExpired();
+    throw new Error('Your session has expired. Please log in again.');
+  }
+  if (response.status === 403) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.message || 'You are not allowed to do that.');
+  }
+  return response;
+};
+
+// The query string that picks one file of a requirement that takes several (see backend/requirements.js).
+const slotQuery = (slot) => (slot ? `?slot=${encodeURIComponent(slot)}` : '');
+
+// Asks the server for short-lived signed view/download links to one uploaded document (a clearance row).
+// Pass a submission id to get links for an earlier version instead of the current file.
+const getFileLinks = async (doc, submissionId) => {
+  const params = new URLSearchParams();
+  if (doc.slot) params.set('slot', doc.slot);
+  if (submissionId) params.set('submission', submissionId);
+  const query = params.toString() ? `?${params}` : '';
+  const response = await apiFetch(`/files/${encodeURIComponent(doc.matric)}/${doc.doc_type}/link${query}`);
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.message || 'Could not open the file.');
+  return data; // { filename, viewUrl, downloadUrl }
+};
+
+// Hands a Blob to the browser as a file download.
+const saveFile = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// --- Live Updates ---
+const LIVE_EVENT_TYPES = ['document', 'claim', 'certificate'];
+const LIVE_RETRY_MAX_MS = 30000;
+
+// Keeps a live event stream open (see backend/events.js) while the component is mounted.
+// `handlers.document`, `handlers.claim` and `handlers.certificate` are called with each event's data;
+// students only get events about themselves. `handlers.resync` is called whenever events may have been missed
+// (after a reconnect, or when the server says so), so the component should reload its data.
+// A dropped stream is reopened with a fresh ticket, waiting longer after each failed attempt.
+const useLiveEvents = (handlers) => {
+    const handlersRef = useRef(handlers);
+    handlersRef.current = handlers;
+
+    useEffect(() => {
+        let source = null;
+        let retryTimer = null;
+        let stopped = false;
+        let failures = 0;
+        let connectedBefore = false;
+        const call = (name, data) => {
+            if (handlersRef.current[name]) handlersRef.current[name](data);
+        };
+
+        const retry = () => {
+            if (stopped) return;
+            retryTimer = setTimeout(connect, Math.min(1000 * 2 ** failures, LIVE_RETRY_MAX_MS));
+            failures += 1;
+        };
+
+        const connect = async () => {
+            try {
+                const response = await apiFetch('/events/ticket', { method: 'POST' });
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.message);
+                if (stopped) return;
+                source = new EventSource(`${API_BASE_URL}/events?ticket=${encodeURIComponent(data.ticket)}`);
+            } catch (error) {
+                // An expired session is handled by apiFetch; anything else is retried.
+                return retry();
+            }
+            source.addEventListener('ready', () => {
+                failures = 0;
+                if (connectedBefore) call('resync', {});
+                connectedBefore = true;
+            });
+            source.addEventListener('resync', () => call('resync', {}));
+            LIVE_EVENT_TYPES.forEach(type => source.addEventListener(type, (event) => call(type, JSON.parse(event.data))));
+            // EventSource would reconnect by itself, but with the same (by then expired) ticket.
+            source.onerror = () => {
+                source.close();
+                retry();
+            };
+        };
+
+        connect();
+        return () => {
+            stopped = true;
+            clearTimeout(retryTimer);
+            if (source) source.close();
+        };
+    }, []);
+};
+
+// --- Staff Permissions ---
+// Staff users carry their role's permissions as { permission: [docType or '*', ...] } (see
+// backend/permissions.js). The server enforces them; the dashboard uses them to hide what a role cannot use.
+const ALL_DOC_TYPES = '*';
+
+// Whether `user` has `permission` for `docType`, or for any document type when none is given.
+const userCan = (user, permission, docType) => {
+  const scopes = (user && user.permissions && user.permissions[permission]) || [];
+  if (docType === undefined) return scopes.length > 0;
+  return scopes.includes(ALL_DOC_TYPES) || scopes.includes(docType);
+};
+
+// The logged-in user, for components deep in the admin pages.
+const UserContext = React.createContext(null);
+
+// Returns can(permission, docType) for the logged-in user.
+const useCan = () => {
+  const user = useContext(UserContext);
+  return (permission, docType) => userCan(user, permission, docType);
+};
+
 // --- Main App Component ---
+// Where a user lands after logging in: their dashboard, or the password change page first.
+// /admin forwards staff to the first page their role allows.
+const homePath = (user) => {
+  if (user.must_change_password) return '/change-password';
+  return user.role === 'admin' ? '/admin' : '/student';
+};
+
+// Renders `children` only for a logged-in user with `role`. Anyone else is sent to the login page
+// (which returns them here afterwards), to the password change page, or to their own dashboard.
+const RequireRole = ({ user, role, children }) => {
+  const location = useLocation();
+  if (!user) return <Navigate to="/login" state={{ from: `${location.pathname}${location.search}` }} replace />;
+  if (user.must_change_password) return <Navigate to="/change-password" replace />;
+  if (user.role !== role) return <Navigate to={homePath(user)} replace />;
+  return children;
+};
+
+// Sends "/" and unknown paths to the user's home page. Reset links emailed before the site had
+// routes (/?reset=<token>) still reach the reset page.
+const HomeRedirect = ({ user }) => {
+  const [searchParams] = useSearchParams();
+  const resetToken = searchParams.get('reset');
+  if (resetToken) return <Navigate to={`/reset-password?token=${encodeURIComponent(resetToken)}`} replace />;
+  return <Navigate to={user ? homePath(user) : '/login'} replace />;
+};
+
 function App() {
-  const [user, setUser] = useState(null); // Will store {matric, email, paid}
-  const [view, setView] = useState('login'); // login, student, admin_receipts, admin_docs, admin_id_cards
+  // The logged-in user ({ matric, email, paid, role... }), null when logged out, or undefined while
+  // a saved session is being restored.
+  const [user, setUser] = useState(() => (authToken ? undefined : null));
   const [loginError, setLoginError] = useState('');
   const [matricInput, setMatricInput] = useState('');
   const [passwordInput, setPasswordInput] = useState('');
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  useEffect(() => {
+    // The route guards then send the user to the login page, remembering where they were.
+    onSessionExpired = () => {
+      setAuthToken(null);
+      setUser(null);
+      setLoginError('Your session has expired. Please log in again.');
+    };
+  }, []);
+
+  // Restores the session saved by an earlier visit.
+  useEffect(() => {
+    if (!authToken) return;
+    apiFetch('/session')
+      .then(async res => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.message);
+        setUser(data.user);
+      })
+      .catch(error => {
+        console.error(error.message);
+        setAuthToken(null);
+        setUser(null);
+      });
+  }, []);
 
   const handleLogin = async (e) => {
     e.preventDefault();
@@ -24,56 +218,88 @@ function App() {
       if (!response.ok) {
         throw new Error(data.message || 'Login failed');
       }
-      setUser(data.user);
-      // Simple role-based routing
-      if (data.user.matric.startsWith('admin')) {
-        setView('admin_receipts'); // Default admin view
-      } else {
-        setView('student');
-      }
+      startSession(data);
+      // Back to the page that sent the user to log in, if any; the guards check it suits their role.
+      navigate((location.state && location.state.from) || homePath(data.user), { replace: true });
     } catch (error) {
       setLoginError(error.message);
     }
   };
 
+  // `data` is { user, token } from /api/login or /api/account/password.
+  const startSession = (data) => {
+    setAuthToken(data.token);
+    setUser(data.user);
+  };
+
   const handleLogout = () => {
+    setAuthToken(null);
     setUser(null);
-    setView('login');
     setMatricInput('');
     setPasswordInput('');
+    navigate('/login');
   };
 
-  const renderContent = () => {
-    switch (view) {
-      case 'student':
-        return <StudentDashboard user={user} onLogout={handleLogout} />;
-      case 'admin_receipts':
-        return <AdminReceiptsDashboard user={user} setView={setView} onLogout={handleLogout} />;
-      case 'admin_docs':
-        return <AdminDocsDashboard user={user} setView={setView} onLogout={handleLogout} />;
-      case 'admin_id_cards':
-        return <AdminIdCardsDashboard user={user} setView={setView} onLogout={handleLogout} />;
-      case 'login':
-      default:
-        return (
-          <LoginPage
-            matric={matricInput}
-            setMatric={setMatricInput}
-            password={passwordInput}
-            setPassword={setPasswordInput}
-            handleLogin={handleLogin}
-            loginError={loginError}
-          />
-        );
-    }
-  };
+  if (user === undefined) {
+    return <div className="bg-gray-100 min-h-screen font-sans"><p className="p-8 text-center text-gray-500">Loading...</p></div>;
+  }
 
-  return <div className="bg-gray-100 min-h-screen font-sans">{renderContent()}</div>;
+  return (
+    <UserContext.Provider value={user}>
+    <div className="bg-gray-100 min-h-screen font-sans">
+      <Routes>
+        <Route
+          path="/login"
+          element={user ? <Navigate to={homePath(user)} replace /> : (
+            <LoginPage
+              matric={matricInput}
+              setMatric={setMatricInput}
+              password={passwordInput}
+              setPassword={setPasswordInput}
+              handleLogin={handleLogin}
+              loginError={loginError}
+              onShowActivation={() => navigate('/activate')}
+              onShowForgotPassword={() => navigate('/forgot-password')}
+            />
+          )}
+        />
+        <Route path="/activate" element={<ActivationPage onDone={() => navigate('/login')} />} />
+        <Route path="/forgot-password" element={<ForgotPasswordPage onDone={() => navigate('/login')} />} />
+        <Route path="/reset-password" element={<ResetPasswordPage onDone={() => navigate('/login', { replace: true })} />} />
+        <Route path="/verify" element={<VerifySlipPage />} />
+        <Route path="/verify/:code" element={<VerifySlipPage />} />
+        <Route
+          path="/change-password"
+          element={user && user.must_change_password ? (
+            <AuthCard title="Choose a New Password" subtitle="Your account has an initial password. Please choose your own before continuing.">
+              <ChangePasswordForm
+                onChanged={(data) => {
+                  startSession(data);
+                  navigate(homePath(data.user), { replace: true });
+                }}
+              />
+              <button onClick={handleLogout} className="w-full text-sm text-gray-600 hover:underline">Log out</button>
+            </AuthCard>
+          ) : <HomeRedirect user={user} />}
+        />
+        <Route path="/student" element={<RequireRole user={user} role="student"><StudentDashboard user={user} onLogout={handleLogout} /></RequireRole>} />
+        <Route path="/admin" element={<RequireRole user={user} role="admin"><AdminLayout user={user} onLogout={handleLogout} /></RequireRole>}>
+          <Route index element={<AdminIndex />} />
+          {ADMIN_PAGES.map(page => (
+            <Route key={page.path} path={page.path} element={<RequireAdminPage path={page.path}>{page.render()}</RequireAdminPage>} />
+          ))}
+          <Route path="students/:matric" element={<AdminStudentPage />} />
+        </Route>
+        <Route path="*" element={<HomeRedirect user={user} />} />
+      </Routes>
+    </div>
+    </UserContext.Provider>
+  );
 }
 
 
 // --- LoginPage Component ---
-const LoginPage = ({ matric, setMatric, password, setPassword, handleLogin, loginError }) => (
+const LoginPage = ({ matric, setMatric, password, setPassword, handleLogin, loginError, onShowActivation, onShowForgotPassword }) => (
     <div className="flex items-center justify-center min-h-screen">
         <div className="w-full max-w-md p-8 space-y-6 bg-white rounded-lg shadow-md">
             <div className="text-center">
@@ -82,7 +308,7 @@ const LoginPage = ({ matric, setMatric, password, setPassword, handleLogin, logi
             </div>
             <form onSubmit={handleLogin} className="space-y-6">
                 <div>
-                    <label className="block text-sm font-medium text-gray-700">Matriculation Number</label>
+                    <label className="block text-sm font-medium text-gray-700">Matriculation Number or Staff Username</label>
                     <input
                         type="text"
                         value={matric}
@@ -109,40 +335,435 @@ const LoginPage = ({ matric, setMatric, password, setPassword, handleLogin, logi
                     Login
                 </button>
             </form>
+            <p className="text-sm text-center">
+                <button onClick={onShowForgotPassword} className="text-indigo-600 hover:underline">Forgot your password?</button>
+            </p>
+            <p className="text-sm text-center text-gray-600">
+                Received an activation code from the registry?{' '}
+                <button onClick={onShowActivation} className="text-indigo-600 hover:underline">Activate your account</button>
+            </p>
+        </div>
+    </div>
+);
+
+
+// --- ActivationPage Component ---
+// First login for accounts imported with a one-time activation code: the student chooses a password.
+const ActivationPage = ({ onDone }) => {
+    const [form, setForm] = useState({ matric: '', code: '', password: '', confirm: '' });
+    const [error, setError] = useState('');
+    const set = (key) => (e) => setForm({ ...form, [key]: e.target.value });
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        if (form.password !== form.confirm) {
+            setError('The passwords do not match.');
+            return;
+        }
+        try {
+            const response = await fetch(`${API_BASE_URL}/activate`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ matric: form.matric, code: form.code, password: form.password }),
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.message || 'Activation failed');
+            alert(data.message);
+            onDone();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const inputClasses = "w-full px-3 py-2 mt-1 border border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500";
+    return (
+        <div className="flex items-center justify-center min-h-screen">
+            <div className="w-full max-w-md p-8 space-y-6 bg-white rounded-lg shadow-md">
+                <div className="text-center">
+                    <h1 className="text-3xl font-bold text-gray-800">Activate Account</h1>
+                    <p className="text-gray-600">Enter the code you received from the registry</p>
+                </div>
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700">Matriculation Number</label>
+                        <input type="text" required value={form.matric} onChange={set('matric')} className={inputClasses} />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700">Activation Code</label>
+                        <input type="text" required value={form.code} onChange={set('code')} className={inputClasses} />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700">New Password (at least 8 characters)</label>
+                        <input type="password" required minLength={8} value={form.password} onChange={set('password')} className={inputClasses} />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700">Confirm Password</label>
+                        <input type="password" required value={form.confirm} onChange={set('confirm')} className={inputClasses} />
+                    </div>
+                    {error && <p className="text-sm text-red-600">{error}</p>}
+                    <button type="submit" className="w-full px-4 py-2 font-semibold text-white bg-indigo-600 rounded-md hover:bg-indigo-700">Activate</button>
+                </form>
+                <button onClick={onDone} className="w-full text-sm text-gray-600 hover:underline">Back to login</button>
+            </div>
+        </div>
+    );
+};
+
+
+// --- Password Components ---
+// Card layout shared by the pages shown outside a dashboard (password reset and change).
+const AuthCard = ({ title, subtitle, children }) => (
+    <div className="flex items-center justify-center min-h-screen">
+        <div className="w-full max-w-md p-8 space-y-6 bg-white rounded-lg shadow-md">
+            <div className="text-center">
+                <h1 className="text-3xl font-bold text-gray-800">{title}</h1>
+                <p className="text-gray-600">{subtitle}</p>
+            </div>
+            {children}
         </div>
     </div>
 );
 
+const passwordInputClasses = "w-full px-3 py-2 mt-1 border border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500";
+
+// Asks for a reset link by email. The server answers the same whether or not the matric exists.
+const ForgotPasswordPage = ({ onDone }) => {
+    const [matric, setMatric] = useState('');
+    const [message, setMessage] = useState('');
+    const [error, setError] = useState('');
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        try {
+            const response = await fetch(`${API_BASE_URL}/password-reset/request`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ matric }),
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.message || 'Request failed');
+            setMessage(data.message);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <AuthCard title="Reset Password" subtitle="We will email a reset link to the address on your account">
+            {message ? <p className="text-sm text-green-700">{message}</p> : (
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700">Matriculation Number</label>
+                        <input type="text" required value={matric} onChange={(e) => setMatric(e.target.value)} className={passwordInputClasses} />
+                    </div>
+                    {error && <p className="text-sm text-red-600">{error}</p>}
+                    <button type="submit" className="w-full px-4 py-2 font-semibold text-white bg-indigo-600 rounded-md hover:bg-indigo-700">Send reset link</button>
+                </form>
+            )}
+            <button onClick={onDone} className="w-full text-sm text-gray-600 hover:underline">Back to login</button>
+        </AuthCard>
+    );
+};
+
+// New password and confirmation fields. The form using them checks that the two match.
+const NewPasswordFields = ({ password, setPassword, confirm, setConfirm }) => (
+    <>
+        <div>
+            <label className="block text-sm font-medium text-gray-700">New Password (at least 8 characters)</label>
+            <input type="password" required minLength={8} value={password} onChange={(e) => setPassword(e.target.value)} className={passwordInputClasses} />
+        </div>
+        <div>
+            <label className="block text-sm font-medium text-gray-700">Confirm New Password</label>
+            <input type="password" required value={confirm} onChange={(e) => setConfirm(e.target.value)} className={passwordInputClasses} />
+        </div>
+    </>
+);
+
+// Opened from the emailed reset link, /reset-password?token=<token>.
+const ResetPasswordPage = ({ onDone }) => {
+    const [searchParams] = useSearchParams();
+    const token = searchParams.get('token');
+    const [password, setPassword] = useState('');
+    const [confirm, setConfirm] = useState('');
+    const [error, setError] = useState('');
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        if (password !== confirm) {
+            setError('The passwords do not match.');
+            return;
+        }
+        try {
+            const response = await fetch(`${API_BASE_URL}/password-reset/confirm`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ token, password }),
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.message || 'Reset failed');
+            alert(data.message);
+            onDone();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <AuthCard title="Choose a New Password" subtitle="Enter the new password for your account">
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <NewPasswordFields password={password} setPassword={setPassword} confirm={confirm} setConfirm={setConfirm} />
+                {error && <p className="text-sm text-red-600">{error}</p>}
+                <button type="submit" className="w-full px-4 py-2 font-semibold text-white bg-indigo-600 rounded-md hover:bg-indigo-700">Set password</button>
+            </form>
+            <button onClick={onDone} className="w-full text-sm text-gray-600 hover:underline">Back to login</button>
+        </AuthCard>
+    );
+};
+
+// Changes the logged-in user's password. The server answers with a fresh session
+// ({ user, token }), which is passed to onChanged.
+const ChangePasswordForm = ({ onChanged }) => {
+    const [currentPassword, setCurrentPassword] = useState('');
+    const [password, setPassword] = useState('');
+    const [confirm, setConfirm] = useState('');
+    const [error, setError] = useState('');
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        if (password !== confirm) {
+            setError('The passwords do not match.');
+            return;
+        }
+        try {
+            const response = await apiFetch('/account/password', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ currentPassword, newPassword: password }),
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.message);
+            setAuthToken(data.token);
+            onChanged(data);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+                <label className="block text-sm font-medium text-gray-700">Current Password</label>
+                <input type="password" required value={currentPassword} onChange={(e) => setCurrentPassword(e.target.value)} className={passwordInputClasses} />
+            </div>
+            <NewPasswordFields password={password} setPassword={setPassword} confirm={confirm} setConfirm={setConfirm} />
+            {error && <p className="text-sm text-red-600">{error}</p>}
+            <button type="submit" className="w-full px-4 py-2 font-semibold text-white bg-indigo-600 rounded-md hover:bg-indigo-700">Change password</button>
+        </form>
+    );
+};
+
+// "Change password" button for the dashboard headers.
+const ChangePasswordButton = () => {
+    const [isOpen, setIsOpen] = useState(false);
+
+    return (
+        <>
+            <button onClick={() => setIsOpen(true)} className="px-4 py-2 text-sm font-medium text-indigo-600 border border-indigo-600 rounded-md hover:bg-indigo-50">Change password</button>
+            {isOpen && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+                    <div className="bg-white rounded-lg shadow-xl w-full max-w-md">
+                        <header className="flex justify-between items-center p-4 border-b">
+                            <h3 className="font-semibold text-lg">Change password</h3>
+                            <button onClick={() => setIsOpen(false)} className="text-2xl font-bold">&times;</button>
+                        </header>
+                        <div className="p-4">
+                            <ChangePasswordForm onChanged={(data) => { alert(data.message); setIsOpen(false); }} />
+                        </div>
+                    </div>
+                </div>
+            )}
+        </>
+    );
+};
+
+
+// --- EmailSettingsButton Component ---
+// "Email settings" button for the dashboard headers. Opens a dialog listing the email categories
+// that apply to the logged-in user, each of which can be switched off.
+const EmailSettingsButton = () => {
+    const [preferences, setPreferences] = useState(null); // null until loaded
+    const [isOpen, setIsOpen] = useState(false);
+
+    const open = () => {
+        setIsOpen(true);
+        apiFetch('/notification-preferences')
+            .then(res => res.json())
+            .then(setPreferences)
+            .catch(error => alert(error.message));
+    };
+
+    const toggle = async (preference) => {
+        try {
+            const response = await apiFetch('/notification-preferences', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ [preference.category]: !preference.enabled }),
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.message);
+            setPreferences(data);
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
+    const close = () => {
+        setIsOpen(false);
+        setPreferences(null);
+    };
+
+    return (
+        <>
+            <button onClick={open} className="px-4 py-2 text-sm font-medium text-indigo-600 border border-indigo-600 rounded-md hover:bg-indigo-50">Email settings</button>
+            {isOpen && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+                    <div className="bg-white rounded-lg shadow-xl w-full max-w-md">
+                        <header className="flex justify-between items-center p-4 border-b">
+                            <h3 className="font-semibold text-lg">Email notifications</h3>
+                            <button onClick={close} className="text-2xl font-bold">&times;</button>
+                        </header>
+                        <div className="p-4 space-y-3">
+                            {preferences === null ? <p className="text-gray-500">Loading...</p> : preferences.map(preference => (
+                                <label key={preference.category} className="flex items-center space-x-3 text-sm text-gray-700">
+                                    <input type="checkbox" checked={preference.enabled} onChange={() => toggle(preference)} />
+                                    <span>{preference.label}</span>
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+                </div>
+            )}
+        </>
+    );
+};
+
+
+// --- Shared Document Helpers ---
+// The document requirements are configured by admins and loaded once per session.
+let requirementsCache = null;
+
+// Returns the active requirements, a doc_type -> label map for them, and whether they have loaded.
+const useRequirements = () => {
+    const [requirements, setRequirements] = useState(requirementsCache);
+
+    useEffect(() => {
+        if (requirementsCache) return;
+        apiFetch('/requirements')
+            .then(res => res.json())
+            .then(data => {
+                requirementsCache = data;
+                setRequirements(data);
+            })
+            .catch(error => {
+                console.error(error.message);
+                setRequirements([]);
+            });
+    }, []);
+
+    const loaded = requirements !== null;
+    const docLabels = Object.fromEntries((requirements || []).map(r => [r.doc_type, r.label]));
+    return { requirements: requirements || [], docLabels, loaded };
+};
+
+// notified_admin has been stored both as a boolean and as the string 'true'.
+const isNotified = (doc) => doc.notified_admin === true || doc.notified_admin === 'true';
+
+// How a file's slot is named: '' (the only or first file) has no name, '2' is "file 2".
+const slotLabel = (slot) => {
+    if (!slot) return '';
+    return /^\d+$/.test(slot) ? `file ${slot}` : slot;
+};
+
+// A clearance row's label for the admin tables, e.g. "School Fees Receipt (2019/2020)".
+const docLabel = (doc, docLabels) => {
+    const label = docLabels[doc.doc_type] || doc.doc_type;
+    return doc.slot ? `${label} (${slotLabel(doc.slot)})` : label;
+};
+
+// A React key (and selection id) for one file of one student's document.
+const docKey = (doc) => `${doc.matric}-${doc.doc_type}-${doc.slot || ''}`;
+
+// Groups clearance rows (in the server's order) into one list of files per requirement.
+const groupByRequirement = (docs) => {
+    const groups = [];
+    docs.forEach(doc => {
+        const last = groups[groups.length - 1];
+        if (last && last[0].doc_type === doc.doc_type) last.push(doc);
+        else groups.push([doc]);
+    });
+    return groups;
+};
+
+const getStatusChip = (status) => {
+    const baseClasses = "px-2 py-1 text-xs font-semibold rounded-full";
+    switch (status) {
+        case 'verified': return <span className={`${baseClasses} bg-green-200 text-green-800`}>Verified</span>;
+        case 'uploaded': return <span className={`${baseClasses} bg-yellow-200 text-yellow-800`}>Uploaded</span>;
+        case 'pending': return <span className={`${baseClasses} bg-gray-200 text-gray-800`}>Pending</span>;
+        case 'rejected': return <span className={`${baseClasses} bg-red-200 text-red-800`}>Rejected</span>;
+        default: return <span>{status}</span>;
+    }
+};
+
 
 // --- StudentDashboard Component ---
 const StudentDashboard = ({ user, onLogout }) => {
-    const [isCertReady, setIsCertReady] = useState(null);
+    const [certStatus, setCertStatus] = useState(null); // { isReady, checklist, override }
     const [clearanceDocs, setClearanceDocs] = useState([]);
     const [previewFile, setPreviewFile] = useState(null); // { name, url }
+    const [historyKey, setHistoryKey] = useState(null); // docKey of the file whose history is open
 
-    useEffect(() => {
-        // Fetch certificate readiness
-        fetch(`${API_BASE_URL}/status/${user.matric}`)
+    // Fetch certificate readiness
+    const fetchCertStatus = useCallback(() => {
+        apiFetch(`/status/${encodeURIComponent(user.matric)}`)
             .then(res => res.json())
-            .then(data => setIsCertReady(data.isReady));
-
-        // Fetch clearance documents
-        fetchClearanceDocs();
+            .then(data => setCertStatus(data))
+            .catch(error => console.error(error.message));
     }, [user.matric]);
 
-    const fetchClearanceDocs = () => {
-        fetch(`${API_BASE_URL}/clearance/${user.matric}`)
+    const fetchClearanceDocs = useCallback(() => {
+        apiFetch(`/clearance/${encodeURIComponent(user.matric)}`)
             .then(res => res.json())
-            .then(data => setClearanceDocs(data));
-    };
+            .then(data => setClearanceDocs(data))
+            .catch(error => console.error(error.message));
+    }, [user.matric]);
+
+    useEffect(() => {
+        fetchCertStatus();
+        fetchClearanceDocs();
+    }, [fetchCertStatus, fetchClearanceDocs]);
 
-    const handleFileUpload = async (e, docType) => {
+    // A review decision also changes the readiness checklist, so both are reloaded.
+    useLiveEvents({
+        document: () => { fetchClearanceDocs(); fetchCertStatus(); },
+        certificate: () => fetchCertStatus(),
+        resync: () => { fetchClearanceDocs(); fetchCertStatus(); },
+    });
+
+    // `slot` is the file to upload for requirements that take several; by default the row's own.
+    const handleFileUpload = async (e, doc, slot = doc.slot) => {
+        const docType = doc.doc_type;
         const file = e.target.files[0];
+        e.target.value = '';
         if (!file) return;
 
         // Frontend validation
-        if (file.size > 10 * 1024 * 1024) {
-            alert('File is too large! Maximum size is 10MB.');
+        if (file.size > doc.max_size_mb * 1024 * 1024) {
+            alert(`File is too large! Maximum size is ${doc.max_size_mb}MB.`);
             return;
         }
 
@@ -150,7 +771,7 @@ const StudentDashboard = ({ user, onLogout }) => {
         formData.append('file', file);
 
         try {
-            const response = await fetch(`${API_BASE_URL}/upload/${user.matric}/${docType}`, {
+            const response = await apiFetch(`/upload/${encodeURIComponent(user.matric)}/${docType}${slotQuery(slot)}`, {
                 method: 'POST',
                 body: formData,
             });
@@ -163,12 +784,15 @@ const StudentDashboard = ({ user, onLogout }) => {
         }
     };
     
-    const handleDeleteFile = async (docType) => {
+    const handleDeleteFile = async (doc) => {
         if (!window.confirm('Are you sure you want to delete this file?')) return;
         
         try {
-            const response = await fetch(`${API_BASE_URL}/delete/${user.matric}/${docType}`, { method: 'DELETE' });
-            if (!response.ok) throw new Error('Failed to delete file.');
+            const response = await apiFetch(`/delete/${encodeURIComponent(user.matric)}/${doc.doc_type}${slotQuery(doc.slot)}`, { method: 'DELETE' });
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.message || 'Failed to delete file.');
+            }
             alert('File deleted successfully.');
             fetchClearanceDocs(); // Refresh
         } catch (error) {
@@ -176,40 +800,102 @@ const StudentDashboard = ({ user, onLogout }) => {
         }
     };
     
-    const handleNotifyAdmin = async () => {
-        if (!window.confirm('Are you sure you have submitted your ID card physically? This will notify the admin.')) return;
+    const handleNotifyAdmin = async (doc) => {
+        if (!window.confirm(`Are you sure you have submitted your ${doc.label} physically? This will notify the admin.`)) return;
         try {
-            await fetch(`${API_BASE_URL}/notify-id-card/${user.matric}`, { method: 'POST' });
+            const response = await apiFetch(`/notify/${encodeURIComponent(user.matric)}/${doc.doc_type}`, { method: 'POST' });
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.message || 'Failed to notify admin.');
+            }
             alert('Admin has been notified.');
             fetchClearanceDocs();
         } catch(error) {
-            alert('Failed to notify admin.');
+            alert(error.message);
         }
     }
 
-    const openPreview = (filename) => {
-        setPreviewFile({ name: filename, url: `${API_BASE_URL}/view/${filename}` });
+    const openPreview = async (doc) => {
+        try {
+            const { filename, viewUrl } = await getFileLinks(doc);
+            setPreviewFile({ name: filename, url: viewUrl });
+        } catch (error) {
+            alert(error.message);
+        }
     };
 
-    const getStatusChip = (status) => {
-        const baseClasses = "px-2 py-1 text-xs font-semibold rounded-full";
-        switch (status) {
-            case 'verified': return <span className={`${baseClasses} bg-green-200 text-green-800`}>Verified</span>;
-            case 'uploaded': return <span className={`${baseClasses} bg-yellow-200 text-yellow-800`}>Uploaded</span>;
-            case 'pending': return <span className={`${baseClasses} bg-gray-200 text-gray-800`}>Pending</span>;
-            case 'rejected': return <span className={`${baseClasses} bg-red-200 text-red-800`}>Rejected</span>;
-            default: return <span>{status}</span>;
+    const handleDownload = async (doc) => {
+        try {
+            const { downloadUrl } = await getFileLinks(doc);
+            window.location.assign(downloadUrl);
+        } catch (error) {
+            alert(error.message);
         }
     };
-    
-    const docLabels = {
-        'statement_of_result': 'Statement of Result',
-        'school_fees_receipt': 'School Fees Receipt (from 100L)',
-        'clearance_form': 'Original Student Clearance Form',
-        'certificate_payment_receipt': 'Certificate Payment Receipt',
-        'id_card': '500L ID Card (Physical Submission)'
+
+    // The signed clearance slip (PDF) the student prints and brings to the collection desk.
+    const handleDownloadSlip = async () => {
+        try {
+            const response = await apiFetch(`/clearance-slip/${encodeURIComponent(user.matric)}`);
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.message || 'Could not download the clearance slip.');
+            }
+            saveFile(await response.blob(), `clearance-slip-${user.matric.replace(/[^A-Za-z0-9-]/g, '_')}.pdf`);
+        } catch (error) {
+            alert(error.message);
+        }
     };
 
+    // One file's status, history and actions: the whole entry for a single-file requirement, or one
+    // of the files of a requirement that takes several.
+    const renderFile = (doc, title, description) => (
+        <>
+            <div className="flex-1 mb-4 md:mb-0">
+                <p className="font-semibold">{title}</p>
+                {description && <p className="text-sm text-gray-600">{description}</p>}
+                <div className="mt-1">{getStatusChip(doc.status)}</div>
+                {doc.status === 'rejected' && doc.rejection_reason && (
+                    <p className="mt-2 text-sm text-red-700">Reason: {doc.rejection_reason}. Please upload a corrected file.</p>
+                )}
+                {!doc.is_physical && (
+                    <button onClick={() => setHistoryKey(historyKey === docKey(doc) ? null : docKey(doc))} className="mt-2 text-xs text-gray-600 hover:underline">
+                        {historyKey === docKey(doc) ? 'Hide history' : 'Show history'}
+                    </button>
+                )}
+                {historyKey === docKey(doc) && (
+                    <SubmissionHistory doc={doc} onView={setPreviewFile} />
+                )}
+            </div>
+            <div className="flex items-center space-x-2">
+                {doc.is_physical ? (
+                    doc.status === 'verified' ? null : (
+                        <button onClick={() => handleNotifyAdmin(doc)} disabled={isNotified(doc)} className="px-3 py-1 text-sm text-white bg-green-600 rounded disabled:bg-gray-400">
+                            {isNotified(doc) ? 'Notified' : 'Notify Admin'}
+                        </button>
+                    )
+                ) : doc.status === 'uploaded' || doc.status === 'verified' ? (
+                    <>
+                        <button onClick={() => openPreview(doc)} className="text-sm text-blue-600 hover:underline">Preview</button>
+                        <button onClick={() => handleDownload(doc)} className="text-sm text-blue-600 hover:underline">Download</button>
+                        {doc.status !== 'verified' && (
+                            <label className="cursor-pointer text-sm text-indigo-600 hover:underline">
+                                Replace
+                                <input type="file" className="hidden" accept={doc.accepted_types.map(t => `.${t}`).join(',')} onChange={(e) => handleFileUpload(e, doc)} />
+                            </label>
+                        )}
+                        {doc.status !== 'verified' && <button onClick={() => handleDeleteFile(doc)} className="text-sm text-red-600 hover:underline">Delete</button>}
+                    </>
+                ) : (
+                    <label className="cursor-pointer px-3 py-1 text-sm text-white bg-indigo-600 rounded hover:bg-indigo-700">
+                        {doc.status === 'rejected' ? 'Re-upload' : 'Upload'}
+                        <input type="file" className="hidden" accept={doc.accepted_types.map(t => `.${t}`).join(',')} onChange={(e) => handleFileUpload(e, doc)} />
+                    </label>
+                )}
+            </div>
+        </>
+    );
+
     return (
         <div className="max-w-7xl mx-auto p-4 sm:p-6 lg:p-8">
             <header className="flex justify-between items-center mb-6">
@@ -217,63 +903,82 @@ const StudentDashboard = ({ user, onLogout }) => {
                     <h1 className="text-3xl font-bold text-gray-900">Student Dashboard</h1>
                     <p className="text-gray-600">Welcome, {user.matric}</p>
                 </div>
-                <button onClick={onLogout} className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700">Logout</button>
+                <div className="space-x-2">
+                    <ChangePasswordButton />
+                    <EmailSettingsButton />
+                    <button onClick={onLogout} className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700">Logout</button>
+                </div>
             </header>
 
             {/* Status Section */}
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
                  <div className="bg-white p-6 rounded-lg shadow">
                     <h2 className="text-lg font-semibold text-gray-800 mb-2">Certificate Status</h2>
-                    {isCertReady === null ? <p>Loading...</p> : 
-                        isCertReady ? 
-                        <p className="text-green-600 font-bold">Your certificate is ready for collection.</p> :
-                        <p className="text-red-600 font-bold">Your certificate is not yet ready.</p>
-                    }
-                </div>
-                <div className="bg-white p-6 rounded-lg shadow">
-                    <h2 className="text-lg font-semibold text-gray-800 mb-2">Clearance Payment</h2>
-                    {user.paid ? 
-                        <p className="text-green-600 font-bold">Payment confirmed.</p> :
+                    {certStatus === null ? <p>Loading...</p> : 
+                        certStatus.isReady ? 
                         <>
-                            <p className="text-red-600 font-bold mb-3">Payment not confirmed. Please pay to proceed.</p>
-                            <a href="https://www.futminna.edu.ng" target="_blank" rel="noopener noreferrer" className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700">
-                                Pay Now
-                            </a>
+                            <p className="text-green-600 font-bold">Your certificate is ready for collection.</p>
+                            <p className="mt-2 text-sm text-gray-700">Print your clearance slip and bring it to the collection desk.</p>
+                            <button onClick={handleDownloadSlip} className="mt-3 px-4 py-2 text-sm font-medium text-white bg-green-600 rounded-md hover:bg-green-700">Download Clearance Slip</button>
+                        </> :
+                        <>
+                            <p className="text-red-600 font-bold mb-2">Your certificate is not yet ready.</p>
+                            {certStatus.override && !certStatus.override.ready ? (
+                                <p className="text-sm text-gray-700">On hold: {certStatus.override.reason}</p>
+                            ) : (
+                                <ReadinessChecklist checklist={certStatus.checklist} />
+                            )}
                         </>
                     }
                 </div>
+                <PaymentCard matric={user.matric} onPaid={fetchCertStatus} />
             </div>
 
+            {/* Collection Appointment Section */}
+            {certStatus && certStatus.isReady && <CollectionAppointmentCard matric={user.matric} />}
+
             {/* Documents Section */}
             <div className="bg-white p-6 rounded-lg shadow">
                 <h2 className="text-lg font-semibold text-gray-800 mb-4">Required Documents</h2>
                 <ul className="space-y-4">
-                    {clearanceDocs.map(doc => (
-                        <li key={doc.doc_type} className="p-4 border rounded-md flex flex-col md:flex-row justify-between items-start md:items-center">
-                            <div className="flex-1 mb-4 md:mb-0">
-                                <p className="font-semibold">{docLabels[doc.doc_type]}</p>
-                                <div className="mt-1">{getStatusChip(doc.status)}</div>
-                            </div>
-                            <div className="flex items-center space-x-2">
-                                {doc.status === 'uploaded' || doc.status === 'verified' ? (
-                                    <>
-                                        <button onClick={() => openPreview(doc.filename)} className="text-sm text-blue-600 hover:underline">Preview</button>
-                                        <a href={`${API_BASE_URL}/download/${doc.filename}`} className="text-sm text-blue-600 hover:underline">Download</a>
-                                        {doc.status !== 'verified' && <button onClick={() => handleDeleteFile(doc.doc_type)} className="text-sm text-red-600 hover:underline">Delete</button>}
-                                    </>
-                                ) : doc.doc_type === 'id_card' ? (
-                                    <button onClick={handleNotifyAdmin} disabled={doc.notified_admin === 'true'} className="px-3 py-1 text-sm text-white bg-green-600 rounded disabled:bg-gray-400">
-                                        {doc.notified_admin === 'true' ? 'Notified' : 'Notify Admin'}
-                                    </button>
-                                ) : (
-                                    <label className="cursor-pointer px-3 py-1 text-sm text-white bg-indigo-600 rounded hover:bg-indigo-700">
-                                        Upload
-                                        <input type="file" className="hidden" accept=".pdf,.jpg,.jpeg,.png" onChange={(e) => handleFileUpload(e, doc.doc_type)} />
+                    {groupByRequirement(clearanceDocs).map(files => {
+                        const doc = files[0];
+                        if (!doc.slots && doc.max_files <= 1) {
+                            return (
+                                <li key={doc.doc_type} className="p-4 border rounded-md flex flex-col md:flex-row justify-between items-start md:items-center">
+                                    {renderFile(doc, doc.label, doc.description)}
+                                </li>
+                            );
+                        }
+                        // Unnamed files are added one at a time, once every file so far has been uploaded.
+                        const nextSlot = !doc.slots && files.every(file => file.status !== 'pending')
+                            ? Array.from({ length: doc.max_files - 1 }, (_, i) => String(i + 2))
+                                .find(slot => !files.some(file => file.slot === slot))
+                            : undefined;
+                        return (
+                            <li key={doc.doc_type} className="p-4 border rounded-md">
+                                <p className="font-semibold">{doc.label}</p>
+                                {doc.description && <p className="text-sm text-gray-600">{doc.description}</p>}
+                                <p className="mt-1 text-xs text-gray-500">
+                                    {doc.slots ? `Upload one file for each of: ${doc.slots.join(', ')}.` : `You can upload up to ${doc.max_files} files.`}
+                                    {' '}This document is verified once every file is.
+                                </p>
+                                <ul className="mt-3 space-y-3">
+                                    {files.map(file => (
+                                        <li key={file.slot} className="pl-3 border-l-2 flex flex-col md:flex-row justify-between items-start md:items-center">
+                                            {renderFile(file, doc.slots ? file.slot : `File ${file.slot || 1}`)}
+                                        </li>
+                                    ))}
+                                </ul>
+                                {nextSlot && (
+                                    <label className="inline-block mt-3 cursor-pointer text-sm text-indigo-600 hover:underline">
+                                        + Add another file
+                                        <input type="file" className="hidden" accept={doc.accepted_types.map(t => `.${t}`).join(',')} onChange={(e) => handleFileUpload(e, doc, nextSlot)} />
                                     </label>
                                 )}
-                            </div>
-                        </li>
-                    ))}
+                            </li>
+                        );
+                    })}
                 </ul>
             </div>
             
@@ -284,189 +989,2358 @@ const StudentDashboard = ({ user, onLogout }) => {
 };
 
 
-// --- Admin Navigation Component ---
-const AdminNav = ({ activeView, setView }) => {
-    const navItems = [
-        { key: 'admin_receipts', label: 'Verify Receipts' },
-        { key: 'admin_docs', label: 'Verify Documents' },
-        { key: 'admin_id_cards', label: 'Confirm ID Cards' },
-    ];
-    return (
-        <nav className="flex space-x-4 border-b mb-6">
-            {navItems.map(item => (
-                <button
-                    key={item.key}
-                    onClick={() => setView(item.key)}
-                    className={`px-3 py-2 font-medium text-sm rounded-t-md ${activeView === item.key ? 'border-b-2 border-indigo-500 text-indigo-600' : 'text-gray-500 hover:text-gray-700'}`}
-                >
-                    {item.label}
-                </button>
-            ))}
-        </nav>
-    );
-};
+// --- PaymentCard Component ---
+// Pays the clearance fee through the payment gateway. Checkout opens in a new tab; this card
+// polls the payment until the gateway reports the outcome (usually its webhook has already arrived).
+const PAYMENT_POLL_INTERVAL_MS = 5000;
+const PAYMENT_POLL_LIMIT_MS = 10 * 60 * 1000;
 
-// --- Admin Shared Header ---
-const AdminHeader = ({ user, onLogout, setView }) => (
-    <header className="flex justify-between items-center mb-2">
-        <div>
-            <h1 className="text-3xl font-bold text-gray-900">Admin Dashboard</h1>
-            <p className="text-gray-600">Logged in as {user.matric}</p>
-        </div>
-        <button onClick={onLogout} className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700">Logout</button>
-    </header>
-);
+const formatNaira = (amountKobo) => `₦${(amountKobo / 100).toLocaleString(undefined, { minimumFractionDigits: 2 })}`;
 
+const PaymentCard = ({ matric, onPaid }) => {
+    const [info, setInfo] = useState(null); // { paid, fee, payments }
+    const [checking, setChecking] = useState(null); // reference of the payment being polled
+    const [message, setMessage] = useState('');
 
-// --- AdminReceiptsDashboard Component ---
-const AdminReceiptsDashboard = ({ user, setView, onLogout }) => {
-    const [students, setStudents] = useState([]);
-    
-    useEffect(() => {
-        fetch(`${API_BASE_URL}/admin/students`).then(res => res.json()).then(setStudents);
-    }, []);
+    const load = useCallback(() => apiFetch(`/payments/${encodeURIComponent(matric)}`)
+        .then(res => res.json())
+        .then(setInfo)
+        .catch(error => console.error(error.message)), [matric]);
 
-    const updateStatus = (matric, docType, newStatus) => {
-         fetch(`${API_BASE_URL}/admin/update-status`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ matric, docType, newStatus })
-        }).then(() => {
-            // Refresh local data for instant UI update
-            setStudents(prev => prev.map(s => {
-                if (s.matric === matric) {
-                    const newClearance = s.clearance.map(c => c.doc_type === docType ? {...c, status: newStatus} : c);
-                    return {...s, clearance: newClearance};
+    useEffect(() => { load(); }, [load]);
+
+    // Keep asking until the payment is no longer pending, for up to PAYMENT_POLL_LIMIT_MS.
+    useEffect(() => {
+        if (!checking) return undefined;
+        const startedAt = Date.now();
+        const timer = setInterval(async () => {
+            try {
+                const response = await apiFetch(`/payments/${encodeURIComponent(matric)}/${checking}`);
+                const payment = await response.json();
+                if (!response.ok) throw new Error(payment.message);
+                if (payment.status === 'pending' && Date.now() - startedAt < PAYMENT_POLL_LIMIT_MS) return;
+                setChecking(null);
+                if (payment.status === 'success') {
+                    setMessage('');
+                    onPaid();
+                } else if (payment.status === 'pending') {
+                    setMessage('We have not heard back from the payment service yet. Use "Check status" later.');
+                } else {
+                    setMessage(`The payment ${payment.reference} was not completed (${payment.status}). You can try again.`);
                 }
-                return s;
-            }));
-        });
-    };
+                load();
+            } catch (error) {
+                setChecking(null);
+                setMessage(error.message);
+            }
+        }, PAYMENT_POLL_INTERVAL_MS);
+        return () => clearInterval(timer);
+    }, [checking, matric, load, onPaid]);
 
-    const receiptDocs = students.map(s => ({
-        ...s,
-        receipt: s.clearance.find(c => c.doc_type === 'certificate_payment_receipt')
-    })).filter(s => s.receipt);
+    const handlePay = async () => {
+        setMessage('');
+        // Open the tab straight away, inside the click, so pop-up blockers allow it.
+        const checkout = window.open('', '_blank');
+        try {
+            const response = await apiFetch(`/payments/${encodeURIComponent(matric)}`, { method: 'POST' });
+            const payment = await response.json();
+            if (!response.ok) throw new Error(payment.message);
+            if (checkout) checkout.location = payment.authorization_url;
+            else window.location.assign(payment.authorization_url);
+            setChecking(payment.reference);
+            load();
+        } catch (error) {
+            if (checkout) checkout.close();
+            setMessage(error.message);
+        }
+    };
 
+    if (!info) {
+        return <div className="bg-white p-6 rounded-lg shadow"><p>Loading...</p></div>;
+    }
+    const pending = info.payments.find(p => p.status === 'pending');
 
     return (
-         <div className="max-w-7xl mx-auto p-4 sm:p-6 lg:p-8">
-            <AdminHeader user={user} onLogout={onLogout} setView={setView} />
-            <AdminNav activeView="admin_receipts" setView={setView} />
-            
-            <div className="bg-white p-6 rounded-lg shadow">
-                 <h2 className="text-lg font-semibold text-gray-800 mb-4">Verify Certificate Payment Receipts</h2>
-                 <div className="overflow-x-auto">
-                    <table className="min-w-full divide-y divide-gray-200">
-                      <thead>
-                        <tr>
-                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Matric</th>
-                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
-                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
-                        </tr>
+        <div className="bg-white p-6 rounded-lg shadow">
+            <h2 className="text-lg font-semibold text-gray-800 mb-2">Clearance Payment</h2>
+            {info.paid ? (
+                <p className="text-green-600 font-bold">Payment confirmed.</p>
+            ) : (
+                <>
+                    <p className="text-red-600 font-bold mb-3">
+                        Payment not confirmed. Please pay{info.fee.amountKobo > 0 && ` the clearance fee of ${formatNaira(info.fee.amountKobo)}`} to proceed.
+                    </p>
+                    {checking ? (
+                        <p className="text-sm text-gray-700">Waiting for the payment service to confirm payment {checking}...</p>
+                    ) : (
+                        <div className="space-x-2">
+                            <button onClick={handlePay} className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700">
+                                Pay Now
+                            </button>
+                            {pending && (
+                                <button onClick={() => setChecking(pending.reference)} className="text-sm text-indigo-600 hover:underline">
+                                    Check status of {pending.reference}
+                                </button>
+                            )}
+                        </div>
+                    )}
+                </>
+            )}
+            {message && <p className="mt-2 text-sm text-red-600">{message}</p>}
+            {info.payments.length > 0 && (
+                <ul className="mt-3 text-xs text-gray-500 space-y-1">
+                    {info.payments.map(p => (
+                        <li key={p.reference}>{p.reference}: {formatNaira(p.amount_kobo)}, {p.status} ({new Date(p.created_at).toLocaleString()})</li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+
+// Formats a 'YYYY-MM-DD' collection day for display.
+const formatDay = (day) => new Date(`${day}T00:00:00`).toLocaleDateString(undefined, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+
+// --- CollectionAppointmentCard Component ---
+// Lets a student whose certificate is ready book, reschedule or cancel a collection slot.
+const CollectionAppointmentCard = ({ matric }) => {
+    const [days, setDays] = useState([]);
+    const [appointment, setAppointment] = useState(undefined); // undefined while loading, null if none
+    const [isChoosing, setIsChoosing] = useState(false);
+
+    const load = () => {
+        apiFetch('/appointments/days').then(res => res.json()).then(setDays).catch(error => console.error(error.message));
+        apiFetch(`/appointments/${encodeURIComponent(matric)}`).then(res => res.json()).then(setAppointment).catch(error => console.error(error.message));
+    };
+
+    useEffect(load, [matric]);
+
+    const handleBook = async (slot) => {
+        try {
+            const response = await apiFetch(`/appointments/${encodeURIComponent(matric)}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ slotId: slot.id }),
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.message);
+            setIsChoosing(false);
+            load();
+        } catch (error) {
+            alert(`Booking failed: ${error.message}`);
+            load(); // the slot may have filled up meanwhile
+        }
+    };
+
+    const handleCancel = async () => {
+        if (!window.confirm('Cancel your collection appointment?')) return;
+        try {
+            const response = await apiFetch(`/appointments/${encodeURIComponent(matric)}`, { method: 'DELETE' });
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.message || 'Failed to cancel.');
+            }
+            load();
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
+    if (appointment === undefined) return null;
+    return (
+        <div className="bg-white p-6 rounded-lg shadow mb-6">
+            <h2 className="text-lg font-semibold text-gray-800 mb-2">Certificate Collection</h2>
+            {appointment && appointment.status === 'collected' ? (
+                <p className="text-green-600 font-bold">You collected your certificate on {new Date(appointment.collected_at).toLocaleDateString()}.</p>
+            ) : appointment && !isChoosing ? (
+                <>
+                    <p className="text-gray-800">
+                        Your appointment: <strong>{formatDay(appointment.day)}, {appointment.starts_at}–{appointment.ends_at}</strong>
+                        {appointment.location && <> at {appointment.location}</>}
+                    </p>
+                    <div className="mt-3 space-x-2">
+                        <button onClick={() => setIsChoosing(true)} className="px-3 py-1 text-sm text-white bg-indigo-600 rounded hover:bg-indigo-700">Reschedule</button>
+                        <button onClick={handleCancel} className="px-3 py-1 text-sm text-red-600 hover:underline">Cancel</button>
+                    </div>
+                </>
+            ) : days.length === 0 ? (
+                <p className="text-gray-600">No collection days have been published yet. Please check back later.</p>
+            ) : (
+                <>
+                    <p className="text-gray-600 mb-3">{appointment ? 'Choose a new slot:' : 'Choose a time to collect your certificate:'}</p>
+                    <div className="space-y-4">
+                        {days.map(day => (
+                            <div key={day.id}>
+                                <p className="font-semibold text-gray-800">{formatDay(day.day)}{day.location && ` — ${day.location}`}</p>
+                                {day.notes && <p className="text-sm text-gray-600">{day.notes}</p>}
+                                <div className="flex flex-wrap gap-2 mt-2">
+                                    {day.slots.map(slot => {
+                                        const isFull = slot.booked >= slot.capacity;
+                                        const isCurrent = appointment && appointment.slot_id === slot.id;
+                                        return (
+                                            <button
+                                                key={slot.id}
+                                                onClick={() => handleBook(slot)}
+                                                disabled={isFull || isCurrent}
+                                                className="px-3 py-2 text-sm border rounded-md hover:bg-indigo-50 disabled:bg-gray-100 disabled:text-gray-400"
+                                            >
+                                                {slot.starts_at}–{slot.ends_at}
+                                                <span className="block text-xs">{isCurrent ? 'Your slot' : isFull ? 'Full' : `${slot.capacity - slot.booked} places left`}</span>
+                                            </button>
+                                        );
+                                    })}
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                    {appointment && <button onClick={() => setIsChoosing(false)} className="mt-3 text-sm text-gray-600 hover:underline">Keep my current slot</button>}
+                </>
+            )}
+        </div>
+    );
+};
+
+
+// What a certificate still waits on: each requirement and the payment, ticked off when done.
+const ReadinessChecklist = ({ checklist }) => (
+    <ul className="space-y-1 text-sm">
+        {checklist.map(item => (
+            <li key={item.key} className={item.done ? 'text-green-700' : 'text-gray-700'}>
+                <span className="inline-block w-5">{item.done ? '✓' : '✗'}</span>{item.label}
+            </li>
+        ))}
+    </ul>
+);
+
+
+// --- Admin Navigation Component ---
+// The admin pages, in navigation order. `allowed(can, requirements)` says whether the staff member's
+// role gives them anything to do on the page; the review pages depend on which document types they may view.
+// `render` is a function because the page components are defined further down this file.
+const ADMIN_PAGES = [
+    { path: 'receipts', label: 'Verify Receipts', render: () => <AdminReceiptsDashboard />, allowed: (can) => can('view', RECEIPT_DOC_TYPE) },
+    {
+        path: 'documents', label: 'Verify Documents', render: () => <AdminDocsDashboard />,
+        allowed: (can, requirements) => requirements.some(r => !r.is_physical && r.doc_type !== RECEIPT_DOC_TYPE && can('view', r.doc_type)),
+    },
+    {
+        path: 'id-cards', label: 'Confirm ID Cards', render: () => <AdminIdCardsDashboard />,
+        allowed: (can, requirements) => requirements.some(r => r.is_physical && can('view', r.doc_type)),
+    },
+    {
+        path: 'reviewers', label: 'Reviewers', render: () => <AdminReviewersDashboard />,
+        allowed: (can) => can('verify') || can('reject') || can('manage_claims'),
+    },
+    { path: 'collection', label: 'Collection Desk', render: () => <AdminCollectionDashboard />, allowed: (can) => can('collection') },
+    { path: 'audit', label: 'Audit Log', render: () => <AdminAuditDashboard />, allowed: (can) => can('audit') },
+    { path: 'requirements', label: 'Requirements', render: () => <AdminRequirementsDashboard />, allowed: (can) => can('requirements') },
+    { path: 'import', label: 'Import', render: () => <AdminImportDashboard />, allowed: (can) => can('import') },
+    { path: 'staff', label: 'Staff', render: () => <AdminStaffDashboard />, allowed: (can) => can('manage_users') },
+];
+
+// The admin pages the logged-in staff member may use, and whether the requirements they depend on have loaded.
+const useAdminPages = () => {
+    const can = useCan();
+    const { requirements, loaded } = useRequirements();
+    return { pages: ADMIN_PAGES.filter(page => page.allowed(can, requirements)), loaded };
+};
+
+// Shows an admin page only if the staff member's role allows it; otherwise back to /admin.
+const RequireAdminPage = ({ path, children }) => {
+    const { pages, loaded } = useAdminPages();
+    if (!loaded) return <p className="p-4 text-gray-500">Loading...</p>;
+    if (!pages.some(page => page.path === path)) return <Navigate to="/admin" replace />;
+    return children;
+};
+
+// /admin itself: the first page the staff member's role allows.
+const AdminIndex = () => {
+    const { pages, loaded } = useAdminPages();
+    if (!loaded) return <p className="p-4 text-gray-500">Loading...</p>;
+    if (pages.length === 0) {
+        return <div className="bg-white p-6 rounded-lg shadow text-gray-700">Your role does not give you access to any admin pages yet. Please ask a super admin to update it.</div>;
+    }
+    return <Navigate to={pages[0].path} replace />;
+};
+
+const AdminNav = () => {
+    const { pages } = useAdminPages();
+    return (
+        <nav className="flex space-x-4 border-b mb-6">
+            {pages.map(item => (
+                <NavLink
+                    key={item.path}
+                    to={`/admin/${item.path}`}
+                    className={({ isActive }) => `px-3 py-2 font-medium text-sm rounded-t-md ${isActive ? 'border-b-2 border-indigo-500 text-indigo-600' : 'text-gray-500 hover:text-gray-700'}`}
+                >
+                    {item.label}
+                </NavLink>
+            ))}
+        </nav>
+    );
+};
+
+// --- Admin Shared Header ---
+const AdminHeader = ({ user, onLogout }) => (
+    <header className="flex justify-between items-center mb-2">
+        <div>
+            <h1 className="text-3xl font-bold text-gray-900">Admin Dashboard</h1>
+            <p className="text-gray-600">Logged in as {user.matric}{user.staff_role_label && ` (${user.staff_role_label})`}</p>
+        </div>
+        <div className="space-x-2">
+            <ChangePasswordButton />
+            <EmailSettingsButton />
+            <button onClick={onLogout} className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700">Logout</button>
+        </div>
+    </header>
+);
+
+// Header and navigation around every /admin page; the page itself is rendered in the Outlet.
+const AdminLayout = ({ user, onLogout }) => (
+    <div className="max-w-7xl mx-auto p-4 sm:p-6 lg:p-8">
+        <AdminHeader user={user} onLogout={onLogout} />
+        <AdminNav />
+        <Outlet />
+    </div>
+);
+
+// A matric in the admin tables, linking to that student's page.
+const StudentLink = ({ matric }) => (
+    <Link to={`/admin/students/${encodeURIComponent(matric)}`} className="text-indigo-600 hover:underline">{matric}</Link>
+);
+
+// --- Review Claims ---
+// An officer claims a document while reviewing it, so nobody else decides on it meanwhile (see
+// backend/claims.js). Claims lapse unless renewed, so the review workspace renews its claim while it is open.
+const CLAIM_RENEW_MS = 4 * 60 * 1000;
+
+// The username of the officer reviewing `doc`, or null if nobody is (or their claim has lapsed).
+const claimantOf = (doc) => (doc.claimed_by && new Date(doc.claimed_until) > new Date() ? doc.claimed_by : null);
+
+const claimRequest = async (path, options) => {
+    const response = await apiFetch(path, options);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.message || 'The claim could not be updated.');
+    return data;
+};
+
+// Claims `doc`, or renews the claim, and resolves to its clearance row. Rejects if someone else holds it.
+const claimDoc = (doc) => claimRequest('/admin/claims', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ matric: doc.matric, docType: doc.doc_type, slot: doc.slot }),
+});
+
+// Claims the document of `docTypes` that has waited longest and nobody else is reviewing. Resolves to its
+// clearance row, or null when nothing is waiting.
+const claimNextDoc = (docTypes) => claimRequest('/admin/claims/next', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ docTypes }),
+}).then(data => data.claim);
+
+// Releases the claim on `doc`. Releasing another officer's claim needs manage_claims.
+const releaseClaim = (doc) => claimRequest(
+    `/admin/claims/${encodeURIComponent(doc.matric)}/${doc.doc_type}${slotQuery(doc.slot)}`,
+    { method: 'DELETE' }
+);
+
+// Releases every claim `username` holds; the logged-in officer's own when no username is given.
+const releaseClaims = (username) => claimRequest(
+    `/admin/claims${username ? `?claimedBy=${encodeURIComponent(username)}` : ''}`,
+    { method: 'DELETE' }
+);
+
+// Who is reviewing a document, for the queue tables. Staff with manage_claims can release another
+// officer's claim, e.g. one left behind by someone who has gone home.
+const ClaimCell = ({ doc }) => {
+    const user = useContext(UserContext);
+    const can = useCan();
+    const claimant = claimantOf(doc);
+    if (!claimant) return <span className="text-gray-400">-</span>;
+    if (claimant === user.matric) return <span className="text-indigo-700">You</span>;
+
+    const release = async () => {
+        if (!window.confirm(`Release ${claimant}'s claim on this document? They will not be able to decide on it until they claim it again.`)) return;
+        try {
+            await releaseClaim(doc);
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+    return (
+        <span className="space-x-2">
+            <span className="text-amber-700">{claimant}</span>
+            {can('manage_claims') && <button onClick={release} className="text-xs text-indigo-600 hover:underline">Release</button>}
+        </span>
+    );
+};
+
+// "Claim next" for a review queue: claims the document of `docTypes` that has waited longest and
+// nobody else is reviewing, and passes it to `onClaimed` to open the review workspace on it.
+// Hidden unless the staff member may decide on one of the document types.
+const ClaimNextButton = ({ docTypes, onClaimed }) => {
+    const can = useCan();
+    const [busy, setBusy] = useState(false);
+    if (!docTypes.some(type => can('verify', type) || can('reject', type))) return null;
+
+    const claimNext = async () => {
+        setBusy(true);
+        try {
+            const doc = await claimNextDoc(docTypes);
+            if (doc) onClaimed(doc);
+            else alert('Nothing is waiting for review.');
+        } catch (error) {
+            alert(error.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+    return (
+        <button onClick={claimNext} disabled={busy} className="px-3 py-1 text-sm text-white bg-indigo-600 rounded hover:bg-indigo-700 disabled:bg-gray-300">Claim next</button>
+    );
+};
+
+
+// --- Shared Admin Data Hook ---
+// Records a review decision through /api/admin/update-status and resolves to the updated clearance row.
+// `reason` is required by the server when rejecting. `expectedVersion` is the row version we last saw,
+// so if another officer changed the document first the server refuses; `onConflict` is then called
+// to reload before the error is thrown.
+const postStatusUpdate = async (update, onConflict) => {
+    const response = await apiFetch('/admin/update-status', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(update),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (response.status === 409) {
+        onConflict();
+        throw new Error(data.message);
+    }
+    if (!response.ok) throw new Error(data.message || 'Failed to update status.');
+    return data;
+};
+
+const STUDENTS_PAGE_SIZE = 25;
+
+// Loads one page of students with their clearance rows, filtered on the server (see roster.js for
+// the filters), and updates a document's status through /api/admin/update-status, patching local
+// state so the UI updates instantly, and reloads when another officer or the student changes something.
+// Pass `null` as the filters to wait, e.g. until requirements load.
+// Changing the filters goes back to the first page; requests are delayed a little so typing in a
+// search box sends one request rather than one per key.
+const useAdminStudents = (filters) => {
+    const [students, setStudents] = useState([]);
+    const [total, setTotal] = useState(0);
+    const filtersKey = filters && JSON.stringify(filters);
+    const [paging, setPaging] = useState({ filtersKey, page: 0 });
+    const page = paging.filtersKey === filtersKey ? paging.page : 0;
+    const setPage = (newPage) => setPaging({ filtersKey, page: newPage });
+    const [reloads, setReloads] = useState(0);
+    const loadStudents = () => setReloads(n => n + 1);
+
+    // Any change can move a student into or out of the current filters, so the page is reloaded
+    // rather than patched. Bursts of events end up as one request because of the delay below.
+    useLiveEvents({ document: loadStudents, claim: loadStudents, certificate: loadStudents, resync: loadStudents });
+
+    useEffect(() => {
+        if (filtersKey === null) return undefined;
+        const params = new URLSearchParams({ limit: STUDENTS_PAGE_SIZE, offset: page * STUDENTS_PAGE_SIZE });
+        Object.entries(JSON.parse(filtersKey)).forEach(([key, value]) => {
+            if (value && value !== 'all') params.set(key, value);
+        });
+        const timer = setTimeout(() => {
+            apiFetch(`/admin/students?${params}`)
+                .then(async res => {
+                    const data = await res.json();
+                    if (!res.ok) throw new Error(data.message);
+                    setStudents(data.students);
+                    setTotal(data.total);
+                })
+                .catch(error => alert(error.message));
+        }, 300);
+        return () => clearTimeout(timer);
+    }, [filtersKey, page, reloads]);
+
+    // Resolves to whether the decision was saved.
+    const updateStatus = (doc, newStatus, reason) => {
+         const update = { matric: doc.matric, docType: doc.doc_type, slot: doc.slot, newStatus, reason, expectedVersion: doc.version };
+         return postStatusUpdate(update, loadStudents).then(data => {
+            setStudents(prev => prev.map(s => {
+                if (s.matric === doc.matric) {
+                    // Merged, so fields only the list has (like the thumbnail link) are kept.
+                    const newClearance = s.clearance.map(c => docKey(c) === docKey(doc) ? { ...c, ...data } : c);
+                    return {...s, clearance: newClearance};
+                }
+                return s;
+            }));
+            return true;
+        }).catch(error => {
+            alert(error.message);
+            return false;
+        });
+    };
+
+    return { students, total, page, setPage, pageSize: STUDENTS_PAGE_SIZE, updateStatus };
+};
+
+// Previous/next buttons under a paged table.
+const Pager = ({ page, pageSize, total, noun, onPageChange }) => {
+    const lastPage = Math.max(0, Math.ceil(total / pageSize) - 1);
+    return (
+        <div className="flex justify-between items-center mt-4 text-sm text-gray-600">
+            <span>{total} {noun}</span>
+            <div className="space-x-2">
+                <button onClick={() => onPageChange(page - 1)} disabled={page === 0} className="px-3 py-1 border rounded disabled:text-gray-300">Previous</button>
+                <span>Page {page + 1} of {lastPage + 1}</span>
+                <button onClick={() => onPageChange(page + 1)} disabled={page >= lastPage} className="px-3 py-1 border rounded disabled:text-gray-300">Next</button>
+            </div>
+        </div>
+    );
+};
+
+// --- Shared Admin Review Components ---
+const thClasses = "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider";
+const tdClasses = "px-6 py-4 whitespace-nowrap text-sm";
+
+// "Export CSV / XLSX" links for a dashboard. `filters` are the dashboard's current search and
+// filters, passed to /api/admin/reports so the file holds the same rows as the screen; empty
+// values and 'all' mean no filter.
+const ExportButtons = ({ report, filters = {} }) => {
+    const [isExporting, setIsExporting] = useState(false);
+
+    const exportReport = async (format) => {
+        const params = new URLSearchParams();
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value && value !== 'all') params.set(key, value);
+        });
+        setIsExporting(true);
+        try {
+            const response = await apiFetch(`/admin/reports/${report}.${format}?${params}`);
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.message || 'Export failed.');
+            }
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = disposition.match(/filename="?([^"]+)"?/);
+            saveFile(await response.blob(), match ? match[1] : `${report}.${format}`);
+        } catch (error) {
+            alert(error.message);
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    return (
+        <div className="space-x-2 text-sm">
+            <span className="text-gray-500">Export:</span>
+            <button onClick={() => exportReport('csv')} disabled={isExporting} className="text-indigo-600 hover:underline disabled:opacity-50">CSV</button>
+            <button onClick={() => exportReport('xlsx')} disabled={isExporting} className="text-indigo-600 hover:underline disabled:opacity-50">XLSX</button>
+        </div>
+    );
+};
+
+// Verify / Reject / View buttons for a single uploaded document awaiting review.
+// Reject asks the reviewer for a reason first. Verify and Reject only show if the reviewer's role allows them,
+// and not while another officer has claimed the document. The server only takes a decision from the
+// officer holding the claim (see Review Claims), so both claim the document first.
+const ReviewActions = ({ doc, onUpdateStatus, onView }) => {
+    const [isRejecting, setIsRejecting] = useState(false);
+    const can = useCan();
+    const user = useContext(UserContext);
+    const claimant = claimantOf(doc);
+
+    if (doc.status !== 'uploaded' || (claimant && claimant !== user.matric)) {
+        return doc.filename ? <button onClick={() => onView(doc)} className="text-indigo-600 hover:text-indigo-900">View</button> : null;
+    }
+
+    // Resolves to whether the claim went through; if someone else got there first, says so.
+    const claim = () => claimDoc(doc).then(() => true).catch(error => {
+        alert(error.message);
+        return false;
+    });
+    const verify = async () => {
+        if (await claim()) onUpdateStatus(doc, 'verified');
+    };
+    const startRejecting = async () => {
+        if (await claim()) setIsRejecting(true);
+    };
+
+    return (
+        <>
+            {can('verify', doc.doc_type) && <button onClick={verify} className="text-green-600 hover:text-green-900">Verify</button>}
+            {can('reject', doc.doc_type) && <button onClick={startRejecting} className="text-red-600 hover:text-red-900">Reject</button>}
+            <button onClick={() => onView(doc)} className="text-indigo-600 hover:text-indigo-900">View</button>
+            {isRejecting && (
+                <RejectDialog
+                    doc={doc}
+                    onCancel={() => {
+                        setIsRejecting(false);
+                        releaseClaim(doc).catch(() => {});
+                    }}
+                    onConfirm={(reason) => {
+                        setIsRejecting(false);
+                        onUpdateStatus(doc, 'rejected', reason);
+                    }}
+                />
+            )}
+        </>
+    );
+};
+
+// Confirms a physically submitted document once the student has said it was handed in.
+// Confirming needs the verify permission for the document type.
+const PhysicalActions = ({ doc, onUpdateStatus }) => {
+    const can = useCan();
+    if (doc.status === 'verified') return <span className="text-gray-500">Confirmed</span>;
+    if (!isNotified(doc)) return <span className="text-gray-500">Waiting for student</span>;
+    if (!can('verify', doc.doc_type)) return <span className="text-gray-500">Awaiting confirmation</span>;
+    return <button onClick={() => onUpdateStatus(doc, 'verified')} className="text-green-600 hover:text-green-900">Mark as Submitted</button>;
+};
+
+// Small preview of an uploaded document (the first page, for PDFs), made by the server on upload.
+// Clicking it opens the file. Files uploaded before thumbnails existed show a plain placeholder.
+const DocThumbnail = ({ doc, onView }) => {
+    const [failed, setFailed] = useState(false);
+    if (!doc.filename) return <span className="text-xs text-gray-400">No file</span>;
+    return (
+        <button onClick={() => onView(doc)} title="Open file" className="block w-12 h-16 border rounded overflow-hidden bg-gray-50 hover:ring-2 hover:ring-indigo-400">
+            {doc.thumbnailUrl && !failed
+                ? <img src={doc.thumbnailUrl} alt="" loading="lazy" onError={() => setFailed(true)} className="w-full h-full object-cover object-top" />
+                : <span className="text-[10px] text-gray-400">No preview</span>}
+        </button>
+    );
+};
+
+const REJECTION_REASONS = [
+    'The document is blurry or unreadable',
+    'Wrong document uploaded',
+    'The document is incomplete or missing pages',
+    'Name or matric number does not match our records',
+    'The document is missing a stamp or signature',
+];
+
+// Lets the reviewer pick a common rejection reason or type their own.
+const RejectDialog = ({ doc, onCancel, onConfirm }) => {
+    const { docLabels } = useRequirements();
+    const [choice, setChoice] = useState(REJECTION_REASONS[0]);
+    const [customReason, setCustomReason] = useState('');
+    const reason = choice === 'other' ? customReason.trim() : choice;
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50 whitespace-normal">
+            <div className="bg-white rounded-lg shadow-xl w-full max-w-md p-6 space-y-4">
+                <h3 className="font-semibold text-lg text-gray-900">Reject {docLabel(doc, docLabels)}</h3>
+                <p className="text-sm text-gray-600">{doc.matric} will see this reason and can upload a corrected file.</p>
+                <select value={choice} onChange={(e) => setChoice(e.target.value)} className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm">
+                    {REJECTION_REASONS.map(r => <option key={r} value={r}>{r}</option>)}
+                    <option value="other">Other (type a reason)</option>
+                </select>
+                {choice === 'other' && (
+                    <textarea
+                        value={customReason}
+                        onChange={(e) => setCustomReason(e.target.value)}
+                        maxLength={500}
+                        rows={3}
+                        placeholder="Explain what the student needs to fix..."
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm"
+                    />
+                )}
+                <div className="flex justify-end space-x-2">
+                    <button onClick={onCancel} className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200">Cancel</button>
+                    <button onClick={() => onConfirm(reason)} disabled={!reason} className="px-4 py-2 text-sm font-medium text-white bg-red-600 rounded-md hover:bg-red-700 disabled:bg-gray-400">Reject</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// Every earlier upload of a document (one clearance row, so one file of a requirement that takes
+// several) with the reviewer's decision on it, newest first.
+const SubmissionHistory = ({ doc, onView }) => {
+    const [submissions, setSubmissions] = useState(null);
+    const { matric, doc_type: docType, slot } = doc;
+
+    useEffect(() => {
+        apiFetch(`/clearance/${encodeURIComponent(matric)}/${docType}/history${slotQuery(slot)}`)
+            .then(res => res.json())
+            .then(setSubmissions)
+            .catch(error => console.error(error.message));
+    }, [matric, docType, slot]);
+
+    const openVersion = async (submission) => {
+        try {
+            const { filename, viewUrl } = await getFileLinks(doc, submission.id);
+            onView({ name: `${matric} - ${filename}`, url: viewUrl });
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
+    if (submissions === null) return <p className="mt-2 text-xs text-gray-500">Loading history...</p>;
+    if (submissions.length === 0) return <p className="mt-2 text-xs text-gray-500">No uploads yet.</p>;
+    return (
+        <ul className="mt-2 space-y-2 text-xs text-gray-700">
+            {submissions.map((submission, index) => (
+                <li key={submission.id} className="p-2 border rounded-md">
+                    <div className="flex items-center space-x-2">
+                        <span className="font-semibold">Version {submissions.length - index}</span>
+                        <span>{new Date(submission.uploaded_at).toLocaleString()}</span>
+                        {submission.status === 'withdrawn' ? <span className="text-gray-500">Deleted by student</span> : getStatusChip(submission.status)}
+                        {submission.file_removed
+                            ? <span className="text-gray-500">File removed</span>
+                            : <button onClick={() => openVersion(submission)} className="text-blue-600 hover:underline">View</button>}
+                    </div>
+                    {submission.reviewed_by && (
+                        <p className="mt-1 text-gray-500">Reviewed by {submission.reviewed_by} on {new Date(submission.reviewed_at).toLocaleString()}</p>
+                    )}
+                    {submission.rejection_reason && <p className="mt-1 text-red-700">Reason: {submission.rejection_reason}</p>}
+                </li>
+            ))}
+        </ul>
+    );
+};
+
+
+// --- ReviewWorkspace Component ---
+// Full-screen review of a queue of documents, one at a time: the file in a zoomable viewer, the
+// student's other documents and earlier submissions to compare it with side by side, and
+// Verify / Reject / Next buttons. A decision moves straight on to the next document in the queue.
+// Shortcuts: V verify, R reject, N or → next, P or ← previous, X close the comparison, Esc close,
+// plus the viewer's own (see FileView).
+// `queue` is the clearance rows being reviewed, in order. It changes while the workspace is open (a
+// decision or a live update can take a document out of it), so the current document is followed by
+// its docKey and, once it has left, "next" is whichever document took its place.
+// Each document awaiting a decision is claimed while it is open (see Review Claims), and "next" skips
+// documents other officers are reviewing. After the last one on the page, the server picks the next
+// document of `docTypes` waiting for review. Closing the workspace releases the claim.
+// `onUpdateStatus(doc, newStatus, reason)` must resolve to true once the decision is saved.
+const ReviewWorkspace = ({ queue, startDoc, docTypes, onUpdateStatus, onClose }) => {
+    const { docLabels } = useRequirements();
+    const can = useCan();
+    const user = useContext(UserContext);
+    const [current, setCurrent] = useState(startDoc);
+    const [finished, setFinished] = useState(false);
+    const [file, setFile] = useState(null); // { name, url }, or { error }
+    const [compare, setCompare] = useState(null); // { name, url } shown beside the file
+    const [studentDocs, setStudentDocs] = useState([]); // all the current student's documents
+    const [claimProblem, setClaimProblem] = useState(null); // why the current document could not be claimed
+    const [isRejecting, setIsRejecting] = useState(false);
+    const [busy, setBusy] = useState(false);
+    const lastIndex = useRef(0);
+
+    const index = queue.findIndex(doc => docKey(doc) === docKey(current));
+    if (index >= 0) lastIndex.current = index;
+    const doc = index >= 0 ? queue[index] : current; // the queue has the latest version of it
+    // The effects below follow these, not the row object, which is replaced on every reload.
+    const { matric, doc_type: docType, slot, filename } = doc;
+    const isHeldByOther = (other) => claimantOf(other) && claimantOf(other) !== user.matric;
+    const nextDoc = queue.slice(index >= 0 ? index + 1 : lastIndex.current).find(other => !isHeldByOther(other));
+    const previousDoc = index >= 0 ? queue[index - 1] : queue[lastIndex.current - 1];
+    const related = studentDocs.filter(c => c.filename && docKey(c) !== docKey(doc));
+    const awaitingDecision = doc.status === 'uploaded' && (can('verify', doc.doc_type) || can('reject', doc.doc_type));
+
+    useEffect(() => {
+        let cancelled = false;
+        setFile(null);
+        getFileLinks({ matric, doc_type: docType, slot })
+            .then(links => { if (!cancelled) setFile({ name: links.filename, url: links.viewUrl }); })
+            .catch(error => { if (!cancelled) setFile({ error: error.message }); });
+        return () => { cancelled = true; };
+    }, [matric, docType, slot, filename]);
+
+    // The student's documents, to compare against. Loaded here because the server may pick a next
+    // document from a student who is not on the page.
+    useEffect(() => {
+        let cancelled = false;
+        apiFetch(`/clearance/${encodeURIComponent(matric)}`)
+            .then(async res => {
+                const data = await res.json();
+                if (!res.ok) throw new Error(data.message);
+                if (!cancelled) setStudentDocs(data);
+            })
+            .catch(() => { if (!cancelled) setStudentDocs([]); });
+        return () => { cancelled = true; };
+    }, [matric]);
+
+    // Claims the document while it is open, renewing the claim before it lapses. Only the key fields
+    // are needed to claim it, so renewals never work from an outdated copy of the row.
+    useEffect(() => {
+        setClaimProblem(null);
+        if (!awaitingDecision) return undefined;
+        let cancelled = false;
+        const claim = () => claimDoc({ matric, doc_type: docType, slot })
+            .then(claimed => {
+                if (cancelled) return;
+                setClaimProblem(null);
+                // Keeps the row current for documents the server picked that are not in the queue.
+                setCurrent(prev => (docKey(prev) === docKey(claimed) ? { ...prev, ...claimed } : prev));
+            })
+            .catch(error => { if (!cancelled) setClaimProblem(error.message); });
+        claim();
+        const timer = setInterval(claim, CLAIM_RENEW_MS);
+        return () => {
+            cancelled = true;
+            clearInterval(timer);
+        };
+    }, [matric, docType, slot, awaitingDecision]);
+
+    // Whatever is still claimed is released on the way out.
+    const close = () => {
+        releaseClaims().catch(() => {});
+        onClose();
+    };
+
+    const go = (target) => {
+        setCompare(null);
+        setIsRejecting(false);
+        if (target) {
+            setCurrent(target);
+            setFinished(false);
+        } else {
+            setFinished(true);
+        }
+    };
+
+    // Moves on to `next` (from the queue), or else to the next document the server finds waiting.
+    const advance = async (next) => {
+        if (next) return go(next);
+        setBusy(true);
+        try {
+            go(await claimNextDoc(docTypes));
+        } catch (error) {
+            alert(error.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const canDecide = (action) => !finished && !busy && !claimProblem && doc.status === 'uploaded' && can(action, doc.doc_type);
+
+    const decide = async (newStatus, reason) => {
+        const next = nextDoc; // picked first, as the decision may take this document out of the queue
+        setIsRejecting(false);
+        setBusy(true);
+        const saved = await onUpdateStatus(doc, newStatus, reason);
+        setBusy(false);
+        if (saved) advance(next);
+    };
+
+    const openCompare = async (other) => {
+        try {
+            const { filename, viewUrl } = await getFileLinks(other);
+            setCompare({ name: `${docLabel(other, docLabels)} - ${filename}`, url: viewUrl });
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
+    useEffect(() => {
+        const onKeyDown = (e) => {
+            if (isTypingTarget(e) || isRejecting) return;
+            const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+            if (key === 'Escape') close();
+            else if (finished) return;
+            else if (key === 'v' && canDecide('verify')) decide('verified');
+            else if (key === 'r' && canDecide('reject')) setIsRejecting(true);
+            else if ((key === 'n' || key === 'ArrowRight') && !busy) advance(nextDoc);
+            else if ((key === 'p' || key === 'ArrowLeft') && previousDoc) go(previousDoc);
+            else if (key === 'x') setCompare(null);
+            else return;
+            e.preventDefault();
+        };
+        window.addEventListener('keydown', onKeyDown);
+        return () => window.removeEventListener('keydown', onKeyDown);
+    });
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-2 z-50">
+            <div className="bg-white rounded-lg shadow-xl w-full h-full flex flex-col">
+                <header className="flex flex-wrap items-center gap-3 p-3 border-b">
+                    <div className="flex-1 min-w-0">
+                        <h3 className="font-semibold text-lg truncate">{docLabel(doc, docLabels)}: <StudentLink matric={doc.matric} /></h3>
+                        <p className="text-xs text-gray-500">
+                            {index >= 0 ? `${index + 1} of ${queue.length} on this page` : 'Not on this page of the queue'}
+                            {' · '}V verify, R reject, N next, P previous, + − zoom, [ ] rotate, Esc close
+                        </p>
+                        {claimProblem && !finished && <p className="text-sm text-amber-700">{claimProblem}</p>}
+                    </div>
+                    {getStatusChip(doc.status)}
+                    <button onClick={() => go(previousDoc)} disabled={!previousDoc} className="px-3 py-1 text-sm border rounded hover:bg-gray-50 disabled:text-gray-300">← Previous</button>
+                    {can('verify', doc.doc_type) && (
+                        <button onClick={() => decide('verified')} disabled={!canDecide('verify')} className="px-3 py-1 text-sm text-white bg-green-600 rounded hover:bg-green-700 disabled:bg-gray-300">Verify</button>
+                    )}
+                    {can('reject', doc.doc_type) && (
+                        <button onClick={() => setIsRejecting(true)} disabled={!canDecide('reject')} className="px-3 py-1 text-sm text-white bg-red-600 rounded hover:bg-red-700 disabled:bg-gray-300">Reject</button>
+                    )}
+                    <button onClick={() => advance(nextDoc)} disabled={busy} className="px-3 py-1 text-sm border rounded hover:bg-gray-50 disabled:text-gray-300">Next →</button>
+                    <button onClick={close} className="text-2xl font-bold px-2">&times;</button>
+                </header>
+                {finished ? (
+                    <div className="flex-1 flex flex-col items-center justify-center space-y-3 text-gray-700">
+                        <p>Nothing else is waiting for review.</p>
+                        {queue.length > 0 && (
+                            <button onClick={() => go(queue[0])} className="px-4 py-2 text-sm text-white bg-indigo-600 rounded-md hover:bg-indigo-700">
+                                Back to the top ({queue.length} {queue.length === 1 ? 'document' : 'documents'})
+                            </button>
+                        )}
+                        <button onClick={close} className="text-sm text-indigo-600 hover:underline">Close</button>
+                    </div>
+                ) : (
+                    <div className="flex-1 flex min-h-0">
+                        <div className={`flex-1 grid gap-3 p-3 min-h-0 ${compare ? 'grid-cols-2' : 'grid-cols-1'}`}>
+                            <div className="min-h-0">
+                                {file === null && <p className="text-sm text-gray-500">Loading...</p>}
+                                {file && file.error && <p className="text-sm text-red-700">{file.error}</p>}
+                                {file && file.url && <FileView file={file} keyboard />}
+                            </div>
+                            {compare && (
+                                <div className="min-h-0 flex flex-col border-l pl-3">
+                                    <div className="flex justify-between items-center pb-2 text-sm">
+                                        <span className="font-semibold truncate">{compare.name}</span>
+                                        <button onClick={() => setCompare(null)} title="Close comparison (X)" className="text-xl font-bold px-2">&times;</button>
+                                    </div>
+                                    <div className="flex-1 min-h-0"><FileView file={compare} /></div>
+                                </div>
+                            )}
+                        </div>
+                        <aside className="w-72 border-l overflow-auto p-3 space-y-4 text-sm">
+                            {doc.rejection_reason && <p className="text-red-700">Rejected: {doc.rejection_reason}</p>}
+                            <section>
+                                <h4 className="font-semibold text-gray-800 mb-2">The student's other documents</h4>
+                                {related.length === 0 ? <p className="text-xs text-gray-500">No other uploads.</p> : (
+                                    <ul className="space-y-2">
+                                        {related.map(other => (
+                                            <li key={docKey(other)} className="flex items-center justify-between gap-2">
+                                                <span className="min-w-0 truncate" title={docLabel(other, docLabels)}>{docLabel(other, docLabels)}</span>
+                                                <span className="flex items-center gap-2 shrink-0">
+                                                    {getStatusChip(other.status)}
+                                                    <button onClick={() => openCompare(other)} className="text-indigo-600 hover:underline">Compare</button>
+                                                </span>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                )}
+                            </section>
+                            <section>
+                                <h4 className="font-semibold text-gray-800">Earlier submissions</h4>
+                                <SubmissionHistory key={`${docKey(doc)}-${doc.version}`} doc={doc} onView={setCompare} />
+                            </section>
+                        </aside>
+                    </div>
+                )}
+            </div>
+            {isRejecting && <RejectDialog doc={doc} onCancel={() => setIsRejecting(false)} onConfirm={(reason) => decide('rejected', reason)} />}
+        </div>
+    );
+};
+
+// --- AdminReceiptsDashboard Component ---
+const RECEIPT_DOC_TYPE = 'certificate_payment_receipt';
+
+const AdminReceiptsDashboard = () => {
+    const { students, total, page, setPage, pageSize, updateStatus } = useAdminStudents({ docType: RECEIPT_DOC_TYPE });
+    const [reviewing, setReviewing] = useState(null); // the receipt the review workspace opened on
+
+    const receipts = students.flatMap(s => s.clearance.filter(c => c.doc_type === RECEIPT_DOC_TYPE));
+
+
+    return (
+         <>
+            
+            <div className="bg-white p-6 rounded-lg shadow">
+                 <div className="flex justify-between items-center mb-4">
+                     <h2 className="text-lg font-semibold text-gray-800">Verify Certificate Payment Receipts</h2>
+                     <div className="flex items-center space-x-3">
+                         <ClaimNextButton docTypes={[RECEIPT_DOC_TYPE]} onClaimed={setReviewing} />
+                         <ExportButtons report="documents" filters={{ docType: RECEIPT_DOC_TYPE }} />
+                     </div>
+                 </div>
+                 <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                      <thead>
+                        <tr>
+                          <th className={thClasses}>Preview</th>
+                          <th className={thClasses}>Matric</th>
+                          <th className={thClasses}>Status</th>
+                          <th className={thClasses}>Reviewer</th>
+                          <th className={thClasses}>Actions</th>
+                        </tr>
+                      </thead>
+                      <tbody className="bg-white divide-y divide-gray-200">
+                        {receipts.map(receipt => (
+                          <tr key={docKey(receipt)}>
+                            <td className="px-6 py-2"><DocThumbnail doc={receipt} onView={setReviewing} /></td>
+                            <td className={`${tdClasses} font-medium text-gray-900`}>
+                                <StudentLink matric={receipt.matric} />
+                                {receipt.slot && <span className="ml-2 text-gray-500">({slotLabel(receipt.slot)})</span>}
+                            </td>
+                            <td className={`${tdClasses} text-gray-500`}>{getStatusChip(receipt.status)}</td>
+                            <td className={tdClasses}><ClaimCell doc={receipt} /></td>
+                            <td className={`${tdClasses} font-medium space-x-2`}>
+                                <ReviewActions doc={receipt} onUpdateStatus={updateStatus} onView={setReviewing} />
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                </div>
+                <Pager page={page} pageSize={pageSize} total={total} noun="students" onPageChange={setPage} />
+            </div>
+
+            {reviewing && (
+                <ReviewWorkspace
+                    queue={receipts}
+                    startDoc={reviewing}
+                    docTypes={[RECEIPT_DOC_TYPE]}
+                    onUpdateStatus={updateStatus}
+                    onClose={() => setReviewing(null)}
+                />
+            )}
+        </>
+    );
+};
+
+// --- AdminDocsDashboard Component ---
+// Review queue for every uploaded requirement except the payment receipt, which has its own tab.
+// Each row is one student's document; opening one starts the review workspace on it, which then
+// works down the queue.
+const AdminDocsDashboard = () => {
+    const { requirements, docLabels } = useRequirements();
+    const can = useCan();
+    const reviewDocTypes = requirements
+        .filter(r => !r.is_physical && r.doc_type !== RECEIPT_DOC_TYPE && can('view', r.doc_type))
+        .map(r => r.doc_type);
+    const [docTypeFilter, setDocTypeFilter] = useState('all');
+    const [statusFilter, setStatusFilter] = useState('uploaded');
+    const [searchTerm, setSearchTerm] = useState('');
+    // The server picks the students with a matching document but returns all their documents,
+    // so progress can be shown; the filters are applied again below to pick the rows.
+    const filters = {
+        docType: docTypeFilter === 'all' ? reviewDocTypes.join(',') : docTypeFilter,
+        status: statusFilter,
+        search: searchTerm,
+    };
+    const { students, total, page, setPage, pageSize, updateStatus } = useAdminStudents(reviewDocTypes.length > 0 ? filters : null);
+    const queueDocTypes = docTypeFilter === 'all' ? reviewDocTypes : [docTypeFilter];
+    const [reviewing, setReviewing] = useState(null); // the document the review workspace opened on
+
+    // One queue row per (student, document file), with the student's progress across all their review files.
+    const queue = students
+        .flatMap(s => {
+            const docs = s.clearance.filter(c => reviewDocTypes.includes(c.doc_type));
+            const verifiedCount = docs.filter(c => c.status === 'verified').length;
+            return docs.map(doc => ({ doc, docs, verifiedCount }));
+        })
+        .filter(({ doc }) => docTypeFilter === 'all' || doc.doc_type === docTypeFilter)
+        .filter(({ doc }) => statusFilter === 'all' || doc.status === statusFilter);
+
+    return (
+         <>
+             <div className="bg-white p-6 rounded-lg shadow">
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-lg font-semibold text-gray-800">Verify Other Documents</h2>
+                    <div className="flex items-center space-x-3">
+                        <ClaimNextButton docTypes={queueDocTypes} onClaimed={setReviewing} />
+                        <ExportButtons report="documents" filters={filters} />
+                    </div>
+                </div>
+                <div className="flex flex-wrap gap-4 mb-4">
+                    <input
+                        type="text"
+                        placeholder="Search by matric number..."
+                        value={searchTerm}
+                        onChange={(e) => setSearchTerm(e.target.value)}
+                        className="w-full max-w-xs px-3 py-2 border border-gray-300 rounded-md shadow-sm"
+                    />
+                    <select value={docTypeFilter} onChange={(e) => setDocTypeFilter(e.target.value)} className="px-3 py-2 border border-gray-300 rounded-md shadow-sm">
+                        <option value="all">All documents</option>
+                        {reviewDocTypes.map(type => <option key={type} value={type}>{docLabels[type]}</option>)}
+                    </select>
+                    <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className="px-3 py-2 border border-gray-300 rounded-md shadow-sm">
+                        <option value="uploaded">Awaiting review</option>
+                        <option value="verified">Verified</option>
+                        <option value="rejected">Rejected</option>
+                        <option value="pending">Not uploaded</option>
+                        <option value="all">All statuses</option>
+                    </select>
+                </div>
+                <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                      <thead>
+                        <tr>
+                          <th className={thClasses}>Preview</th>
+                          <th className={thClasses}>Matric</th>
+                          <th className={thClasses}>Document</th>
+                          <th className={thClasses}>Status</th>
+                          <th className={thClasses}>Progress</th>
+                          <th className={thClasses}>Reviewer</th>
+                          <th className={thClasses}>Actions</th>
+                        </tr>
+                      </thead>
+                      <tbody className="bg-white divide-y divide-gray-200">
+                        {queue.map(({ doc, docs, verifiedCount }) => (
+                          <tr key={docKey(doc)}>
+                            <td className="px-6 py-2"><DocThumbnail doc={doc} onView={setReviewing} /></td>
+                            <td className={`${tdClasses} font-medium text-gray-900`}><StudentLink matric={doc.matric} /></td>
+                            <td className={`${tdClasses} text-gray-700`}>{docLabel(doc, docLabels)}</td>
+                            <td className={tdClasses}>{getStatusChip(doc.status)}</td>
+                            <td className={tdClasses}><ProgressBar done={verifiedCount} total={docs.length} /></td>
+                            <td className={tdClasses}><ClaimCell doc={doc} /></td>
+                            <td className={`${tdClasses} font-medium space-x-2`}>
+                                <ReviewActions doc={doc} onUpdateStatus={updateStatus} onView={setReviewing} />
+                            </td>
+                          </tr>
+                        ))}
+                        {queue.length === 0 && (
+                          <tr><td colSpan="7" className={`${tdClasses} text-gray-500 text-center`}>No documents match these filters.</td></tr>
+                        )}
+                      </tbody>
+                    </table>
+                    <Pager page={page} pageSize={pageSize} total={total} noun="students" onPageChange={setPage} />
+                </div>
+            </div>
+
+            {reviewing && (
+                <ReviewWorkspace
+                    queue={queue.map(({ doc }) => doc)}
+                    startDoc={reviewing}
+                    docTypes={queueDocTypes}
+                    onUpdateStatus={updateStatus}
+                    onClose={() => setReviewing(null)}
+                />
+            )}
+        </>
+    );
+};
+
+// Small "n of m verified" bar used for per-student progress.
+const ProgressBar = ({ done, total }) => (
+    <div className="flex items-center space-x-2">
+        <div className="w-24 h-2 bg-gray-200 rounded-full overflow-hidden">
+            <div className="h-full bg-green-500" style={{ width: `${total ? (done / total) * 100 : 0}%` }}></div>
+        </div>
+        <span className="text-xs text-gray-600">{done}/{total} verified</span>
+    </div>
+);
+
+
+// --- AdminIdCardsDashboard Component ---
+// Confirms every physically submitted requirement (the 500L ID card by default).
+const AdminIdCardsDashboard = () => {
+    const { requirements, docLabels } = useRequirements();
+    const [searchTerm, setSearchTerm] = useState('');
+    const can = useCan();
+    const physicalDocTypes = requirements.filter(r => r.is_physical && can('view', r.doc_type)).map(r => r.doc_type);
+    const filters = { docType: physicalDocTypes.join(','), search: searchTerm };
+    const { students, total, page, setPage, pageSize, updateStatus } = useAdminStudents(physicalDocTypes.length > 0 ? filters : null);
+
+    const physicalDocs = students.flatMap(s => s.clearance.filter(c => physicalDocTypes.includes(c.doc_type)));
+
+
+    return (
+         <>
+            
+            <div className="bg-white p-6 rounded-lg shadow">
+                 <div className="flex justify-between items-center mb-4">
+                     <h2 className="text-lg font-semibold text-gray-800">Confirm Physical Submissions</h2>
+                     <ExportButtons report="documents" filters={filters} />
+                 </div>
+                 <input
+                    type="text"
+                    placeholder="Search by matric number..."
+                    value={searchTerm}
+                    onChange={(e) => setSearchTerm(e.target.value)}
+                    className="w-full max-w-xs px-3 py-2 mb-4 border border-gray-300 rounded-md shadow-sm"
+                 />
+                 <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                      <thead>
+                        <tr>
+                          <th className={thClasses}>Matric</th>
+                          <th className={thClasses}>Document</th>
+                          <th className={thClasses}>Student Notified?</th>
+                          <th className={thClasses}>Status</th>
+                          <th className={thClasses}>Action</th>
+                        </tr>
+                      </thead>
+                      <tbody className="bg-white divide-y divide-gray-200">
+                        {physicalDocs.map(doc => (
+                          <tr key={docKey(doc)}>
+                            <td className={`${tdClasses} font-medium text-gray-900`}><StudentLink matric={doc.matric} /></td>
+                            <td className={tdClasses}>{docLabel(doc, docLabels)}</td>
+                            <td className={tdClasses}>{isNotified(doc) ? 'Yes' : 'No'}</td>
+                            <td className={tdClasses}>{doc.status}</td>
+                            <td className={`${tdClasses} font-medium`}>
+                               <PhysicalActions doc={doc} onUpdateStatus={updateStatus} />
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                </div>
+                <Pager page={page} pageSize={pageSize} total={total} noun="students" onPageChange={setPage} />
+            </div>
+        </>
+    );
+};
+
+// --- AdminReviewersDashboard Component ---
+// Review throughput per officer (see backend/claims.js), kept current as decisions and claims come in.
+// Staff with manage_claims see every officer and can release the claims of someone who has left their
+// desk; everyone else sees their own numbers.
+const AdminReviewersDashboard = () => {
+    const can = useCan();
+    const [stats, setStats] = useState(null); // { timeZone, officers }
+    const [reloads, setReloads] = useState(0);
+    const reload = () => setReloads(n => n + 1);
+
+    useLiveEvents({ document: reload, claim: reload, resync: reload });
+
+    useEffect(() => {
+        // Delayed a little, so a burst of live events ends up as one request.
+        const timer = setTimeout(() => {
+            apiFetch('/admin/review-stats')
+                .then(async res => {
+                    const data = await res.json();
+                    if (!res.ok) throw new Error(data.message);
+                    setStats(data);
+                })
+                .catch(error => alert(error.message));
+        }, 300);
+        return () => clearTimeout(timer);
+    }, [reloads]);
+
+    const release = async (officer) => {
+        if (!window.confirm(`Release the document ${officer.username} is reviewing? Other officers can then claim it.`)) return;
+        try {
+            await releaseClaims(officer.username);
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-lg shadow">
+            <h2 className="text-lg font-semibold text-gray-800 mb-1">Review Throughput</h2>
+            <p className="text-sm text-gray-500 mb-4">
+                Verifications and rejections of uploaded documents per officer{stats && `; today began at midnight ${stats.timeZone} time`}.
+                A document an officer is reviewing is held for them until they decide, move on or their claim lapses.
+            </p>
+            {stats === null ? <p className="text-gray-500">Loading...</p> : (
+                <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead>
+                            <tr>
+                                <th className={thClasses}>Officer</th>
+                                <th className={thClasses}>Today</th>
+                                <th className={thClasses}>Last 7 days</th>
+                                <th className={thClasses}>Verified</th>
+                                <th className={thClasses}>Rejected</th>
+                                <th className={thClasses}>Last decision</th>
+                                <th className={thClasses}>Reviewing now</th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {stats.officers.map(officer => (
+                                <tr key={officer.username}>
+                                    <td className={`${tdClasses} font-medium text-gray-900`}>
+                                        {officer.name || officer.username}
+                                        {officer.name && <span className="ml-2 text-gray-500">{officer.username}</span>}
+                                    </td>
+                                    <td className={tdClasses}>{officer.today}</td>
+                                    <td className={tdClasses}>{officer.week}</td>
+                                    <td className={`${tdClasses} text-green-700`}>{officer.verified_week}</td>
+                                    <td className={`${tdClasses} text-red-700`}>{officer.rejected_week}</td>
+                                    <td className={`${tdClasses} text-gray-500`}>{officer.last_decision_at ? new Date(officer.last_decision_at).toLocaleString() : '-'}</td>
+                                    <td className={`${tdClasses} space-x-2`}>
+                                        <span>{officer.claims > 0 ? 'Yes' : '-'}</span>
+                                        {officer.claims > 0 && can('manage_claims') && (
+                                            <button onClick={() => release(officer)} className="text-xs text-indigo-600 hover:underline">Release</button>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// --- AdminAuditDashboard Component ---
+const AUDIT_PAGE_SIZE = 50;
+
+const auditActionLabels = {
+    login: 'Login',
+    login_failed: 'Failed login',
+    upload: 'Upload',
+    delete: 'Delete',
+    notify: 'ID card notification',
+    status_change: 'Status change',
+    requirement_change: 'Requirement change',
+    readiness_override: 'Readiness override',
+    appointment: 'Collection appointment',
+    certificate_collected: 'Certificate collected',
+    import: 'CSV import',
+    activation: 'Account activation',
+    payment: 'Payment',
+    password_change: 'Password change',
+    password_reset_requested: 'Password reset request',
+    staff_change: 'Staff account change',
+    role_change: 'Role change',
+    slip_issued: 'Clearance slip issued',
+    claim_released: 'Review claim released',
+};
+
+// " (2019/2020)" for audit entries about one file of a requirement that takes several.
+const fileOf = (entry) => (entry.details && entry.details.slot ? ` (${slotLabel(entry.details.slot)})` : '');
+
+// One-line, human readable summary of an audit entry.
+const describeAuditEntry = (entry, docLabels) => {
+    const doc = docLabels[entry.doc_type] || entry.doc_type;
+    switch (entry.action) {
+        case 'login': return 'Logged in';
+        case 'login_failed': return entry.details && entry.details.reason === 'locked' ? 'Login refused: too many failed attempts' : 'Failed login attempt';
+        case 'password_change': return entry.details && entry.details.via === 'reset' ? 'Reset their password by email link' : 'Changed their password';
+        case 'password_reset_requested': return 'Requested a password reset email';
+        case 'upload': return `Uploaded ${doc}${fileOf(entry)}`;
+        case 'delete': return `Deleted ${doc}${fileOf(entry)}`;
+        case 'notify': return `Reported the ${doc} as physically submitted`;
+        case 'status_change': return `${doc}${fileOf(entry)}: ${entry.old_status} → ${entry.new_status}`;
+        case 'requirement_change': return `Changed the ${doc} requirement`;
+        case 'readiness_override': return entry.details && entry.details.override === null
+            ? 'Removed the certificate readiness override'
+            : `Overrode certificate readiness: ${entry.old_status} → ${entry.new_status}`;
+        case 'appointment': return `Collection appointment ${entry.new_status}${entry.details && entry.details.to ? ` for ${entry.details.to}` : ''}`;
+        case 'certificate_collected': return 'Certificate collected';
+        case 'import': return `Imported ${entry.details.file} (${entry.details.kind}): ${entry.details.imported} rows imported, ${entry.details.invalid} skipped`;
+        case 'activation': return 'Activated their account';
+        case 'payment': return `Payment ${entry.details.reference} ${entry.details.status} (reported by ${entry.details.source === 'webhook' ? 'the gateway' : 'a status check'})`;
+        case 'staff_change': return entry.details.change === 'password_reset'
+            ? `Reset the password of staff member ${entry.details.username}`
+            : `${entry.details.change === 'created' ? 'Created' : 'Updated'} staff member ${entry.details.username}`;
+        case 'slip_issued': return `Issued clearance slip ${entry.details.code}`;
+        case 'claim_released': return `Released ${entry.details.claimedBy}'s claim on ${doc}${fileOf(entry)}`;
+        case 'role_change': return `${entry.details.change.charAt(0).toUpperCase()}${entry.details.change.slice(1)} role ${entry.details.role}`;
+        default: return entry.action;
+    }
+};
+
+const AuditEntryTable = ({ entries }) => {
+    const { docLabels } = useRequirements();
+    return (
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead>
+            <tr>
+              <th className={thClasses}>When</th>
+              <th className={thClasses}>Actor</th>
+              <th className={thClasses}>Student</th>
+              <th className={thClasses}>Action</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {entries.map(entry => (
+              <tr key={entry.id}>
+                <td className={`${tdClasses} text-gray-500`}>{new Date(entry.occurred_at).toLocaleString()}</td>
+                <td className={`${tdClasses} text-gray-900`}>{entry.actor}{entry.actor_role === 'admin' && <span className="ml-1 text-xs text-indigo-600">(admin)</span>}</td>
+                <td className={`${tdClasses} text-gray-900`}>{entry.matric}</td>
+                <td className="px-6 py-4 text-sm text-gray-700">
+                    {describeAuditEntry(entry, docLabels)}
+                    {entry.details && entry.details.reason && <span className="block text-xs text-red-700">Reason: {entry.details.reason}</span>}
+                </td>
+              </tr>
+            ))}
+            {entries.length === 0 && (
+              <tr><td colSpan="4" className={`${tdClasses} text-gray-500 text-center`}>No entries found.</td></tr>
+            )}
+          </tbody>
+        </table>
+    );
+};
+
+// A student's certificate readiness checklist, with the override controls for roles that may override.
+// Changing `refreshKey` reloads it, e.g. after a live update.
+const ReadinessPanel = ({ matric, refreshKey, onChange }) => {
+    const [status, setStatus] = useState(null);
+    const [reason, setReason] = useState('');
+    const can = useCan();
+
+    useEffect(() => {
+        apiFetch(`/status/${encodeURIComponent(matric)}`)
+            .then(res => res.json())
+            .then(setStatus)
+            .catch(error => alert(error.message));
+    }, [matric, refreshKey]);
+
+    const setOverride = async (ready) => {
+        try {
+            const response = await apiFetch(`/admin/readiness/${encodeURIComponent(matric)}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ready, reason }),
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.message);
+            setStatus(data);
+            setReason('');
+            onChange();
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
+    if (!status || !status.checklist) return null;
+    return (
+        <div className="p-4 mb-4 border rounded-md">
+            <h4 className="font-semibold text-gray-800 mb-2">
+                Certificate {status.isReady ? <span className="text-green-600">ready</span> : <span className="text-red-600">not ready</span>}
+            </h4>
+            <ReadinessChecklist checklist={status.checklist} />
+            {status.override ? (
+                <div className="mt-3 text-sm text-gray-700">
+                    <p>
+                        Overridden to <strong>{status.override.ready ? 'ready' : 'not ready'}</strong> by {status.override.set_by}: {status.override.reason}
+                    </p>
+                    {can('override') && <button onClick={() => setOverride(null)} className="mt-1 text-indigo-600 hover:underline">Remove override</button>}
+                </div>
+            ) : can('override') && (
+                <div className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+                    <input
+                        type="text"
+                        placeholder="Reason for override..."
+                        value={reason}
+                        onChange={(e) => setReason(e.target.value)}
+                        className="flex-1 min-w-[12rem] px-3 py-1 border border-gray-300 rounded-md shadow-sm"
+                    />
+                    <button onClick={() => setOverride(!status.computedReady)} disabled={!reason.trim()} className="px-3 py-1 text-white bg-indigo-600 rounded disabled:bg-gray-400">
+                        {status.computedReady ? 'Put on hold' : 'Mark ready anyway'}
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const AdminAuditDashboard = () => {
+    const { docLabels } = useRequirements();
+    const [filters, setFilters] = useState({ matric: '', actor: '', action: '', docType: '', from: '', to: '' });
+    const [page, setPage] = useState(0);
+    const [result, setResult] = useState({ entries: [], total: 0 });
+
+    useEffect(() => {
+        const params = new URLSearchParams({ limit: AUDIT_PAGE_SIZE, offset: page * AUDIT_PAGE_SIZE });
+        Object.entries(filters).forEach(([key, value]) => { if (value) params.set(key, value); });
+        apiFetch(`/admin/audit?${params}`)
+            .then(async res => {
+                const data = await res.json();
+                if (!res.ok) throw new Error(data.message);
+                setResult(data);
+            })
+            .catch(error => alert(error.message));
+    }, [filters, page]);
+
+    const setFilter = (key, value) => {
+        setFilters(prev => ({ ...prev, [key]: value }));
+        setPage(0);
+    };
+
+    const inputClasses = "px-3 py-2 border border-gray-300 rounded-md shadow-sm";
+
+    return (
+         <>
+            <div className="bg-white p-6 rounded-lg shadow">
+                <h2 className="text-lg font-semibold text-gray-800 mb-4">Audit Log</h2>
+                <div className="flex flex-wrap gap-4 mb-4">
+                    <input type="text" placeholder="Student matric" value={filters.matric} onChange={(e) => setFilter('matric', e.target.value)} className={inputClasses} />
+                    <input type="text" placeholder="Actor matric" value={filters.actor} onChange={(e) => setFilter('actor', e.target.value)} className={inputClasses} />
+                    <select value={filters.action} onChange={(e) => setFilter('action', e.target.value)} className={inputClasses}>
+                        <option value="">All actions</option>
+                        {Object.entries(auditActionLabels).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                    </select>
+                    <select value={filters.docType} onChange={(e) => setFilter('docType', e.target.value)} className={inputClasses}>
+                        <option value="">All documents</option>
+                        {Object.entries(docLabels).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                    </select>
+                    <label className="text-sm text-gray-600">From <input type="date" value={filters.from} onChange={(e) => setFilter('from', e.target.value)} className={inputClasses} /></label>
+                    <label className="text-sm text-gray-600">To <input type="date" value={filters.to} onChange={(e) => setFilter('to', e.target.value)} className={inputClasses} /></label>
+                </div>
+                <div className="overflow-x-auto">
+                    <AuditEntryTable entries={result.entries} />
+                </div>
+                <Pager page={page} pageSize={AUDIT_PAGE_SIZE} total={result.total} noun="entries" onPageChange={setPage} />
+            </div>
+        </>
+    );
+};
+
+
+// --- AdminStudentPage Component ---
+// Everything about one student (/admin/students/:matric): account details, every document with its
+// review actions and upload history, certificate readiness and the audit timeline. The matric links
+// in the admin tables open it, and the address can be bookmarked or shared with other officers.
+const AdminStudentPage = () => {
+    const { matric } = useParams();
+    const [student, setStudent] = useState(null);
+    const [error, setError] = useState('');
+    const [docs, setDocs] = useState([]);
+    const [entries, setEntries] = useState(null);
+    const [historyKey, setHistoryKey] = useState(null); // docKey of the file whose history is open
+    const [previewFile, setPreviewFile] = useState(null); // { name, url }
+    const [reloads, setReloads] = useState(0);
+    const reload = () => setReloads(n => n + 1);
+    const can = useCan();
+    const canAudit = can('audit');
+
+    const reloadIfThisStudent = (event) => {
+        if (event.matric === matric) reload();
+    };
+    useLiveEvents({ document: reloadIfThisStudent, certificate: reloadIfThisStudent, resync: reload });
+
+    useEffect(() => {
+        const getJson = async (path) => {
+            const response = await apiFetch(path);
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.message);
+            return data;
+        };
+        getJson(`/admin/students/${encodeURIComponent(matric)}`)
+            .then(async (details) => {
+                setStudent(details);
+                setError('');
+                // The timeline is only loaded for roles that may read the audit log.
+                const [clearance, audit] = await Promise.all([
+                    getJson(`/clearance/${encodeURIComponent(matric)}`),
+                    canAudit ? getJson(`/admin/audit?matric=${encodeURIComponent(matric)}&limit=500`) : null,
+                ]);
+                setDocs(clearance);
+                setEntries(audit && audit.entries);
+            })
+            .catch(err => setError(err.message));
+    }, [matric, reloads, canAudit]);
+
+    const updateStatus = (doc, newStatus, reason) => {
+        postStatusUpdate({ matric: doc.matric, docType: doc.doc_type, slot: doc.slot, newStatus, reason, expectedVersion: doc.version }, reload)
+            .then(reload)
+            .catch(err => alert(err.message));
+    };
+
+    const openPreview = async (doc) => {
+        try {
+            const { filename, viewUrl } = await getFileLinks(doc);
+            setPreviewFile({ name: `${matric} - ${filename}`, url: viewUrl });
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
+    if (error) {
+        return <div className="bg-white p-6 rounded-lg shadow text-gray-700">{error}</div>;
+    }
+    if (!student) return <p className="p-4 text-gray-500">Loading...</p>;
+
+    const details = [
+        ['Email', student.email || '-'],
+        ['Faculty', student.faculty || '-'],
+        ['Entry mode', student.entry_mode || '-'],
+        ['Certificate fee', student.paid ? 'Paid' : 'Not paid'],
+        ['Account', student.activated ? 'Activated' : 'Not activated'],
+    ];
+
+    return (
+        <>
+            <div className="bg-white p-6 rounded-lg shadow mb-6">
+                <h2 className="text-2xl font-bold text-gray-900 mb-4">{student.matric}</h2>
+                <dl className="grid grid-cols-2 md:grid-cols-5 gap-4 text-sm">
+                    {details.map(([label, value]) => (
+                        <div key={label}>
+                            <dt className="text-gray-500">{label}</dt>
+                            <dd className="font-medium text-gray-900">{value}</dd>
+                        </div>
+                    ))}
+                </dl>
+            </div>
+
+            <div className="bg-white p-6 rounded-lg shadow mb-6">
+                <h2 className="text-lg font-semibold text-gray-800 mb-4">Documents</h2>
+                <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                      <thead>
+                        <tr>
+                          <th className={thClasses}>Document</th>
+                          <th className={thClasses}>Status</th>
+                          <th className={thClasses}>Actions</th>
+                          <th className={thClasses}>History</th>
+                        </tr>
+                      </thead>
+                      <tbody className="bg-white divide-y divide-gray-200">
+                        {docs.map(doc => (
+                          <React.Fragment key={docKey(doc)}>
+                            <tr>
+                              <td className={`${tdClasses} font-medium text-gray-900`}>{doc.slot ? `${doc.label} (${slotLabel(doc.slot)})` : doc.label}</td>
+                              <td className={tdClasses}>{getStatusChip(doc.status)}</td>
+                              <td className={`${tdClasses} font-medium space-x-2`}>
+                                {doc.is_physical
+                                    ? <PhysicalActions doc={doc} onUpdateStatus={updateStatus} />
+                                    : <ReviewActions doc={doc} onUpdateStatus={updateStatus} onView={openPreview} />}
+                              </td>
+                              <td className={tdClasses}>
+                                {!doc.is_physical && (
+                                    <button onClick={() => setHistoryKey(historyKey === docKey(doc) ? null : docKey(doc))} className="text-indigo-600 hover:underline">
+                                        {historyKey === docKey(doc) ? 'Hide' : 'Show'}
+                                    </button>
+                                )}
+                              </td>
+                            </tr>
+                            {historyKey === docKey(doc) && (
+                              <tr>
+                                <td colSpan="4" className="px-6 pb-4">
+                                  {/* Keyed on the version so a new upload or decision reloads it. */}
+                                  <SubmissionHistory key={doc.version} doc={doc} onView={setPreviewFile} />
+                                </td>
+                              </tr>
+                            )}
+                          </React.Fragment>
+                        ))}
+                      </tbody>
+                    </table>
+                </div>
+            </div>
+
+            <div className="bg-white p-6 rounded-lg shadow">
+                <h2 className="text-lg font-semibold text-gray-800 mb-4">{canAudit ? 'Certificate and Timeline' : 'Certificate'}</h2>
+                <ReadinessPanel matric={matric} refreshKey={reloads} onChange={reload} />
+                {canAudit && (
+                    <div className="overflow-x-auto">
+                        {entries === null ? <p className="p-4 text-gray-500">Loading...</p> : <AuditEntryTable entries={entries} />}
+                    </div>
+                )}
+            </div>
+
+            {previewFile && <FilePreviewModal file={previewFile} onClose={() => setPreviewFile(null)} />}
+        </>
+    );
+};
+
+
+// --- AdminRequirementsDashboard Component ---
+const FILE_TYPE_OPTIONS = ['pdf', 'jpg', 'jpeg', 'png'];
+
+const emptyRequirement = {
+    doc_type: '', label: '', description: '', accepted_types: ['pdf', 'jpg', 'jpeg', 'png'], max_size_mb: 10,
+    slots: '', max_files: 1, is_physical: false, faculties: '', entry_modes: '', sort_order: 0, active: true,
+};
+
+const AdminRequirementsDashboard = () => {
+    const [requirements, setRequirements] = useState([]);
+    const [editing, setEditing] = useState(null); // the requirement being edited, or emptyRequirement for a new one
+
+    const loadRequirements = () => {
+        apiFetch('/admin/requirements')
+            .then(res => res.json())
+            .then(setRequirements)
+            .catch(error => alert(error.message));
+    };
+
+    useEffect(loadRequirements, []);
+
+    const handleSave = async (form) => {
+        const isNew = !requirements.some(r => r.doc_type === form.doc_type);
+        try {
+            const response = await apiFetch(isNew ? '/admin/requirements' : `/admin/requirements/${form.doc_type}`, {
+                method: isNew ? 'POST' : 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(form),
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.message);
+            // Other screens pick up the new labels and rules the next time they load.
+            requirementsCache = null;
+            alert(`Requirement saved. ${data.sync.added} student records added, ${data.sync.removed} removed.`);
+            setEditing(null);
+            loadRequirements();
+        } catch (error) {
+            alert(`Save failed: ${error.message}`);
+        }
+    };
+
+    const describeFiles = (r) => {
+        if (r.slots) return `, one per: ${r.slots.join(', ')}`;
+        return r.max_files > 1 ? `, up to ${r.max_files} files` : '';
+    };
+
+    const describeApplies = (r) => {
+        const parts = [];
+        if (r.faculties) parts.push(`Faculties: ${r.faculties.join(', ')}`);
+        if (r.entry_modes) parts.push(`Entry modes: ${r.entry_modes.join(', ')}`);
+        return parts.length > 0 ? parts.join('; ') : 'All students';
+    };
+
+    return (
+         <>
+            <div className="bg-white p-6 rounded-lg shadow">
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-lg font-semibold text-gray-800">Document Requirements</h2>
+                    <button onClick={() => setEditing(emptyRequirement)} className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700">Add Requirement</button>
+                </div>
+                <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                      <thead>
+                        <tr>
+                          <th className={thClasses}>Document</th>
+                          <th className={thClasses}>Submission</th>
+                          <th className={thClasses}>Applies To</th>
+                          <th className={thClasses}>Status</th>
+                          <th className={thClasses}>Action</th>
+                        </tr>
+                      </thead>
+                      <tbody className="bg-white divide-y divide-gray-200">
+                        {requirements.map(r => (
+                          <tr key={r.doc_type}>
+                            <td className="px-6 py-4 text-sm">
+                                <p className="font-medium text-gray-900">{r.label}</p>
+                                <p className="text-xs text-gray-500">{r.doc_type}</p>
+                            </td>
+                            <td className={`${tdClasses} text-gray-700`}>
+                                {r.is_physical ? 'Physical' : `Upload: ${r.accepted_types.join(', ')} up to ${r.max_size_mb}MB${describeFiles(r)}`}
+                            </td>
+                            <td className="px-6 py-4 text-sm text-gray-700">{describeApplies(r)}</td>
+                            <td className={tdClasses}>{r.active ? 'Active' : <span className="text-gray-400">Retired</span>}</td>
+                            <td className={`${tdClasses} font-medium`}>
+                                <button onClick={() => setEditing(r)} className="text-indigo-600 hover:text-indigo-900">Edit</button>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                </div>
+            </div>
+            {editing && (
+                <RequirementForm
+                    requirement={editing}
+                    isNew={editing === emptyRequirement}
+                    onCancel={() => setEditing(null)}
+                    onSave={handleSave}
+                />
+            )}
+        </>
+    );
+};
+
+const RequirementForm = ({ requirement, isNew, onCancel, onSave }) => {
+    const [form, setForm] = useState({
+        ...requirement,
+        description: requirement.description || '',
+        slots: Array.isArray(requirement.slots) ? requirement.slots.join(', ') : requirement.slots || '',
+        faculties: Array.isArray(requirement.faculties) ? requirement.faculties.join(', ') : requirement.faculties || '',
+        entry_modes: Array.isArray(requirement.entry_modes) ? requirement.entry_modes.join(', ') : requirement.entry_modes || '',
+    });
+    const set = (key, value) => setForm(prev => ({ ...prev, [key]: value }));
+    const toggleType = (type) => set('accepted_types', form.accepted_types.includes(type)
+        ? form.accepted_types.filter(t => t !== type)
+        : [...form.accepted_types, type]);
+
+    const inputClasses = "w-full px-3 py-2 mt-1 border border-gray-300 rounded-md shadow-sm";
+    const labelClasses = "block text-sm font-medium text-gray-700";
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+            <form
+                onSubmit={(e) => { e.preventDefault(); onSave(form.is_physical ? { ...form, slots: '', max_files: 1 } : form); }}
+                className="bg-white rounded-lg shadow-xl w-full max-w-lg max-h-[90vh] overflow-auto p-6 space-y-4"
+            >
+                <h3 className="font-semibold text-lg text-gray-900">{isNew ? 'Add Requirement' : `Edit ${requirement.label}`}</h3>
+                {isNew && (
+                    <div>
+                        <label className={labelClasses}>Document type (e.g. nysc_form)</label>
+                        <input type="text" required value={form.doc_type} onChange={(e) => set('doc_type', e.target.value)} className={inputClasses} />
+                    </div>
+                )}
+                <div>
+                    <label className={labelClasses}>Label</label>
+                    <input type="text" required value={form.label} onChange={(e) => set('label', e.target.value)} className={inputClasses} />
+                </div>
+                <div>
+                    <label className={labelClasses}>Description shown to students</label>
+                    <textarea rows={2} value={form.description} onChange={(e) => set('description', e.target.value)} className={inputClasses} />
+                </div>
+                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                    <input type="checkbox" checked={form.is_physical} onChange={(e) => set('is_physical', e.target.checked)} />
+                    <span>Submitted physically (students notify the desk instead of uploading)</span>
+                </label>
+                {!form.is_physical && (
+                    <>
+                        <div>
+                            <span className={labelClasses}>Accepted file types</span>
+                            <div className="flex space-x-4 mt-1">
+                                {FILE_TYPE_OPTIONS.map(type => (
+                                    <label key={type} className="flex items-center space-x-1 text-sm">
+                                        <input type="checkbox" checked={form.accepted_types.includes(type)} onChange={() => toggleType(type)} />
+                                        <span>{type.toUpperCase()}</span>
+                                    </label>
+                                ))}
+                            </div>
+                        </div>
+                        <div>
+                            <label className={labelClasses}>Maximum size (MB)</label>
+                            <input type="number" min="1" max="50" required value={form.max_size_mb} onChange={(e) => set('max_size_mb', Number(e.target.value))} className={inputClasses} />
+                        </div>
+                        <div>
+                            <label className={labelClasses}>Named files (comma-separated, e.g. 2019/2020, 2020/2021; each must be uploaded)</label>
+                            <input type="text" value={form.slots} onChange={(e) => set('slots', e.target.value)} className={inputClasses} />
+                        </div>
+                        {!form.slots.trim() && (
+                            <div>
+                                <label className={labelClasses}>Files allowed</label>
+                                <input type="number" min="1" max="20" required value={form.max_files} onChange={(e) => set('max_files', Number(e.target.value))} className={inputClasses} />
+                            </div>
+                        )}
+                    </>
+                )}
+                <div>
+                    <label className={labelClasses}>Only for faculties (comma-separated, empty for all)</label>
+                    <input type="text" value={form.faculties} onChange={(e) => set('faculties', e.target.value)} className={inputClasses} />
+                </div>
+                <div>
+                    <label className={labelClasses}>Only for entry modes (comma-separated, empty for all)</label>
+                    <input type="text" value={form.entry_modes} onChange={(e) => set('entry_modes', e.target.value)} className={inputClasses} />
+                </div>
+                <div>
+                    <label className={labelClasses}>Display order</label>
+                    <input type="number" value={form.sort_order} onChange={(e) => set('sort_order', Number(e.target.value))} className={inputClasses} />
+                </div>
+                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                    <input type="checkbox" checked={form.active} onChange={(e) => set('active', e.target.checked)} />
+                    <span>Active (unticking retires it; students who already acted on it keep their records)</span>
+                </label>
+                <div className="flex justify-end space-x-2">
+                    <button type="button" onClick={onCancel} className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200">Cancel</button>
+                    <button type="submit" className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700">Save</button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+
+// --- AdminCollectionDashboard Component ---
+// The collection desk: the day's appointments with "Mark Collected", and the collection days and slots.
+const todayString = () => new Date().toLocaleDateString('en-CA'); // YYYY-MM-DD in local time
+
+const AdminCollectionDashboard = () => {
+    const [day, setDay] = useState(todayString());
+    const [deskList, setDeskList] = useState([]);
+    const [days, setDays] = useState([]);
+    const [isCreating, setIsCreating] = useState(false);
+
+    const loadDeskList = () => {
+        apiFetch(`/admin/appointments?day=${day}`)
+            .then(res => res.json())
+            .then(setDeskList)
+            .catch(error => alert(error.message));
+    };
+
+    const loadDays = () => {
+        apiFetch('/admin/collection-days')
+            .then(res => res.json())
+            .then(setDays)
+            .catch(error => alert(error.message));
+    };
+
+    useEffect(loadDeskList, [day]);
+    useEffect(loadDays, []);
+
+    // Sends a JSON request and reloads both lists on success.
+    const send = async (path, method, body) => {
+        try {
+            const response = await apiFetch(path, {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                body: body && JSON.stringify(body),
+            });
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.message || 'Request failed.');
+            }
+            loadDeskList();
+            loadDays();
+            return true;
+        } catch (error) {
+            alert(error.message);
+            return false;
+        }
+    };
+
+    const togglePublished = (collectionDay) => send(`/admin/collection-days/${collectionDay.id}`, 'PUT', {
+        location: collectionDay.location, notes: collectionDay.notes, published: !collectionDay.published,
+    });
+
+    return (
+         <>
+
+            <div className="bg-white p-6 rounded-lg shadow mb-6">
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-lg font-semibold text-gray-800">Appointments</h2>
+                    <div className="flex items-center gap-4">
+                        <Link to="/verify" target="_blank" className="text-sm text-indigo-600 hover:underline">Check a clearance slip</Link>
+                        <ExportButtons report="appointments" filters={{ day }} />
+                        <input type="date" value={day} onChange={(e) => setDay(e.target.value)} className="px-3 py-2 border border-gray-300 rounded-md shadow-sm" />
+                    </div>
+                </div>
+                <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                      <thead>
+                        <tr>
+                          <th className={thClasses}>Time</th>
+                          <th className={thClasses}>Matric</th>
+                          <th className={thClasses}>Email</th>
+                          <th className={thClasses}>Action</th>
+                        </tr>
                       </thead>
                       <tbody className="bg-white divide-y divide-gray-200">
-                        {receiptDocs.map(({ matric, receipt }) => (
-                          <tr key={matric}>
-                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{matric}</td>
-                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{receipt.status}</td>
-                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium space-x-2">
-                                {receipt.status === 'uploaded' && (
-                                     <>
-                                        <button onClick={() => updateStatus(matric, receipt.doc_type, 'verified')} className="text-green-600 hover:text-green-900">Verify</button>
-                                        <button onClick={() => updateStatus(matric, receipt.doc_type, 'rejected')} className="text-red-600 hover:text-red-900">Reject</button>
-                                        <a href={`${API_BASE_URL}/view/${receipt.filename}`} target="_blank" rel="noopener noreferrer" className="text-indigo-600 hover:text-indigo-900">View</a>
-                                     </>
+                        {deskList.map(a => (
+                          <tr key={a.id}>
+                            <td className={`${tdClasses} text-gray-700`}>{a.starts_at}–{a.ends_at}</td>
+                            <td className={`${tdClasses} font-medium text-gray-900`}><StudentLink matric={a.matric} /></td>
+                            <td className={`${tdClasses} text-gray-500`}>{a.email}</td>
+                            <td className={`${tdClasses} font-medium`}>
+                                {a.status === 'collected' ? (
+                                    <span className="text-gray-500">Collected {new Date(a.collected_at).toLocaleTimeString()} by {a.collected_by}</span>
+                                ) : (
+                                    <button onClick={() => send(`/admin/appointments/${a.id}/collected`, 'POST')} className="text-green-600 hover:text-green-900">Mark Collected</button>
                                 )}
                             </td>
                           </tr>
                         ))}
+                        {deskList.length === 0 && (
+                          <tr><td colSpan="4" className={`${tdClasses} text-gray-500 text-center`}>No appointments on this day.</td></tr>
+                        )}
                       </tbody>
                     </table>
                 </div>
             </div>
+
+            <div className="bg-white p-6 rounded-lg shadow">
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-lg font-semibold text-gray-800">Collection Days</h2>
+                    <button onClick={() => setIsCreating(true)} className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700">Add Collection Day</button>
+                </div>
+                <div className="space-y-4">
+                    {days.map(collectionDay => (
+                        <div key={collectionDay.id} className="p-4 border rounded-md">
+                            <div className="flex justify-between items-center">
+                                <div>
+                                    <p className="font-semibold text-gray-800">{formatDay(collectionDay.day)}{collectionDay.location && ` — ${collectionDay.location}`}</p>
+                                    <p className="text-xs text-gray-500">{collectionDay.published ? 'Published' : 'Draft (students cannot see it)'}</p>
+                                </div>
+                                <div className="space-x-2 text-sm">
+                                    <button onClick={() => setDay(collectionDay.day)} className="text-indigo-600 hover:underline">Show appointments</button>
+                                    <button onClick={() => togglePublished(collectionDay)} className="text-indigo-600 hover:underline">{collectionDay.published ? 'Unpublish' : 'Publish'}</button>
+                                </div>
+                            </div>
+                            <div className="flex flex-wrap gap-2 mt-2">
+                                {collectionDay.slots.map(slot => (
+                                    <span key={slot.id} className="px-2 py-1 text-xs bg-gray-100 rounded">
+                                        {slot.starts_at}–{slot.ends_at}: {slot.booked}/{slot.capacity}
+                                        {Number(slot.booked) === 0 && (
+                                            <button onClick={() => send(`/admin/collection-slots/${slot.id}`, 'DELETE')} className="ml-1 text-red-600" title="Remove slot">&times;</button>
+                                        )}
+                                    </span>
+                                ))}
+                            </div>
+                        </div>
+                    ))}
+                    {days.length === 0 && <p className="text-gray-500">No collection days yet.</p>}
+                </div>
+            </div>
+
+            {isCreating && (
+                <CollectionDayForm
+                    onCancel={() => setIsCreating(false)}
+                    onSave={async (form) => { if (await send('/admin/collection-days', 'POST', form)) setIsCreating(false); }}
+                />
+            )}
+        </>
+    );
+};
+
+const CollectionDayForm = ({ onCancel, onSave }) => {
+    const [form, setForm] = useState({ day: '', location: '', notes: '', published: true });
+    const [slots, setSlots] = useState([{ startsAt: '09:00', endsAt: '10:00', capacity: 20 }]);
+    const setSlot = (index, key, value) => setSlots(prev => prev.map((slot, i) => (i === index ? { ...slot, [key]: value } : slot)));
+
+    const inputClasses = "px-3 py-2 border border-gray-300 rounded-md shadow-sm";
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+            <form
+                onSubmit={(e) => { e.preventDefault(); onSave({ ...form, slots }); }}
+                className="bg-white rounded-lg shadow-xl w-full max-w-lg max-h-[90vh] overflow-auto p-6 space-y-4"
+            >
+                <h3 className="font-semibold text-lg text-gray-900">Add Collection Day</h3>
+                <input type="date" required value={form.day} onChange={(e) => setForm({ ...form, day: e.target.value })} className={`w-full ${inputClasses}`} />
+                <input type="text" placeholder="Location (e.g. Senate Building, Room 12)" value={form.location} onChange={(e) => setForm({ ...form, location: e.target.value })} className={`w-full ${inputClasses}`} />
+                <textarea rows={2} placeholder="Notes for students (what to bring...)" value={form.notes} onChange={(e) => setForm({ ...form, notes: e.target.value })} className={`w-full ${inputClasses}`} />
+                <div className="space-y-2">
+                    <p className="text-sm font-medium text-gray-700">Time slots</p>
+                    {slots.map((slot, index) => (
+                        <div key={index} className="flex items-center space-x-2 text-sm">
+                            <input type="time" required value={slot.startsAt} onChange={(e) => setSlot(index, 'startsAt', e.target.value)} className={inputClasses} />
+                            <span>to</span>
+                            <input type="time" required value={slot.endsAt} onChange={(e) => setSlot(index, 'endsAt', e.target.value)} className={inputClasses} />
+                            <input type="number" min="1" max="500" required value={slot.capacity} onChange={(e) => setSlot(index, 'capacity', Number(e.target.value))} className={`w-20 ${inputClasses}`} title="Capacity" />
+                            <button type="button" onClick={() => setSlots(slots.filter((_, i) => i !== index))} className="text-red-600">&times;</button>
+                        </div>
+                    ))}
+                    <button type="button" onClick={() => setSlots([...slots, { ...slots[slots.length - 1] || { startsAt: '09:00', endsAt: '10:00', capacity: 20 } }])} className="text-sm text-indigo-600 hover:underline">+ Add slot</button>
+                </div>
+                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                    <input type="checkbox" checked={form.published} onChange={(e) => setForm({ ...form, published: e.target.checked })} />
+                    <span>Publish now (students can book straight away)</span>
+                </label>
+                <div className="flex justify-end space-x-2">
+                    <button type="button" onClick={onCancel} className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200">Cancel</button>
+                    <button type="submit" className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700">Save</button>
+                </div>
+            </form>
         </div>
     );
 };
 
-// --- AdminDocsDashboard Component ---
-const AdminDocsDashboard = ({ user, setView, onLogout }) => {
-    // This would be very similar to the Receipts Dashboard, but filtering for other doc types.
-    // For brevity in this example, it's a placeholder.
+
+// --- AdminImportDashboard Component ---
+// Builds a CSV file from rows of values and downloads it.
+const downloadCsv = (filename, header, rows) => {
+    const escape = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const csv = [header, ...rows].map(row => row.map(escape).join(',')).join('\n');
+    saveFile(new Blob([csv], { type: 'text/csv' }), filename);
+};
+
+const importKinds = {
+    students: { label: 'New student accounts', columns: 'matric, email, and optionally password, faculty, entry_mode, paid (yes/no)' },
+    readiness: { label: 'Graduating list (certificate readiness)', columns: 'matric' },
+    payment: { label: 'Payment confirmations', columns: 'matric' },
+};
+
+const AdminImportDashboard = () => {
+    const [kind, setKind] = useState('students');
+    const [credentials, setCredentials] = useState('activation');
+    const [file, setFile] = useState(null);
+    const [result, setResult] = useState(null);
+    const [isImported, setIsImported] = useState(false);
+    const [isBusy, setIsBusy] = useState(false);
+
+    const reset = () => {
+        setResult(null);
+        setIsImported(false);
+    };
+
+    const runImport = async (dryRun) => {
+        const formData = new FormData();
+        formData.append('file', file);
+        formData.append('dryRun', String(dryRun));
+        formData.append('credentials', credentials);
+        setIsBusy(true);
+        try {
+            const response = await apiFetch(`/admin/import/${kind}`, { method: 'POST', body: formData });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.message);
+            setResult(data);
+            setIsImported(!dryRun);
+        } catch (error) {
+            alert(`Import failed: ${error.message}`);
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    const invalidRows = result ? result.rows.filter(row => row.errors.length > 0) : [];
+
     return (
-         <div className="max-w-7xl mx-auto p-4 sm:p-6 lg:p-8">
-            <AdminHeader user={user} onLogout={onLogout} setView={setView} />
-            <AdminNav activeView="admin_docs" setView={setView} />
-             <div className="bg-white p-6 rounded-lg shadow">
-                <h2 className="text-lg font-semibold text-gray-800">Verify Other Documents</h2>
-                <p className="text-gray-600 mt-2">This dashboard would allow verification of the Statement of Result, School Fees Receipt, and Clearance Form. The implementation would be similar to the Receipt Verification dashboard.</p>
+         <>
+            <div className="bg-white p-6 rounded-lg shadow space-y-4">
+                <h2 className="text-lg font-semibold text-gray-800">Import from CSV</h2>
+                <div className="flex flex-wrap gap-4">
+                    <select value={kind} onChange={(e) => { setKind(e.target.value); reset(); }} className="px-3 py-2 border border-gray-300 rounded-md shadow-sm">
+                        {Object.entries(importKinds).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+                    </select>
+                    {kind === 'students' && (
+                        <select value={credentials} onChange={(e) => { setCredentials(e.target.value); reset(); }} className="px-3 py-2 border border-gray-300 rounded-md shadow-sm">
+                            <option value="activation">Issue one-time activation codes</option>
+                            <option value="password">Use the password column as the initial password</option>
+                        </select>
+                    )}
+                    <input type="file" accept=".csv" onChange={(e) => { setFile(e.target.files[0] || null); reset(); }} />
+                </div>
+                <p className="text-sm text-gray-600">Columns: {importKinds[kind].columns}. The first row must be the column names.</p>
+                <div className="space-x-2">
+                    <button onClick={() => runImport(true)} disabled={!file || isBusy} className="px-4 py-2 text-sm font-medium text-indigo-600 border border-indigo-600 rounded-md hover:bg-indigo-50 disabled:opacity-50">Preview (dry run)</button>
+                    <button
+                        onClick={() => runImport(false)}
+                        disabled={!result || isImported || result.summary.valid === 0 || isBusy}
+                        className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700 disabled:bg-gray-400"
+                    >
+                        {result && !isImported ? `Import ${result.summary.valid} valid rows` : 'Import'}
+                    </button>
+                </div>
+
+                {result && (
+                    <div className="space-y-4">
+                        <p className={`text-sm font-semibold ${isImported ? 'text-green-700' : 'text-gray-800'}`}>
+                            {isImported
+                                ? `Imported ${result.summary.imported} of ${result.summary.total} rows. ${result.summary.invalid} rows were skipped.`
+                                : `Preview: ${result.summary.valid} of ${result.summary.total} rows are valid, ${result.summary.invalid} have errors. Nothing has been saved yet.`}
+                        </p>
+                        <div className="space-x-2">
+                            {invalidRows.length > 0 && (
+                                <button
+                                    onClick={() => downloadCsv(`${kind}-import-errors.csv`, ['line', 'matric', 'errors'], invalidRows.map(row => [row.line, row.matric, row.errors.join('; ')]))}
+                                    className="text-sm text-indigo-600 hover:underline"
+                                >
+                                    Download error report
+                                </button>
+                            )}
+                            {result.credentials.length > 0 && (
+                                <button
+                                    onClick={() => downloadCsv('activation-codes.csv', ['matric', 'email', 'activation_code'], result.credentials.map(c => [c.matric, c.email, c.code]))}
+                                    className="text-sm text-indigo-600 hover:underline"
+                                >
+                                    Download activation codes (shown only once)
+                                </button>
+                            )}
+                        </div>
+                        <div className="overflow-x-auto max-h-96">
+                            <table className="min-w-full divide-y divide-gray-200">
+                              <thead>
+                                <tr>
+                                  <th className={thClasses}>Line</th>
+                                  <th className={thClasses}>Matric</th>
+                                  <th className={thClasses}>Result</th>
+                                </tr>
+                              </thead>
+                              <tbody className="bg-white divide-y divide-gray-200">
+                                {result.rows.map(row => (
+                                  <tr key={row.line}>
+                                    <td className={`${tdClasses} text-gray-500`}>{row.line}</td>
+                                    <td className={`${tdClasses} text-gray-900`}>{row.matric}</td>
+                                    <td className={`${tdClasses} ${row.errors.length > 0 ? 'text-red-700' : 'text-green-700'}`}>
+                                        {row.errors.length > 0 ? row.errors.join('; ') : isImported ? 'Imported' : 'OK'}
+                                    </td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                        </div>
+                    </div>
+                )}
             </div>
-        </div>
+        </>
     );
 };
 
 
-// --- AdminIdCardsDashboard Component ---
-const AdminIdCardsDashboard = ({ user, setView, onLogout }) => {
-    const [students, setStudents] = useState([]);
-    const [searchTerm, setSearchTerm] = useState('');
+// --- AdminStaffDashboard Component ---
+// Staff accounts and the roles that decide what each of them may do (see backend/permissions.js).
+const DOCUMENT_PERMISSION_LABELS = { view: 'View', verify: 'Verify', reject: 'Reject' };
+const GENERAL_PERMISSION_LABELS = {
+    override: 'Override certificate readiness',
+    collection: 'Run the collection desk',
+    requirements: 'Edit document requirements',
+    import: 'Import registry CSV files',
+    audit: 'Read the audit log',
+    manage_users: 'Manage staff and roles',
+    manage_claims: "Release review claims and see every officer's throughput",
+};
+
+const emptyStaff = { username: '', name: '', email: '', role: '', password: '' };
+const emptyRole = { name: '', label: '', permissions: {} };
+
+// A one-line summary of a role's permissions for the roles table.
+const describeRole = (role, docLabels) => {
+    if (role.builtIn) return 'Everything';
+    const parts = Object.entries(role.permissions).map(([permission, scopes]) => {
+        if (GENERAL_PERMISSION_LABELS[permission]) return GENERAL_PERMISSION_LABELS[permission];
+        const types = scopes.includes(ALL_DOC_TYPES) ? 'all documents' : scopes.map(t => docLabels[t] || t).join(', ');
+        return `${DOCUMENT_PERMISSION_LABELS[permission] || permission}: ${types}`;
+    });
+    return parts.length > 0 ? parts.join('; ') : 'Nothing yet';
+};
+
+const AdminStaffDashboard = () => {
+    const user = useContext(UserContext);
+    const { docLabels } = useRequirements();
+    const [staff, setStaff] = useState([]);
+    const [roles, setRoles] = useState([]);
+    const [editingStaff, setEditingStaff] = useState(null); // the account being edited, or emptyStaff for a new one
+    const [resettingPassword, setResettingPassword] = useState(null); // the account getting a new initial password
+    const [editingRole, setEditingRole] = useState(null); // the role being edited, or emptyRole for a new one
+
+    const loadStaff = () => {
+        apiFetch('/admin/staff')
+            .then(res => res.json())
+            .then(setStaff)
+            .catch(error => alert(error.message));
+    };
+    const loadRoles = () => {
+        apiFetch('/admin/roles')
+            .then(res => res.json())
+            .then(setRoles)
+            .catch(error => alert(error.message));
+    };
 
     useEffect(() => {
-        fetch(`${API_BASE_URL}/admin/students`).then(res => res.json()).then(setStudents);
+        loadStaff();
+        loadRoles();
     }, []);
 
-     const updateStatus = (matric, docType, newStatus) => {
-         fetch(`${API_BASE_URL}/admin/update-status`, {
-            method: 'POST',
+    const roleLabels = Object.fromEntries(roles.map(r => [r.name, r.label]));
+
+    // Sends a JSON body to the staff or roles API and resolves to the response data.
+    const send = async (path, method, body) => {
+        const response = await apiFetch(path, {
+            method,
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ matric, docType, newStatus })
-        }).then(() => {
-            setStudents(prev => prev.map(s => s.matric === matric ? { ...s, clearance: s.clearance.map(c => c.doc_type === docType ? {...c, status: newStatus} : c) } : s));
+            body: body && JSON.stringify(body),
         });
+        const data = await response.json().catch(() => ({})); // DELETE has no JSON body
+        if (!response.ok) throw new Error(data.message);
+        return data;
+    };
+
+    const handleSaveStaff = async (form) => {
+        const isNew = editingStaff === emptyStaff;
+        try {
+            if (isNew) {
+                await send('/admin/staff', 'POST', form);
+            } else {
+                await send(`/admin/staff/${encodeURIComponent(form.username)}`, 'PUT', {
+                    name: form.name, email: form.email, role: form.role, active: form.active,
+                });
+            }
+            setEditingStaff(null);
+            loadStaff();
+            loadRoles();
+        } catch (error) {
+            alert(`Save failed: ${error.message}`);
+        }
+    };
+
+    const handleResetPassword = async (password) => {
+        try {
+            const data = await send(`/admin/staff/${encodeURIComponent(resettingPassword.username)}/password`, 'POST', { password });
+            setResettingPassword(null);
+            alert(data.message);
+            loadStaff();
+        } catch (error) {
+            alert(`Reset failed: ${error.message}`);
+        }
+    };
+
+    const handleSaveRole = async (form) => {
+        const isNew = editingRole === emptyRole;
+        try {
+            if (isNew) {
+                await send('/admin/roles', 'POST', form);
+            } else {
+                await send(`/admin/roles/${form.name}`, 'PUT', { label: form.label, permissions: form.permissions });
+            }
+            setEditingRole(null);
+            loadRoles();
+        } catch (error) {
+            alert(`Save failed: ${error.message}`);
+        }
     };
-    
-    const idCardDocs = students.map(s => ({
-        matric: s.matric,
-        idCard: s.clearance.find(c => c.doc_type === 'id_card')
-    })).filter(s => s.idCard && s.matric.includes(searchTerm));
 
+    const handleDeleteRole = async (role) => {
+        if (!window.confirm(`Delete the ${role.label} role?`)) return;
+        try {
+            await send(`/admin/roles/${role.name}`, 'DELETE');
+            loadRoles();
+        } catch (error) {
+            alert(`Delete failed: ${error.message}`);
+        }
+    };
 
     return (
-         <div className="max-w-7xl mx-auto p-4 sm:p-6 lg:p-8">
-            <AdminHeader user={user} onLogout={onLogout} setView={setView} />
-            <AdminNav activeView="admin_id_cards" setView={setView} />
-            
+        <>
+            <div className="bg-white p-6 rounded-lg shadow mb-6">
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-lg font-semibold text-gray-800">Staff Accounts</h2>
+                    <button onClick={() => setEditingStaff(emptyStaff)} className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700">Add Staff Member</button>
+                </div>
+                <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                      <thead>
+                        <tr>
+                          <th className={thClasses}>Username</th>
+                          <th className={thClasses}>Email</th>
+                          <th className={thClasses}>Role</th>
+                          <th className={thClasses}>Status</th>
+                          <th className={thClasses}>Actions</th>
+                        </tr>
+                      </thead>
+                      <tbody className="bg-white divide-y divide-gray-200">
+                        {staff.map(s => (
+                          <tr key={s.username}>
+                            <td className="px-6 py-4 text-sm">
+                                <p className="font-medium text-gray-900">{s.username}{s.username === user.matric && <span className="text-gray-500"> (you)</span>}</p>
+                                {s.name && <p className="text-xs text-gray-500">{s.name}</p>}
+                            </td>
+                            <td className={`${tdClasses} text-gray-700`}>{s.email || '-'}</td>
+                            <td className={`${tdClasses} text-gray-700`}>{roleLabels[s.role] || s.role}</td>
+                            <td className={tdClasses}>
+                                {!s.active ? <span className="text-gray-400">Deactivated</span>
+                                    : s.must_change_password ? <span className="text-yellow-700">Initial password</span>
+                                    : 'Active'}
+                            </td>
+                            <td className={`${tdClasses} font-medium space-x-2`}>
+                                <button onClick={() => setEditingStaff(s)} className="text-indigo-600 hover:text-indigo-900">Edit</button>
+                                <button onClick={() => setResettingPassword(s)} className="text-indigo-600 hover:text-indigo-900">Reset Password</button>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                </div>
+            </div>
+
             <div className="bg-white p-6 rounded-lg shadow">
-                 <h2 className="text-lg font-semibold text-gray-800 mb-4">Confirm Physical ID Card Submission</h2>
-                 <input
-                    type="text"
-                    placeholder="Search by matric number..."
-                    value={searchTerm}
-                    onChange={(e) => setSearchTerm(e.target.value)}
-                    className="w-full max-w-xs px-3 py-2 mb-4 border border-gray-300 rounded-md shadow-sm"
-                 />
-                 <div className="overflow-x-auto">
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-lg font-semibold text-gray-800">Roles</h2>
+                    <button onClick={() => setEditingRole(emptyRole)} className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700">Add Role</button>
+                </div>
+                <div className="overflow-x-auto">
                     <table className="min-w-full divide-y divide-gray-200">
                       <thead>
                         <tr>
-                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Matric</th>
-                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Student Notified?</th>
-                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
-                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Action</th>
+                          <th className={thClasses}>Role</th>
+                          <th className={thClasses}>Permissions</th>
+                          <th className={thClasses}>Staff</th>
+                          <th className={thClasses}>Actions</th>
                         </tr>
                       </thead>
                       <tbody className="bg-white divide-y divide-gray-200">
-                        {idCardDocs.map(({ matric, idCard }) => (
-                          <tr key={matric}>
-                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{matric}</td>
-                            <td className="px-6 py-4 whitespace-nowrap text-sm">{idCard.notified_admin === 'true' ? 'Yes' : 'No'}</td>
-                            <td className="px-6 py-4 whitespace-nowrap text-sm">{idCard.status}</td>
-                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
-                               {idCard.status !== 'verified' ? (
-                                    <button onClick={() => updateStatus(matric, idCard.doc_type, 'verified')} className="text-green-600 hover:text-green-900">Mark as Submitted</button>
-                               ) : (
-                                    <span className="text-gray-500">Confirmed</span>
-                               )}
+                        {roles.map(r => (
+                          <tr key={r.name}>
+                            <td className="px-6 py-4 text-sm">
+                                <p className="font-medium text-gray-900">{r.label}</p>
+                                <p className="text-xs text-gray-500">{r.name}</p>
+                            </td>
+                            <td className="px-6 py-4 text-sm text-gray-700">{describeRole(r, docLabels)}</td>
+                            <td className={`${tdClasses} text-gray-700`}>{r.staff_count}</td>
+                            <td className={`${tdClasses} font-medium space-x-2`}>
+                                {r.builtIn ? <span className="text-gray-500">Built in</span> : (
+                                    <>
+                                        <button onClick={() => setEditingRole(r)} className="text-indigo-600 hover:text-indigo-900">Edit</button>
+                                        {r.staff_count === 0 && <button onClick={() => handleDeleteRole(r)} className="text-red-600 hover:text-red-900">Delete</button>}
+                                    </>
+                                )}
                             </td>
                           </tr>
                         ))}
@@ -474,31 +3348,462 @@ const AdminIdCardsDashboard = ({ user, setView, onLogout }) => {
                     </table>
                 </div>
             </div>
+
+            {editingStaff && (
+                <StaffForm
+                    account={editingStaff}
+                    isNew={editingStaff === emptyStaff}
+                    roles={roles}
+                    onCancel={() => setEditingStaff(null)}
+                    onSave={handleSaveStaff}
+                />
+            )}
+            {resettingPassword && (
+                <StaffPasswordForm
+                    account={resettingPassword}
+                    onCancel={() => setResettingPassword(null)}
+                    onSave={handleResetPassword}
+                />
+            )}
+            {editingRole && (
+                <RoleForm
+                    role={editingRole}
+                    isNew={editingRole === emptyRole}
+                    onCancel={() => setEditingRole(null)}
+                    onSave={handleSaveRole}
+                />
+            )}
+        </>
+    );
+};
+
+const staffInputClasses = "w-full px-3 py-2 mt-1 border border-gray-300 rounded-md shadow-sm";
+const staffLabelClasses = "block text-sm font-medium text-gray-700";
+
+// Adds a staff member (with an initial password they must change) or edits one.
+const StaffForm = ({ account, isNew, roles, onCancel, onSave }) => {
+    const [form, setForm] = useState({
+        ...account,
+        name: account.name || '',
+        email: account.email || '',
+        role: account.role || (roles[0] && roles[0].name) || '',
+    });
+    const set = (key, value) => setForm(prev => ({ ...prev, [key]: value }));
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+            <form
+                onSubmit={(e) => { e.preventDefault(); onSave(form); }}
+                className="bg-white rounded-lg shadow-xl w-full max-w-lg max-h-[90vh] overflow-auto p-6 space-y-4"
+            >
+                <h3 className="font-semibold text-lg text-gray-900">{isNew ? 'Add Staff Member' : `Edit ${account.username}`}</h3>
+                {isNew && (
+                    <div>
+                        <label className={staffLabelClasses}>Username (used to log in, e.g. j.bello)</label>
+                        <input type="text" required value={form.username} onChange={(e) => set('username', e.target.value.toLowerCase())} className={staffInputClasses} />
+                    </div>
+                )}
+                <div>
+                    <label className={staffLabelClasses}>Name</label>
+                    <input type="text" value={form.name} onChange={(e) => set('name', e.target.value)} className={staffInputClasses} />
+                </div>
+                <div>
+                    <label className={staffLabelClasses}>Email (for notifications and password resets)</label>
+                    <input type="email" value={form.email} onChange={(e) => set('email', e.target.value)} className={staffInputClasses} />
+                </div>
+                <div>
+                    <label className={staffLabelClasses}>Role</label>
+                    <select value={form.role} onChange={(e) => set('role', e.target.value)} className={staffInputClasses}>
+                        {roles.map(r => <option key={r.name} value={r.name}>{r.label}</option>)}
+                    </select>
+                </div>
+                {isNew ? (
+                    <div>
+                        <label className={staffLabelClasses}>Initial password (at least 8 characters; they choose their own when they first log in)</label>
+                        <input type="text" required minLength={8} value={form.password} onChange={(e) => set('password', e.target.value)} className={staffInputClasses} />
+                    </div>
+                ) : (
+                    <label className="flex items-center space-x-2 text-sm text-gray-700">
+                        <input type="checkbox" checked={form.active} onChange={(e) => set('active', e.target.checked)} />
+                        <span>Active (unticking stops them logging in straight away)</span>
+                    </label>
+                )}
+                <div className="flex justify-end space-x-2">
+                    <button type="button" onClick={onCancel} className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200">Cancel</button>
+                    <button type="submit" className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700">Save</button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+// Gives a staff member a new initial password, e.g. when they have forgotten theirs and have no email.
+const StaffPasswordForm = ({ account, onCancel, onSave }) => {
+    const [password, setPassword] = useState('');
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+            <form
+                onSubmit={(e) => { e.preventDefault(); onSave(password); }}
+                className="bg-white rounded-lg shadow-xl w-full max-w-md p-6 space-y-4"
+            >
+                <h3 className="font-semibold text-lg text-gray-900">Reset Password for {account.username}</h3>
+                <div>
+                    <label className={staffLabelClasses}>New initial password (at least 8 characters; they choose their own when they next log in)</label>
+                    <input type="text" required minLength={8} value={password} onChange={(e) => setPassword(e.target.value)} className={staffInputClasses} />
+                </div>
+                <div className="flex justify-end space-x-2">
+                    <button type="button" onClick={onCancel} className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200">Cancel</button>
+                    <button type="submit" className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700">Reset Password</button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+// Creates or edits a role: the document permissions are a grid of document type x view/verify/reject,
+// with an "All document types" row that also covers types added later.
+const RoleForm = ({ role, isNew, onCancel, onSave }) => {
+    const { requirements } = useRequirements();
+    const [form, setForm] = useState(role);
+    const scopesOf = (permission) => form.permissions[permission] || [];
+    const has = (permission, scope) => scopesOf(permission).includes(scope);
+    const toggle = (permission, scope) => setForm(prev => {
+        const scopes = prev.permissions[permission] || [];
+        const next = scopes.includes(scope) ? scopes.filter(s => s !== scope) : [...scopes, scope];
+        const permissions = { ...prev.permissions, [permission]: next };
+        if (next.length === 0) delete permissions[permission];
+        return { ...prev, permissions };
+    });
+
+    // Rows for the grid; grants for retired requirements are kept so saving does not drop them.
+    const docRows = requirements.map(r => ({ docType: r.doc_type, label: r.label }));
+    for (const docType of new Set(Object.keys(DOCUMENT_PERMISSION_LABELS).flatMap(scopesOf))) {
+        if (docType !== ALL_DOC_TYPES && !docRows.some(row => row.docType === docType)) docRows.push({ docType, label: docType });
+    }
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+            <form
+                onSubmit={(e) => { e.preventDefault(); onSave(form); }}
+                className="bg-white rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-auto p-6 space-y-4"
+            >
+                <h3 className="font-semibold text-lg text-gray-900">{isNew ? 'Add Role' : `Edit ${role.label}`}</h3>
+                {isNew && (
+                    <div>
+                        <label className={staffLabelClasses}>Role name (e.g. bursary)</label>
+                        <input type="text" required value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} className={staffInputClasses} />
+                    </div>
+                )}
+                <div>
+                    <label className={staffLabelClasses}>Label</label>
+                    <input type="text" required value={form.label} onChange={(e) => setForm({ ...form, label: e.target.value })} className={staffInputClasses} />
+                </div>
+                <div>
+                    <span className={staffLabelClasses}>Documents</span>
+                    <table className="min-w-full mt-1 text-sm">
+                      <thead>
+                        <tr>
+                          <th className="py-1 text-left font-medium text-gray-500">Document</th>
+                          {Object.entries(DOCUMENT_PERMISSION_LABELS).map(([permission, label]) => (
+                            <th key={permission} className="py-1 w-20 text-center font-medium text-gray-500">{label}</th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-gray-100">
+                        {[{ docType: ALL_DOC_TYPES, label: 'All document types' }, ...docRows].map(row => (
+                          <tr key={row.docType}>
+                            <td className={`py-1 ${row.docType === ALL_DOC_TYPES ? 'font-medium text-gray-900' : 'text-gray-700'}`}>{row.label}</td>
+                            {Object.keys(DOCUMENT_PERMISSION_LABELS).map(permission => {
+                                const coveredByAll = row.docType !== ALL_DOC_TYPES && has(permission, ALL_DOC_TYPES);
+                                return (
+                                    <td key={permission} className="py-1 text-center">
+                                        <input
+                                            type="checkbox"
+                                            checked={coveredByAll || has(permission, row.docType)}
+                                            disabled={coveredByAll}
+                                            onChange={() => toggle(permission, row.docType)}
+                                        />
+                                    </td>
+                                );
+                            })}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                </div>
+                <div className="space-y-1">
+                    <span className={staffLabelClasses}>Other permissions</span>
+                    {Object.entries(GENERAL_PERMISSION_LABELS).map(([permission, label]) => (
+                        <label key={permission} className="flex items-center space-x-2 text-sm text-gray-700">
+                            <input type="checkbox" checked={has(permission, ALL_DOC_TYPES)} onChange={() => toggle(permission, ALL_DOC_TYPES)} />
+                            <span>{label}</span>
+                        </label>
+                    ))}
+                </div>
+                <div className="flex justify-end space-x-2">
+                    <button type="button" onClick={onCancel} className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200">Cancel</button>
+                    <button type="submit" className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700">Save</button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+
+// --- VerifySlipPage Component ---
+// Public page the QR code on a clearance slip opens (/verify/<code>). Anyone can check whether a slip is
+// genuine and still valid; the collection desk can also type a code in at /verify.
+const VerifySlipPage = () => {
+    const { code } = useParams();
+    const navigate = useNavigate();
+    const [input, setInput] = useState(code || '');
+    const [result, setResult] = useState(null); // the slip as reported by /api/verify, or { error }
+
+    useEffect(() => {
+        setResult(null);
+        if (!code) return;
+        fetch(`${API_BASE_URL}/verify/${encodeURIComponent(code)}`)
+            .then(async res => {
+                const data = await res.json();
+                setResult(res.ok ? data : { error: data.message });
+            })
+            .catch(() => setResult({ error: 'The slip could not be checked right now. Please try again.' }));
+    }, [code]);
+
+    const formatDate = (value) => (value ? new Date(value).toLocaleDateString(undefined, { day: 'numeric', month: 'long', year: 'numeric' }) : '-');
+
+    return (
+        <div className="flex items-center justify-center min-h-screen p-4">
+            <div className="w-full max-w-lg p-8 space-y-6 bg-white rounded-lg shadow-md">
+                <div className="text-center">
+                    <h1 className="text-2xl font-bold text-gray-800">Verify a Clearance Slip</h1>
+                    <p className="text-gray-600">FUTMINNA Certificate Collection</p>
+                </div>
+                <form onSubmit={(e) => { e.preventDefault(); navigate(`/verify/${encodeURIComponent(input.trim())}`); }} className="flex gap-2">
+                    <input
+                        type="text"
+                        required
+                        placeholder="Slip code, e.g. K7QM-4XPT-9D2R"
+                        value={input}
+                        onChange={(e) => setInput(e.target.value)}
+                        className="flex-1 px-3 py-2 border border-gray-300 rounded-md shadow-sm uppercase"
+                    />
+                    <button type="submit" className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700">Check</button>
+                </form>
+                {code && result === null && <p className="text-center text-gray-500">Checking...</p>}
+                {result && result.error && <p className="p-4 text-red-700 bg-red-50 rounded-md">{result.error}</p>}
+                {result && !result.error && (
+                    <div className="space-y-4">
+                        {result.valid ? (
+                            <p className="p-4 font-semibold text-green-800 bg-green-50 rounded-md">This slip is genuine and valid.</p>
+                        ) : (
+                            <p className="p-4 text-red-800 bg-red-50 rounded-md"><span className="font-semibold">This slip is no longer valid.</span> {result.reason}</p>
+                        )}
+                        {result.collectedAt && (
+                            <p className="p-4 text-yellow-800 bg-yellow-50 rounded-md">The certificate was already collected on {formatDate(result.collectedAt)}.</p>
+                        )}
+                        <dl className="grid grid-cols-2 gap-2 text-sm">
+                            <dt className="text-gray-500">Matric number</dt>
+                            <dd className="font-medium text-gray-900">{result.matric}</dd>
+                            <dt className="text-gray-500">Issued</dt>
+                            <dd className="font-medium text-gray-900">{formatDate(result.issuedAt)}</dd>
+                            <dt className="text-gray-500">Slip code</dt>
+                            <dd className="font-medium text-gray-900">{result.code}</dd>
+                            <dt className="text-gray-500">Signature</dt>
+                            <dd className="font-mono font-medium text-gray-900">{result.signature}</dd>
+                        </dl>
+                        <p className="text-xs text-gray-500">The matric number, date and signature printed on the slip must match the ones above.</p>
+                        {result.documents.length > 0 && (
+                            <div>
+                                <p className="text-sm font-medium text-gray-700 mb-1">Verified documents</p>
+                                <ul className="text-sm text-gray-700 space-y-1">
+                                    {result.documents.map(doc => (
+                                        <li key={doc.label} className="flex justify-between"><span>{doc.label}</span><span className="text-gray-500">{formatDate(doc.verifiedAt)}</span></li>
+                                    ))}
+                                </ul>
+                            </div>
+                        )}
+                    </div>
+                )}
+            </div>
         </div>
     );
 };
 
 
 // --- FilePreviewModal Component ---
-const FilePreviewModal = ({ file, onClose }) => (
-    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
-        <div className="bg-white rounded-lg shadow-xl w-full max-w-4xl h-full max-h-[90vh] flex flex-col">
-            <header className="flex justify-between items-center p-4 border-b">
-                <h3 className="font-semibold text-lg">{file.name}</h3>
-                <button onClick={onClose} className="text-2xl font-bold">&times;</button>
-            </header>
-            <div className="flex-1 p-2 overflow-auto">
-                {file.url.endsWith('.pdf') ? (
-                    <iframe src={file.url} className="w-full h-full" title="PDF Preview"></iframe>
-                ) : (
-                    <img src={file.url} alt="Preview" className="max-w-full max-h-full mx-auto" />
+const VIEWER_ZOOMS = [0.5, 0.75, 1, 1.25, 1.5, 2, 3, 4];
+const FIT_ZOOM_INDEX = 2;
+const viewerButtonClasses = "px-2 py-1 border rounded bg-white hover:bg-gray-50 disabled:text-gray-300";
+
+// Keyboard shortcuts are ignored while the user is typing or holding a modifier (browser shortcuts).
+const isTypingTarget = (e) => e.ctrlKey || e.metaKey || e.altKey
+    || ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName) || e.target.isContentEditable;
+
+// Renders an uploaded file with zoom, rotation and drag-to-pan. PDFs are shown a page at a time as
+// images rendered by the server (see the signed file route), so sideways scans can be turned too;
+// if the server cannot render one, the browser's own PDF viewer is used instead.
+// With `keyboard`, the shortcuts work anywhere on the page: + and - zoom, 0 fits, [ and ] rotate,
+// PageUp and PageDown change page. Only give it to one viewer on screen.
+const FileView = ({ file, keyboard = false }) => {
+    const isPdf = file.name.toLowerCase().endsWith('.pdf');
+    const [zoomIndex, setZoomIndex] = useState(FIT_ZOOM_INDEX);
+    const [rotation, setRotation] = useState(0);
+    const [page, setPage] = useState(1);
+    const [pageCount, setPageCount] = useState(null);
+    const [natural, setNatural] = useState(null); // { width, height } of the image as loaded
+    const [box, setBox] = useState(null); // { width, height } of the viewing area
+    const [failed, setFailed] = useState(false);
+    const containerRef = useRef(null);
+    const dragRef = useRef(null);
+
+    // Every file starts on its first page, upright and fitted to the viewing area.
+    useEffect(() => {
+        setZoomIndex(FIT_ZOOM_INDEX);
+        setRotation(0);
+        setPage(1);
+        setPageCount(null);
+        setNatural(null);
+        setFailed(false);
+        if (!isPdf) return undefined;
+        let cancelled = false;
+        fetch(`${file.url}?pages=1`)
+            .then(res => (res.ok ? res.json() : Promise.reject(new Error('The PDF could not be rendered.'))))
+            .then(data => { if (!cancelled) setPageCount(data.pageCount); })
+            .catch(() => { if (!cancelled) setFailed(true); });
+        return () => { cancelled = true; };
+    }, [file.url, isPdf]);
+
+    useEffect(() => {
+        const element = containerRef.current;
+        if (!element) return undefined;
+        const observer = new ResizeObserver(([entry]) => setBox({ width: entry.contentRect.width, height: entry.contentRect.height }));
+        observer.observe(element);
+        return () => observer.disconnect();
+    }, [failed]);
+
+    const zoomBy = (step) => setZoomIndex(i => Math.min(Math.max(i + step, 0), VIEWER_ZOOMS.length - 1));
+    const rotateBy = (degrees) => setRotation(r => (r + degrees + 360) % 360);
+    const turnPage = (step) => {
+        if (!pageCount) return;
+        setNatural(null);
+        setPage(p => Math.min(Math.max(p + step, 1), pageCount));
+    };
+
+    useEffect(() => {
+        if (!keyboard || failed) return undefined;
+        const onKeyDown = (e) => {
+            if (isTypingTarget(e)) return;
+            const actions = {
+                '+': () => zoomBy(1), '=': () => zoomBy(1), '-': () => zoomBy(-1), '0': () => setZoomIndex(FIT_ZOOM_INDEX),
+                '[': () => rotateBy(-90), ']': () => rotateBy(90), PageUp: () => turnPage(-1), PageDown: () => turnPage(1),
+            };
+            if (!actions[e.key]) return;
+            e.preventDefault();
+            actions[e.key]();
+        };
+        window.addEventListener('keydown', onKeyDown);
+        return () => window.removeEventListener('keydown', onKeyDown);
+    });
+
+    if (failed) {
+        return <iframe src={file.url} className="w-full h-full" title="PDF Preview"></iframe>;
+    }
+
+    // At 100% the file fits the viewing area; small images are not blown up past their real size.
+    const zoom = VIEWER_ZOOMS[zoomIndex];
+    let size = null;
+    if (natural && box) {
+        const turned = rotation % 180 !== 0;
+        const width = turned ? natural.height : natural.width;
+        const height = turned ? natural.width : natural.height;
+        const scale = Math.min(box.width / width, box.height / height, 1) * zoom;
+        size = { width: width * scale, height: height * scale, imageWidth: natural.width * scale, imageHeight: natural.height * scale };
+    }
+
+    const startDrag = (e) => {
+        e.preventDefault();
+        const element = containerRef.current;
+        dragRef.current = { x: e.clientX, y: e.clientY, left: element.scrollLeft, top: element.scrollTop };
+    };
+    const drag = (e) => {
+        if (!dragRef.current) return;
+        const element = containerRef.current;
+        element.scrollLeft = dragRef.current.left - (e.clientX - dragRef.current.x);
+        element.scrollTop = dragRef.current.top - (e.clientY - dragRef.current.y);
+    };
+    const endDrag = () => { dragRef.current = null; };
+
+    return (
+        <div className="flex flex-col h-full">
+            <div className="flex flex-wrap items-center gap-2 pb-2 text-sm">
+                <button onClick={() => zoomBy(-1)} disabled={zoomIndex === 0} title="Zoom out (-)" className={viewerButtonClasses}>−</button>
+                <span className="w-12 text-center text-gray-700">{Math.round(zoom * 100)}%</span>
+                <button onClick={() => zoomBy(1)} disabled={zoomIndex === VIEWER_ZOOMS.length - 1} title="Zoom in (+)" className={viewerButtonClasses}>+</button>
+                <button onClick={() => setZoomIndex(FIT_ZOOM_INDEX)} title="Fit (0)" className={viewerButtonClasses}>Fit</button>
+                <button onClick={() => rotateBy(-90)} title="Rotate left ([)" className={viewerButtonClasses}>⟲</button>
+                <button onClick={() => rotateBy(90)} title="Rotate right (])" className={viewerButtonClasses}>⟳</button>
+                {pageCount > 1 && (
+                    <>
+                        <button onClick={() => turnPage(-1)} disabled={page === 1} title="Previous page (PageUp)" className={viewerButtonClasses}>‹</button>
+                        <span className="text-gray-700">Page {page} of {pageCount}</span>
+                        <button onClick={() => turnPage(1)} disabled={page === pageCount} title="Next page (PageDown)" className={viewerButtonClasses}>›</button>
+                    </>
+                )}
+                <a href={`${file.url}?download=1`} className="ml-auto text-indigo-600 hover:underline">Download</a>
+            </div>
+            <div
+                ref={containerRef}
+                onMouseDown={startDrag}
+                onMouseMove={drag}
+                onMouseUp={endDrag}
+                onMouseLeave={endDrag}
+                className="flex-1 overflow-auto bg-gray-100 rounded cursor-grab active:cursor-grabbing"
+            >
+                {!size && <p className="p-4 text-sm text-gray-500">Loading...</p>}
+                {(!isPdf || pageCount) && (
+                    <div className="relative mx-auto" style={size ? { width: size.width, height: size.height } : { width: 0, height: 0 }}>
+                        <img
+                            key={page}
+                            src={isPdf ? `${file.url}?page=${page}` : file.url}
+                            alt={isPdf ? `Page ${page}` : 'Preview'}
+                            draggable={false}
+                            onLoad={(e) => setNatural({ width: e.target.naturalWidth, height: e.target.naturalHeight })}
+                            onError={() => { if (isPdf) setFailed(true); }}
+                            className="absolute max-w-none select-none"
+                            style={size ? {
+                                left: '50%', top: '50%', width: size.imageWidth, height: size.imageHeight,
+                                transform: `translate(-50%, -50%) rotate(${rotation}deg)`,
+                            } : { visibility: 'hidden' }}
+                        />
+                    </div>
                 )}
             </div>
         </div>
-    </div>
-);
+    );
+};
 
+const FilePreviewModal = ({ file, onClose }) => {
+    useEffect(() => {
+        const onKeyDown = (e) => { if (e.key === 'Escape') onClose(); };
+        window.addEventListener('keydown', onKeyDown);
+        return () => window.removeEventListener('keydown', onKeyDown);
+    }, [onClose]);
 
-export default App;
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-lg shadow-xl w-full max-w-4xl h-full max-h-[90vh] flex flex-col">
+                <header className="flex justify-between items-center p-4 border-b">
+                    <h3 className="font-semibold text-lg">{file.name}</h3>
+                    <button onClick={onClose} className="text-2xl font-bold">&times;</button>
+                </header>
+                <div className="flex-1 p-2 overflow-hidden">
+                    <FileView file={file} keyboard />
+                </div>
+            </div>
+        </div>
+    );
+};
 
 
+export default App;